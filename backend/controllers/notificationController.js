@@ -4,6 +4,7 @@ const firebaseService = require('../services/firebaseService');
 const twilioService = require('../services/twilioService');
 const Notification = require('../models/Notification');
 const eventBus = require('../utils/eventBus');
+const { can } = require('../utils/policies');
 
 /**
  * NotificationController - Handles all notification operations
@@ -314,6 +315,13 @@ class NotificationController {
         });
       }
 
+      if (String(notification.userId) !== String(req.user.id) && !can(req.user.role, 'notification:read:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not allowed to view this notification'
+        });
+      }
+
       res.status(200).json({
         success: true,
         data: {
@@ -413,7 +421,7 @@ class NotificationController {
   static async markNotificationAsRead(req, res) {
     try {
       const { notificationId } = req.params;
-      const userId = req.user?.id || req.body.userId;
+      const userId = req.user.id;
 
       const notification = await Notification.findOne({
         notificationId,
@@ -1,13 +1,28 @@
 const { body, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
-const razorpayService = require('../services/razorpayService');
+const mongoose = require('mongoose');
+const paymentGateway = require('../services/paymentProviders');
 const blockchainService = require('../services/blockchainService');
+const escrowService = require('../services/escrowService');
+const settlementService = require('../services/settlementService');
+const webhookService = require('../services/webhookService');
+const reconciliationService = require('../services/reconciliationService');
+const refundService = require('../services/refundService');
+const { RefundError } = require('../services/refundService');
+const mandateService = require('../services/mandateService');
+const { MandateError } = require('../services/mandateService');
+const statementService = require('../services/statementService');
+const { StatementError } = require('../services/statementService');
+const prepaymentService = require('../services/prepaymentService');
+const { PrepaymentError } = require('../services/prepaymentService');
 const Transaction = require('../models/Transaction');
+const Loan = require('../models/Loan');
 const eventBus = require('../utils/eventBus');
+const { can, loanParties, ownsLoan, ownsTransaction } = require('../utils/policies');
 
 /**
  * PaymentController - Handles all payment-related operations
- * Integrates Razorpay payments with blockchain transactions and notifications
+ * Integrates gateway payments (Razorpay, PayU or the mock provider) with blockchain transactions and notifications
  * Supports loan disbursement, EMI payments, and full repayments
  */
 class PaymentController {
@@ -34,18 +49,35 @@ class PaymentController {
         lenderId,
         amount,
         paymentType = 'emi_payment',
-        currency = 'INR',
-        metadata = {}
+        currency = 'INR'
       } = req.body;
 
+      // The caller must be one of the two parties, and both must belong to the loan
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Loan not found'
+        });
+      }
+      const callerIsParty = [String(borrowerId), String(lenderId)].includes(String(req.user.id));
+      if (!callerIsParty || String(loan.borrowerId) !== String(borrowerId) || !loanParties(loan).includes(String(lenderId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the borrower or a lender of this loan can start its payments'
+        });
+      }
+
       // Generate unique receipt ID
-      const receiptId = `rcpt_${loanId}_${paymentType}_${Date.now()}`;
+      const transactionId = uuidv4();
+      const receiptId = paymentGateway.receiptFor(transactionId);
 
-      // Create Razorpay order
+      // Create gateway order
       const orderData = {
         amount: amount,
         currency: currency,
         receipt: receiptId,
+        description: 'Loan Repayment',
         notes: {
           loanId: loanId.toString(),
           borrowerId: borrowerId.toString(),
@@ -55,26 +87,25 @@ class PaymentController {
         }
       };
 
-      const razorpayOrder = await razorpayService.createOrder(orderData);
+      const order = await paymentGateway.createOrder(orderData);
 
       // Create transaction record in database
       const transactionData = {
-        transactionId: uuidv4(),
+        transactionId,
         loanId,
         borrowerId,
         lenderId,
         amount,
         currency,
         type: paymentType,
-        razorpayOrderId: razorpayOrder.id,
+        paymentProvider: order.provider,
+        razorpayOrderId: order.id,
         status: 'pending',
         metadata: {
-          paymentMethod: 'razorpay',
           deviceInfo: {
             userAgent: req.get('User-Agent'),
             ipAddress: req.ip,
-          },
-          ...metadata
+          }
         }
       };
 
@@ -83,7 +114,8 @@ class PaymentController {
 
       // Emit payment initiation event
       eventBus.emitEvent('payment.initiated', {
-        orderId: razorpayOrder.id,
+        orderId: order.id,
+        provider: order.provider,
         transactionId: transaction.transactionId,
         loanId,
         borrowerId,
@@ -101,16 +133,19 @@ class PaymentController {
         success: true,
         message: 'Payment order created successfully',
         data: {
-          orderId: razorpayOrder.id,
+          orderId: order.id,
           transactionId: transaction.transactionId,
-          amount: razorpayOrder.amount / 100, // Convert back to rupees
-          currency: razorpayOrder.currency,
-          receipt: razorpayOrder.receipt,
-          status: razorpayOrder.status,
+          amount: order.amount,
+          currency: order.currency,
+          receipt: order.receipt,
+          status: order.status,
           loanId,
           paymentType,
+          provider: order.provider,
+          // What the frontend needs to open this provider's checkout
+          checkout: order.checkout,
           // Include test credentials for frontend integration
-          testCredentials: razorpayService.getTestCredentials(),
+          testCredentials: paymentGateway.getTestCredentials(),
           expiresAt: new Date(Date.now() + 15 * 60 * 1000) // 15 minutes expiry
         }
       };
@@ -129,7 +164,7 @@ class PaymentController {
   }
 
   /**
-   * Confirm payment after successful Razorpay transaction
+   * Confirm payment after a successful gateway checkout
    * POST /api/payments/confirm
    */
   static async confirmPayment(req, res) {
@@ -144,18 +179,13 @@ class PaymentController {
         });
       }
 
-      const {
-        razorpay_order_id,
-        razorpay_payment_id,
-        razorpay_signature,
-        transactionId
-      } = req.body;
+      const { orderId, paymentId, signature, payload, transactionId } = req.body;
 
       // Find transaction in database
       const transaction = await Transaction.findOne({
         $or: [
           { transactionId },
-          { razorpayOrderId: razorpay_order_id }
+          { razorpayOrderId: orderId }
         ]
       }).populate('loanId borrowerId lenderId');
 
@@ -166,6 +196,13 @@ class PaymentController {
         });
       }
 
+      if (!ownsTransaction(req.user, transaction)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the parties to a payment can confirm it'
+        });
+      }
+
       // Check if already confirmed
       if (transaction.status === 'confirmed') {
         return res.status(400).json({
@@ -174,12 +211,22 @@ class PaymentController {
         });
       }
 
-      // Verify payment with Razorpay
-      const paymentVerification = await razorpayService.verifyPayment({
-        razorpay_order_id,
-        razorpay_payment_id,
-        razorpay_signature
-      });
+      // Repayments must be legal for the loan's current FSM state
+      const isRepayment = settlementService.isRepaymentType(transaction.type);
+      if (isRepayment && transaction.loanId && !transaction.loanId.canTransition('repay')) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot repay a loan in state ${transaction.loanId.status}`
+        });
+      }
+
+      // Verify payment with the gateway that created the order
+      const paymentVerification = await paymentGateway.verifyPayment({
+        orderId: transaction.razorpayOrderId,
+        paymentId,
+        signature,
+        payload
+      }, transaction.paymentProvider);
 
       if (!paymentVerification.verified) {
         // Mark transaction as failed
@@ -187,8 +234,12 @@ class PaymentController {
         transaction.failureReason = 'Payment verification failed';
         await transaction.save();
 
+        if (transaction.type === 'escrow_deposit') {
+          await escrowService.failDeposit(transaction);
+        }
+
         eventBus.emitEvent('payment.failed', {
-          orderId: razorpay_order_id,
+          orderId: transaction.razorpayOrderId,
           transactionId: transaction.transactionId,
           error: 'Payment verification failed'
         });
@@ -199,9 +250,21 @@ class PaymentController {
         });
       }
 
+      // Claim the transaction so a concurrent confirmation or webhook cannot apply it a second time
+      const claim = await Transaction.updateOne(
+        { _id: transaction._id, status: { $nin: ['processing', 'confirmed'] } },
+        { $set: { status: 'processing' } }
+      );
+      if (claim.modifiedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Payment is already being confirmed'
+        });
+      }
+
       // Update transaction with payment details
-      transaction.razorpayPaymentId = razorpay_payment_id;
-      transaction.razorpaySignature = razorpay_signature;
+      transaction.razorpayPaymentId = paymentVerification.paymentId || paymentId;
+      transaction.razorpaySignature = signature;
       transaction.status = 'processing';
       transaction.metadata.paymentMethod = paymentVerification.method;
       transaction.metadata.bank = paymentVerification.bank;
@@ -217,7 +280,7 @@ class PaymentController {
             loanId: transaction.loanId,
             amount: transaction.amount,
             borrowerAddress: transaction.borrowerId.walletAddress,
-            paymentId: razorpay_payment_id
+            paymentId: transaction.razorpayPaymentId
           });
         }
       } catch (blockchainError) {
@@ -235,11 +298,13 @@ class PaymentController {
 
       // Mark as confirmed
       await transaction.markAsConfirmed(blockchainResult?.txHash);
+      await settlementService.applyConfirmed(transaction);
 
       // Emit payment success event
       eventBus.emitEvent('payment.successful', {
-        orderId: razorpay_order_id,
-        paymentId: razorpay_payment_id,
+        orderId: transaction.razorpayOrderId,
+        paymentId: transaction.razorpayPaymentId,
+        provider: transaction.paymentProvider,
         transactionId: transaction.transactionId,
         amount: transaction.amount,
         loanId: transaction.loanId,
@@ -257,8 +322,8 @@ class PaymentController {
         message: 'Payment confirmed successfully',
         data: {
           transactionId: transaction.transactionId,
-          paymentId: razorpay_payment_id,
-          orderId: razorpay_order_id,
+          paymentId: transaction.razorpayPaymentId,
+          orderId: transaction.razorpayOrderId,
           amount: transaction.amount,
           status: transaction.status,
           txnHash: transaction.txnHash,
@@ -269,6 +334,7 @@ class PaymentController {
             network: blockchainService.getNetworkInfo().currentNetwork
           } : null,
           payment: {
+            provider: transaction.paymentProvider,
             method: paymentVerification.method,
             bank: paymentVerification.bank,
             wallet: paymentVerification.wallet,
@@ -317,103 +383,182 @@ class PaymentController {
       // This endpoint typically would be called by a scheduler for EMI reminders
       // or by the borrower for manual repayments
 
-      // Find loan details (assuming loan model exists)
-      // For now, we'll simulate loan data
-      const loanData = {
-        borrowerId: req.body.borrowerId || '507f1f77bcf86cd799439011',
-        lenderId: req.body.lenderId || '507f1f77bcf86cd799439012',
-        amount: req.body.loanAmount || amount * 10,
-        status: 'active'
-      };
+      const loan = await Loan.findById(loanId);
+      if (!loan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Loan not found'
+        });
+      }
 
-      if (autoDebit) {
-        // For auto-debit, we would integrate with bank APIs
-        // For now, we'll simulate the process
-        
-        // Create automatic payment order
-        const paymentResult = await PaymentController._processAutoDebit({
-          loanId,
-          borrowerId: loanData.borrowerId,
-          lenderId: loanData.lenderId,
-          amount,
-          repaymentType,
-          emiNumber
+      if (!loan.borrowerId.equals(req.user.id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the borrower can repay this loan'
         });
+      }
 
-        return res.status(200).json({
-          success: true,
-          message: 'Auto-debit repayment processed',
-          data: paymentResult
+      if (!loan.canTransition('repay')) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot repay a loan in state ${loan.status}`
         });
       }
 
-      // For manual repayment, create payment order for user to complete
-      const orderData = {
-        amount,
-        currency: 'INR',
-        receipt: `repay_${loanId}_${emiNumber || Date.now()}`,
-        notes: {
-          loanId: loanId.toString(),
-          repaymentType,
-          emiNumber: emiNumber?.toString(),
-          autoGenerated: 'true'
+      // Validate the EMI against the loan's installment schedule
+      let installment = null;
+      if (loan.installments.length > 0) {
+        installment = emiNumber
+          ? loan.installments.find(i => i.number === Number(emiNumber))
+          : repaymentType === 'emi_payment' ? loan.nextDueInstallment() : null;
+
+        if (emiNumber && !installment) {
+          return res.status(400).json({
+            success: false,
+            message: `EMI number must be between 1 and ${loan.installments.length}`
+          });
         }
-      };
-
-      const razorpayOrder = await razorpayService.createOrder(orderData);
 
-      // Create transaction record
-      const transaction = new Transaction({
-        loanId,
-        borrowerId: loanData.borrowerId,
-        lenderId: loanData.lenderId,
-        amount,
-        type: repaymentType,
-        razorpayOrderId: razorpayOrder.id,
-        status: 'pending',
-        metadata: {
-          emiNumber,
-          paymentMethod: 'razorpay',
-          autoGenerated: true
+        if (installment && installment.status === 'Paid') {
+          return res.status(409).json({
+            success: false,
+            message: `EMI ${installment.number} is already paid`
+          });
         }
-      });
+      } else if (emiNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Loan has no installment schedule yet'
+        });
+      }
 
-      await transaction.save();
+      const emi = installment ? installment.number : emiNumber;
 
-      // Emit repayment initiation event
-      eventBus.emitEvent('loan.repayment_initiated', {
-        loanId,
-        transactionId: transaction.transactionId,
+      if (autoDebit) {
+        // Debits what is due through the loan's active mandate, like the scheduler's daily run
+        const charge = await mandateService.collect(loan);
+
+        return res.status(200).json({
+          success: charge.status !== 'failed' && charge.status !== 'exhausted',
+          message: `Auto-debit ${charge.status}`,
+          data: charge
+        });
+      }
+
+      // For manual repayment, create payment order for user to complete
+      const { order, transaction } = await PaymentController._openRepaymentOrder(loan, {
         amount,
-        emiNumber,
         repaymentType,
-        borrowerId: loanData.borrowerId,
-        orderId: razorpayOrder.id
+        emiNumber: emi
       });
 
       res.status(200).json({
         success: true,
         message: 'Repayment order created',
         data: {
-          orderId: razorpayOrder.id,
+          orderId: order.id,
           transactionId: transaction.transactionId,
           amount,
           loanId,
-          emiNumber,
+          emiNumber: emi,
+          dueDate: installment?.dueDate,
           repaymentType,
-          paymentUrl: `${process.env.FRONTEND_URL}/payment/${razorpayOrder.id}`,
+          provider: order.provider,
+          checkout: order.checkout,
+          paymentUrl: `${process.env.FRONTEND_URL}/payment/${order.id}`,
           expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours for repayment
         }
       });
 
     } catch (error) {
-      console.error('Error processing repayment:', error);
-      
-      res.status(500).json({
-        success: false,
-        message: 'Failed to process repayment',
-        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      PaymentController._serviceError(res, error, 'Failed to process repayment');
+    }
+  }
+
+  /**
+   * Close a loan early: opens a full_repayment order for its foreclosure quote
+   * POST /api/loans/:id/foreclose
+   */
+  static async foreclose(req, res) {
+    try {
+      const loan = await PaymentController._borrowerLoan(req, res);
+      if (!loan) return;
+
+      const quote = prepaymentService.foreclosureQuote(loan);
+      const { order, transaction } = await PaymentController._openRepaymentOrder(loan, {
+        amount: quote.amount,
+        repaymentType: 'full_repayment',
+        description: 'Loan Foreclosure'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Foreclosure order created',
+        data: {
+          orderId: order.id,
+          transactionId: transaction.transactionId,
+          amount: quote.amount,
+          loanId: loan._id,
+          quote,
+          repaymentType: 'full_repayment',
+          provider: order.provider,
+          checkout: order.checkout,
+          expiresAt: quote.validUntil
+        }
       });
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to foreclose loan');
+    }
+  }
+
+  /**
+   * Prepay part of a loan, shortening its tenure or lowering its EMI
+   * POST /api/loans/:id/prepay
+   */
+  static async prepay(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const loan = await PaymentController._borrowerLoan(req, res);
+      if (!loan) return;
+
+      const { amount, option } = req.body;
+      const quote = prepaymentService.prepaymentQuote(loan, Number(amount));
+      const { order, transaction } = await PaymentController._openRepaymentOrder(loan, {
+        amount: quote.total,
+        repaymentType: 'emi_payment',
+        description: 'Loan Prepayment',
+        prepaymentOption: option
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Prepayment order created',
+        data: {
+          orderId: order.id,
+          transactionId: transaction.transactionId,
+          amount: quote.total,
+          loanId: loan._id,
+          option,
+          fee: quote.fee,
+          schedule: quote.options[option],
+          repaymentType: 'emi_payment',
+          provider: order.provider,
+          checkout: order.checkout,
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        }
+      });
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to prepay loan');
     }
   }
 
@@ -439,13 +584,20 @@ class PaymentController {
         });
       }
 
-      // Get additional details from Razorpay if payment exists
-      let razorpayDetails = null;
+      if (!ownsTransaction(req.user, transaction) && !can(req.user.role, 'transaction:read:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not allowed to view this transaction'
+        });
+      }
+
+      // Get additional details from the gateway if payment exists
+      let gatewayDetails = null;
       if (transaction.razorpayPaymentId) {
         try {
-          razorpayDetails = await razorpayService.getPaymentDetails(transaction.razorpayPaymentId);
+          gatewayDetails = await paymentGateway.fetchPayment(transaction.razorpayPaymentId, transaction.paymentProvider);
         } catch (error) {
-          console.error('Error fetching Razorpay details:', error);
+          console.error(`Error fetching ${transaction.paymentProvider} details:`, error);
         }
       }
 
@@ -474,7 +626,7 @@ class PaymentController {
             failureReason: transaction.failureReason,
             metadata: transaction.metadata
           },
-          razorpay: razorpayDetails,
+          gateway: gatewayDetails,
           blockchain: blockchainDetails ? {
             txnHash: transaction.txnHash,
             blockNumber: blockchainDetails.blockNumber,
@@ -505,6 +657,20 @@ class PaymentController {
       const { loanId } = req.params;
       const { page = 1, limit = 10, status } = req.query;
 
+      const loan = mongoose.isValidObjectId(loanId) ? await Loan.findById(loanId) : null;
+      if (!loan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Loan not found'
+        });
+      }
+      if (!ownsLoan(req.user, loan) && !can(req.user.role, 'transaction:read:any')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the borrower or a lender of a loan can see its payments'
+        });
+      }
+
       const query = { loanId };
       if (status) {
         query.status = status;
@@ -518,11 +684,19 @@ class PaymentController {
       };
 
       const transactions = await Transaction.paginate(query, options);
+      const base = `/api/payments/history/${loanId}`;
 
       res.status(200).json({
         success: true,
         data: {
-          transactions: transactions.docs,
+          transactions: transactions.docs.map(transaction => ({
+            ...transaction.toJSON(),
+            displayId: transaction.displayId,
+            receiptUrl: ['confirmed', 'refunded'].includes(transaction.status) && !transaction.accrual
+              ? `${base}/receipts/${transaction.transactionId}`
+              : null
+          })),
+          statementUrl: `${base}/statement`,
           pagination: {
             currentPage: transactions.page,
             totalPages: transactions.totalPages,
@@ -545,16 +719,76 @@ class PaymentController {
   }
 
   /**
-   * Handle Razorpay webhook
-   * POST /api/payments/webhook
+   * Receipt for a confirmed payment of a loan, as a PDF or with ?format=json
+   * GET /api/payments/history/:loanId/receipts/:transactionId
+   */
+  static async getPaymentReceipt(req, res) {
+    try {
+      const receipt = await statementService.receipt(req.params.loanId, req.params.transactionId, { userId: PaymentController._readerId(req) });
+
+      if (req.query.format === 'json') {
+        return res.status(200).json({
+          success: true,
+          data: receipt
+        });
+      }
+
+      const pdf = await statementService.receiptPdf(receipt);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="receipt-${receipt.receiptNo}.pdf"`);
+      res.status(200).send(pdf);
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to get payment receipt');
+    }
+  }
+
+  /**
+   * Loan account statement between ?from and ?to, as a PDF or with ?format=json
+   * GET /api/payments/history/:loanId/statement
+   */
+  static async getLoanStatement(req, res) {
+    try {
+      const { from, to } = req.query;
+      const statement = await statementService.statement(req.params.loanId, { from, to, userId: PaymentController._readerId(req) });
+
+      if (req.query.format === 'json') {
+        return res.status(200).json({
+          success: true,
+          data: statement
+        });
+      }
+
+      const pdf = await statementService.statementPdf(statement);
+      const day = date => date.toISOString().slice(0, 10);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="statement-${statement.loanId}-${day(statement.from)}-${day(statement.to)}.pdf"`);
+      res.status(200).send(pdf);
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to get loan statement');
+    }
+  }
+
+
+  /**
+   * Handle payment gateway webhook
+   * POST /api/payments/webhook (configured provider)
+   * POST /api/payments/webhook/:provider
    */
   static async handleWebhook(req, res) {
     try {
-      const signature = req.get('X-Razorpay-Signature');
-      const body = JSON.stringify(req.body);
+      const providerName = req.params.provider || paymentGateway.defaultName;
+      if (!paymentGateway.names.includes(providerName)) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown payment provider: ${providerName}`
+        });
+      }
 
-      // Verify webhook signature
-      const isValid = razorpayService.verifyWebhookSignature(body, signature);
+      // Verify webhook signature over the body exactly as it was sent
+      const rawBody = req.rawBody || JSON.stringify(req.body);
+      const isValid = paymentGateway.verifyWebhook(rawBody, req.headers, providerName);
       
       if (!isValid) {
         return res.status(400).json({
@@ -563,30 +797,20 @@ class PaymentController {
         });
       }
 
-      const event = req.body;
-      const { entity, event: eventType } = event;
+      // Stored before dispatch, so gateway retries are acknowledged without being applied twice
+      const { event, duplicate } = await webhookService.receive(providerName, req.body, {
+        rawBody,
+        headers: req.headers
+      }, PaymentController._dispatchWebhook);
 
-      console.log(`Received Razorpay webhook: ${eventType}`, entity);
-
-      // Handle different webhook events
-      switch (eventType) {
-        case 'payment.captured':
-          await PaymentController._handlePaymentCaptured(entity.payload.payment.entity);
-          break;
-        
-        case 'payment.failed':
-          await PaymentController._handlePaymentFailed(entity.payload.payment.entity);
-          break;
-        
-        case 'order.paid':
-          await PaymentController._handleOrderPaid(entity.payload.order.entity);
-          break;
-        
-        default:
-          console.log(`Unhandled webhook event: ${eventType}`);
-      }
+      console.log(`Received ${providerName} webhook: ${event.type} (${duplicate ? 'duplicate' : event.status})`);
 
-      res.status(200).json({ success: true });
+      // A failed event answers 500 so the gateway delivers it again
+      res.status(event.status === 'failed' ? 500 : 200).json({
+        success: event.status !== 'failed',
+        duplicate,
+        status: event.status
+      });
 
     } catch (error) {
       console.error('Error handling webhook:', error);
@@ -597,117 +821,539 @@ class PaymentController {
     }
   }
 
-  // Private helper methods
+  /**
+   * List stored webhook events (admin)
+   * GET /api/payments/webhooks
+   */
+  static async listWebhooks(req, res) {
+    try {
+      const { status, provider } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const events = await webhookService.list({ status, provider, limit });
+
+      res.status(200).json({
+        success: true,
+        data: events
+      });
+
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list webhooks',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
 
   /**
-   * Process auto-debit payment
-   * @private
+   * Re-process a stored webhook event (admin)
+   * POST /api/payments/webhooks/:id/replay
    */
-  static async _processAutoDebit(repaymentData) {
-    // In a real implementation, this would integrate with bank APIs
-    // For now, we'll simulate the process
-    
-    const mockSuccess = Math.random() > 0.1; // 90% success rate
-    
-    if (mockSuccess) {
-      // Create mock successful transaction
-      const transaction = new Transaction({
-        ...repaymentData,
-        type: repaymentData.repaymentType,
-        status: 'confirmed',
-        razorpayPaymentId: `pay_auto_${Date.now()}`,
-        metadata: {
-          paymentMethod: 'auto_debit',
-          autoDebit: true
-        }
+  static async replayWebhook(req, res) {
+    try {
+      const event = await webhookService.replay(req.params.id, PaymentController._dispatchWebhook);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook event not found'
+        });
+      }
+
+      res.status(200).json({
+        success: event.status !== 'failed',
+        message: `Webhook event ${event.status}`,
+        data: event
       });
-      
-      await transaction.save();
-      
-      eventBus.emitEvent('payment.successful', {
-        transactionId: transaction.transactionId,
-        paymentId: transaction.razorpayPaymentId,
-        amount: transaction.amount,
-        loanId: transaction.loanId,
-        method: 'auto_debit'
+
+    } catch (error) {
+      console.error('Error replaying webhook:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to replay webhook',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
       });
-      
-      return {
-        transactionId: transaction.transactionId,
-        status: 'success',
-        method: 'auto_debit'
-      };
-    } else {
-      // Simulate failure
-      throw new Error('Auto-debit failed: Insufficient funds');
     }
   }
 
   /**
-   * Handle payment captured webhook
-   * @private
+   * Reconcile transactions with the payment gateway now (admin)
+   * POST /api/payments/reconciliation
    */
-  static async _handlePaymentCaptured(payment) {
+  static async runReconciliation(req, res) {
     try {
-      const transaction = await Transaction.findOne({
-        razorpayPaymentId: payment.id
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { from, to } = req.body;
+      const report = await reconciliationService.run({
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+        triggeredBy: 'admin'
       });
 
-      if (transaction && transaction.status !== 'confirmed') {
-        await transaction.markAsConfirmed();
-        
-        eventBus.emitEvent('payment.captured', {
-          transactionId: transaction.transactionId,
-          paymentId: payment.id,
-          amount: payment.amount / 100
+      res.status(report.status === 'failed' ? 500 : 200).json({
+        success: report.status !== 'failed',
+        message: `Reconciliation ${report.status}`,
+        data: report
+      });
+
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run reconciliation',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List reconciliation runs (admin)
+   * GET /api/payments/reconciliation
+   */
+  static async listReconciliations(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const reports = await reconciliationService.list({ limit });
+
+      res.status(200).json({
+        success: true,
+        data: reports
+      });
+
+    } catch (error) {
+      console.error('Error listing reconciliations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list reconciliations',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Download a reconciliation report as CSV, or as JSON with its audit trail (admin)
+   * GET /api/payments/reconciliation/:reportId/report?format=csv|json
+   */
+  static async getReconciliationReport(req, res) {
+    try {
+      const report = await reconciliationService.get(req.params.reportId);
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reconciliation report not found'
+        });
+      }
+
+      if (req.query.format === 'json') {
+        const audits = await reconciliationService.audits(report.reportId);
+        return res.status(200).json({
+          success: true,
+          data: { report, audits }
         });
       }
+
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="reconciliation-${report.reportId}.csv"`);
+      res.status(200).send(reconciliationService.toCsv(report));
+
     } catch (error) {
-      console.error('Error handling payment captured:', error);
+      console.error('Error fetching reconciliation report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reconciliation report',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
     }
   }
 
   /**
-   * Handle payment failed webhook
-   * @private
+   * Request a full or partial refund of a payment
+   * POST /api/payments/:transactionId/refund
    */
-  static async _handlePaymentFailed(payment) {
+  static async requestRefund(req, res) {
     try {
-      const transaction = await Transaction.findOne({
-        razorpayOrderId: payment.order_id
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { amount, reasonCode, note } = req.body;
+      const refund = await refundService.request(req.params.transactionId, {
+        amount,
+        reasonCode,
+        note,
+        requestedBy: req.user.id
       });
 
-      if (transaction) {
-        await transaction.markAsFailed(payment.error_description || 'Payment failed');
-        
-        eventBus.emitEvent('payment.failed', {
-          transactionId: transaction.transactionId,
-          orderId: payment.order_id,
-          error: payment.error_description
+      res.status(201).json({
+        success: true,
+        message: 'Refund requested, awaiting approval',
+        data: refund
+      });
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to request refund');
+    }
+  }
+
+  /**
+   * List refunds (admin)
+   * GET /api/admin/refunds
+   */
+  static async listRefunds(req, res) {
+    try {
+      const { status, transactionId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const refunds = await refundService.list({ status, transactionId, limit });
+
+      res.status(200).json({
+        success: true,
+        data: refunds
+      });
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to list refunds');
+    }
+  }
+
+  /**
+   * Approve a requested refund and send it to the gateway (admin)
+   * POST /api/admin/refunds/:refundId/approve
+   */
+  static async approveRefund(req, res) {
+    try {
+      const refund = await refundService.approve(req.params.refundId, req.user.id);
+      PaymentController._sendRefundOutcome(res, refund);
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to approve refund');
+    }
+  }
+
+  /**
+   * Apply again a refund the gateway paid out but that failed to apply (admin)
+   * POST /api/admin/refunds/:refundId/retry
+   */
+  static async retryRefund(req, res) {
+    try {
+      const refund = await refundService.retry(req.params.refundId, req.user.id);
+      PaymentController._sendRefundOutcome(res, refund);
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to retry refund');
+    }
+  }
+
+  /**
+   * Reject a requested refund (admin)
+   * POST /api/admin/refunds/:refundId/reject
+   */
+  static async rejectRefund(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
+
+      const refund = await refundService.reject(req.params.refundId, req.body.reason, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Refund rejected',
+        data: refund
+      });
+
     } catch (error) {
-      console.error('Error handling payment failed:', error);
+      PaymentController._serviceError(res, error, 'Failed to reject refund');
     }
   }
 
   /**
-   * Handle order paid webhook
-   * @private
+   * Start an auto-debit mandate for a loan (borrower)
+   * POST /api/payments/mandates
    */
-  static async _handleOrderPaid(order) {
+  static async registerMandate(req, res) {
     try {
-      console.log(`Order paid: ${order.id} for amount ${order.amount}`);
-      
-      eventBus.emitEvent('order.paid', {
-        orderId: order.id,
-        amount: order.amount / 100,
-        currency: order.currency
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { loanId, method, maxAmount } = req.body;
+      const { mandate, checkout } = await mandateService.register(loanId, {
+        borrowerId: req.user.id,
+        method,
+        maxAmount
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Mandate created, complete the authorization to activate it',
+        data: { mandate, checkout }
+      });
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to create mandate');
+    }
+  }
+
+  /**
+   * Record a completed mandate authorization (borrower)
+   * POST /api/payments/mandates/:mandateId/confirm
+   */
+  static async confirmMandate(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const mandate = await mandateService.confirm(req.params.mandateId, {
+        paymentId: req.body.paymentId,
+        signature: req.body.signature
+      }, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: mandate.status === 'active' ? 'Auto-debit is active' : `Mandate is ${mandate.status}`,
+        data: mandate
+      });
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to confirm mandate');
+    }
+  }
+
+  /**
+   * List the borrower's mandates, optionally for one loan
+   * GET /api/payments/mandates
+   */
+  static async listMandates(req, res) {
+    try {
+      const mandates = await mandateService.list({ loanId: req.query.loanId, borrowerId: req.user.id });
+
+      res.status(200).json({
+        success: true,
+        data: mandates
       });
+
     } catch (error) {
-      console.error('Error handling order paid:', error);
+      PaymentController._serviceError(res, error, 'Failed to list mandates');
+    }
+  }
+
+  /**
+   * Revoke a mandate (borrower)
+   * POST /api/payments/mandates/:mandateId/revoke
+   */
+  static async revokeMandate(req, res) {
+    try {
+      const mandate = await mandateService.revoke(req.params.mandateId, {
+        revokedBy: req.user.id,
+        reason: req.body.reason
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Auto-debit revoked',
+        data: mandate
+      });
+
+    } catch (error) {
+      PaymentController._serviceError(res, error, 'Failed to revoke mandate');
+    }
+  }
+
+  // Private helper methods
+
+  /**
+   * Refund and mandate rule violations carry their own status; anything else is a server error
+   * @private
+   */
+  static _serviceError(res, error, message) {
+    if (error instanceof RefundError || error instanceof MandateError || error instanceof StatementError || error instanceof PrepaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      success: false,
+      message,
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+
+  /**
+   * Processed answers 200; refused by the gateway 502; paid out by the gateway but not applied 500, for retry
+   * @private
+   */
+  static _sendRefundOutcome(res, refund) {
+    if (refund.status === 'processed') {
+      return res.status(200).json({ success: true, message: 'Refund processed', data: refund });
+    }
+    const message = refund.status === 'failed'
+      ? `Refund failed: ${refund.error}`
+      : `Refund paid out but not applied: ${refund.error}. Retry it once the cause is fixed`;
+    return res.status(refund.status === 'failed' ? 502 : 500).json({ success: false, message, data: refund });
+  }
+
+  /**
+   * User whose access statementService checks; staff who can read any transaction are not limited
+   * @private
+   */
+  static _readerId(req) {
+    return can(req.user.role, 'transaction:read:any') ? undefined : req.user.id;
+  }
+
+  /**
+   * Load the loan in req.params.id for its borrower, responding with 404/403 otherwise
+   * @private
+   * @returns {Promise<Object|null>} Loan, or null once a response was sent
+   */
+  static async _borrowerLoan(req, res) {
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) {
+      res.status(404).json({
+        success: false,
+        message: 'Loan not found'
+      });
+      return null;
+    }
+
+    if (!loan.borrowerId.equals(req.user.id)) {
+      res.status(403).json({
+        success: false,
+        message: 'Only the borrower can repay this loan early'
+      });
+      return null;
+    }
+    return loan;
+  }
+
+  /**
+   * Create a gateway order and its pending repayment transaction
+   * @private
+   * @returns {Promise<Object>} { order, transaction }
+   */
+  static async _openRepaymentOrder(loan, { amount, repaymentType, emiNumber, description = 'Loan Repayment', prepaymentOption }) {
+    const transactionId = uuidv4();
+    const order = await paymentGateway.createOrder({
+      amount,
+      currency: 'INR',
+      receipt: paymentGateway.receiptFor(transactionId),
+      description,
+      notes: {
+        loanId: loan._id.toString(),
+        repaymentType,
+        emiNumber: emiNumber?.toString(),
+        autoGenerated: 'true'
+      }
+    });
+
+    const transaction = new Transaction({
+      transactionId,
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      lenderId: loan.lenderId,
+      amount,
+      type: repaymentType,
+      paymentProvider: order.provider,
+      razorpayOrderId: order.id,
+      status: 'pending',
+      prepaymentOption,
+      metadata: {
+        emiNumber,
+        totalEmis: loan.installments.length || undefined,
+        autoGenerated: true
+      }
+    });
+
+    await transaction.save();
+
+    eventBus.emitEvent('loan.repayment_initiated', {
+      loanId: loan._id,
+      transactionId,
+      amount,
+      emiNumber,
+      repaymentType,
+      borrowerId: loan.borrowerId,
+      orderId: order.id
+    });
+
+    return { order, transaction };
+  }
+
+  /**
+   * Route a parsed webhook to its handler
+   * @private
+   * @returns {Promise<string>} processed | ignored | deferred
+   */
+  static async _dispatchWebhook(event) {
+    switch (event.type) {
+      case 'payment.captured':
+        return settlementService.settleCaptured(event.payment);
+
+      case 'payment.failed':
+        return settlementService.settleFailed(event.payment);
+
+      case 'order.paid':
+        return PaymentController._handleOrderPaid(event.order);
+
+      case 'token.confirmed':
+      case 'token.rejected':
+      case 'token.paused':
+      case 'token.cancelled':
+        return mandateService.applyTokenStatus(event.token);
+
+      default:
+        console.log(`Unhandled webhook event: ${event.type}`);
+        return 'ignored';
     }
   }
+
+  /**
+   * Handle order paid webhook
+   * @private
+   */
+  static async _handleOrderPaid(order) {
+    console.log(`Order paid: ${order.id} for amount ${order.amount}`);
+
+    eventBus.emitEvent('order.paid', {
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency
+    });
+    return 'processed';
+  }
 }
 
 // Validation middleware
@@ -716,23 +1362,69 @@ PaymentController.validateInitiatePayment = [
   body('borrowerId').isMongoId().withMessage('Valid borrower ID is required'),
   body('lenderId').isMongoId().withMessage('Valid lender ID is required'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0'),
-  body('paymentType').optional().isIn(['loan_disbursement', 'emi_payment', 'full_repayment', 'penalty']),
+  // Disbursements are released from escrow by /api/loans/:id/disburse, never paid through here.
+  // Late fees have no payment type of their own: every repayment clears penalties first
+  body('paymentType').optional().isIn(['emi_payment', 'full_repayment']),
   body('currency').optional().isIn(['INR', 'USD']).withMessage('Invalid currency')
 ];
 
 PaymentController.validateConfirmPayment = [
-  body('razorpay_order_id').notEmpty().withMessage('Razorpay order ID is required'),
-  body('razorpay_payment_id').notEmpty().withMessage('Razorpay payment ID is required'),
-  body('razorpay_signature').notEmpty().withMessage('Razorpay signature is required'),
+  // Razorpay Checkout returns razorpay_* names; accept them as aliases of the provider-neutral fields
+  (req, res, next) => {
+    req.body.orderId = req.body.orderId || req.body.razorpay_order_id || req.body.payload?.txnid;
+    req.body.paymentId = req.body.paymentId || req.body.razorpay_payment_id || req.body.payload?.mihpayid;
+    req.body.signature = req.body.signature || req.body.razorpay_signature || req.body.payload?.hash;
+    next();
+  },
+  body('orderId').notEmpty().withMessage('Order ID is required'),
+  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('signature').notEmpty().withMessage('Payment signature is required'),
+  body('payload').optional().isObject().withMessage('Payload must be an object'),
   body('transactionId').optional().isUUID().withMessage('Invalid transaction ID')
 ];
 
+PaymentController.validateReconciliation = [
+  body('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  body('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+PaymentController.validateRefundRequest = [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+  body('reasonCode').isIn(['duplicate_payment', 'overpayment', 'payment_error', 'service_issue', 'customer_request', 'other']).withMessage('Invalid reason code'),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+];
+
+PaymentController.validateRefundRejection = [
+  body('reason').notEmpty().withMessage('Rejection reason is required')
+];
+
+PaymentController.validateMandate = [
+  body('loanId').isMongoId().withMessage('Valid loan ID is required'),
+  body('method').isIn(['upi_autopay', 'emandate']).withMessage('Method must be upi_autopay or emandate'),
+  body('maxAmount').optional().isFloat({ min: 1 }).withMessage('Maximum amount must be greater than 0')
+];
+
+PaymentController.validateConfirmMandate = [
+  (req, res, next) => {
+    req.body.paymentId = req.body.paymentId || req.body.razorpay_payment_id;
+    req.body.signature = req.body.signature || req.body.razorpay_signature;
+    next();
+  },
+  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('signature').notEmpty().withMessage('Authorization signature is required')
+];
+
 PaymentController.validateRepayment = [
   body('loanId').isMongoId().withMessage('Valid loan ID is required'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0'),
-  body('repaymentType').optional().isIn(['emi_payment', 'full_repayment', 'penalty']),
+  body('repaymentType').optional().isIn(['emi_payment', 'full_repayment']),
   body('emiNumber').optional().isInt({ min: 1 }).withMessage('EMI number must be positive integer'),
   body('autoDebit').optional().isBoolean()
 ];
 
+PaymentController.validatePrepayment = [
+  body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0'),
+  body('option').isIn(['reduce_tenure', 'reduce_emi']).withMessage('Option must be reduce_tenure or reduce_emi')
+];
+
 module.exports = PaymentController;
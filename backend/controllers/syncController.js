@@ -2,7 +2,9 @@ const { body, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 const Transaction = require('../models/Transaction');
 const Notification = require('../models/Notification');
+const Loan = require('../models/Loan');
 const eventBus = require('../utils/eventBus');
+const { loanParties } = require('../utils/policies');
 
 /**
  * SyncController - Handles offline-first synchronization operations
@@ -571,6 +573,15 @@ class SyncController {
    */
   static async _processPaymentInitiation(userId, data, timestamp) {
     const { loanId, amount, clientTransactionId } = data;
+
+    // Offline payments are only queued by the loan's borrower, to one of its lenders
+    const loan = await Loan.findOne({ _id: loanId, borrowerId: userId });
+    if (!loan) {
+      throw new Error('Loan not found');
+    }
+    if (!loanParties(loan).includes(String(data.lenderId)) || String(data.lenderId) === String(userId)) {
+      throw new Error('Lender is not on this loan');
+    }
     
     // Check if transaction already exists
     const existingTransaction = await Transaction.findOne({
@@ -1,8 +1,9 @@
-const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
+const { TokenError } = require('../services/tokenService');
+const { can, pickFields, MFA_ROLES } = require('../utils/policies');
 
-const JWT_SECRET = 'your-secret-key'; // Match with auth.js
-
-const authenticateToken = (req, res, next) => {
+// Every route checks access tokens here, through tokenService; req.user is { id, email, role, sessionId, jti, exp, mfa }
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -10,13 +11,68 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ success: false, error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, error: 'Invalid token' });
+  try {
+    req.user = await tokenService.verifyAccessToken(token);
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(error.status).json({ success: false, error: error.message });
     }
-    req.user = user;
-    next();
-  });
+    console.error('Token verification error:', error);
+    return res.status(500).json({ success: false, error: 'Could not verify the access token' });
+  }
+  next();
+};
+
+// Only roles that utils/policies grants the action; use after authenticateToken
+const authorize = (action) => (req, res, next) => {
+  if (!can(req.user.role, action)) {
+    return res.status(403).json({ success: false, error: 'Not allowed for your role' });
+  }
+  next();
 };
 
-module.exports = { authenticateToken };
+// Drop body fields the route does not accept, e.g. role or kycVerified on a profile update
+const allowFields = (route) => (req, res, next) => {
+  req.body = pickFields(req.body, route);
+  next();
+};
+
+// The user ID in req[source][key] must be the caller's unless their role has the ":any" action;
+// when it is missing, the caller's is filled in
+const selfOr = (action, source, key = 'userId') => (req, res, next) => {
+  const requested = req[source] && req[source][key];
+  if (!requested) {
+    req[source] = { ...req[source], [key]: req.user.id };
+    return next();
+  }
+  if (String(requested) !== String(req.user.id) && !can(req.user.role, action)) {
+    return res.status(403).json({ success: false, error: 'Not allowed to act for another user' });
+  }
+  next();
+};
+
+// Roles that sign in with a second factor must have entered it on this session
+const requireMfa = (req, res, next) => {
+  if (MFA_ROLES.includes(req.user.role) && !req.user.mfa) {
+    return res.status(403).json({ success: false, error: 'Sign in again with your password and the code sent to your phone' });
+  }
+  next();
+};
+
+// Destructive actions need the password and a fresh code confirmed on this session within ADMIN_REAUTH_MINUTES
+const requireRecentAuth = async (req, res, next) => {
+  try {
+    if (!await tokenService.recentlyReauthenticated(req.user)) {
+      return res.status(403).json({ success: false, error: 'Confirm your password and a new code first', reauthenticate: true });
+    }
+  } catch (error) {
+    console.error('Re-authentication check error:', error);
+    return res.status(500).json({ success: false, error: 'Could not check re-authentication' });
+  }
+  next();
+};
+
+// Admin console routes: a signed-in Admin whose session was opened with the second factor
+const adminConsole = [authenticateToken, authorize('admin:console'), requireMfa];
+
+module.exports = { authenticateToken, authorize, allowFields, selfOr, requireMfa, requireRecentAuth, adminConsole };
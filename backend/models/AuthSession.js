@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuthSession Schema for RuralConnect P2P Lending Platform
+ * A signed-in device. It holds the hash of the device's current refresh token, which is
+ * replaced on every refresh; the one it replaced is kept so that replaying it (a sign the token
+ * was stolen) can be detected and the session ended. The jti of the last access token issued is
+ * kept too, so revoking the session can denylist it. Purged by a TTL index once expired.
+ */
+const authSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Chosen by the client and kept across sign-ins; signing in again on a device replaces its session
+  deviceId: {
+    type: String,
+    required: true
+  },
+
+  deviceName: String, // User-Agent at sign-in
+  ip: String,
+
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+
+  accessJti: String,
+  accessExpiresAt: Date,
+
+  mfaAt: Date, // When the second factor was entered at sign-in
+  reauthenticatedAt: Date, // Last password-and-code confirmation, required before destructive admin actions
+
+  lastUsedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'replaced', 'reuse_detected', 'password_reset', 'revoked', 'role_changed']
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+authSessionSchema.index({ userId: 1, deviceId: 1 });
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authSessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.previousTokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * AutoInvestment Schema for RuralConnect P2P Lending Platform
+ * Audit trail of the auto-invest engine: one decision per lender per loan request,
+ * with every rule that was evaluated and the checks that passed or failed
+ */
+const autoInvestmentSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+    ref: 'Loan'
+  },
+
+  lenderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+
+  // Rule that matched, if any
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InvestmentRule'
+  },
+
+  ruleName: String,
+
+  decision: {
+    type: String,
+    required: true,
+    enum: ['invested', 'skipped', 'not_allocated']
+  },
+
+  // Amount committed to the loan
+  amount: {
+    type: Number,
+    default: 0
+  },
+
+  riskScore: Number,
+  riskGrade: String,
+
+  evaluations: [{
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InvestmentRule'
+    },
+    ruleName: String,
+    matched: Boolean,
+    checks: [{
+      check: String,
+      passed: Boolean,
+      detail: String
+    }]
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+autoInvestmentSchema.index({ lenderId: 1, createdAt: -1 });
+autoInvestmentSchema.index({ ruleId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AutoInvestment', autoInvestmentSchema);
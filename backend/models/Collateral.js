@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { round2 } = require('../utils/amortization');
+
+/**
+ * Collateral Schema for RuralConnect P2P Lending Platform
+ * An asset a borrower registers to secure loans: gold ornaments (valued by weight and purity),
+ * land records or livestock. The supporting document's hash is anchored on-chain when the item
+ * is registered. An item is pledged to one loan at a time and released when that loan closes.
+ */
+const collateralSchema = new mongoose.Schema({
+  collateralId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['gold', 'land', 'livestock']
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  gold: {
+    ornament: String, // chain, bangle, ring, coin...
+    weightGrams: Number,
+    purityKarat: { type: Number, min: 1, max: 24 }
+  },
+
+  land: {
+    surveyNumber: String,
+    village: String,
+    district: String,
+    areaAcres: Number
+  },
+
+  livestock: {
+    species: { type: String, enum: ['cattle', 'buffalo', 'goat', 'sheep', 'poultry', 'other'] },
+    count: Number,
+    tagNumbers: [String]
+  },
+
+  // Gold is valued at the configured 24K rate scaled by purity; land and livestock at the declared value
+  valuation: {
+    value: { type: Number, required: true },
+    method: { type: String, enum: ['gold_rate', 'declared'], required: true },
+    ratePerGram: Number, // 24K rate used for gold
+    valuedAt: { type: Date, default: Date.now }
+  },
+
+  // Share of the value that can be lent against, in percent, fixed when the item is valued
+  ltvPercent: {
+    type: Number,
+    required: true
+  },
+
+  // Assay certificate, land record extract or veterinary certificate; the file is only loaded for download
+  document: {
+    fileName: String,
+    mimeType: String,
+    size: Number,
+    sha256: String,
+    data: { type: Buffer, select: false }
+  },
+
+  // On-chain record of the document hash
+  chain: {
+    txHash: String,
+    blockNumber: Number,
+    network: String,
+    recordedAt: Date
+  },
+
+  // registered -> pledged -> released; released items can be pledged again
+  status: {
+    type: String,
+    required: true,
+    default: 'registered',
+    enum: ['registered', 'pledged', 'released']
+  },
+
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    index: true
+  },
+
+  pledges: [{
+    loanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+    pledgedAt: Date,
+    releasedAt: Date,
+    releaseReason: String // loan_repaid | loan_cancelled
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Amount this item can secure
+collateralSchema.virtual('lendableValue').get(function() {
+  return round2(this.valuation.value * this.ltvPercent / 100);
+});
+
+collateralSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Collateral', collateralSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Escrow Schema for RuralConnect P2P Lending Platform
+ * A lender's deposit towards one loan, held by the platform until the loan is disbursed
+ * or refunded through the gateway it was paid with
+ */
+const escrowSchema = new mongoose.Schema({
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+    ref: 'Loan'
+  },
+
+  lenderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+    ref: 'User'
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // pending until the deposit payment is confirmed
+  status: {
+    type: String,
+    required: true,
+    default: 'pending',
+    enum: ['pending', 'held', 'released', 'refunded', 'cancelled']
+  },
+
+  // Deposit transaction and the gateway payment behind it
+  transactionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  paymentProvider: {
+    type: String,
+    enum: ['razorpay', 'payu', 'mock']
+  },
+
+  paymentId: String,
+
+  heldAt: Date,
+
+  // Refunded automatically if the loan is not disbursed by then
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+
+  releasedAt: Date,
+
+  refundedAt: Date,
+  refundId: String,
+  refundReason: String,
+
+  // Last refund attempt that failed; the scheduler retries held escrows of cancelled loans
+  refundError: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+escrowSchema.index({ status: 1, expiresAt: 1 });
+escrowSchema.index({ loanId: 1, status: 1 });
+
+module.exports = mongoose.model('Escrow', escrowSchema);
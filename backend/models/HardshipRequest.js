@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * HardshipRequest Schema for RuralConnect P2P Lending Platform
+ * A borrower's request for relief on a loan they cannot repay on schedule, with the
+ * supporting document. Every lender on the loan must approve it before the loan is
+ * restructured; any one of them can reject it.
+ */
+const hardshipRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true,
+    index: true
+  },
+
+  borrowerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    enum: ['crop_failure', 'drought', 'flood', 'pest_attack', 'livestock_loss', 'price_crash', 'illness', 'other']
+  },
+
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+
+  // Relief asked for: pause payments for `months`, or spread the balance over `durationMonths` from approval
+  plan: {
+    type: {
+      type: String,
+      required: true,
+      enum: ['moratorium', 'reamortization']
+    },
+    months: Number,
+    durationMonths: Number
+  },
+
+  // Supporting document; the file itself is only loaded for download
+  document: {
+    fileName: String,
+    mimeType: String,
+    size: Number,
+    sha256: String,
+    data: { type: Buffer, select: false }
+  },
+
+  // requested -> approved | rejected
+  status: {
+    type: String,
+    required: true,
+    default: 'requested',
+    enum: ['requested', 'approved', 'rejected']
+  },
+
+  // Lenders on the loan when the request was filed
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  decisions: [{
+    lenderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    note: String,
+    decidedAt: { type: Date, default: Date.now }
+  }],
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  approvedAt: Date,
+  rejectedAt: Date,
+  rejectionReason: String,
+
+  // New schedule once applied
+  outcome: {
+    previousOutstanding: Number,
+    capitalized: Number,
+    outstanding: Number,
+    installments: Number,
+    emi: Number,
+    firstDueDate: Date,
+    lastDueDate: Date
+  }
+});
+
+hardshipRequestSchema.index({ approvers: 1, status: 1 });
+
+module.exports = mongoose.model('HardshipRequest', hardshipRequestSchema);
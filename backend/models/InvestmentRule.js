@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const PURPOSE_CATEGORIES = ['productive', 'essential', 'consumption', 'other'];
+const RISK_GRADES = ['A', 'B', 'C', 'D', 'E'];
+
+/**
+ * InvestmentRule Schema for RuralConnect P2P Lending Platform
+ * A lender's standing instruction for auto-investing in new loan requests
+ */
+const investmentRuleSchema = new mongoose.Schema({
+  lenderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+    ref: 'User'
+  },
+
+  name: {
+    type: String,
+    required: true,
+    maxlength: 60
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // Lower numbers are tried first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  maxPerLoan: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  monthlyBudget: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Empty means any
+  purposes: [{
+    type: String,
+    enum: PURPOSE_CATEGORIES
+  }],
+
+  minDuration: {
+    type: Number,
+    min: 1
+  },
+
+  maxDuration: {
+    type: Number,
+    min: 1
+  },
+
+  minInterestRate: {
+    type: Number,
+    min: 0
+  },
+
+  // Empty means any
+  riskGrades: [{
+    type: String,
+    enum: RISK_GRADES
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+investmentRuleSchema.pre('validate', function(next) {
+  if (this.minDuration && this.maxDuration && this.minDuration > this.maxDuration) {
+    this.invalidate('maxDuration', 'maxDuration must not be less than minDuration');
+  }
+  if (this.maxPerLoan > this.monthlyBudget) {
+    this.invalidate('maxPerLoan', 'maxPerLoan must not exceed monthlyBudget');
+  }
+  next();
+});
+
+investmentRuleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+investmentRuleSchema.statics.PURPOSE_CATEGORIES = PURPOSE_CATEGORIES;
+investmentRuleSchema.statics.RISK_GRADES = RISK_GRADES;
+
+module.exports = mongoose.model('InvestmentRule', investmentRuleSchema);
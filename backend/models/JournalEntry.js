@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const toPaise = amount => Math.round((amount || 0) * 100);
+
+/**
+ * JournalEntry Schema for RuralConnect P2P Lending Platform
+ * One balanced double-entry posting; entries are never edited, corrections are new entries
+ */
+const journalEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: ['escrow', 'disbursement', 'repayment', 'fee', 'refund']
+  },
+
+  // Business event this entry records (e.g. transactionId or receiptId); posting is idempotent per reference
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  description: String,
+
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    index: true
+  },
+
+  lines: [{
+    account: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    memo: String
+  }],
+
+  postedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+journalEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+
+journalEntrySchema.pre('validate', function(next) {
+  if (this.lines.length < 2) {
+    return next(new Error('Journal entry needs at least two lines'));
+  }
+  if (this.lines.some(line => (line.debit > 0) === (line.credit > 0))) {
+    return next(new Error('Each journal line must have either a debit or a credit'));
+  }
+
+  const debits = this.lines.reduce((sum, line) => sum + toPaise(line.debit), 0);
+  const credits = this.lines.reduce((sum, line) => sum + toPaise(line.credit), 0);
+  if (debits !== credits) {
+    return next(new Error(`Journal entry is unbalanced: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+  next();
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * LedgerAccount Schema for RuralConnect P2P Lending Platform
+ * Chart of accounts for the double-entry ledger: one wallet per user,
+ * plus the platform's escrow, fee and gateway clearing accounts
+ */
+const ledgerAccountSchema = new mongoose.Schema({
+  // wallet:<userId>, escrow, platform_fees or gateway_clearing
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  name: {
+    type: String,
+    required: true
+  },
+
+  kind: {
+    type: String,
+    required: true,
+    enum: ['user_wallet', 'escrow', 'platform_fees', 'gateway_clearing']
+  },
+
+  // Assets grow with debits; liabilities and revenue grow with credits
+  type: {
+    type: String,
+    required: true,
+    enum: ['asset', 'liability', 'revenue']
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    sparse: true,
+    index: true
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -1,18 +1,504 @@
 const mongoose = require('mongoose');
+const { LoanFSM, InvalidTransitionError, LOAN_STATES, normalizeState } = require('../utils/loanFSM');
+const { METHODS, FREQUENCIES, generateSchedule, summarizeSchedule, addMonths, round2 } = require('../utils/amortization');
+const { allocatePayment, applyAllocation, reverseAllocation, applyReversal, accruedInterest, dues, totalDue, prorate } = require('../utils/allocation');
+
+const installmentSchema = new mongoose.Schema({
+  number: Number,
+  dueDate: Date,
+  principal: Number,
+  interest: Number,
+  amount: Number,
+  outstanding: Number, // principal balance after this installment
+  penalty: { type: Number, default: 0 },
+  principalPaid: { type: Number, default: 0 },
+  interestPaid: { type: Number, default: 0 },
+  penaltyPaid: { type: Number, default: 0 },
+  interestWaived: { type: Number, default: 0 },
+  status: { type: String, enum: ['Pending', 'PartiallyPaid', 'Paid'], default: 'Pending' },
+  paidAt: Date,
+  reminderSentAt: Date,
+  lastPenaltyAccruedOn: Date, // late fees are charged up to and including this day
+});
 
 const loanSchema = new mongoose.Schema({
   borrowerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  lenderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },
-  amount: { type: Number, required: true },
-  duration: { type: Number, required: true },
-  interestRate: { type: Number, required: true },
+  lenderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false }, // lead lender
+  lenders: [{
+    lenderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true }, // principal committed
+    source: { type: String, enum: ['direct', 'matching', 'auto_invest', 'offer'], default: 'direct' },
+    fundedAt: { type: Date, default: Date.now },
+    principalReceived: { type: Number, default: 0 },
+    interestReceived: { type: Number, default: 0 },
+    penaltyReceived: { type: Number, default: 0 },
+  }],
+  amount: { type: Number, required: true, min: 0.01 },
+  duration: { type: Number, required: true, min: 1 }, // months
+  interestRate: { type: Number, required: true, min: 0.01 }, // annual, percent
+  repaymentMethod: { type: String, enum: METHODS, default: 'reducing_balance' },
+  repaymentFrequency: { type: String, enum: FREQUENCIES, default: 'monthly' },
+  harvestMonths: { type: [Number], default: undefined }, // 1-based, harvest frequency only
   purpose: { type: String, required: true },
-  status: { type: String, enum: ['Pending', 'Active', 'Completed'], default: 'Pending' },
+  // Terms the borrower asked for, kept when a negotiated offer replaces them
+  requestedTerms: {
+    amount: Number,
+    interestRate: Number,
+    duration: Number,
+  },
+  acceptedOfferId: String,
+  status: { type: String, enum: LOAN_STATES, default: 'REQUESTED' },
+  stateHistory: [{
+    from: String,
+    to: { type: String, enum: LOAN_STATES },
+    event: String,
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    source: { type: String, enum: ['user', 'payment', 'event_bus', 'system', 'admin'], default: 'user' },
+    reference: String, // transactionId or other external reference, used for idempotency
+    amount: Number,
+    balance: Number, // outstanding after the transition, once disbursed
+    note: String,
+    at: { type: Date, default: Date.now },
+  }],
   createdAt: { type: Date, default: Date.now },
   repaidAmount: { type: Number, default: 0 },
   paymentStatus: { type: String, enum: ['Pending', 'Disbursed', 'Repaid'], default: 'Pending' },
-  installments: [{ amount: Number, status: { type: String, enum: ['Pending', 'Paid'] } }],
+  disbursedAt: Date,
+  installments: [installmentSchema],
+  // Schedules replaced by a restructuring, as they stood when they were replaced
+  previousSchedules: [{
+    replacedAt: Date,
+    reference: String, // hardship requestId
+    installments: [installmentSchema],
+  }],
   razorpayOrderId: String,
+  // Borrower's live face check at loan time; disbursement requires a recent pass
+  faceVerification: {
+    verified: Boolean,
+    score: Number,
+    threshold: Number,
+    verifiedAt: Date,
+  },
+});
+
+loanSchema.index({ 'stateHistory.reference': 1 }, { sparse: true });
+loanSchema.index({ 'lenders.lenderId': 1 });
+
+// Sum of the schedule once one exists, otherwise the projected schedule; null when the
+// terms cannot produce a schedule, so serializing an older malformed loan does not throw
+loanSchema.virtual('totalPayable').get(function() {
+  if (this.installments && this.installments.length) {
+    return summarizeSchedule(this.installments).payable;
+  }
+  try {
+    return summarizeSchedule(this.buildSchedule()).payable;
+  } catch (error) {
+    return null;
+  }
+});
+
+// Unpaid principal, interest and penalties
+loanSchema.virtual('outstandingAmount').get(function() {
+  if (this.installments && this.installments.length) {
+    return round2(this.installments.reduce((sum, installment) => sum + totalDue(installment), 0));
+  }
+  const payable = this.totalPayable;
+  return payable === null ? null : Math.max(payable - (this.repaidAmount || 0), 0);
+});
+
+// Principal committed by lenders so far
+loanSchema.virtual('fundedAmount').get(function() {
+  if (this.lenders && this.lenders.length) {
+    return round2(this.lenders.reduce((sum, position) => sum + position.amount, 0));
+  }
+  return this.lenderId ? this.amount : 0;
+});
+
+// Map legacy Pending/Active/Completed values before enum validation
+loanSchema.pre('validate', function(next) {
+  this.status = normalizeState(this.status);
+  next();
 });
 
+// Methods
+loanSchema.methods.buildSchedule = function(startDate = this.disbursedAt || new Date()) {
+  return generateSchedule({
+    principal: this.amount,
+    annualRate: this.interestRate,
+    durationMonths: this.duration,
+    method: this.repaymentMethod,
+    frequency: this.repaymentFrequency,
+    startDate,
+    harvestMonths: this.harvestMonths && this.harvestMonths.length ? this.harvestMonths : undefined
+  });
+};
+
+loanSchema.methods.nextDueInstallment = function() {
+  return this.installments.find(installment => installment.status !== 'Paid') || null;
+};
+
+loanSchema.methods.toFSM = function() {
+  return new LoanFSM(this.totalPayable, this.status, this.outstandingAmount);
+};
+
+loanSchema.methods.canTransition = function(event) {
+  return this.toFSM().can(event);
+};
+
+/**
+ * Apply an FSM event and record it in stateHistory. Does not save.
+ * @throws {InvalidTransitionError} when the event is illegal in the current state
+ */
+loanSchema.methods.applyTransition = function(event, { actor = null, source = 'user', amount, balanceReduction, reference, note } = {}) {
+  const fsm = this.toFSM();
+  const from = fsm.state;
+
+  // A restructured loan owes whatever its new schedule does
+  if (event === 'restructure') fsm.apply(event, this.outstandingAmount);
+  else fsm.apply(event, balanceReduction === undefined ? amount : balanceReduction);
+
+  if (event === 'repay') {
+    this.repaidAmount = round2((this.repaidAmount || 0) + amount);
+    if (fsm.state === 'REPAID') this.paymentStatus = 'Repaid';
+  }
+  if (event === 'refund') {
+    this.repaidAmount = round2(Math.max((this.repaidAmount || 0) - amount, 0));
+    if (fsm.state !== 'REPAID' && this.paymentStatus === 'Repaid') this.paymentStatus = 'Disbursed';
+  }
+  if (event === 'disburse') {
+    this.paymentStatus = 'Disbursed';
+    this.disbursedAt = new Date();
+    this.installments = this.buildSchedule(this.disbursedAt);
+  }
+
+  // Repayments and refunds update the installments after this, so take their balance from the FSM
+  let balance;
+  if (event === 'repay' || event === 'refund') balance = round2(fsm.remaining);
+  else if (this.disbursedAt) balance = this.outstandingAmount;
+
+  this.status = fsm.state;
+  this.stateHistory.push({ from, to: fsm.state, event, triggeredBy: actor, source, reference, amount, balance, note, at: new Date() });
+  return this;
+};
+
+/**
+ * Allocate a payment through the repayment waterfall and apply the repay transition. Does not save.
+ * Whatever is left after the dues prepays later installments, shortening the tenure unless
+ * prepayment is 'reduce_emi'.
+ * @throws {InvalidTransitionError} when the loan cannot accept repayments
+ * @returns {Object} The allocation: { lines, totals, applied, unallocated, distributions }
+ */
+loanSchema.methods.recordRepayment = function(amount, { actor = null, source = 'user', reference, note, asOf = new Date(), prepayment } = {}) {
+  if (!this.canTransition('repay')) throw new InvalidTransitionError(this.status, 'repay');
+
+  // Loans disbursed before schedules existed get one on their first repayment
+  if (this.installments.length === 0) {
+    this.installments = this.buildSchedule(this.disbursedAt || this.createdAt);
+  }
+
+  const allocation = allocatePayment(this.installments, amount, { asOf, prepayment });
+  const options = { paidAt: asOf, waiveInterestOnPrepayment: this.repaymentMethod === 'reducing_balance' };
+
+  // Waived interest lowers the balance by more than the cash applied, so size the FSM step on a preview
+  const preview = applyAllocation(this.installments.map(installment => installment.toObject()), allocation, options);
+  const balanceReduction = round2(this.outstandingAmount - preview.reduce((sum, installment) => sum + totalDue(installment), 0));
+
+  this.applyTransition('repay', { amount: allocation.applied, balanceReduction, actor, source, reference, note });
+  applyAllocation(this.installments, allocation, options);
+  allocation.distributions = this.distributeRepayment(allocation);
+  return allocation;
+};
+
+/**
+ * Cost of closing the loan on asOf: unpaid principal and penalties, interest accrued to asOf,
+ * and the prepayment fee on principal that is not due yet
+ * @param {Object} options
+ * @param {Date} options.asOf - Quote date
+ * @param {number} options.feePercent - Percent of the principal paid ahead of schedule
+ * @returns {Object} { principal, interest, penalty, fee, amount, asOf }
+ */
+loanSchema.methods.foreclosureQuote = function({ asOf = new Date(), feePercent = 0 } = {}) {
+  const installments = this.installments.length ? this.installments : this.buildSchedule(this.disbursedAt || this.createdAt);
+  const accrued = accruedInterest(installments, asOf, this.disbursedAt || this.createdAt);
+
+  let principal = 0, interest = 0, penalty = 0, notDue = 0;
+  for (const installment of installments) {
+    const due = dues(installment);
+    principal += due.principal;
+    penalty += due.penalty;
+    interest += accrued.get(installment.number);
+    if (new Date(installment.dueDate) > asOf) notDue += due.principal;
+  }
+
+  const fee = round2(notDue * feePercent / 100);
+  return {
+    principal: round2(principal),
+    interest: round2(interest),
+    penalty: round2(penalty),
+    fee,
+    amount: round2(principal + interest + penalty + fee),
+    asOf
+  };
+};
+
+/**
+ * Close the loan with a payment covering its foreclosure quote: interest not yet accrued by
+ * accruedTo is waived, then the payment goes through the waterfall and takes the loan to REPAID.
+ * Does not save.
+ * @param {number} amount - Payment, net of any prepayment fee
+ * @param {Object} options - As recordRepayment, plus accruedTo (the quote date)
+ * @throws {InvalidTransitionError} when the loan cannot accept repayments
+ * @returns {Object} The allocation, as recordRepayment
+ */
+loanSchema.methods.recordForeclosure = function(amount, { accruedTo = new Date(), ...options } = {}) {
+  if (!this.canTransition('repay')) throw new InvalidTransitionError(this.status, 'repay');
+
+  if (this.installments.length === 0) {
+    this.installments = this.buildSchedule(this.disbursedAt || this.createdAt);
+  }
+
+  const accrued = accruedInterest(this.installments, accruedTo, this.disbursedAt || this.createdAt);
+  for (const installment of this.installments) {
+    const unaccrued = round2(dues(installment).interest - accrued.get(installment.number));
+    if (unaccrued > 0) installment.interestWaived = round2((installment.interestWaived || 0) + unaccrued);
+  }
+
+  return this.recordRepayment(amount, options);
+};
+
+/**
+ * Replace the unpaid part of the schedule for hardship relief and apply the restructure transition. Does not save.
+ * Unpaid principal and penalties plus interest accrued to asOf become the principal of a new schedule at the
+ * loan's rate. A moratorium also capitalizes interest for the months it pauses payments and resumes the
+ * remaining tenure after them; a re-amortization spreads the balance over a new tenure from asOf.
+ * Settled parts of the old installments stay on the schedule, and the old schedule is kept in previousSchedules.
+ * @param {Object} plan - { type: 'moratorium', months } or { type: 'reamortization', durationMonths }
+ * @param {Object} options - actor, source, reference (hardship requestId), note, asOf
+ * @throws {InvalidTransitionError} when the loan is not being repaid
+ * @returns {Object} { capitalized, installments, emi, firstDueDate, lastDueDate }
+ */
+loanSchema.methods.restructure = function(plan, { actor = null, source = 'user', reference, note, asOf = new Date() } = {}) {
+  if (!this.canTransition('restructure')) throw new InvalidTransitionError(this.status, 'restructure');
+
+  if (this.installments.length === 0) {
+    this.installments = this.buildSchedule(this.disbursedAt || this.createdAt);
+  }
+
+  const accrued = accruedInterest(this.installments, asOf, this.disbursedAt || this.createdAt);
+  const open = this.installments.filter(installment => totalDue(installment) > 0);
+  let principal = 0;
+  let capitalized = 0;
+  for (const installment of open) {
+    const due = dues(installment);
+    principal += due.principal;
+    capitalized += due.principal + due.penalty + accrued.get(installment.number);
+  }
+
+  let startDate = asOf;
+  let durationMonths = plan.durationMonths;
+  if (plan.type === 'moratorium') {
+    // Whole months left on the old schedule, at least one
+    const lastDueDate = new Date(Math.max(...open.map(installment => new Date(installment.dueDate).getTime())));
+    let remainingMonths = 0;
+    while (addMonths(asOf, remainingMonths) < lastDueDate) remainingMonths += 1;
+
+    capitalized += principal * this.interestRate / 100 * plan.months / 12;
+    startDate = addMonths(asOf, plan.months);
+    durationMonths = Math.max(remainingMonths, 1);
+  }
+  capitalized = round2(capitalized);
+
+  const schedule = generateSchedule({
+    principal: capitalized,
+    annualRate: this.interestRate,
+    durationMonths,
+    method: this.repaymentMethod,
+    frequency: this.repaymentFrequency,
+    startDate,
+    harvestMonths: this.harvestMonths && this.harvestMonths.length ? this.harvestMonths : undefined
+  });
+
+  this.previousSchedules.push({
+    replacedAt: asOf,
+    reference,
+    installments: this.installments.map(installment => installment.toObject()),
+  });
+
+  // Installments keep what was paid on them, so earlier receipts and refunds still point at them;
+  // the new schedule is numbered after them
+  const kept = [];
+  for (const installment of this.installments) {
+    const settled = (installment.principalPaid || 0) + (installment.interestPaid || 0) + (installment.penaltyPaid || 0) + (installment.interestWaived || 0);
+    if (totalDue(installment) > 0) {
+      if (settled <= 0) continue;
+      installment.principal = installment.principalPaid;
+      installment.interest = round2(installment.interestPaid + installment.interestWaived);
+      installment.penalty = installment.penaltyPaid;
+      installment.amount = round2(installment.principal + installment.interest);
+      installment.status = 'Paid';
+      installment.paidAt = installment.paidAt || asOf;
+    }
+    kept.push(installment.toObject());
+  }
+  const offset = kept.reduce((max, installment) => Math.max(max, installment.number), 0);
+  this.installments = [...kept, ...schedule.map(row => ({ ...row, number: row.number + offset }))];
+
+  this.applyTransition('restructure', { amount: capitalized, actor, source, reference, note });
+
+  return {
+    capitalized,
+    installments: schedule.length,
+    emi: schedule[0].amount,
+    firstDueDate: schedule[0].dueDate,
+    lastDueDate: schedule[schedule.length - 1].dueDate
+  };
+};
+
+/**
+ * Take back part of a repayment that is being refunded and apply the refund transition. Does not save.
+ * Lenders give back their share of each reversed component, in the same proportions they received it.
+ * @param {Array<Object>} lines - Allocation lines of the repayment being refunded
+ * @param {number} amount - Applied amount to reverse
+ * @throws {InvalidTransitionError} when the loan has no repayments to refund
+ * @returns {Object} The reversal: { lines, reversed, distributions }
+ */
+loanSchema.methods.reverseRepayment = function(lines, amount, { actor = null, source = 'user', reference, note } = {}) {
+  if (!this.canTransition('refund')) throw new InvalidTransitionError(this.status, 'refund');
+
+  const reversal = reverseAllocation(lines, amount);
+
+  // Un-waived interest raises the balance by more than the cash reversed, like waivers lower it on the way in
+  const preview = applyReversal(this.installments.map(installment => installment.toObject()), reversal);
+  const balanceIncrease = round2(preview.reduce((sum, installment) => sum + totalDue(installment), 0) - this.outstandingAmount);
+
+  this.applyTransition('refund', { amount: reversal.reversed, balanceReduction: balanceIncrease, actor, source, reference, note });
+  applyReversal(this.installments, reversal);
+
+  const sums = { penalty: 0, interest: 0, principal: 0 };
+  for (const line of reversal.lines) {
+    const key = line.component === 'penalty' ? 'penalty' : line.component.endsWith('interest') ? 'interest' : 'principal';
+    sums[key] = round2(sums[key] + line.amount);
+  }
+
+  const weights = this.lenders.map(position => position.amount);
+  const split = {
+    penalty: prorate(sums.penalty, weights),
+    interest: prorate(sums.interest, weights),
+    principal: prorate(sums.principal, weights),
+  };
+
+  reversal.distributions = this.lenders.map((position, i) => {
+    position.penaltyReceived = round2(position.penaltyReceived - split.penalty[i]);
+    position.interestReceived = round2(position.interestReceived - split.interest[i]);
+    position.principalReceived = round2(position.principalReceived - split.principal[i]);
+    return {
+      lenderId: position.lenderId,
+      amount: round2(split.penalty[i] + split.interest[i] + split.principal[i]),
+    };
+  }).filter(part => part.amount > 0);
+  return reversal;
+};
+
+/**
+ * Lender positions with their pro-rata share; loans funded before syndication count as one full share
+ */
+loanSchema.methods.lenderShares = function() {
+  const positions = this.lenders && this.lenders.length
+    ? this.lenders.map(position => position.toObject ? position.toObject() : position)
+    : this.lenderId ? [{ lenderId: this.lenderId, amount: this.amount, principalReceived: 0, interestReceived: 0, penaltyReceived: 0 }] : [];
+  const total = positions.reduce((sum, position) => sum + position.amount, 0);
+  return positions.map(position => ({ ...position, share: total > 0 ? position.amount / total : 0 }));
+};
+
+/**
+ * Add principal from a lender, capped at the unfunded amount. Does not save.
+ * @returns {number} Amount actually committed
+ */
+loanSchema.methods.addLenderCommitment = function(lenderId, amount, source = 'direct') {
+  const committed = round2(Math.min(amount, this.amount - this.fundedAmount));
+  if (committed <= 0) return 0;
+
+  const existing = this.lenders.find(position => position.lenderId.equals(lenderId));
+  if (existing) {
+    existing.amount = round2(existing.amount + committed);
+  } else {
+    this.lenders.push({ lenderId, amount: committed, source });
+  }
+
+  // The largest holder leads the syndicate
+  const lead = this.lenders.reduce((max, position) => (position.amount > max.amount ? position : max));
+  this.lenderId = lead.lenderId;
+  return committed;
+};
+
+/**
+ * Make accepted offer terms binding: replace amount, rate and duration, commit the offering lender
+ * to the whole amount and approve the loan. Does not save.
+ * @param {Object} terms - { amount, interestRate, duration }
+ * @param {Object} options - lenderId (committed lender), actor, reference (offerId)
+ * @throws {InvalidTransitionError} when the loan is no longer open for funding
+ */
+loanSchema.methods.acceptOffer = function(terms, { lenderId, actor = null, reference } = {}) {
+  if (!this.canTransition('approve')) throw new InvalidTransitionError(this.status, 'accept an offer on');
+
+  if (!this.requestedTerms || this.requestedTerms.amount === undefined) {
+    this.requestedTerms = { amount: this.amount, interestRate: this.interestRate, duration: this.duration };
+  }
+  this.amount = terms.amount;
+  this.interestRate = terms.interestRate;
+  this.duration = terms.duration;
+  this.acceptedOfferId = reference;
+
+  this.addLenderCommitment(lenderId, this.amount, 'offer');
+  this.applyTransition('approve', {
+    actor,
+    reference,
+    note: `Offer accepted: ₹${terms.amount} at ${terms.interestRate}% for ${terms.duration} months`
+  });
+};
+
+/**
+ * Split the applied components of an allocation across lenders in proportion to their share.
+ * Updates each position's received totals. Does not save.
+ * @returns {Array<Object>} Per-lender { lenderId, penalty, interest, principal, amount }
+ */
+loanSchema.methods.distributeRepayment = function(allocation) {
+  if (this.lenders.length === 0 && this.lenderId) {
+    this.lenders.push({ lenderId: this.lenderId, amount: this.amount, fundedAt: this.disbursedAt || this.createdAt });
+  }
+  if (this.lenders.length === 0) return [];
+
+  const sums = { penalty: 0, interest: 0, principal: 0 };
+  for (const line of allocation.lines) {
+    const key = line.component === 'penalty' ? 'penalty' : line.component.endsWith('interest') ? 'interest' : 'principal';
+    sums[key] = round2(sums[key] + line.amount);
+  }
+
+  const weights = this.lenders.map(position => position.amount);
+  const split = {
+    penalty: prorate(sums.penalty, weights),
+    interest: prorate(sums.interest, weights),
+    principal: prorate(sums.principal, weights),
+  };
+
+  return this.lenders.map((position, i) => {
+    position.penaltyReceived = round2(position.penaltyReceived + split.penalty[i]);
+    position.interestReceived = round2(position.interestReceived + split.interest[i]);
+    position.principalReceived = round2(position.principalReceived + split.principal[i]);
+    return {
+      lenderId: position.lenderId,
+      penalty: split.penalty[i],
+      interest: split.interest[i],
+      principal: split.principal[i],
+      amount: round2(split.penalty[i] + split.interest[i] + split.principal[i]),
+    };
+  });
+};
+
+loanSchema.methods.hasTransitionFor = function(reference) {
+  return !!reference && this.stateHistory.some(entry => entry.reference === reference);
+};
+
+loanSchema.set('toJSON', { virtuals: true });
+
 module.exports = mongoose.model('Loan', loanSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * LoanGuarantor Schema for RuralConnect P2P Lending Platform
+ * A guarantor (a family member or self-help-group member standing behind the borrower) or a
+ * co-borrower (jointly liable for the whole loan) on a loan. The borrower names an existing,
+ * KYC-verified user, who must consent with a one-time code sent to their phone before the
+ * loan can be disbursed.
+ */
+const loanGuarantorSchema = new mongoose.Schema({
+  guarantorId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true,
+    index: true
+  },
+
+  borrowerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  role: {
+    type: String,
+    required: true,
+    enum: ['guarantor', 'co_borrower']
+  },
+
+  relationship: {
+    type: String,
+    required: true,
+    enum: ['family', 'shg_member', 'other']
+  },
+
+  // Share of the outstanding balance this party answers for; always 100 for a co-borrower
+  liabilityPercent: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 100
+  },
+
+  // pending -> consented | declined
+  status: {
+    type: String,
+    required: true,
+    default: 'pending',
+    enum: ['pending', 'consented', 'declined']
+  },
+
+  // The code itself is held by otpService as a loan_consent challenge for this guarantorId
+  consent: {
+    sentAt: Date,
+    expiresAt: Date,
+    consentedAt: Date,
+    declinedAt: Date
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loanGuarantorSchema.index({ loanId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LoanGuarantor', loanGuarantorSchema);
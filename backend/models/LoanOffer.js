@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * LoanOffer Schema for RuralConnect P2P Lending Platform
+ * One proposal in the negotiation between a lender and the borrower of a requested loan.
+ * A lender opens a thread with an offer; each counter is a new offer pointing at the one it
+ * answers. An accepted offer becomes the loan's terms.
+ */
+const loanOfferSchema = new mongoose.Schema({
+  offerId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan',
+    required: true,
+    index: true
+  },
+
+  borrowerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Lender on the other side of the thread
+  lenderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  proposedBy: {
+    type: String,
+    required: true,
+    enum: ['lender', 'borrower']
+  },
+
+  // Offer this one counters; unset for the lender's opening offer
+  counterTo: String,
+
+  terms: {
+    amount: { type: Number, required: true },
+    interestRate: { type: Number, required: true }, // annual, percent
+    duration: { type: Number, required: true } // months
+  },
+
+  note: {
+    type: String,
+    maxlength: 500
+  },
+
+  // open -> accepted | rejected | countered | expired | superseded (another offer on the loan was accepted)
+  status: {
+    type: String,
+    required: true,
+    default: 'open',
+    enum: ['open', 'accepted', 'rejected', 'countered', 'expired', 'superseded']
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  respondedAt: Date,
+  rejectionReason: String
+});
+
+loanOfferSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('LoanOffer', loanOfferSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mandate Schema for RuralConnect P2P Lending Platform
+ * A borrower's standing authorization (UPI AutoPay or eMandate) for the platform to debit
+ * due installments of one loan. Each charge cycle covers the installments due up to
+ * installmentNumber and is retried with backoff until it is captured or runs out of attempts.
+ */
+const mandateSchema = new mongoose.Schema({
+  mandateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+    ref: 'Loan'
+  },
+
+  borrowerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true,
+    ref: 'User'
+  },
+
+  paymentProvider: {
+    type: String,
+    required: true,
+    enum: ['razorpay', 'payu', 'mock']
+  },
+
+  method: {
+    type: String,
+    required: true,
+    enum: ['upi_autopay', 'emandate']
+  },
+
+  // Largest single debit the borrower authorized
+  maxAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  expiresAt: Date,
+
+  // pending -> active -> revoked | completed, or pending -> failed when the bank rejects it
+  status: {
+    type: String,
+    required: true,
+    default: 'pending',
+    enum: ['pending', 'active', 'revoked', 'failed', 'completed']
+  },
+
+  // Gateway IDs; Razorpay calls the mandate a token, held by a customer
+  authorizationOrderId: {
+    type: String,
+    index: true
+  },
+  authorizationPaymentId: String,
+  gatewayCustomerId: String,
+  gatewayTokenId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+
+  charges: [{
+    installmentNumber: { type: Number, required: true },
+    amount: Number,
+    attempts: { type: Number, default: 0 },
+    status: { type: String, enum: ['processing', 'captured', 'failed', 'exhausted'], default: 'processing' },
+    transactionId: String, // latest attempt
+    lastError: String,
+    lastAttemptAt: Date,
+    nextRetryAt: Date,
+    capturedAt: Date
+  }],
+
+  activatedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
+  // Set when the gateway could not cancel the mandate; charging stops regardless
+  revokeError: String,
+  failureReason: String
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+mandateSchema.index({ status: 1, loanId: 1 });
+
+module.exports = mongoose.model('Mandate', mandateSchema);
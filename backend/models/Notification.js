@@ -47,6 +47,26 @@ const notificationSchema = new mongoose.Schema({
     enum: [
       'loan_approved',
       'loan_rejected',
+      'loan_funded',
+      'loan_cancelled',
+      'escrow_refunded',
+      'refund_requested',
+      'refund_processed',
+      'refund_rejected',
+      'mandate_activated',
+      'mandate_revoked',
+      'autodebit_failed',
+      'hardship_requested',
+      'hardship_rejected',
+      'loan_restructured',
+      'loan_offer_received',
+      'loan_offer_accepted',
+      'collateral_released',
+      'guarantor_consented',
+      'guarantor_declined',
+      'guarantor_loan_overdue',
+      'guarantor_loan_defaulted',
+      'guarantor_released',
       'payment_successful',
       'payment_failed',
       'payment_confirmed',
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * OtpChallenge Schema for RuralConnect P2P Lending Platform
+ * The one-time code currently outstanding for a phone number and purpose (signing up, logging
+ * in, consenting to back a loan, resetting a password, an admin's second factor), optionally narrowed to a reference such as a guarantor
+ * invitation. Only the code's hash is kept. The document also carries the wrong-attempt count,
+ * lockout and resend window, so it outlives the code itself and is purged by a TTL index once
+ * none of those matter any more.
+ */
+const otpChallengeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['signup', 'login', 'loan_consent', 'password_reset', 'admin_mfa']
+  },
+
+  // What the code authorizes beyond the phone number, e.g. a guarantorId; empty if nothing
+  reference: {
+    type: String,
+    default: ''
+  },
+
+  // Hash of the outstanding code; cleared once it is used or the challenge locks
+  codeHash: {
+    type: String,
+    select: false
+  },
+
+  codeExpiresAt: Date,
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lockedUntil: Date,
+
+  lastSentAt: Date,
+
+  // Codes sent since windowStartedAt, for the hourly resend limit
+  sendWindow: {
+    startedAt: Date,
+    count: { type: Number, default: 0 }
+  },
+
+  verifiedAt: Date,
+
+  // When the challenge no longer matters: the code, lockout and resend window have all lapsed
+  purgeAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+otpChallengeSchema.index({ phone: 1, purpose: 1, reference: 1 }, { unique: true });
+otpChallengeSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+otpChallengeSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.codeHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('OtpChallenge', otpChallengeSchema);
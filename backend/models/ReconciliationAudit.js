@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReconciliationAudit Schema for RuralConnect P2P Lending Platform
+ * Every automatic correction made by reconciliation, with the transaction before and after
+ */
+const reconciliationAuditSchema = new mongoose.Schema({
+  reportId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  transactionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  kind: {
+    type: String,
+    required: true
+  },
+
+  action: {
+    type: String,
+    required: true,
+    enum: ['confirm_captured', 'mark_failed', 'expire_order']
+  },
+
+  provider: String,
+  paymentId: String,
+  orderId: String,
+
+  before: {
+    status: String,
+    amount: Number
+  },
+
+  after: {
+    status: String
+  },
+
+  // Settlement outcome, or the error when the fix failed
+  outcome: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ReconciliationAudit', reconciliationAuditSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReconciliationReport Schema for RuralConnect P2P Lending Platform
+ * One reconciliation run of Transaction records against the payment gateways,
+ * with every mismatch found and how it was resolved
+ */
+const reconciliationReportSchema = new mongoose.Schema({
+  reportId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Gateway payments and transactions initiated in this range are compared
+  from: {
+    type: Date,
+    required: true
+  },
+
+  to: {
+    type: Date,
+    required: true
+  },
+
+  providers: [String],
+
+  triggeredBy: {
+    type: String,
+    required: true,
+    enum: ['scheduler', 'admin']
+  },
+
+  status: {
+    type: String,
+    required: true,
+    default: 'running',
+    enum: ['running', 'completed', 'failed']
+  },
+
+  summary: {
+    transactionsChecked: { type: Number, default: 0 },
+    paymentsListed: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    mismatches: { type: Number, default: 0 },
+    autoFixed: { type: Number, default: 0 },
+    flagged: { type: Number, default: 0 }
+  },
+
+  items: [{
+    kind: {
+      type: String,
+      required: true,
+      enum: ['captured_pending', 'failed_pending', 'expired_pending', 'failed_confirmed', 'refunded_confirmed', 'amount_mismatch', 'missing_payment', 'orphan_payment']
+    },
+    // auto_fixed: corrected and audited; flagged: needs an operator; fix_failed: correction was attempted and failed
+    resolution: {
+      type: String,
+      required: true,
+      enum: ['auto_fixed', 'flagged', 'fix_failed']
+    },
+    transactionId: String,
+    provider: String,
+    paymentId: String,
+    orderId: String,
+    recordedStatus: String,
+    gatewayStatus: String,
+    recordedAmount: Number,
+    gatewayAmount: Number,
+    detail: String
+  }],
+
+  // Providers whose payments could not be listed
+  listingErrors: [{
+    provider: String,
+    message: String
+  }],
+
+  // Why a failed run stopped
+  error: String,
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  completedAt: Date
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
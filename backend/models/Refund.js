@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refund Schema for RuralConnect P2P Lending Platform
+ * A full or partial refund of a gateway payment. Refunds are requested first and
+ * only reach the gateway once an admin approves them.
+ */
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Gateway payment being refunded
+  transactionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+
+  borrowerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lenderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  paymentProvider: {
+    type: String,
+    enum: ['razorpay', 'payu', 'mock']
+  },
+
+  paymentId: String,
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+
+  reasonCode: {
+    type: String,
+    required: true,
+    enum: ['duplicate_payment', 'overpayment', 'payment_error', 'service_issue', 'customer_request', 'other']
+  },
+
+  note: {
+    type: String,
+    maxlength: 500
+  },
+
+  // requested -> approved -> processed | failed, or requested -> rejected.
+  // An approved refund with an error was paid out by the gateway but not applied yet; it can be retried.
+  status: {
+    type: String,
+    required: true,
+    default: 'requested',
+    enum: ['requested', 'approved', 'processed', 'rejected', 'failed']
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Admin who decided, and when
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: String,
+
+  gatewayRefundId: String,
+  error: String,
+  // Last admin to retry applying it after a failure
+  retriedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  retriedAt: Date,
+  processedAt: Date,
+
+  // Part of the refund taken back from the loan; the rest was never applied to it
+  reversedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // What each lender gave back, kept so a retried refund posts the same clawback to the ledger
+  clawback: [{
+    lenderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number
+  }]
+});
+
+refundSchema.index({ status: 1, requestedAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * RevokedToken Schema for RuralConnect P2P Lending Platform
+ * Denylist of access tokens revoked before they expire (logout, a device signed out remotely).
+ * Entries are purged by a TTL index once the token would have expired anyway.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
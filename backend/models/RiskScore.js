@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * RiskScore Schema for RuralConnect P2P Lending Platform
+ * Point-in-time snapshots of a borrower's credit risk score and the factors behind it
+ */
+const riskScoreSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+
+  // Loan being assessed, when the score was computed for a specific request
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+
+  // 0-100, higher is riskier
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+
+  grade: {
+    type: String,
+    enum: ['A', 'B', 'C', 'D', 'E'],
+    required: true
+  },
+
+  baseScore: Number,
+
+  factors: [{
+    key: String,
+    label: String,
+    contribution: Number,
+    detail: String
+  }],
+
+  modelVersion: {
+    type: String,
+    required: true
+  },
+
+  trigger: {
+    type: String,
+    enum: ['on_demand', 'loan_request', 'matching', 'loan_completed', 'loan_defaulted', 'guarantor_consent', 'guarantor_escalation'],
+    default: 'on_demand'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+riskScoreSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RiskScore', riskScoreSchema);
@@ -52,10 +52,53 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['loan_disbursement', 'emi_payment', 'full_repayment', 'penalty', 'interest', 'processing_fee']
+    enum: ['loan_disbursement', 'escrow_deposit', 'emi_payment', 'full_repayment', 'penalty', 'interest', 'processing_fee']
+  },
+  
+  // Repayment allocation (one document per waterfall component, grouped by receipt)
+  receiptId: {
+    type: String,
+    sparse: true,
+    index: true
+  },
+
+  parentTransactionId: {
+    type: String,
+    sparse: true
+  },
+
+  allocations: [{
+    installmentNumber: Number,
+    component: {
+      type: String,
+      enum: ['penalty', 'overdue_interest', 'overdue_principal', 'current_interest', 'current_principal', 'prepayment']
+    },
+    amount: Number
+  }],
+
+  // Each syndicate lender's pro-rata part of this transaction
+  distributions: [{
+    lenderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number
+  }],
+
+  // Charge booked against the borrower (e.g. a late fee), not money received
+  accrual: {
+    type: Boolean,
+    default: false
   },
   
   // Payment Gateway Information
+  // The razorpay* fields predate multi-provider support and hold the IDs of whichever gateway is named here
+  paymentProvider: {
+    type: String,
+    enum: ['razorpay', 'payu', 'mock'],
+    default: 'razorpay'
+  },
+
   razorpayOrderId: {
     type: String,
     sparse: true,
@@ -112,6 +155,12 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     sparse: true
   },
+
+  // Refunded so far; status becomes refunded once it reaches the amount
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   
   // Metadata and Additional Information
   metadata: {
@@ -130,7 +179,16 @@ const transactionSchema = new mongoose.Schema({
     },
     emiNumber: Number,
     totalEmis: Number,
-    remainingAmount: Number
+    remainingAmount: Number,
+    unallocatedAmount: Number, // overpayment not applied to any installment
+    mandateId: String, // auto-debit charges
+    attempt: Number
+  },
+
+  // Part-prepayment option chosen at /prepay; set by the server only, settlement recomputes the fee
+  prepaymentOption: {
+    type: String,
+    enum: ['reduce_tenure', 'reduce_emi']
   },
   
   // Timestamps
@@ -272,7 +330,8 @@ transactionSchema.post('save', function(doc, next) {
       lenderId: doc.lenderId,
       amount: doc.amount,
       type: doc.type,
-      txnHash: doc.txnHash
+      txnHash: doc.txnHash,
+      receiptId: doc.receiptId
     });
   }
   
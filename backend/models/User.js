@@ -1,16 +1,21 @@
 const mongoose = require('mongoose');
+const { isPasswordHash } = require('../utils/passwords');
+const { ROLES } = require('../utils/policies');
 
 const userSchema = new mongoose.Schema({
   fullName: { type: String, required: true },
   email: { type: String, required: true, unique: true },
-  password: { type: String, required: false, default: 'dummy-password' },
+  // bcrypt hash, set through credentialService; accounts from before hashing keep plaintext until their next login
+  password: { type: String, select: false },
+  passwordChangedAt: { type: Date },
   phone: { type: String, required: true },
-  role: { type: String, enum: ['Lender', 'Borrower'], required: true },
+  role: { type: String, enum: ROLES, required: true }, // Admin and Support are assigned, never chosen at signup
   aadharNumber: { type: String, required: true },
   walletAddress: { type: String, required: false },
   uniqueId: { type: String, required: false },
   kycVerified: { type: Boolean, default: false },
   faceVerified: { type: Boolean, default: false },
+  phoneVerified: { type: Boolean, default: false }, // Set once a signup OTP sent to the phone is entered
   aadharHash: { type: String }, // SHA-256 hash of Aadhaar document
   aadharSalt: { type: String }, // Salt for enhanced security
   faceEmbedding: { type: [Number] }, // 128-dimensional face descriptor
@@ -27,7 +32,40 @@ const userSchema = new mongoose.Schema({
     simulatedMode: { type: Boolean, default: false }
   },
 
+  // Manual KYC decision by an admin, overriding the automatic DigiLocker/face result
+  kycReview: {
+    status: { type: String, enum: ['approved', 'rejected'] },
+    note: { type: String },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date }
+  },
+
+  // One-time token, hashed, for choosing a password at signup or after a reset OTP, or for an admin's second factor
+  credentialToken: {
+    hash: { type: String, select: false },
+    purpose: { type: String, enum: ['setup', 'reset', 'mfa'] },
+    expiresAt: { type: Date }
+  },
+
   createdAt: { type: Date, default: Date.now },
 });
 
+userSchema.index({ 'credentialToken.hash': 1 }, { sparse: true });
+
+// Never let a plaintext password reach the database, whichever route modified it
+userSchema.pre('save', function(next) {
+  if (this.isModified('password') && this.password && !isPasswordHash(this.password)) {
+    return next(new Error('Passwords must be hashed before they are saved'));
+  }
+  next();
+});
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    if (ret.credentialToken) delete ret.credentialToken.hash;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('User', userSchema);
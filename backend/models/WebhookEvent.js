@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookEvent Schema for RuralConnect P2P Lending Platform
+ * Every payment gateway webhook as received, keyed by the provider's event ID,
+ * so retries are deduplicated and any event can be replayed
+ */
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    enum: ['razorpay', 'payu', 'mock']
+  },
+
+  // Provider event ID, or a hash of the raw body when the provider sends none
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  type: {
+    type: String,
+    required: true
+  },
+
+  paymentId: String,
+  orderId: {
+    type: String,
+    index: true
+  },
+
+  // When the provider says the event happened; delivery order is not guaranteed
+  occurredAt: Date,
+
+  // Parsed body as received
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // processed: applied; ignored: nothing to do (unhandled type, or already applied);
+  // deferred: no matching transaction yet; failed: handler threw
+  status: {
+    type: String,
+    required: true,
+    default: 'received',
+    enum: ['received', 'processed', 'ignored', 'deferred', 'failed']
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastError: String,
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  processedAt: Date
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
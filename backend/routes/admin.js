@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { allowFields, requireRecentAuth, adminConsole } = require('../middleware/auth');
+const PaymentController = require('../controllers/paymentController');
+const adminService = require('../services/adminService');
+const { AdminError } = require('../services/adminService');
+const credentialService = require('../services/credentialService');
+const { CredentialError } = require('../services/credentialService');
+const tokenService = require('../services/tokenService');
+const { TokenError } = require('../services/tokenService');
+const { InvalidTransitionError } = require('../utils/loanFSM');
+const ledgerService = require('../services/ledgerService');
+const eventBus = require('../utils/eventBus');
+
+// Maintenance routes are not even reachable unless enabled outside production
+function requireMaintenance(req, res, next) {
+  if (!adminService.maintenanceEnabled()) {
+    return res.status(404).json({ success: false, error: 'Endpoint not found' });
+  }
+  next();
+}
+
+function sendAdminError(res, error, fallback) {
+  if (error instanceof AdminError || error instanceof CredentialError || error instanceof TokenError
+    || error instanceof InvalidTransitionError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+}
+
+// Search users: ?q=name|email|phone|uniqueId&role=&kycVerified=true|false&limit=
+router.get('/users', adminConsole, async (req, res) => {
+  try {
+    res.json({ success: true, data: await adminService.searchUsers(req.query) });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to search users');
+  }
+});
+
+// Assign a role; the user is signed out everywhere so it takes effect at once
+router.put('/users/:userId/role', adminConsole, requireRecentAuth, allowFields('admin.role'), async (req, res) => {
+  try {
+    const user = await adminService.setRole(req.params.userId, req.body.role, req.user.id);
+    res.json({ success: true, data: { id: user._id, role: user.role } });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to change role');
+  }
+});
+
+// Accounts waiting for a manual KYC decision, oldest first
+router.get('/kyc/queue', adminConsole, async (req, res) => {
+  try {
+    res.json({ success: true, data: await adminService.kycQueue({ limit: req.query.limit }) });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to load the KYC queue');
+  }
+});
+
+// Approve or reject KYC: { decision: approve | reject, note }
+router.post('/kyc/:userId', adminConsole, allowFields('admin.kyc_review'), async (req, res) => {
+  try {
+    const user = await adminService.reviewKyc(req.params.userId, req.body, req.user.id);
+    res.json({ success: true, data: { id: user._id, kycVerified: user.kycVerified, kycReview: user.kycReview } });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to review KYC');
+  }
+});
+
+// Force a loan state change: { event: approve | gracePeriod | default | cancel, note }
+router.post('/loans/:id/override', adminConsole, allowFields('admin.loan_override'), async (req, res) => {
+  try {
+    const { loan, refunds } = await adminService.overrideLoan(req.params.id, req.body, req.user.id);
+    res.json({
+      success: true,
+      data: {
+        loan,
+        refunds: refunds.map(escrow => ({ lenderId: escrow.lenderId, amount: escrow.amount, status: escrow.status }))
+      }
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to override loan');
+  }
+});
+
+// Refund approval; refunds are only decided here
+router.get('/refunds', adminConsole, PaymentController.listRefunds);
+router.post('/refunds/:refundId/approve', adminConsole, PaymentController.approveRefund);
+router.post('/refunds/:refundId/reject', adminConsole, PaymentController.validateRefundRejection, PaymentController.rejectRefund);
+router.post('/refunds/:refundId/retry', adminConsole, PaymentController.retryRefund);
+
+// Event bus counters and the most recent events (?limit=, at most 500)
+router.get('/events/stats', adminConsole, (req, res) => {
+  res.json({ success: true, data: eventBus.getStats() });
+});
+
+router.get('/events/recent', adminConsole, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  res.json({ success: true, data: eventBus.getRecentEvents(limit) });
+});
+
+// Full ledger check, with every account's debits, credits and balance
+router.get('/ledger/consistency', adminConsole, async (req, res) => {
+  try {
+    res.json({ success: true, data: await ledgerService.checkConsistency() });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to check the ledger');
+  }
+});
+
+// Database, blockchain, SMS, push, payments and scheduler status
+router.get('/health', adminConsole, (req, res) => {
+  res.json({ success: true, timestamp: new Date(), data: adminService.health() });
+});
+
+// Re-authentication before destructive actions: text a code, then confirm it with the password
+router.post('/reauth/code', adminConsole, async (req, res) => {
+  try {
+    await credentialService.requestReauthentication(req.user.id);
+    res.json({ success: true, message: 'Code sent to your registered phone' });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to send the code');
+  }
+});
+
+router.post('/reauth', adminConsole, allowFields('admin.reauth'), async (req, res) => {
+  const { password, otp } = req.body;
+  if (!password || !otp) {
+    return res.status(400).json({ success: false, error: 'Password and code required' });
+  }
+
+  try {
+    await credentialService.reauthenticate(req.user.id, password, otp);
+    const validUntil = await tokenService.markReauthenticated(req.user);
+    res.json({ success: true, data: { validUntil } });
+  } catch (error) {
+    sendAdminError(res, error, 'Re-authentication failed');
+  }
+});
+
+// Development only (ENABLE_MAINTENANCE_ENDPOINTS=true outside production), after re-authentication
+router.post('/maintenance/clear-db', requireMaintenance, adminConsole, requireRecentAuth, async (req, res) => {
+  try {
+    const droppedCollections = await adminService.clearDatabase(req.user.id);
+    res.json({ success: true, message: 'Database cleared successfully', droppedCollections });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to clear database');
+  }
+});
+
+// Delete one user ({ email }) or every user but the caller
+router.post('/maintenance/clear-users', requireMaintenance, adminConsole, requireRecentAuth, allowFields('admin.clear_users'), async (req, res) => {
+  try {
+    const deletedCount = await adminService.clearUsers(req.body, req.user.id);
+    res.json({ success: true, cleared: req.body.email ? 'one' : 'all', email: req.body.email, deletedCount });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to clear users');
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,6 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const axios = require('axios');
 const multer = require('multer');
-const twilio = require('twilio');
 const { sha256 } = require('../utils/hashing');
 const {
   verifyBorrower,
@@ -21,96 +18,58 @@ const {
   getAccessToken
 } = require('../utils/digilocker');
 const User = require('../models/User');
+const otpService = require('../services/otpService');
+const { OtpError } = require('../services/otpService');
+const credentialService = require('../services/credentialService');
+const { CredentialError } = require('../services/credentialService');
+const tokenService = require('../services/tokenService');
+const { TokenError } = require('../services/tokenService');
+const { authenticateToken } = require('../middleware/auth');
+const { SIGNUP_ROLES } = require('../utils/policies');
 const router = express.Router();
 
-let otpStore = {};  // Temporary OTP storage (in-memory for now)
-
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret';
-
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ success: false, error: 'Access token required' });
-  }
-
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ success: false, error: 'Invalid token' });
-    }
-    req.user = user;
-    next();
-  });
-};
-
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Generic SMS sender using Twilio
-async function sendSMS(phone, message) {
-  try {
-    const formattedPhone = phone.startsWith('+') ? phone : `+91${phone}`; // default to India if no country code
-
-    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
-      console.log('⚠️  Twilio not configured. SMS content:', { to: formattedPhone, message });
-      return { success: true, development: true };
-    }
-
-    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-    const res = await client.messages.create({
-      body: message,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: formattedPhone,
-    });
-    console.log('SMS sent via Twilio:', res.sid);
-    return { success: true };
-  } catch (error) {
-    console.error('Twilio sendSMS error:', error.message);
-    if (process.env.NODE_ENV !== 'production') {
-      return { success: true, development: true };
-    }
-    return { success: false, error: 'Failed to send SMS' };
+function sendAuthError(res, error, fallback) {
+  if (error instanceof OtpError || error instanceof CredentialError || error instanceof TokenError) {
+    return res.status(error.status).json({ success: false, error: error.message });
   }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
 }
 
-async function sendOTP(phone, otp) {
-  try {
-    // Add country code if not present (assuming India)
-    const formattedPhone = phone.startsWith('+91') ? phone : `+91${phone}`;
-
-    console.log('Sending OTP via Twilio:', { phone: formattedPhone, otp });
-
-    // Check if Twilio credentials are configured
-    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
-      console.log('⚠️  Twilio credentials not configured, using development mode');
-      console.log(`📱 OTP for ${formattedPhone}: ${otp}`);
-      return { success: true, development: true };
-    }
-
-    // Initialize Twilio client
-    const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-
-    // Send SMS via Twilio
-    const message = await client.messages.create({
-      body: `Your Rural Gold Connect OTP is: ${otp}. This OTP is valid for 5 minutes.`,
-      from: process.env.TWILIO_PHONE_NUMBER,
-      to: formattedPhone
-    });
-
-    console.log('OTP sent successfully via Twilio:', message.sid);
-    return { success: true };
-  } catch (error) {
-    console.error('Twilio SMS error:', error.message);
-
-    // In development, log the OTP instead of failing
-    if (process.env.NODE_ENV !== 'production') {
-      console.log('⚠️  Twilio SMS failed, using development mode');
-      console.log(`📱 OTP for ${phone}: ${otp}`);
-      return { success: true, development: true };
-    }
+// Account a code goes to; login codes only go to accounts that have finished signing up
+function findOtpUser({ email, phone }, purpose) {
+  const query = email ? { email } : { phone: String(phone).trim() };
+  if (purpose === 'login') query.uniqueId = { $exists: true, $ne: null };
+  return User.findOne(query);
+}
 
-    return { success: false, error: 'Failed to send OTP' };
+// Signs the user in on the requesting device: a short-lived access token plus a refresh token.
+// Roles that need a second factor get an mfaToken instead, to send to /login/mfa with the texted code.
+async function sessionFor(user, req, { secondFactor = false } = {}) {
+  if (!secondFactor && credentialService.requiresSecondFactor(user)) {
+    return { mfaRequired: true, mfaToken: await credentialService.startSecondFactor(user) };
   }
+
+  const session = await tokenService.createSession(user, {
+    deviceId: req.body.deviceId,
+    deviceName: req.headers['user-agent'],
+    ip: req.ip,
+    mfa: secondFactor
+  });
+  return {
+    ...session,
+    user: {
+      id: user._id,
+      email: user.email,
+      fullName: user.fullName,
+      role: user.role,
+      walletAddress: user.walletAddress,
+      kycVerified: user.kycVerified,
+      faceVerified: user.faceVerified,
+    },
+  };
 }
 
 router.post('/register', async (req, res) => {
@@ -121,7 +80,7 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ success: false, error: 'All fields are required' });
     }
 
-    if (!['Lender', 'Borrower'].includes(role)) {
+    if (!SIGNUP_ROLES.includes(role)) {
       return res.status(400).json({ success: false, error: 'Invalid role' });
     }
 
@@ -152,7 +111,6 @@ router.post('/register', async (req, res) => {
     const newUser = new User({
       fullName,
       email,
-      password: 'dummy-password',
       phone,
       role,
       aadharNumber: aadharNumber.replace(/\s/g, ''), // Remove spaces from Aadhar
@@ -175,41 +133,74 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Send (or resend) a signup or login code to the account's phone
 router.post('/send-otp', async (req, res) => {
-  const { phone } = req.body;
-  if (!phone) {
-    return res.status(400).json({ success: false, error: 'Phone number required' });
+  const { email, phone, purpose = 'signup' } = req.body;
+  if (!email && !phone) {
+    return res.status(400).json({ success: false, error: 'Email or phone number required' });
+  }
+  if (!['signup', 'login'].includes(purpose)) {
+    return res.status(400).json({ success: false, error: 'purpose must be signup or login' });
   }
 
-  const result = await sendOTP(phone);
-  res.json(result);
+  try {
+    const user = await findOtpUser({ email, phone }, purpose);
+    // Answer alike whether or not there is such an account, so this cannot be used to probe for one
+    const eligible = user && (purpose === 'login' || !user.phoneVerified);
+    if (eligible) await otpService.issue(user.phone, purpose);
+    res.json({
+      success: true,
+      message: 'If the account exists, a code has been sent to its phone',
+      data: { resendAfterSeconds: otpService.config.resendIntervalSeconds }
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to send OTP');
+  }
 });
 
+// Confirm the phone number during signup with the code sent after face verification
 router.post('/verify-otp', async (req, res) => {
-  const { otp } = req.body;
+  const { email, otp } = req.body;
 
-  if (!otp) {
-    return res.status(400).json({ success: false, error: 'OTP required' });
+  if (!email || !otp) {
+    return res.status(400).json({ success: false, error: 'Email and OTP required' });
   }
 
   try {
-    // Get user email from localStorage (passed from frontend)
-    const email = req.headers['x-user-email'] || 'user@example.com';
-
-    // Check if OTP matches (in a real app, you'd store OTPs in database)
-    // For now, we'll accept any 6-digit OTP for testing
-    if (otp.length === 6 && /^\d+$/.test(otp)) {
-      res.json({ success: true, message: 'OTP verified successfully' });
-    } else {
-      res.status(400).json({ success: false, error: 'Invalid OTP format' });
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(400).json({ success: false, error: 'No code is outstanding; ask for a new one' });
     }
+
+    await otpService.verify(user.phone, 'signup', otp);
+    user.phoneVerified = true;
+    await user.save();
+
+    // Signing up: the token lets the user choose a password next
+    const setupToken = user.uniqueId ? undefined : await credentialService.startSetup(user);
+    res.json({ success: true, message: 'OTP verified successfully', data: { setupToken } });
   } catch (error) {
-    console.error('OTP verification error:', error);
-    res.status(500).json({ success: false, error: 'OTP verification failed' });
+    sendAuthError(res, error, 'OTP verification failed');
   }
 });
 
+// Finish signing up: choose a password; the unique ID is generated and also sent by SMS
 router.post('/generate-credentials', async (req, res) => {
+  const { setupToken, password } = req.body;
+
+  if (!setupToken || !password) {
+    return res.status(400).json({ success: false, error: 'Setup token and password required' });
+  }
+
+  try {
+    const { uniqueId } = await credentialService.createCredentials(setupToken, password);
+    res.json({ success: true, message: 'Account created; your unique ID has been sent by SMS', data: { uniqueId } });
+  } catch (error) {
+    sendAuthError(res, error, 'Error saving credentials');
+  }
+});
+
+router.post('/login', async (req, res) => {
   const { uniqueId, password } = req.body;
 
   if (!uniqueId || !password) {
@@ -217,58 +208,103 @@ router.post('/generate-credentials', async (req, res) => {
   }
 
   try {
-    // Get email from headers or use a default for testing
-    const email = req.headers['x-user-email'] || 'user@example.com';
-    const user = await User.findOne({ email });
-
+    const user = await credentialService.authenticate(uniqueId, password);
     if (!user) {
-      return res.status(404).json({ success: false, error: 'User not found' });
+      return res.status(401).json({ success: false, error: 'Invalid credentials' });
     }
 
-    user.uniqueId = uniqueId;
-    user.password = password;
-    await user.save();
+    res.json({ success: true, data: await sessionFor(user, req) });
+  } catch (error) {
+    sendAuthError(res, error, 'Login failed');
+  }
+});
 
-    // Send credentials to user's phone via SMS
-    const smsMessage = `Your Rural Gold Connect credentials:\nUnique ID: ${uniqueId}\nPassword: ${password}\nKeep them safe.`;
-    await sendSMS(user.phone, smsMessage);
+// Second step of signing in for roles that need it: the code texted after the password
+router.post('/login/mfa', async (req, res) => {
+  const { mfaToken, otp } = req.body;
+
+  if (!mfaToken || !otp) {
+    return res.status(400).json({ success: false, error: 'Sign-in token and code required' });
+  }
 
-    res.json({ success: true, message: 'Credentials saved and sent via SMS' });
+  try {
+    const user = await credentialService.completeSecondFactor(mfaToken, otp);
+    res.json({ success: true, data: await sessionFor(user, req, { secondFactor: true }) });
   } catch (error) {
-    console.error('Error saving credentials:', error);
-    res.status(500).json({ success: false, error: 'Error saving credentials' });
+    sendAuthError(res, error, 'Login failed');
   }
 });
 
-router.post('/login', async (req, res) => {
-  const { uniqueId, password } = req.body;
+// Forgotten password: a password_reset code goes to the account's phone
+router.post('/forgot-password', async (req, res) => {
+  const { uniqueId, phone } = req.body;
 
-  if (!uniqueId || !password) {
-    return res.status(400).json({ success: false, error: 'Unique ID and password required' });
+  try {
+    await credentialService.requestReset({ uniqueId, phone });
+    res.json({
+      success: true,
+      message: 'If the account exists, a reset code has been sent to its phone',
+      data: { resendAfterSeconds: otpService.config.resendIntervalSeconds }
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to send reset code');
   }
+});
+
+// Exchange the reset code for a one-time reset token
+router.post('/forgot-password/verify', async (req, res) => {
+  const { uniqueId, phone, otp } = req.body;
 
-  const user = await User.findOne({ uniqueId });
-  if (!user || user.password !== password) {
-    return res.status(401).json({ success: false, error: 'Invalid credentials' });
+  if (!otp) {
+    return res.status(400).json({ success: false, error: 'OTP required' });
   }
 
-  const token = jwt.sign({ id: user._id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
+  try {
+    const resetToken = await credentialService.verifyReset({ uniqueId, phone }, otp);
+    res.json({ success: true, data: { resetToken } });
+  } catch (error) {
+    sendAuthError(res, error, 'OTP verification failed');
+  }
+});
 
-  res.json({
-    success: true,
-    data: {
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        fullName: user.fullName,
-        role: user.role,
-        walletAddress: user.walletAddress,
-        kycVerified: user.kycVerified,
-        faceVerified: user.faceVerified,
-      },
-    },
-  });
+router.post('/reset-password', async (req, res) => {
+  const { resetToken, password } = req.body;
+
+  if (!resetToken || !password) {
+    return res.status(400).json({ success: false, error: 'Reset token and password required' });
+  }
+
+  try {
+    await credentialService.resetPassword(resetToken, password);
+    res.json({ success: true, message: 'Password changed; sign in with your new password' });
+  } catch (error) {
+    sendAuthError(res, error, 'Password reset failed');
+  }
+});
+
+// Passwordless login with a code sent by /send-otp with purpose 'login'
+router.post('/login-otp', async (req, res) => {
+  const { phone, otp } = req.body;
+
+  if (!phone || !otp) {
+    return res.status(400).json({ success: false, error: 'Phone number and OTP required' });
+  }
+
+  try {
+    const user = await findOtpUser({ phone }, 'login');
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+
+    await otpService.verify(user.phone, 'login', otp);
+    // A code to the same phone is not a second factor on top of itself
+    if (credentialService.requiresSecondFactor(user)) {
+      return res.status(403).json({ success: false, error: 'Sign in with your unique ID and password' });
+    }
+    res.json({ success: true, data: await sessionFor(user, req) });
+  } catch (error) {
+    sendAuthError(res, error, 'OTP login failed');
+  }
 });
 
 // NEW: Login with REAL face verification
@@ -286,8 +322,8 @@ router.post('/login-with-face', upload.single('faceImage'), async (req, res) =>
 
   try {
     // Step 1: Verify credentials
-    const user = await User.findOne({ uniqueId });
-    if (!user || user.password !== password) {
+    const user = await credentialService.authenticate(uniqueId, password);
+    if (!user) {
       return res.status(401).json({ success: false, error: 'Invalid credentials' });
     }
 
@@ -320,30 +356,18 @@ router.post('/login-with-face', upload.single('faceImage'), async (req, res) =>
       });
     }
 
-    // Step 6: Generate token
-    const token = jwt.sign({ id: user._id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-
     console.log('✅ Face verification successful, login granted');
 
+    // Step 6: Generate token
     res.json({
       success: true,
       verified: true,
       score: score.toFixed(3),
-      data: {
-        token,
-        user: {
-          id: user._id,
-          email: user.email,
-          fullName: user.fullName,
-          role: user.role,
-          walletAddress: user.walletAddress,
-          kycVerified: user.kycVerified,
-          faceVerified: user.faceVerified,
-        },
-      },
+      data: await sessionFor(user, req),
     });
 
   } catch (error) {
+    if (error instanceof CredentialError) return sendAuthError(res, error, 'Login failed');
     console.error('❌ Login face verification error:', error);
     res.status(500).json({
       success: false,
@@ -352,27 +376,6 @@ router.post('/login-with-face', upload.single('faceImage'), async (req, res) =>
   }
 });
 
-// DEV ONLY: Clear users (all or by email) to resolve "user exists" during testing
-router.post('/admin/clear-users', async (req, res) => {
-  try {
-    if (process.env.NODE_ENV === 'production') {
-      return res.status(403).json({ success: false, error: 'Forbidden in production' });
-    }
-
-    const { email } = req.body || {};
-    if (email) {
-      const result = await User.deleteOne({ email });
-      return res.json({ success: true, cleared: 'one', email, deletedCount: result.deletedCount });
-    }
-
-    const result = await User.deleteMany({});
-    res.json({ success: true, cleared: 'all', deletedCount: result.deletedCount });
-  } catch (error) {
-    console.error('Clear users error:', error);
-    res.status(500).json({ success: false, error: 'Failed to clear users' });
-  }
-});
-
 router.get('/verify', authenticateToken, async (req, res) => {
   const user = await User.findById(req.user.id);
   if (!user) {
@@ -502,17 +505,25 @@ router.post('/verify-face', upload.fields([{ name: 'faceImage' }, { name: 'aadha
     // STEP 4: Send OTP
     console.log('📱 Step 4: Sending OTP...');
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    otpStore[email] = otp;
-    await sendOTP(user.phone, otp);
-
-    console.log('✅ OTP sent to:', user.phone);
+    // A throttled or failed send is not fatal: the KYC data is saved and the OTP page can resend
+    let otpSent = true;
+    try {
+      await otpService.issue(user.phone, 'signup');
+      console.log('✅ OTP sent to:', user.phone);
+    } catch (error) {
+      if (!(error instanceof OtpError)) throw error;
+      otpSent = false;
+      console.warn('⚠️  OTP not sent:', error.message);
+    }
     console.log('\n=== ✅ COMPLETE VERIFICATION SUCCESSFUL ===\n');
 
     res.json({
       success: true,
       verified: true,
-      message: 'DigiLocker + Biometric data captured. OTP sent.',
+      message: otpSent
+        ? 'DigiLocker + Biometric data captured. OTP sent.'
+        : 'DigiLocker + Biometric data captured. Request an OTP from the next step.',
+      otpSent,
       details: {
         digilocker: {
           verified: true,
@@ -537,8 +548,64 @@ router.post('/verify-face', upload.fields([{ name: 'faceImage' }, { name: 'aadha
   }
 });
 
-router.post('/logout', (req, res) => {
-  res.json({ success: true });
+// Exchange a refresh token for a new access token; the refresh token is replaced too
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, error: 'Refresh token required' });
+  }
+
+  try {
+    const tokens = await tokenService.refresh(refreshToken, { ip: req.ip });
+    res.json({ success: true, data: tokens });
+  } catch (error) {
+    sendAuthError(res, error, 'Token refresh failed');
+  }
+});
+
+// Sign out this device: its refresh token stops working and the access token is denylisted
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await tokenService.signOut(req.user);
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Logout failed');
+  }
+});
+
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const count = await tokenService.revokeAll(req.user.id);
+    res.json({ success: true, data: { signedOut: count } });
+  } catch (error) {
+    sendAuthError(res, error, 'Logout failed');
+  }
+});
+
+// Devices the user is signed in on
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await tokenService.sessions(req.user.id);
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.sessionId === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Error fetching sessions');
+  }
+});
+
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.user.id, req.params.sessionId);
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error, 'Error ending session');
+  }
 });
 
 // DigiLocker OAuth routes
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const User = require('../models/User');
+const collateralService = require('../services/collateralService');
+const { CollateralError } = require('../services/collateralService');
+const { can } = require('../utils/policies');
+
+const COLLATERAL_DOCUMENT_MAX_BYTES = 5 * 1024 * 1024;
+const documentUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: COLLATERAL_DOCUMENT_MAX_BYTES } }).single('document');
+
+// Borrower-only
+async function requireBorrower(req, res, next) {
+  const user = await User.findById(req.user.id);
+  if (!user || !can(user.role, 'collateral:register')) {
+    return res.status(403).json({ success: false, error: 'Only borrowers can register collateral' });
+  }
+  req.borrower = user;
+  next();
+}
+
+function receiveDocument(req, res, next) {
+  documentUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ success: false, error: status === 413 ? 'Supporting document must be 5MB or smaller' : error.message });
+    }
+    next(error);
+  });
+}
+
+function sendCollateralError(res, error, fallback) {
+  if (error instanceof CollateralError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+}
+
+// Register a collateral item (multipart: document, type, description, declaredValue and the fields of its type:
+// ornament, weightGrams, purityKarat | surveyNumber, village, district, areaAcres | species, count, tagNumbers)
+router.post('/', authenticateToken, requireBorrower, receiveDocument, async (req, res) => {
+  const { type, description, declaredValue, ornament, weightGrams, purityKarat, surveyNumber, village, district, areaAcres, species, count, tagNumbers } = req.body;
+  try {
+    const data = await collateralService.register(req.borrower, {
+      type,
+      description,
+      declaredValue,
+      gold: { ornament, weightGrams, purityKarat },
+      land: { surveyNumber, village, district, areaAcres },
+      livestock: {
+        species,
+        count,
+        tagNumbers: tagNumbers ? String(tagNumbers).split(',').map(tag => tag.trim()).filter(Boolean) : []
+      }
+    }, req.file);
+    res.status(201).json({ success: true, message: 'Collateral registered', data });
+  } catch (error) {
+    sendCollateralError(res, error, 'Failed to register collateral');
+  }
+});
+
+// The borrower's collateral with the amount still free to pledge
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const data = await collateralService.list(req.user.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendCollateralError(res, error, 'Failed to list collateral');
+  }
+});
+
+// Download an item's supporting document - Owner or lenders of the loan it secures
+router.get('/:collateralId/document', authenticateToken, async (req, res) => {
+  try {
+    const document = await collateralService.document(req.params.collateralId, { userId: req.user.id });
+    res.set('Content-Type', document.mimeType);
+    res.set('Content-Disposition', `attachment; filename="${document.fileName.replace(/"/g, '')}"`);
+    res.send(document.data);
+  } catch (error) {
+    sendCollateralError(res, error, 'Failed to get collateral document');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { authenticateToken } = require('../middleware/auth');
+const User = require('../models/User');
+const InvestmentRule = require('../models/InvestmentRule');
+const autoInvestService = require('../services/autoInvestService');
+const { can, pickFields } = require('../utils/policies');
+
+// Lender-only
+async function requireLender(req, res, next) {
+  const user = await User.findById(req.user.id);
+  if (!user || !can(user.role, 'investment:manage')) {
+    return res.status(403).json({ success: false, error: 'Only lenders can manage investments' });
+  }
+  req.lender = user;
+  next();
+}
+
+async function findOwnRule(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ success: false, error: 'Rule not found' });
+    return null;
+  }
+  const rule = await InvestmentRule.findOne({ _id: req.params.id, lenderId: req.lender._id });
+  if (!rule) {
+    res.status(404).json({ success: false, error: 'Rule not found' });
+    return null;
+  }
+  return rule;
+}
+
+function sendValidationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: Object.values(error.errors).map(e => e.message).join(', '),
+  });
+}
+
+// List the lender's auto-invest rules with this month's spend
+router.get('/rules', authenticateToken, requireLender, async (req, res) => {
+  const rules = await InvestmentRule.find({ lenderId: req.lender._id }).sort({ priority: 1, createdAt: 1 });
+  const data = await Promise.all(rules.map(async rule => ({
+    ...rule.toObject(),
+    spentThisMonth: await autoInvestService.spentThisMonth(rule._id),
+  })));
+
+  res.json({ success: true, data });
+});
+
+// Create an auto-invest rule
+router.post('/rules', authenticateToken, requireLender, async (req, res) => {
+  try {
+    const rule = await InvestmentRule.create({ ...pickFields(req.body, 'investment.rule'), lenderId: req.lender._id });
+    res.status(201).json({ success: true, data: rule });
+  } catch (e) {
+    if (e instanceof mongoose.Error.ValidationError) return sendValidationError(res, e);
+    console.error('Create investment rule error:', e);
+    res.status(500).json({ success: false, error: 'Failed to save rule' });
+  }
+});
+
+// Update an auto-invest rule (including pausing it)
+router.put('/rules/:id', authenticateToken, requireLender, async (req, res) => {
+  const rule = await findOwnRule(req, res);
+  if (!rule) return;
+
+  try {
+    Object.assign(rule, pickFields(req.body, 'investment.rule'));
+    await rule.save();
+    res.json({ success: true, data: rule });
+  } catch (e) {
+    if (e instanceof mongoose.Error.ValidationError) return sendValidationError(res, e);
+    console.error('Update investment rule error:', e);
+    res.status(500).json({ success: false, error: 'Failed to save rule' });
+  }
+});
+
+// Delete an auto-invest rule; past decisions keep its name in the audit trail
+router.delete('/rules/:id', authenticateToken, requireLender, async (req, res) => {
+  const rule = await findOwnRule(req, res);
+  if (!rule) return;
+
+  await rule.deleteOne();
+  res.json({ success: true, message: 'Rule deleted' });
+});
+
+// Auto-invest audit trail for the lender
+router.get('/auto-investments', authenticateToken, requireLender, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const decisions = await autoInvestService.getDecisions(req.lender._id, {
+    limit,
+    investedOnly: req.query.investedOnly === 'true',
+  });
+
+  res.json({ success: true, data: decisions });
+});
+
+module.exports = router;
@@ -1,28 +1,209 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorize, allowFields, selfOr } = require('../middleware/auth');
 const Loan = require('../models/Loan');
 const User = require('../models/User');
-const axios = require('axios');
-const { enhancedMatching, Borrower, Lender } = require('../utils/matching');
-const { LoanFSM } = require('../utils/loanFSM');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { InvalidTransitionError, normalizeState } = require('../utils/loanFSM');
+const { METHODS, FREQUENCIES, summarizeSchedule } = require('../utils/amortization');
+const eventBus = require('../utils/eventBus');
+const repaymentService = require('../services/repaymentService');
+const syndicationService = require('../services/syndicationService');
+const riskScoringService = require('../services/riskScoringService');
+const paymentGateway = require('../services/paymentProviders');
+const escrowService = require('../services/escrowService');
+const { EscrowError } = require('../services/escrowService');
+const prepaymentService = require('../services/prepaymentService');
+const { PrepaymentError } = require('../services/prepaymentService');
+const restructuringService = require('../services/restructuringService');
+const { RestructuringError } = require('../services/restructuringService');
+const offerService = require('../services/offerService');
+const { OfferError } = require('../services/offerService');
+const collateralService = require('../services/collateralService');
+const { CollateralError } = require('../services/collateralService');
+const guarantorService = require('../services/guarantorService');
+const { GuarantorError } = require('../services/guarantorService');
+const PaymentController = require('../controllers/paymentController');
+const Transaction = require('../models/Transaction');
+const { extractEmbedding, cosineSimilarity } = require('../utils/verification');
+const { round2 } = require('../utils/amortization');
+const { can, ownsLoan, canViewLoan, loanScope } = require('../utils/policies');
+const { v4: uuidv4 } = require('uuid');
+
+const upload = multer({ storage: multer.memoryStorage() });
+const HARDSHIP_DOCUMENT_MAX_BYTES = 5 * 1024 * 1024;
+const hardshipUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: HARDSHIP_DOCUMENT_MAX_BYTES } }).single('document');
+
+// README promises a 60% match between the live face and the stored embedding
+const LOAN_FACE_MATCH_THRESHOLD = Number(process.env.LOAN_FACE_MATCH_THRESHOLD || 0.6);
+
+// Open a gateway order for a loan payment and record it as a pending transaction.
+// The loan only changes once /api/payments/confirm (or the webhook) verifies the payment.
+async function createLoanPayment(loan, payer, { type, amount, description, lenderId }) {
+  const transactionId = uuidv4();
+  const order = await paymentGateway.createOrder({
+    amount,
+    receipt: paymentGateway.receiptFor(transactionId),
+    description,
+    customer: { name: payer.fullName, email: payer.email, phone: payer.phone },
+    notes: { loanId: loan._id.toString(), paymentType: type }
+  });
+
+  const transaction = await Transaction.create({
+    transactionId,
+    loanId: loan._id,
+    borrowerId: loan.borrowerId,
+    lenderId,
+    amount,
+    type,
+    paymentProvider: order.provider,
+    razorpayOrderId: order.id,
+    status: 'pending'
+  });
+
+  return { order, transaction };
+}
+
+function sendTransitionError(res, error) {
+  return res.status(409).json({
+    success: false,
+    error: error.message,
+    state: error.state,
+    event: error.event,
+  });
+}
+
+function sendHardshipError(res, error, fallback) {
+  if (error instanceof RestructuringError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+}
+
+function sendOfferError(res, error, fallback) {
+  if (error instanceof OfferError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+}
 
-const payuKey = process.env.PAYU_KEY;
-const payuSalt = process.env.PAYU_SALT;
-const payuMerchantId = process.env.PAYU_MERCHANT_ID;
+function sendGuarantorError(res, error, fallback) {
+  if (error instanceof GuarantorError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+}
+
+function sendLoanError(res, error, fallback) {
+  if (error instanceof InvalidTransitionError) return sendTransitionError(res, error);
+  if (error instanceof EscrowError || error instanceof PrepaymentError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+}
+
+function sendCollateralError(res, error, fallback) {
+  if (error instanceof CollateralError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+}
+
+// The loan in req.params.id; otherwise answers 400 for a malformed id or 404 and returns null
+async function findLoan(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ success: false, error: 'Invalid loan id' });
+    return null;
+  }
+  const loan = await Loan.findById(req.params.id);
+  if (!loan) {
+    res.status(404).json({ success: false, error: 'Loan not found' });
+    return null;
+  }
+  return loan;
+}
+
+// The loan in req.params.id if the caller may see it (see utils/policies); otherwise answers
+// 404 or 403 and returns null. partiesOnly leaves out lenders browsing open loans.
+async function findVisibleLoan(req, res, { populate = false, partiesOnly = false } = {}) {
+  let loan = null;
+  if (mongoose.isValidObjectId(req.params.id)) {
+    const query = Loan.findById(req.params.id);
+    loan = await (populate ? query.populate('borrowerId', 'fullName email') : query);
+  }
+  if (!loan) {
+    res.status(404).json({ success: false, error: 'Loan not found' });
+    return null;
+  }
+
+  const allowed = partiesOnly
+    ? ownsLoan(req.user, loan) || can(req.user.role, 'loan:read:any')
+    : canViewLoan(req.user, loan);
+  if (!allowed) {
+    res.status(403).json({ success: false, error: 'Not allowed to view this loan' });
+    return null;
+  }
+  return loan;
+}
 
 // Create loan (Borrower-only)
-router.post('/create', authenticateToken, async (req, res) => {
-  const { amount, duration, interestRate, purpose } = req.body;
+router.post('/create', authenticateToken, authorize('loan:request'), allowFields('loan.create'), async (req, res) => {
+  const { amount, duration, interestRate, purpose, repaymentMethod, repaymentFrequency, harvestMonths, collateralIds = [] } = req.body;
   const userId = req.user.id;
 
   if (!amount || !duration || !interestRate || !purpose) {
     return res.status(400).json({ success: false, error: 'All fields are required' });
   }
+  if (![amount, interestRate].every(value => Number.isFinite(Number(value)) && Number(value) > 0)) {
+    return res.status(400).json({ success: false, error: 'amount and interestRate must be positive numbers' });
+  }
+  if (!Number.isInteger(Number(duration)) || Number(duration) < 1) {
+    return res.status(400).json({ success: false, error: 'duration must be a whole number of months' });
+  }
+  if (repaymentMethod && !METHODS.includes(repaymentMethod)) {
+    return res.status(400).json({ success: false, error: `repaymentMethod must be one of ${METHODS.join(', ')}` });
+  }
+  if (repaymentFrequency && !FREQUENCIES.includes(repaymentFrequency)) {
+    return res.status(400).json({ success: false, error: `repaymentFrequency must be one of ${FREQUENCIES.join(', ')}` });
+  }
+  if (harvestMonths && (!Array.isArray(harvestMonths) || !harvestMonths.every(m => Number.isInteger(m) && m >= 1 && m <= 12))) {
+    return res.status(400).json({ success: false, error: 'harvestMonths must be a list of months from 1 to 12' });
+  }
+  if (!Array.isArray(collateralIds)) {
+    return res.status(400).json({ success: false, error: 'collateralIds must be a list' });
+  }
 
-  const user = await User.findById(userId);
-  if (!user || user.role !== 'Borrower') {
-    return res.status(403).json({ success: false, error: 'Only borrowers can create loans' });
+  // The amount is capped by the loan-to-value of the pledged collateral
+  let collateral;
+  try {
+    collateral = await collateralService.limitFor(userId, collateralIds);
+  } catch (error) {
+    return sendCollateralError(res, error, 'Failed to check collateral');
+  }
+  if (Number(amount) > collateral.maxAmount) {
+    return res.status(400).json({
+      success: false,
+      error: `Amount exceeds the ₹${collateral.maxAmount} the pledged collateral can secure`,
+      maxAmount: collateral.maxAmount,
+    });
   }
 
   const newLoan = new Loan({
@@ -31,24 +212,118 @@ router.post('/create', authenticateToken, async (req, res) => {
     duration,
     interestRate,
     purpose,
+    repaymentMethod,
+    repaymentFrequency,
+    harvestMonths,
   });
+  newLoan.stateHistory.push({ from: null, to: newLoan.status, event: 'request', triggeredBy: userId });
+
+  // Claim the collateral first, so a loan is never saved without it
+  try {
+    await collateralService.pledge(newLoan, collateral.items);
+  } catch (error) {
+    return sendCollateralError(res, error, 'Failed to pledge collateral');
+  }
+  try {
+    await newLoan.save();
+  } catch (error) {
+    await collateralService.unpledge(newLoan, collateral.items)
+      .catch(unpledgeError => console.error(`Collateral release for unsaved loan ${newLoan._id} failed:`, unpledgeError.message));
+    return sendCollateralError(res, error, 'Failed to create loan');
+  }
+
+  riskScoringService.computeScore(userId, { loan: newLoan, trigger: 'loan_request' })
+    .catch(error => console.error('Risk score snapshot failed:', error.message));
+
+  eventBus.emitEvent('loan.created', {
+    loanId: newLoan._id,
+    borrowerId: userId,
+    amount: newLoan.amount,
+    purpose: newLoan.purpose
+  }, { source: 'loan_routes', userId });
 
-  await newLoan.save();
   res.json({
     success: true,
     data: newLoan,
   });
 });
 
-// Get all loans
-router.get('/', async (req, res) => {
+// Batch-match lender commitments against open loan requests (syndicated funding)
+router.post('/match', authenticateToken, authorize('loan:match'), allowFields('loan.match'), async (req, res) => {
+  const { commitments, loanIds, riskScores, dryRun } = req.body;
+
+  if (!Array.isArray(commitments) || commitments.length === 0) {
+    return res.status(400).json({ success: false, error: 'At least one lender commitment is required' });
+  }
+  if (commitments.some(c => !c.lenderId || !(Number(c.amount) > 0))) {
+    return res.status(400).json({ success: false, error: 'Each commitment needs a lenderId and a positive amount' });
+  }
+  const lenderIds = commitments.map(c => String(c.lenderId));
+  if (new Set(lenderIds).size !== lenderIds.length) {
+    return res.status(400).json({ success: false, error: 'Each lender may appear only once per run' });
+  }
+  if (lenderIds.some(id => !mongoose.isValidObjectId(id))) {
+    return res.status(400).json({ success: false, error: 'Invalid lenderId' });
+  }
+  if (!can(req.user.role, 'loan:match:any') && lenderIds.some(id => id !== req.user.id)) {
+    return res.status(403).json({ success: false, error: 'Lenders can only commit their own funds' });
+  }
+  const lenderCount = await User.countDocuments({ _id: { $in: lenderIds }, role: 'Lender' });
+  if (lenderCount !== lenderIds.length) {
+    return res.status(400).json({ success: false, error: 'Every commitment must belong to a registered lender' });
+  }
+
+  try {
+    const result = await syndicationService.runMatching({
+      commitments: commitments.map(c => ({
+        lenderId: String(c.lenderId),
+        amount: Number(c.amount),
+        riskTolerance: c.riskTolerance === undefined ? undefined : Number(c.riskTolerance),
+        minInterestRate: c.minInterestRate === undefined ? undefined : Number(c.minInterestRate),
+      })),
+      loanIds,
+      riskScores,
+      dryRun: !!dryRun,
+      actor: req.user.id,
+    });
+    res.json({ success: true, data: result });
+  } catch (e) {
+    console.error('Loan matching error:', e);
+    res.status(500).json({ success: false, error: 'Failed to run loan matching' });
+  }
+});
+
+// Get a lender's positions across syndicated and single-lender loans
+router.get('/lender/:lenderId/positions', authenticateToken, selfOr('loan:read:any', 'params', 'lenderId'), async (req, res) => {
+  const data = await syndicationService.getLenderPositions(req.params.lenderId);
+  res.json({ success: true, data });
+});
+
+// Hardship requests awaiting the signed-in lender's decision
+router.get('/hardship/pending', authenticateToken, async (req, res) => {
+  const data = await restructuringService.pendingFor(req.user.id);
+  res.json({ success: true, data });
+});
+
+// Loans the signed-in user guarantees or co-borrows, with their repayment status
+router.get('/guarantees', authenticateToken, async (req, res) => {
+  try {
+    const data = await guarantorService.obligations(req.user.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    sendGuarantorError(res, error, 'Failed to list guarantees');
+  }
+});
+
+// Loans the caller may see: their own, open loans for lenders, everything for staff
+router.get('/', authenticateToken, async (req, res) => {
   const { status, borrowerId } = req.query;
   let query = {};
 
-  if (status) query.status = status;
+  if (status) query.status = normalizeState(status);
   if (borrowerId) query.borrowerId = borrowerId;
 
-  const loans = await Loan.find(query).populate('borrowerId', 'fullName email');
+  const loans = await Loan.find({ $and: [query, loanScope(req.user)] }).populate('borrowerId', 'fullName email');
   res.json({
     success: true,
     data: loans,
@@ -56,11 +331,9 @@ router.get('/', async (req, res) => {
 });
 
 // Get loan by ID
-router.get('/:id', async (req, res) => {
-  const loan = await Loan.findById(req.params.id).populate('borrowerId', 'fullName email');
-  if (!loan) {
-    return res.status(404).json({ success: false, error: 'Loan not found' });
-  }
+router.get('/:id', authenticateToken, async (req, res) => {
+  const loan = await findVisibleLoan(req, res, { populate: true });
+  if (!loan) return;
 
   res.json({
     success: true,
@@ -68,8 +341,62 @@ router.get('/:id', async (req, res) => {
   });
 });
 
+// Get the installment schedule; projected from today until the loan is disbursed
+router.get('/:id/schedule', authenticateToken, async (req, res) => {
+  const loan = await findVisibleLoan(req, res);
+  if (!loan) return;
+
+  const projected = loan.installments.length === 0;
+  let installments = loan.installments;
+  if (projected) {
+    try {
+      installments = loan.buildSchedule();
+    } catch (error) {
+      return res.status(409).json({ success: false, error: `Cannot project a schedule for this loan: ${error.message}` });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      loanId: loan._id,
+      status: loan.status,
+      method: loan.repaymentMethod,
+      frequency: loan.repaymentFrequency,
+      disbursedAt: loan.disbursedAt,
+      projected,
+      installments,
+      totals: summarizeSchedule(installments),
+      repaidAmount: loan.repaidAmount,
+      outstandingAmount: loan.outstandingAmount,
+      previousSchedules: loan.previousSchedules,
+    },
+  });
+});
+
+// List repayment receipts for a loan
+router.get('/:id/receipts', authenticateToken, async (req, res) => {
+  const loan = await findVisibleLoan(req, res, { partiesOnly: true });
+  if (!loan) return;
+
+  const receipts = await repaymentService.listReceipts(loan._id);
+  res.json({ success: true, data: receipts });
+});
+
+// Get a single repayment receipt with its waterfall split
+router.get('/:id/receipts/:receiptId', authenticateToken, async (req, res) => {
+  if (!await findVisibleLoan(req, res, { partiesOnly: true })) return;
+
+  const receipt = await repaymentService.getReceipt(req.params.id, req.params.receiptId);
+  if (!receipt) {
+    return res.status(404).json({ success: false, error: 'Receipt not found' });
+  }
+
+  res.json({ success: true, data: receipt });
+});
+
 // Get loans by borrower ID
-router.get('/borrower/:borrowerId', async (req, res) => {
+router.get('/borrower/:borrowerId', authenticateToken, selfOr('loan:read:any', 'params', 'borrowerId'), async (req, res) => {
   const borrowerLoans = await Loan.find({ borrowerId: req.params.borrowerId }).populate('borrowerId', 'fullName email');
   res.json({
     success: true,
@@ -77,133 +404,465 @@ router.get('/borrower/:borrowerId', async (req, res) => {
   });
 });
 
-// Disburse loan (PayU payment) - Lender only
-router.post('/:id/disburse', authenticateToken, async (req, res) => {
-  const loan = await Loan.findById(req.params.id);
-  const user = await User.findById(req.user.id);
+// Disburse loan from escrow - Lender only
+router.post('/:id/disburse', authenticateToken, authorize('loan:fund'), async (req, res) => {
+  try {
+    const loan = await findLoan(req, res);
+    if (!loan) return;
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (loan.lenderId && !loan.lenderId.equals(user._id)) {
+      return res.status(403).json({ success: false, error: 'Only the lead lender can disburse this loan' });
+    }
+
+    const result = await escrowService.disburse(loan, { actor: user._id });
+    res.json({
+      success: true,
+      message: 'Escrow released to borrower',
+      data: { loan: result.loan, released: result.released }
+    });
+  } catch (error) {
+    sendLoanError(res, error, 'Failed to disburse loan');
+  }
+});
+
+// Borrower's live face check at loan time, required before disbursement
+router.post('/:id/verify-face', authenticateToken, upload.single('faceImage'), async (req, res) => {
+  try {
+    const loan = await findLoan(req, res);
+    if (!loan) return;
+    const user = await User.findById(req.user.id);
+    if (!user || !loan.borrowerId.equals(user._id)) {
+      return res.status(403).json({ success: false, error: 'Only the borrower can verify for this loan' });
+    }
+    if (!req.file?.buffer) {
+      return res.status(400).json({ success: false, error: 'Face image required' });
+    }
+    if (!user.faceEmbedding || user.faceEmbedding.length === 0) {
+      return res.status(400).json({ success: false, error: 'No face data registered. Please complete KYC first.' });
+    }
+    if (!loan.canTransition('disburse') && !loan.canTransition('approve')) {
+      return sendTransitionError(res, new InvalidTransitionError(loan.status, 'verify'));
+    }
+
+    const embedding = await extractEmbedding(req.file.buffer);
+    const score = await cosineSimilarity(embedding, user.faceEmbedding);
+    const verified = score >= LOAN_FACE_MATCH_THRESHOLD;
+
+    loan.faceVerification = { verified, score, threshold: LOAN_FACE_MATCH_THRESHOLD, verifiedAt: new Date() };
+    await loan.save();
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        error: 'Face verification failed. Please try again.',
+        score: score.toFixed(3)
+      });
+    }
+
+    user.lastFaceVerification = new Date();
+    await user.save();
 
-  if (!user || user.role !== 'Lender') {
-    return res.status(403).json({ success: false, error: 'Only lenders can disburse loans' });
+    res.json({ success: true, verified, score: score.toFixed(3) });
+  } catch (error) {
+    sendLoanError(res, error, 'Failed to verify face');
   }
-  if (!loan || loan.status !== 'Pending') {
-    return res.status(400).json({ success: false, error: 'Invalid loan' });
+});
+
+// Cancel a loan before disbursement and refund its escrow - borrower or lead lender
+router.post('/:id/cancel', authenticateToken, allowFields('loan.cancel'), async (req, res) => {
+  try {
+    const loan = await findLoan(req, res);
+    if (!loan) return;
+    const isBorrower = loan.borrowerId.equals(req.user.id);
+    const isLeadLender = loan.lenderId && loan.lenderId.equals(req.user.id);
+    if (!isBorrower && !isLeadLender) {
+      return res.status(403).json({ success: false, error: 'Only the borrower or lead lender can cancel this loan' });
+    }
+
+    const result = await escrowService.cancelLoan(loan, { actor: req.user.id, source: 'user', note: req.body.reason });
+    res.json({
+      success: true,
+      data: {
+        loan: result.loan,
+        refunds: result.refunds.map(escrow => ({ lenderId: escrow.lenderId, amount: escrow.amount, status: escrow.status }))
+      }
+    });
+  } catch (error) {
+    sendLoanError(res, error, 'Failed to cancel loan');
   }
+});
 
-  const hash = require('crypto').createHash('sha512').update(`${payuKey}|${loan._id}|${loan.amount}|Loan Disbursement|Borrower|borrower@example.com|||||||||||${payuSalt}`).digest('hex');
+// Escrow deposits for a loan
+router.get('/:id/escrow', authenticateToken, async (req, res) => {
+  const loan = await findVisibleLoan(req, res, { partiesOnly: true });
+  if (!loan) return;
 
-  const response = await axios.post('https://test.payu.in/_payment', {
-    key: payuKey,
-    txnid: loan._id,
-    amount: loan.amount,
-    productinfo: 'Loan Disbursement',
-    firstname: 'Borrower',
-    email: 'borrower@example.com',
-    phone: '9999999999',
-    hash,
-    surl: 'http://localhost:8080/success',
-    furl: 'http://localhost:8080/failure',
-  });
+  const summary = await escrowService.summary(loan._id);
+  res.json({ success: true, data: { loanId: loan._id, amount: loan.amount, ...summary } });
+});
+
+// Repay loan through the payment gateway - Borrower only
+router.post('/:id/repay-payment', authenticateToken, authorize('loan:repay'), allowFields('loan.payment'), async (req, res) => {
+  const amount = Number(req.body.amount);
+  if (!(amount > 0)) {
+    return res.status(400).json({ success: false, error: 'Valid amount is required' });
+  }
+
+  try {
+    const loan = await findLoan(req, res);
+    if (!loan) return;
+    const user = await User.findById(req.user.id);
+    if (!user || !loan.borrowerId.equals(user._id)) {
+      return res.status(403).json({ success: false, error: 'Only the borrower of this loan can repay it' });
+    }
+    if (!loan.canTransition('repay')) {
+      return sendTransitionError(res, new InvalidTransitionError(loan.status, 'repay'));
+    }
 
-  loan.paymentStatus = 'Disbursed';
-  loan.status = 'Active';
-  await loan.save();
+    let payment;
+    try {
+      payment = await createLoanPayment(loan, user, {
+        type: 'emi_payment',
+        amount,
+        description: 'Loan Repayment',
+        lenderId: loan.lenderId
+      });
+    } catch (error) {
+      return res.status(502).json({ success: false, error: `Payment gateway error: ${error.message}` });
+    }
 
-  res.json({ success: true, paymentUrl: response.data });
+    res.json({
+      success: true,
+      data: {
+        transactionId: payment.transaction.transactionId,
+        order: payment.order,
+        checkout: payment.order.checkout
+      }
+    });
+  } catch (error) {
+    sendLoanError(res, error, 'Failed to start repayment');
+  }
 });
 
-// Repay loan (PayU payment) - Borrower only
-router.post('/:id/repay-payment', authenticateToken, async (req, res) => {
-  const { amount } = req.body;
-  const loan = await Loan.findById(req.params.id);
-  const user = await User.findById(req.user.id);
+// Cost of closing the loan today, payable until the quote's validUntil - Borrower only
+router.get('/:id/foreclosure-quote', authenticateToken, async (req, res) => {
+  try {
+    const loan = await findLoan(req, res);
+    if (!loan) return;
+    if (!loan.borrowerId.equals(req.user.id)) {
+      return res.status(403).json({ success: false, error: 'Only the borrower can request a foreclosure quote' });
+    }
 
-  if (!user || user.role !== 'Borrower') {
-    return res.status(403).json({ success: false, error: 'Only borrowers can make repayment payments' });
+    res.json({ success: true, data: prepaymentService.foreclosureQuote(loan) });
+  } catch (error) {
+    sendLoanError(res, error, 'Failed to quote foreclosure');
   }
-  if (!loan || loan.status !== 'Active') {
-    return res.status(400).json({ success: false, error: 'Loan not active' });
+});
+
+// What a part-prepayment of ?amount= leaves under each option (shorter tenure or lower EMI) - Borrower only
+router.get('/:id/prepayment-quote', authenticateToken, async (req, res) => {
+  try {
+    const loan = await findLoan(req, res);
+    if (!loan) return;
+    if (!loan.borrowerId.equals(req.user.id)) {
+      return res.status(403).json({ success: false, error: 'Only the borrower can request a prepayment quote' });
+    }
+
+    res.json({ success: true, data: prepaymentService.prepaymentQuote(loan, Number(req.query.amount)) });
+  } catch (error) {
+    sendLoanError(res, error, 'Failed to quote prepayment');
   }
+});
 
-  const hash = require('crypto').createHash('sha512').update(`${payuKey}|${loan._id}_repay|${amount}|Loan Repayment|Borrower|borrower@example.com|||||||||||${payuSalt}`).digest('hex');
+// Pay off the loan through the payment gateway; settles as a full_repayment that moves it to REPAID
+router.post('/:id/foreclose', authenticateToken, authorize('loan:repay'), PaymentController.foreclose);
 
-  const response = await axios.post('https://test.payu.in/_payment', {
-    key: payuKey,
-    txnid: `${loan._id}_repay`,
-    amount,
-    productinfo: 'Loan Repayment',
-    firstname: 'Borrower',
-    email: 'borrower@example.com',
-    phone: '9999999999',
-    hash,
-    surl: 'http://localhost:8080/success',
-    furl: 'http://localhost:8080/failure',
+// Part-prepay the loan through the payment gateway, with { amount, option }
+router.post('/:id/prepay', authenticateToken, authorize('loan:repay'), allowFields('loan.prepay'), PaymentController.validatePrepayment, PaymentController.prepay);
+
+// File a hardship request (multipart: document, reason, description, planType, months | durationMonths) - Borrower only
+router.post('/:id/hardship', authenticateToken, (req, res, next) => {
+  hardshipUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ success: false, error: status === 413 ? 'Supporting document must be 5MB or smaller' : error.message });
+    }
+    next(error);
   });
+}, allowFields('loan.hardship'), async (req, res) => {
+  const { reason, description, planType, months, durationMonths } = req.body;
+  try {
+    const data = await restructuringService.request(req.params.id, {
+      borrowerId: req.user.id,
+      reason,
+      description,
+      plan: { type: planType, months, durationMonths },
+      document: req.file
+    });
+    res.status(201).json({ success: true, message: 'Hardship request sent to your lenders', data });
+  } catch (error) {
+    sendHardshipError(res, error, 'Failed to file hardship request');
+  }
+});
 
-  loan.repaidAmount += amount;
-  const totalOwed = loan.amount + (loan.amount * loan.interestRate / 100);
-  if (loan.repaidAmount >= totalOwed) {
-    loan.status = 'Completed';
-    loan.paymentStatus = 'Repaid';
+// Hardship requests of a loan, newest first - Borrower or lenders
+router.get('/:id/hardship', authenticateToken, async (req, res) => {
+  try {
+    const data = await restructuringService.list(req.params.id, { userId: req.user.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendHardshipError(res, error, 'Failed to list hardship requests');
   }
+});
 
-  await loan.save();
-  res.json({ success: true, paymentUrl: response.data });
+// Download a hardship request's supporting document - Borrower or lenders
+router.get('/:id/hardship/:requestId/document', authenticateToken, async (req, res) => {
+  try {
+    const document = await restructuringService.document(req.params.id, req.params.requestId, { userId: req.user.id });
+    res.set('Content-Type', document.mimeType);
+    res.set('Content-Disposition', `attachment; filename="${document.fileName.replace(/"/g, '')}"`);
+    res.send(document.data);
+  } catch (error) {
+    sendHardshipError(res, error, 'Failed to get hardship document');
+  }
 });
 
-// Repay loan (Borrower-only)
-router.post('/:id/repay', authenticateToken, async (req, res) => {
-  const { amount } = req.body;
-  const loan = await Loan.findById(req.params.id);
-  const user = await User.findById(req.user.id);
+// Approve a hardship request with an optional { note }; the last lender's approval restructures the loan
+router.post('/:id/hardship/:requestId/approve', authenticateToken, allowFields('loan.hardship_decision'), async (req, res) => {
+  try {
+    const data = await restructuringService.approve(req.params.id, req.params.requestId, {
+      lenderId: req.user.id,
+      note: req.body.note
+    });
+    const message = data.status === 'approved' ? 'Loan restructured' : 'Approval recorded; waiting for the other lenders';
+    res.json({ success: true, message, data });
+  } catch (error) {
+    sendHardshipError(res, error, 'Failed to approve hardship request');
+  }
+});
 
-  if (!loan) {
-    return res.status(404).json({ success: false, error: 'Loan not found' });
+// Reject a hardship request with { reason }
+router.post('/:id/hardship/:requestId/reject', authenticateToken, allowFields('loan.hardship_decision'), async (req, res) => {
+  if (!req.body.reason) {
+    return res.status(400).json({ success: false, error: 'reason is required' });
   }
-  if (!user || user.role !== 'Borrower') {
-    return res.status(403).json({ success: false, error: 'Only borrowers can repay loans' });
+
+  try {
+    const data = await restructuringService.reject(req.params.id, req.params.requestId, {
+      lenderId: req.user.id,
+      reason: req.body.reason
+    });
+    res.json({ success: true, message: 'Hardship request rejected', data });
+  } catch (error) {
+    sendHardshipError(res, error, 'Failed to reject hardship request');
   }
+});
 
-  loan.repaidAmount += amount;
+// Collateral pledged to a loan - Borrower or lenders
+router.get('/:id/collateral', authenticateToken, async (req, res) => {
+  try {
+    const data = await collateralService.forLoan(req.params.id, { userId: req.user.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendCollateralError(res, error, 'Failed to get loan collateral');
+  }
+});
 
-  const totalOwed = loan.amount + (loan.amount * loan.interestRate / 100);
-  if (loan.repaidAmount >= totalOwed) {
-    loan.status = 'Completed';
+// Offer thread of a requested loan: every offer for the borrower, a lender's own negotiation for a lender
+router.get('/:id/offers', authenticateToken, async (req, res) => {
+  try {
+    const data = await offerService.thread(req.params.id, { userId: req.user.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to list offers');
   }
+});
 
-  await loan.save();
-  res.json({
-    success: true,
-    data: loan,
-  });
+// Offer different terms { amount, interestRate, duration, note, expiresInHours } on a requested loan - Lender only
+router.post('/:id/offers', authenticateToken, authorize('loan:fund'), allowFields('loan.offer'), async (req, res) => {
+  const { amount, interestRate, duration, note, expiresInHours } = req.body;
+  try {
+    const data = await offerService.propose(req.params.id, {
+      lenderId: req.user.id,
+      terms: { amount, interestRate, duration },
+      note,
+      expiresInHours
+    });
+    res.status(201).json({ success: true, message: 'Offer sent to the borrower', data });
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to make offer');
+  }
+});
+
+// Accept an open offer; its terms become the loan's and its lender is committed to fund it
+router.post('/:id/offers/:offerId/accept', authenticateToken, async (req, res) => {
+  try {
+    const { offer, loan } = await offerService.accept(req.params.id, req.params.offerId, { userId: req.user.id });
+    res.json({ success: true, message: 'Offer accepted. The lender can now fund the loan into escrow.', data: { offer, loan } });
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to accept offer');
+  }
+});
+
+// Reject an open offer with an optional { reason }
+router.post('/:id/offers/:offerId/reject', authenticateToken, allowFields('loan.offer_response'), async (req, res) => {
+  try {
+    const data = await offerService.reject(req.params.id, req.params.offerId, { userId: req.user.id, reason: req.body.reason });
+    res.json({ success: true, message: 'Offer rejected', data });
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to reject offer');
+  }
+});
+
+// Counter an open offer with { amount, interestRate, duration, note, expiresInHours }
+router.post('/:id/offers/:offerId/counter', authenticateToken, allowFields('loan.offer'), async (req, res) => {
+  const { amount, interestRate, duration, note, expiresInHours } = req.body;
+  try {
+    const data = await offerService.counter(req.params.id, req.params.offerId, {
+      userId: req.user.id,
+      terms: { amount, interestRate, duration },
+      note,
+      expiresInHours
+    });
+    res.status(201).json({ success: true, message: 'Counter-offer sent', data });
+  } catch (error) {
+    sendOfferError(res, error, 'Failed to counter offer');
+  }
+});
+
+// Guarantors and co-borrowers of a loan - Borrower, lenders or the parties themselves
+router.get('/:id/guarantors', authenticateToken, async (req, res) => {
+  try {
+    const data = await guarantorService.forLoan(req.params.id, { userId: req.user.id });
+    res.json({ success: true, data });
+  } catch (error) {
+    sendGuarantorError(res, error, 'Failed to list guarantors');
+  }
+});
+
+// Name a guarantor or co-borrower with { phone, role, relationship, liabilityPercent }; they are sent a consent code - Borrower only
+router.post('/:id/guarantors', authenticateToken, allowFields('loan.guarantor'), async (req, res) => {
+  const { phone, role, relationship, liabilityPercent } = req.body;
+  try {
+    const data = await guarantorService.invite(req.params.id, {
+      borrowerId: req.user.id,
+      phone,
+      role,
+      relationship,
+      liabilityPercent
+    });
+    res.status(201).json({ success: true, message: 'Consent code sent to the invitee', data });
+  } catch (error) {
+    sendGuarantorError(res, error, 'Failed to add guarantor');
+  }
+});
+
+// Consent to back the loan with the { code } received by SMS - Invitee only
+router.post('/:id/guarantors/:guarantorId/consent', authenticateToken, allowFields('loan.guarantor_consent'), async (req, res) => {
+  try {
+    const data = await guarantorService.consent(req.params.id, req.params.guarantorId, {
+      userId: req.user.id,
+      code: req.body.code
+    });
+    res.json({ success: true, message: 'Consent recorded', data });
+  } catch (error) {
+    sendGuarantorError(res, error, 'Failed to record consent');
+  }
 });
 
-// Fund loan (Lender-only, minimal stub)
-router.post('/:id/fund', authenticateToken, async (req, res) => {
+// Decline to back the loan - Invitee only
+router.post('/:id/guarantors/:guarantorId/decline', authenticateToken, async (req, res) => {
   try {
+    const data = await guarantorService.decline(req.params.id, req.params.guarantorId, { userId: req.user.id });
+    res.json({ success: true, message: 'Invitation declined', data });
+  } catch (error) {
+    sendGuarantorError(res, error, 'Failed to decline invitation');
+  }
+});
+
+// Send the invitee a new consent code - Borrower or invitee
+router.post('/:id/guarantors/:guarantorId/resend', authenticateToken, async (req, res) => {
+  try {
+    const data = await guarantorService.resendCode(req.params.id, req.params.guarantorId, { userId: req.user.id });
+    res.json({ success: true, message: 'New consent code sent', data });
+  } catch (error) {
+    sendGuarantorError(res, error, 'Failed to resend consent code');
+  }
+});
+
+// Remove a guarantor or co-borrower before disbursement - Borrower only
+router.delete('/:id/guarantors/:guarantorId', authenticateToken, async (req, res) => {
+  try {
+    const data = await guarantorService.remove(req.params.id, req.params.guarantorId, { borrowerId: req.user.id });
+    res.json({ success: true, message: 'Guarantor removed', data });
+  } catch (error) {
+    sendGuarantorError(res, error, 'Failed to remove guarantor');
+  }
+});
+
+// Fund loan (Lender-only): commit to the unfunded remainder and deposit the commitment into escrow
+router.post('/:id/fund', authenticateToken, authorize('loan:fund'), async (req, res) => {
+  try {
+    const loan = await findLoan(req, res);
+    if (!loan) return;
     const user = await User.findById(req.user.id);
-    if (!user || user.role !== 'Lender') {
-      return res.status(403).json({ success: false, error: 'Only lenders can fund loans' });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
     }
 
-    const loan = await Loan.findById(req.params.id);
-    if (!loan) {
-      return res.status(404).json({ success: false, error: 'Loan not found' });
+    // Funds whatever the syndicate has not covered yet; lenders already committed
+    // through matching use this to deposit their commitment
+    const approving = loan.canTransition('approve');
+    if (approving) {
+      loan.applyTransition('approve', { actor: user._id });
+    } else if (!loan.canTransition('disburse')) {
+      return sendTransitionError(res, new InvalidTransitionError(loan.status, 'fund'));
     }
-    if (loan.status !== 'Pending') {
-      return res.status(400).json({ success: false, error: 'Loan must be Pending to fund' });
+    loan.addLenderCommitment(user._id, loan.amount - loan.fundedAmount);
+    await loan.save();
+
+    if (approving) {
+      eventBus.emitEvent('loan.approved', {
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        lenderId: loan.lenderId,
+        lenders: loan.lenders.map(({ lenderId, amount }) => ({ lenderId, amount })),
+        amount: loan.amount,
+        interestRate: loan.interestRate,
+        duration: loan.duration
+      }, { source: 'loan_routes', userId: user._id });
     }
 
-    loan.lenderId = user._id; // record lender association
-    await loan.save();
+    const position = loan.lenders.find(entry => entry.lenderId.equals(user._id));
+    const owed = position ? round2(position.amount - await escrowService.depositedBy(loan._id, user._id)) : 0;
+    if (owed <= 0) {
+      return res.status(409).json({ success: false, error: 'Your commitment is already deposited in escrow' });
+    }
+
+    const payment = await createLoanPayment(loan, user, {
+      type: 'escrow_deposit',
+      amount: owed,
+      description: 'Loan Escrow Deposit',
+      lenderId: user._id
+    });
+    const escrow = await escrowService.openDeposit(loan, payment.transaction);
 
     return res.json({
       success: true,
-      message: 'Funding recorded. Awaiting payment integration.',
-      data: loan,
+      message: 'Funding recorded. Complete the payment to move it into escrow.',
+      data: {
+        loan,
+        escrow,
+        transactionId: payment.transaction.transactionId,
+        order: payment.order,
+        checkout: payment.order.checkout
+      },
     });
-  } catch (e) {
-    console.error('Fund loan error:', e);
-    return res.status(500).json({ success: false, error: 'Failed to record funding' });
+  } catch (error) {
+    sendLoanError(res, error, 'Failed to record funding');
   }
 });
 
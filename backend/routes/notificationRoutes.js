@@ -3,6 +3,7 @@ const router = express.Router();
 const NotificationController = require('../controllers/notificationController');
 const { body } = require('express-validator');
 const rateLimit = require('express-rate-limit');
+const { authenticateToken, authorize, allowFields, selfOr } = require('../middleware/auth');
 
 // Rate limiting for notification endpoints
 const notificationRateLimit = rateLimit({
@@ -181,6 +182,9 @@ const bulkNotificationRateLimit = rateLimit({
  */
 router.post('/send',
   notificationRateLimit,
+  authenticateToken,
+  authorize('notification:send'),
+  allowFields('notification.send'),
   NotificationController.validateSendNotification,
   NotificationController.sendNotification
 );
@@ -229,6 +233,9 @@ router.post('/send',
  */
 router.post('/send-bulk',
   bulkNotificationRateLimit,
+  authenticateToken,
+  authorize('notification:send'),
+  allowFields('notification.send_bulk'),
   NotificationController.validateBulkSend,
   NotificationController.sendBulkNotifications
 );
@@ -249,12 +256,14 @@ router.post('/send-bulk',
  *     responses:
  *       200:
  *         description: Notification status retrieved successfully
+ *       403:
+ *         description: Not the caller's notification (Admin and Support can see any)
  *       404:
  *         description: Notification not found
  *       500:
  *         description: Internal server error
  */
-router.get('/status/:notificationId', NotificationController.getNotificationStatus);
+router.get('/status/:notificationId', authenticateToken, NotificationController.getNotificationStatus);
 
 /**
  * @swagger
@@ -302,7 +311,11 @@ router.get('/status/:notificationId', NotificationController.getNotificationStat
  *       500:
  *         description: Internal server error
  */
-router.get('/user/:userId', NotificationController.getUserNotifications);
+router.get('/user/:userId',
+  authenticateToken,
+  selfOr('notification:read:any', 'params'),
+  NotificationController.getUserNotifications
+);
 
 /**
  * @swagger
@@ -317,24 +330,15 @@ router.get('/user/:userId', NotificationController.getUserNotifications);
  *         schema:
  *           type: string
  *         description: Notification ID
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               userId:
- *                 type: string
- *                 description: User ID (if not authenticated)
  *     responses:
  *       200:
  *         description: Notification marked as read
  *       404:
- *         description: Notification not found
+ *         description: Notification not found, or not the caller's
  *       500:
  *         description: Internal server error
  */
-router.post('/mark-read/:notificationId', NotificationController.markNotificationAsRead);
+router.post('/mark-read/:notificationId', authenticateToken, NotificationController.markNotificationAsRead);
 
 /**
  * @swagger
@@ -360,7 +364,12 @@ router.post('/mark-read/:notificationId', NotificationController.markNotificatio
  *       500:
  *         description: Internal server error
  */
-router.post('/process-offline-queue', NotificationController.processOfflineQueue);
+router.post('/process-offline-queue',
+  authenticateToken,
+  allowFields('notification.queue'),
+  selfOr('notification:manage', 'body'),
+  NotificationController.processOfflineQueue
+);
 
 /**
  * @swagger
@@ -395,7 +404,12 @@ router.post('/process-offline-queue', NotificationController.processOfflineQueue
  *       500:
  *         description: Internal server error
  */
-router.post('/retry/:notificationId', NotificationController.retryNotification);
+router.post('/retry/:notificationId',
+  authenticateToken,
+  authorize('notification:manage'),
+  allowFields('notification.retry'),
+  NotificationController.retryNotification
+);
 
 /**
  * @swagger
@@ -432,7 +446,7 @@ router.post('/retry/:notificationId', NotificationController.retryNotification);
  *       500:
  *         description: Internal server error
  */
-router.get('/analytics', NotificationController.getAnalytics);
+router.get('/analytics', authenticateToken, authorize('notification:manage'), NotificationController.getAnalytics);
 
 // Health check endpoint
 /**
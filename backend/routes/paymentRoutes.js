@@ -3,6 +3,8 @@ const router = express.Router();
 const PaymentController = require('../controllers/paymentController');
 const { body } = require('express-validator');
 const rateLimit = require('express-rate-limit');
+const paymentGateway = require('../services/paymentProviders');
+const { authenticateToken, authorize, allowFields, adminConsole } = require('../middleware/auth');
 
 // Rate limiting for payment endpoints
 const paymentRateLimit = rateLimit({
@@ -52,32 +54,32 @@ const webhookRateLimit = rateLimit({
  *           description: Payment amount in rupees
  *         paymentType:
  *           type: string
- *           enum: [loan_disbursement, emi_payment, full_repayment, penalty]
+ *           enum: [emi_payment, full_repayment]
  *           default: emi_payment
  *         currency:
  *           type: string
  *           enum: [INR, USD]
  *           default: INR
- *         metadata:
- *           type: object
- *           description: Additional payment metadata
  * 
  *     PaymentConfirmation:
  *       type: object
  *       required:
- *         - razorpay_order_id
- *         - razorpay_payment_id
- *         - razorpay_signature
+ *         - orderId
+ *         - paymentId
+ *         - signature
  *       properties:
- *         razorpay_order_id:
+ *         orderId:
  *           type: string
- *           description: Razorpay order ID
- *         razorpay_payment_id:
+ *           description: Gateway order ID (razorpay_order_id is accepted as an alias)
+ *         paymentId:
  *           type: string
- *           description: Razorpay payment ID
- *         razorpay_signature:
+ *           description: Gateway payment ID (razorpay_payment_id is accepted as an alias)
+ *         signature:
  *           type: string
- *           description: Razorpay payment signature for verification
+ *           description: Payment signature for verification (razorpay_signature is accepted as an alias)
+ *         payload:
+ *           type: object
+ *           description: Full checkout callback, for providers that sign more fields (PayU)
  *         transactionId:
  *           type: string
  *           description: Internal transaction ID (optional)
@@ -122,6 +124,10 @@ const webhookRateLimit = rateLimit({
  *                       type: string
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Caller is not the loan's borrower or lender, or the parties do not match the loan
+ *       404:
+ *         description: Loan not found
  *       429:
  *         description: Rate limit exceeded
  *       500:
@@ -129,6 +135,8 @@ const webhookRateLimit = rateLimit({
  */
 router.post('/initiate', 
   paymentRateLimit,
+  authenticateToken,
+  allowFields('payment.initiate'),
   PaymentController.validateInitiatePayment,
   PaymentController.initiatePayment
 );
@@ -137,7 +145,7 @@ router.post('/initiate',
  * @swagger
  * /api/payments/confirm:
  *   post:
- *     summary: Confirm payment after successful Razorpay transaction
+ *     summary: Confirm payment after a successful gateway checkout
  *     tags: [Payments]
  *     requestBody:
  *       required: true
@@ -171,6 +179,8 @@ router.post('/initiate',
  *                       description: Blockchain transaction hash
  *       400:
  *         description: Validation error or payment verification failed
+ *       403:
+ *         description: Not a party to the transaction
  *       404:
  *         description: Transaction not found
  *       500:
@@ -178,6 +188,8 @@ router.post('/initiate',
  */
 router.post('/confirm',
   paymentRateLimit,
+  authenticateToken,
+  allowFields('payment.confirm'),
   PaymentController.validateConfirmPayment,
   PaymentController.confirmPayment
 );
@@ -206,7 +218,7 @@ router.post('/confirm',
  *                 minimum: 1
  *               repaymentType:
  *                 type: string
- *                 enum: [emi_payment, full_repayment, penalty]
+ *                 enum: [emi_payment, full_repayment]
  *                 default: emi_payment
  *               emiNumber:
  *                 type: integer
@@ -214,16 +226,22 @@ router.post('/confirm',
  *               autoDebit:
  *                 type: boolean
  *                 default: false
+ *                 description: Debit what is due now through the loan's active mandate instead of creating an order
  *     responses:
  *       200:
  *         description: Repayment order created or processed
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Not the loan's borrower
  *       500:
  *         description: Internal server error
  */
 router.post('/repayment',
   paymentRateLimit,
+  authenticateToken,
+  authorize('loan:repay'),
+  allowFields('payment.repayment'),
   PaymentController.validateRepayment,
   PaymentController.processRepayment
 );
@@ -244,12 +262,14 @@ router.post('/repayment',
  *     responses:
  *       200:
  *         description: Transaction details retrieved successfully
+ *       403:
+ *         description: Not a party to the transaction (Admin and Support can see any)
  *       404:
  *         description: Transaction not found
  *       500:
  *         description: Internal server error
  */
-router.get('/status/:transactionId', PaymentController.getTransactionStatus);
+router.get('/status/:transactionId', authenticateToken, PaymentController.getTransactionStatus);
 
 /**
  * @swagger
@@ -281,19 +301,100 @@ router.get('/status/:transactionId', PaymentController.getTransactionStatus);
  *           enum: [pending, confirmed, failed]
  *     responses:
  *       200:
- *         description: Payment history retrieved successfully
+ *         description: Payment history, with a receipt link for each confirmed payment and the statement link
+ *       403:
+ *         description: Not the borrower or a lender of the loan (Admin and Support can see any)
+ *       404:
+ *         description: Loan not found
  *       500:
  *         description: Internal server error
  */
-router.get('/history/:loanId', PaymentController.getPaymentHistory);
+router.get('/history/:loanId', authenticateToken, PaymentController.getPaymentHistory);
+
+/**
+ * @swagger
+ * /api/payments/history/{loanId}/statement:
+ *   get:
+ *     summary: Download a loan account statement (English and Hindi PDF)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day, defaults to the disbursement date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (inclusive), defaults to today
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Opening balance, payments, late fees, refunds and closing balance
+ *       400:
+ *         description: Invalid date range
+ *       403:
+ *         description: Not the borrower or a lender of the loan
+ *       404:
+ *         description: Loan not found
+ */
+router.get('/history/:loanId/statement', authenticateToken, PaymentController.getLoanStatement);
+
+/**
+ * @swagger
+ * /api/payments/history/{loanId}/receipts/{transactionId}:
+ *   get:
+ *     summary: Download the receipt of a confirmed payment (English and Hindi PDF)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Receipt with the amount split, outstanding balance and blockchain hash
+ *       403:
+ *         description: Not the borrower or a lender of the loan
+ *       404:
+ *         description: Loan or transaction not found
+ *       409:
+ *         description: Transaction is not a confirmed payment
+ */
+router.get('/history/:loanId/receipts/:transactionId', authenticateToken, PaymentController.getPaymentReceipt);
 
 /**
  * @swagger
  * /api/payments/webhook:
  *   post:
- *     summary: Handle Razorpay webhooks
+ *     summary: Handle webhooks from the configured payment provider
  *     tags: [Payments]
- *     description: Webhook endpoint for Razorpay payment status updates
+ *     description: Webhook endpoint for payment status updates; /webhook/{provider} targets razorpay, payu or mock explicitly
  *     requestBody:
  *       required: true
  *       content:
@@ -303,11 +404,11 @@ router.get('/history/:loanId', PaymentController.getPaymentHistory);
  *             description: Razorpay webhook payload
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook stored and processed, or a duplicate of a settled event
  *       400:
  *         description: Invalid webhook signature
  *       500:
- *         description: Webhook processing failed
+ *         description: Webhook processing failed; the gateway should retry
  */
 router.post('/webhook',
   webhookRateLimit,
@@ -315,6 +416,366 @@ router.post('/webhook',
   PaymentController.handleWebhook
 );
 
+router.post('/webhook/:provider',
+  webhookRateLimit,
+  express.raw({ type: 'application/json' }),
+  PaymentController.handleWebhook
+);
+
+/**
+ * @swagger
+ * /api/payments/webhooks:
+ *   get:
+ *     summary: List stored webhook events (admin)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer token of an Admin signed in with the second factor
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processed, ignored, deferred, failed]
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [razorpay, payu, mock]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Webhook events, newest first
+ *       403:
+ *         description: Admin console access required
+ */
+router.get('/webhooks', adminConsole, PaymentController.listWebhooks);
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{id}/replay:
+ *   post:
+ *     summary: Re-process a stored webhook event (admin)
+ *     tags: [Payments]
+ *     description: Runs the event through its handler again; handlers are idempotent, so an event that was already applied changes nothing
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer token of an Admin signed in with the second factor
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stored event ID or the provider's event ID
+ *     responses:
+ *       200:
+ *         description: Event re-processed
+ *       403:
+ *         description: Admin console access required
+ *       404:
+ *         description: Webhook event not found
+ */
+router.post('/webhooks/:id/replay', adminConsole, PaymentController.replayWebhook);
+
+/**
+ * @swagger
+ * /api/payments/reconciliation:
+ *   post:
+ *     summary: Reconcile transactions with the payment gateway (admin)
+ *     tags: [Payments]
+ *     description: Compares transactions and gateway payments in the range, auto-fixes clear-cut mismatches and flags the rest. Also runs daily with the loan scheduler.
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer token of an Admin signed in with the second factor
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Default RECONCILIATION_WINDOW_HOURS before `to`
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Default now
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *       403:
+ *         description: Admin console access required
+ *   get:
+ *     summary: List reconciliation runs (admin)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer token of an Admin signed in with the second factor
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Reports without their items, newest first
+ *       403:
+ *         description: Admin console access required
+ */
+router.post('/reconciliation',
+  adminConsole,
+  PaymentController.validateReconciliation,
+  PaymentController.runReconciliation
+);
+
+router.get('/reconciliation', adminConsole, PaymentController.listReconciliations);
+
+/**
+ * @swagger
+ * /api/payments/reconciliation/{reportId}/report:
+ *   get:
+ *     summary: Download a reconciliation report (admin)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer token of an Admin signed in with the second factor
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *         description: csv lists one mismatch per row; json adds the audit record of every automatic fix
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Admin console access required
+ *       404:
+ *         description: Reconciliation report not found
+ */
+router.get('/reconciliation/:reportId/report', adminConsole, PaymentController.getReconciliationReport);
+
+/**
+ * @swagger
+ * /api/payments/{transactionId}/refund:
+ *   post:
+ *     summary: Request a full or partial refund of a repayment
+ *     tags: [Payments]
+ *     description: Only the borrower or lender of the transaction can ask; the refund waits for admin approval
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer token
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reasonCode
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount in rupees (default: everything still refundable)
+ *               reasonCode:
+ *                 type: string
+ *                 enum: [duplicate_payment, overpayment, payment_error, service_issue, customer_request, other]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Refund requested
+ *       400:
+ *         description: Invalid amount or reason
+ *       403:
+ *         description: Not a party to the transaction
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Transaction cannot be refunded
+ */
+router.post('/:transactionId/refund',
+  paymentRateLimit,
+  authenticateToken,
+  allowFields('payment.refund'),
+  PaymentController.validateRefundRequest,
+  PaymentController.requestRefund
+);
+
+/**
+ * @swagger
+ * /api/payments/mandates:
+ *   post:
+ *     summary: Start an auto-debit mandate for a loan (borrower)
+ *     tags: [Payments]
+ *     description: Returns the checkout the borrower completes to authorize the mandate; confirm it with /mandates/{mandateId}/confirm
+ *     parameters:
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - loanId
+ *               - method
+ *             properties:
+ *               loanId:
+ *                 type: string
+ *               method:
+ *                 type: string
+ *                 enum: [upi_autopay, emandate]
+ *               maxAmount:
+ *                 type: number
+ *                 description: Largest single debit in rupees (default: the loan's outstanding amount)
+ *     responses:
+ *       201:
+ *         description: Mandate created, awaiting authorization
+ *       400:
+ *         description: Invalid method or limit below an installment
+ *       403:
+ *         description: Not the loan's borrower
+ *       409:
+ *         description: Loan cannot be repaid or already has an active mandate
+ *       502:
+ *         description: Payment gateway error
+ *   get:
+ *     summary: List the borrower's mandates
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: query
+ *         name: loanId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mandates with their charge history, newest first
+ */
+router.post('/mandates',
+  paymentRateLimit,
+  authenticateToken,
+  allowFields('mandate.register'),
+  PaymentController.validateMandate,
+  PaymentController.registerMandate
+);
+
+router.get('/mandates', authenticateToken, PaymentController.listMandates);
+
+/**
+ * @swagger
+ * /api/payments/mandates/{mandateId}/confirm:
+ *   post:
+ *     summary: Record a completed mandate authorization (borrower)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: mandateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentId:
+ *                 type: string
+ *                 description: Authorization payment ID (razorpay_payment_id is accepted as an alias)
+ *               signature:
+ *                 type: string
+ *                 description: Checkout signature (razorpay_signature is accepted as an alias)
+ *     responses:
+ *       200:
+ *         description: Mandate active, or pending until the bank confirms it
+ *       400:
+ *         description: Invalid signature
+ *       409:
+ *         description: Mandate is not awaiting authorization
+ */
+router.post('/mandates/:mandateId/confirm',
+  authenticateToken,
+  allowFields('mandate.confirm'),
+  PaymentController.validateConfirmMandate,
+  PaymentController.confirmMandate
+);
+
+/**
+ * @swagger
+ * /api/payments/mandates/{mandateId}/revoke:
+ *   post:
+ *     summary: Revoke a mandate (borrower)
+ *     tags: [Payments]
+ *     description: Stops auto-debit and cancels the mandate at the gateway
+ *     parameters:
+ *       - in: path
+ *         name: mandateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mandate revoked
+ *       403:
+ *         description: Not the mandate's borrower
+ *       409:
+ *         description: Mandate is already revoked or completed
+ */
+router.post('/mandates/:mandateId/revoke', authenticateToken, allowFields('mandate.revoke'), PaymentController.revokeMandate);
+
 // Health check endpoint
 /**
  * @swagger
@@ -334,7 +795,7 @@ router.get('/health', (req, res) => {
     message: 'Payment service is healthy',
     timestamp: new Date(),
     services: {
-      razorpay: 'operational',
+      gateway: paymentGateway.getStatus(),
       blockchain: 'operational',
       database: 'operational'
     }
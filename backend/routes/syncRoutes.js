@@ -3,6 +3,7 @@ const router = express.Router();
 const SyncController = require('../controllers/syncController');
 const { body } = require('express-validator');
 const rateLimit = require('express-rate-limit');
+const { authenticateToken, allowFields, selfOr } = require('../middleware/auth');
 
 // Rate limiting for sync endpoints
 const syncRateLimit = rateLimit({
@@ -171,6 +172,8 @@ const uploadRateLimit = rateLimit({
  */
 router.get('/data',
   syncRateLimit,
+  authenticateToken,
+  selfOr('sync:any', 'query'),
   SyncController.getSyncData
 );
 
@@ -226,6 +229,9 @@ router.get('/data',
  */
 router.post('/upload',
   uploadRateLimit,
+  authenticateToken,
+  allowFields('sync.upload'),
+  selfOr('sync:any', 'body'),
   SyncController.validateUpload,
   SyncController.uploadOfflineOperations
 );
@@ -275,6 +281,9 @@ router.post('/upload',
  */
 router.post('/resolve-conflict',
   syncRateLimit,
+  authenticateToken,
+  allowFields('sync.resolve_conflict'),
+  selfOr('sync:any', 'body'),
   SyncController.validateConflictResolution,
   SyncController.resolveConflict
 );
@@ -326,7 +335,7 @@ router.post('/resolve-conflict',
  *       500:
  *         description: Internal server error
  */
-router.get('/status/:userId', SyncController.getSyncStatus);
+router.get('/status/:userId', authenticateToken, selfOr('sync:any', 'params'), SyncController.getSyncStatus);
 
 /**
  * @swagger
@@ -388,6 +397,9 @@ router.get('/status/:userId', SyncController.getSyncStatus);
  */
 router.post('/full-sync',
   syncRateLimit,
+  authenticateToken,
+  allowFields('sync.full_sync'),
+  selfOr('sync:any', 'body'),
   [
     body('userId').isMongoId().withMessage('Valid user ID is required'),
     body('deviceId').optional().notEmpty().withMessage('Device ID cannot be empty')
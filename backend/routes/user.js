@@ -1,7 +1,10 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, allowFields } = require('../middleware/auth');
+const { can } = require('../utils/policies');
 const User = require('../models/User');
+const riskScoringService = require('../services/riskScoringService');
 
 router.get('/profile', authenticateToken, async (req, res) => {
   const user = await User.findById(req.user.id);
@@ -24,14 +27,14 @@ router.get('/profile', authenticateToken, async (req, res) => {
   });
 });
 
-router.put('/profile', authenticateToken, async (req, res) => {
-  const updates = req.body;
+// Only the fields in WRITABLE_FIELDS['user.profile']; role, KYC and contact details are not self-service
+router.put('/profile', authenticateToken, allowFields('user.profile'), async (req, res) => {
   const user = await User.findById(req.user.id);
   if (!user) {
     return res.status(404).json({ success: false, error: 'User not found' });
   }
 
-  Object.assign(user, updates);
+  user.set(req.body);
   await user.save();
   res.json({
     success: true,
@@ -47,4 +50,33 @@ router.get('/kyc', authenticateToken, async (req, res) => {
   });
 });
 
+// Explainable credit risk score; borrowers see their own, lenders and staff can assess any borrower
+router.get('/:id/risk-score', authenticateToken, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  if (req.user.id !== req.params.id && !can(req.user.role, 'risk_score:read:any')) {
+    return res.status(403).json({ success: false, error: 'Not allowed to view this risk score' });
+  }
+
+  const amount = req.query.amount ? Number(req.query.amount) : undefined;
+  if (amount !== undefined && !(amount > 0)) {
+    return res.status(400).json({ success: false, error: 'amount must be a positive number' });
+  }
+
+  try {
+    const result = await riskScoringService.computeScore(req.params.id, { amount, purpose: req.query.purpose });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const history = await riskScoringService.getHistory(req.params.id);
+    res.json({ success: true, data: { ...result, history } });
+  } catch (e) {
+    console.error('Risk score error:', e);
+    res.status(500).json({ success: false, error: 'Failed to compute risk score' });
+  }
+});
+
 module.exports = router;
@@ -1,23 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const ledgerService = require('../services/ledgerService');
 
-// Mock wallet data
-router.get('/balance', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    data: { balance: 50000, currency: 'INR' },
-  });
+function sendWalletError(res, error, fallback) {
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ success: false, error: fallback });
+}
+
+// Wallet balance, computed from the ledger
+router.get('/balance', authenticateToken, async (req, res) => {
+  try {
+    const balance = await ledgerService.getBalance(req.user.id);
+    res.json({
+      success: true,
+      data: { balance, currency: 'INR' },
+    });
+  } catch (error) {
+    sendWalletError(res, error, 'Failed to get wallet balance');
+  }
 });
 
-router.get('/transactions', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      { id: 1, type: 'credit', amount: 10000, description: 'Loan repayment', date: '2024-10-01' },
-      { id: 2, type: 'debit', amount: 25000, description: 'Loan disbursed', date: '2024-09-15' },
-    ],
-  });
+// Wallet movements from the ledger, newest first
+router.get('/transactions', authenticateToken, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  try {
+    const transactions = await ledgerService.getStatement(req.user.id, { limit });
+    res.json({ success: true, data: transactions });
+  } catch (error) {
+    sendWalletError(res, error, 'Failed to get wallet transactions');
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { ROLES } = require('../utils/policies');
+
+// Usage: node scripts/assignRole.js <uniqueId|email> <role>
+// Bootstraps the first Admin; after that, admins assign roles through PUT /api/admin/users/:userId/role
+async function run() {
+	const [account, role] = process.argv.slice(2);
+	if (!account || !ROLES.includes(role)) {
+		console.error(`Usage: node scripts/assignRole.js <uniqueId|email> <${ROLES.join('|')}>`);
+		process.exit(1);
+	}
+
+	try {
+		const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/ruralconnect';
+		await mongoose.connect(mongoUri);
+		console.log('Connected to', mongoUri);
+		const user = await User.findOne({ $or: [{ uniqueId: account }, { email: account }] });
+		if (!user) {
+			console.error('No user with unique ID or email', account);
+		} else {
+			user.role = role;
+			await user.save();
+			// Sign the user out so their next sign-in carries the new role
+			const res = await AuthSession.updateMany(
+				{ userId: user._id, revokedAt: null },
+				{ $set: { revokedAt: new Date(), revokedReason: 'role_changed' } }
+			);
+			console.log(`${user.email} is now ${role}; ended ${res.modifiedCount} session(s)`);
+		}
+	} catch (err) {
+		console.error('Error:', err.message);
+	} finally {
+		await mongoose.connection.close();
+		process.exit(0);
+	}
+}
+
+run();
@@ -15,6 +15,9 @@ const faceRoutes = require('./routes/face');
 const analyticsRoutes = require('./routes/analytics');
 const walletRoutes = require('./routes/wallet');
 const userRoutes = require('./routes/user');
+const investmentRoutes = require('./routes/investments');
+const collateralRoutes = require('./routes/collateral');
+const adminRoutes = require('./routes/admin');
 
 // Import new integrated routes
 const paymentRoutes = require('./routes/paymentRoutes');
@@ -26,6 +29,10 @@ const eventBus = require('./utils/eventBus');
 const blockchainService = require('./services/blockchainService');
 const firebaseService = require('./services/firebaseService');
 const twilioService = require('./services/twilioService');
+const loanScheduler = require('./services/loanScheduler');
+const paymentGateway = require('./services/paymentProviders');
+const tokenService = require('./services/tokenService');
+const { TokenError } = require('./services/tokenService');
 
 const app = express();
 const httpServer = createServer(app);
@@ -37,6 +44,7 @@ mongoose.connect(mongoUri, {
   serverSelectionTimeoutMS: 5000,
 }).then(() => {
   console.log('✅ Connected to MongoDB successfully!');
+  loanScheduler.start();
 }).catch(err => {
   console.error('❌ MongoDB connection failed:', err.message);
   console.log('⚠️  Server will continue to run without database connection');
@@ -78,8 +86,10 @@ const generalLimiter = rateLimit({
 });
 app.use(generalLimiter);
 
-app.use(bodyParser.json({ limit: '50mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
+// Payment webhooks are signed over the exact bytes received, so keep them alongside the parsed body
+const keepRawBody = (req, res, buf) => { req.rawBody = buf.toString('utf8'); };
+app.use(bodyParser.json({ limit: '50mb', verify: keepRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '50mb', verify: keepRawBody }));
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -88,6 +98,10 @@ app.use('/api/face', faceRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/investments', investmentRoutes);
+app.use('/api/collateral', collateralRoutes);
+app.use('/api/admin', adminRoutes);
 
 // New integrated routes
 app.use('/api/payments', paymentRoutes);
@@ -105,36 +119,13 @@ app.get('/api/health', (req, res) => {
       mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
       blockchain: blockchainService.getNetworkInfo().mockMode ? 'mock' : 'operational',
       firebase: firebaseService.getStatus().mockMode ? 'mock' : 'operational',
-      twilio: twilioService.getStatus().mockMode ? 'mock' : 'operational'
+      twilio: twilioService.getStatus().mockMode ? 'mock' : 'operational',
+      loanScheduler: loanScheduler.getStatus().enabled ? 'scheduled' : 'disabled',
+      payments: paymentGateway.getStatus().provider
     }
   });
 });
 
-// Clear database endpoint (for development only)
-app.post('/api/clear-db', async (req, res) => {
-  try {
-    const db = mongoose.connection.db;
-    const collections = await db.listCollections().toArray();
-
-    for (const collection of collections) {
-      await db.collection(collection.name).drop();
-      console.log(`🗑️  Dropped collection: ${collection.name}`);
-    }
-
-    res.json({
-      success: true,
-      message: 'Database cleared successfully',
-      droppedCollections: collections.map(c => c.name)
-    });
-  } catch (error) {
-    console.error('Error clearing database:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to clear database'
-    });
-  }
-});
-
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({ success: false, error: 'Endpoint not found' });
@@ -160,12 +151,17 @@ const io = new Server(httpServer, {
 io.on('connection', (socket) => {
   console.log(`WebSocket client connected: ${socket.id}`);
 
-  socket.on('authenticate', (data) => {
-    const { userId, token } = data;
-    socket.userId = userId;
-    socket.join(`user:${userId}`);
-    console.log(`User ${userId} authenticated and joined room`);
-    socket.emit('authenticated', { success: true, message: 'Successfully authenticated', userId });
+  // The room is joined for the user the access token belongs to, not a userId the client names
+  socket.on('authenticate', async (data) => {
+    try {
+      const claims = await tokenService.verifyAccessToken(data && data.token);
+      socket.userId = claims.id;
+      socket.join(`user:${claims.id}`);
+      console.log(`User ${claims.id} authenticated and joined room`);
+      socket.emit('authenticated', { success: true, message: 'Successfully authenticated', userId: claims.id });
+    } catch (error) {
+      socket.emit('authenticated', { success: false, error: error instanceof TokenError ? error.message : 'Authentication failed' });
+    }
   });
 
   socket.on('sync:request', (data) => {
@@ -240,6 +236,16 @@ eventBus.on('transaction.confirmed', (data) => {
   }
 });
 
+// Loan offer changes reach both sides of the negotiation
+for (const action of ['created', 'countered', 'accepted', 'rejected', 'expired', 'superseded']) {
+  eventBus.on(`loan.offer_${action}`, (data) => {
+    if (io && data.borrowerId && data.lenderId) {
+      const { _metadata, ...offer } = data;
+      io.to(`user:${data.borrowerId}`).to(`user:${data.lenderId}`).emit(`offer:${action}`, offer);
+    }
+  });
+}
+
 httpServer.listen(PORT, () => {
   console.log(`🚀 Backend server running on port ${PORT}`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Loan = require('../models/Loan');
+const escrowService = require('./escrowService');
+const tokenService = require('./tokenService');
+const blockchainService = require('./blockchainService');
+const firebaseService = require('./firebaseService');
+const twilioService = require('./twilioService');
+const loanScheduler = require('./loanScheduler');
+const paymentGateway = require('./paymentProviders');
+const eventBus = require('../utils/eventBus');
+const { ROLES } = require('../utils/policies');
+
+// Loan events an admin may force; repayments, refunds and disbursement only happen through payments
+const OVERRIDE_EVENTS = ['approve', 'gracePeriod', 'default', 'cancel'];
+const KYC_DECISIONS = ['approve', 'reject'];
+
+// Never returned by user search: biometric data and document hashes
+const HIDDEN_USER_FIELDS = '-faceEmbedding -aadharHash -aadharSalt -credentialToken';
+
+const DEFAULT_CONFIG = {
+  maintenanceEnabled: process.env.ENABLE_MAINTENANCE_ENDPOINTS === 'true' && process.env.NODE_ENV !== 'production',
+  maxResults: 100
+};
+
+class AdminError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+  }
+}
+
+/**
+ * AdminService - What the admin console can see and change
+ * User search, manual KYC review, loan state overrides, role assignment, service health and the
+ * development-only maintenance actions. Every change is recorded on the record it touches
+ * (kycReview, the loan's stateHistory with source 'admin') and emitted on the event bus with the
+ * admin as the acting user, so the console leaves an audit trail.
+ */
+class AdminService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Find users by name, email, phone or unique ID
+   * @param {Object} filters
+   * @param {string} filters.q - Text to look for, case-insensitive
+   * @param {string} filters.role - Only this role
+   * @param {string} filters.kycVerified - 'true' | 'false'
+   * @param {number} filters.limit - Most results
+   * @returns {Promise<Array<Object>>} Users, newest first
+   */
+  async searchUsers({ q, role, kycVerified, limit = 20 } = {}) {
+    const query = {};
+    if (q) {
+      const pattern = new RegExp(String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ fullName: pattern }, { email: pattern }, { phone: pattern }, { uniqueId: pattern }];
+    }
+    if (role) {
+      if (!ROLES.includes(role)) throw new AdminError(`role must be one of ${ROLES.join(', ')}`, 400);
+      query.role = role;
+    }
+    if (kycVerified === 'true' || kycVerified === 'false') query.kycVerified = kycVerified === 'true';
+
+    return User.find(query).select(HIDDEN_USER_FIELDS).sort({ createdAt: -1 }).limit(this._limit(limit));
+  }
+
+  /**
+   * Accounts waiting for a KYC decision: phone verified but KYC incomplete, or passed against
+   * simulated DigiLocker data, and not reviewed yet
+   * @param {Object} options
+   * @param {number} options.limit - Most results
+   * @returns {Promise<Array<Object>>} Users, oldest first
+   */
+  async kycQueue({ limit = 50 } = {}) {
+    return User.find({
+      'kycReview.status': { $exists: false },
+      $or: [
+        { kycVerified: false, phoneVerified: true },
+        { 'digilockerData.simulatedMode': true }
+      ]
+    }).select(HIDDEN_USER_FIELDS).sort({ createdAt: 1 }).limit(this._limit(limit));
+  }
+
+  /**
+   * Approve or reject a user's KYC by hand
+   * @param {string} userId - User under review
+   * @param {Object} review
+   * @param {string} review.decision - approve | reject
+   * @param {string} review.note - Why; required to reject
+   * @param {string} adminId - Reviewing admin
+   * @returns {Promise<Object>} The user
+   * @throws {AdminError}
+   */
+  async reviewKyc(userId, { decision, note } = {}, adminId) {
+    if (!KYC_DECISIONS.includes(decision)) throw new AdminError('decision must be approve or reject', 400);
+    if (decision === 'reject' && !note) throw new AdminError('A note is required to reject KYC', 400);
+
+    const user = await this._user(userId);
+    user.kycVerified = decision === 'approve';
+    user.kycReview = {
+      status: decision === 'approve' ? 'approved' : 'rejected',
+      note,
+      reviewedBy: adminId,
+      reviewedAt: this.clock()
+    };
+    await user.save();
+
+    this._audit('admin.kyc_reviewed', { userId: user._id, decision, note }, adminId);
+    return user;
+  }
+
+  /**
+   * Force a loan state change the normal flow cannot reach, e.g. cancelling a stuck request
+   * @param {string} loanId - Loan ID
+   * @param {Object} override
+   * @param {string} override.event - approve | gracePeriod | default | cancel
+   * @param {string} override.note - Why; required
+   * @param {string} adminId - Acting admin
+   * @returns {Promise<Object>} { loan, refunds } (refunds only when cancelling)
+   * @throws {AdminError|InvalidTransitionError}
+   */
+  async overrideLoan(loanId, { event, note } = {}, adminId) {
+    if (!OVERRIDE_EVENTS.includes(event)) throw new AdminError(`event must be one of ${OVERRIDE_EVENTS.join(', ')}`, 400);
+    if (!note) throw new AdminError('A note is required for a loan override', 400);
+
+    const loan = mongoose.isValidObjectId(loanId) ? await Loan.findById(loanId) : null;
+    if (!loan) throw new AdminError('Loan not found', 404);
+    const from = loan.status;
+
+    let refunds = [];
+    if (event === 'cancel') {
+      ({ refunds } = await escrowService.cancelLoan(loan, { actor: adminId, source: 'admin', note }));
+    } else {
+      loan.applyTransition(event, { actor: adminId, source: 'admin', note });
+      await loan.save();
+    }
+
+    this._audit('admin.loan_override', { loanId: loan._id, event, from, to: loan.status, note }, adminId);
+    return { loan, refunds };
+  }
+
+  /**
+   * Give a user another role. Their sessions are ended so the new role takes effect at once.
+   * @param {string} userId - User to change
+   * @param {string} role - New role
+   * @param {string} adminId - Acting admin
+   * @returns {Promise<Object>} The user
+   * @throws {AdminError}
+   */
+  async setRole(userId, role, adminId) {
+    if (!ROLES.includes(role)) throw new AdminError(`role must be one of ${ROLES.join(', ')}`, 400);
+    if (String(userId) === String(adminId)) throw new AdminError('Admins cannot change their own role', 403);
+
+    const user = await this._user(userId);
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await tokenService.revokeAll(user._id, 'role_changed');
+
+    this._audit('admin.role_changed', { userId: user._id, from: previousRole, to: role }, adminId);
+    return user;
+  }
+
+  /**
+   * State of the database and every external service
+   * @returns {Object} Per-service status
+   */
+  health() {
+    // RPC URLs can carry provider API keys, so only the network is reported
+    const { name, chainId, mockMode, currentNetwork } = blockchainService.getNetworkInfo();
+    return {
+      mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+      blockchain: { network: currentNetwork, name, chainId, mockMode },
+      firebase: firebaseService.getStatus(),
+      twilio: twilioService.getStatus(),
+      loanScheduler: loanScheduler.getStatus(),
+      payments: paymentGateway.getStatus(),
+      process: { uptime: process.uptime(), memory: process.memoryUsage() }
+    };
+  }
+
+  /**
+   * Whether the maintenance actions may run: only when ENABLE_MAINTENANCE_ENDPOINTS=true outside production
+   * @returns {boolean}
+   */
+  maintenanceEnabled() {
+    return this.config.maintenanceEnabled;
+  }
+
+  /**
+   * Drop every collection. Development only; this also ends every session, the admin's included.
+   * @param {string} adminId - Acting admin
+   * @returns {Promise<Array<string>>} Dropped collections
+   * @throws {AdminError}
+   */
+  async clearDatabase(adminId) {
+    this._assertMaintenance();
+    this._audit('admin.database_cleared', {}, adminId);
+
+    const collections = await mongoose.connection.db.listCollections().toArray();
+    for (const collection of collections) {
+      await mongoose.connection.db.collection(collection.name).drop();
+    }
+    return collections.map(collection => collection.name);
+  }
+
+  /**
+   * Delete one user by email, or every user except the acting admin. Development only.
+   * @param {Object} options
+   * @param {string} options.email - Only this user
+   * @param {string} adminId - Acting admin
+   * @returns {Promise<number>} Users deleted
+   * @throws {AdminError}
+   */
+  async clearUsers({ email } = {}, adminId) {
+    this._assertMaintenance();
+
+    const query = email ? { email: String(email) } : {};
+    const result = await User.deleteMany({ ...query, _id: { $ne: adminId } });
+    this._audit('admin.users_cleared', { email, deletedCount: result.deletedCount }, adminId);
+    return result.deletedCount;
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  async _user(userId) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) throw new AdminError('User not found', 404);
+    return user;
+  }
+
+  /**
+   * @private
+   */
+  _limit(limit) {
+    return Math.min(Math.max(parseInt(limit, 10) || 1, 1), this.config.maxResults);
+  }
+
+  /**
+   * @private
+   */
+  _assertMaintenance() {
+    if (!this.maintenanceEnabled()) {
+      throw new AdminError('Maintenance endpoints are disabled; set ENABLE_MAINTENANCE_ENDPOINTS=true outside production', 403);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _audit(name, data, adminId) {
+    eventBus.emitEvent(name, { ...data, adminId }, { source: 'admin_console', userId: adminId, priority: 'high' });
+  }
+}
+
+module.exports = new AdminService();
+module.exports.AdminService = AdminService;
+module.exports.AdminError = AdminError;
+module.exports.OVERRIDE_EVENTS = OVERRIDE_EVENTS;
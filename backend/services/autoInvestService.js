@@ -0,0 +1,168 @@
+const Loan = require('../models/Loan');
+const InvestmentRule = require('../models/InvestmentRule');
+const AutoInvestment = require('../models/AutoInvestment');
+const riskScoringService = require('./riskScoringService');
+const syndicationService = require('./syndicationService');
+const { classifyPurpose } = require('../utils/riskScoring');
+const { round2 } = require('../utils/amortization');
+
+/**
+ * AutoInvestService - Commits lender funds to new loan requests from saved investment rules
+ * Each lender's first matching rule (by priority) becomes a commitment to the matching engine;
+ * every evaluation is written to the AutoInvestment audit trail.
+ */
+class AutoInvestService {
+  constructor() {
+    // Runs are serialized so concurrent loan requests cannot overspend a monthly budget
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Queue an auto-invest run for a newly created loan
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Array<Object>|null>} Audit records, or null if the loan is not open for funding
+   */
+  enqueue(loanId) {
+    const run = this.pending.then(() => this.investInLoan(loanId));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Evaluate every active rule against a loan and fund it from the matches
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Array<Object>|null>} Audit records, or null if the loan is not open for funding
+   */
+  async investInLoan(loanId) {
+    const loan = await Loan.findById(loanId);
+    if (!loan || loan.status !== 'REQUESTED') return null;
+
+    const risk = await riskScoringService.computeScore(loan.borrowerId, { loan, persist: false });
+    if (!risk) return null;
+
+    const rules = await InvestmentRule.find({ active: true, lenderId: { $ne: loan.borrowerId } })
+      .sort({ priority: 1, createdAt: 1 });
+    if (rules.length === 0) return [];
+
+    const byLender = new Map();
+    for (const rule of rules) {
+      const key = rule.lenderId.toString();
+      if (!byLender.has(key)) byLender.set(key, []);
+      byLender.get(key).push(rule);
+    }
+
+    const plans = [];
+    for (const [lenderId, lenderRules] of byLender) {
+      const plan = { lenderId, rule: null, amount: 0, evaluations: [] };
+      for (const rule of lenderRules) {
+        const spent = await this.spentThisMonth(rule._id);
+        const checks = this._evaluateRule(rule, loan, risk, spent);
+        const matched = checks.every(check => check.passed);
+        plan.evaluations.push({ ruleId: rule._id, ruleName: rule.name, matched, checks });
+        if (matched) {
+          plan.rule = rule;
+          plan.amount = round2(Math.min(rule.maxPerLoan, rule.monthlyBudget - spent));
+          break;
+        }
+      }
+      plans.push(plan);
+    }
+
+    const commitments = plans
+      .filter(plan => plan.rule)
+      .map(plan => ({ lenderId: plan.lenderId, amount: plan.amount }));
+
+    const allocated = new Map();
+    if (commitments.length) {
+      const result = await syndicationService.runMatching({
+        commitments,
+        loanIds: [loan._id],
+        riskScores: { [loan.borrowerId.toString()]: risk.score },
+        source: 'auto_invest'
+      });
+      for (const lender of result.lenders) allocated.set(lender.lenderId, lender.allocated);
+    }
+
+    return AutoInvestment.insertMany(plans.map(plan => {
+      const amount = allocated.get(plan.lenderId) || 0;
+      return {
+        loanId: loan._id,
+        lenderId: plan.lenderId,
+        ruleId: plan.rule?._id,
+        ruleName: plan.rule?.name,
+        decision: !plan.rule ? 'skipped' : amount > 0 ? 'invested' : 'not_allocated',
+        amount,
+        riskScore: risk.score,
+        riskGrade: risk.grade,
+        evaluations: plan.evaluations
+      };
+    }));
+  }
+
+  /**
+   * Amount a rule has invested since the start of the current month
+   * @param {string} ruleId - InvestmentRule ID
+   * @returns {Promise<number>} Amount
+   */
+  async spentThisMonth(ruleId) {
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+
+    const [row] = await AutoInvestment.aggregate([
+      { $match: { ruleId, decision: 'invested', createdAt: { $gte: monthStart } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return row ? row.total : 0;
+  }
+
+  /**
+   * Audit trail for a lender, newest first
+   * @param {string} lenderId - Lender user ID
+   * @param {Object} options
+   * @param {number} options.limit - Maximum records
+   * @param {boolean} options.investedOnly - Only decisions that committed funds
+   */
+  async getDecisions(lenderId, { limit = 50, investedOnly = false } = {}) {
+    const query = { lenderId };
+    if (investedOnly) query.decision = 'invested';
+    return AutoInvestment.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('loanId', 'amount purpose duration interestRate status');
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  _evaluateRule(rule, loan, risk, spent) {
+    const checks = [];
+    const add = (check, passed, detail) => checks.push({ check, passed, detail });
+
+    const category = classifyPurpose(loan.purpose);
+    if (rule.purposes.length) {
+      add('purpose', rule.purposes.includes(category), `${category} purpose; allowed: ${rule.purposes.join(', ')}`);
+    }
+    if (rule.minDuration) {
+      add('min_duration', loan.duration >= rule.minDuration, `${loan.duration} months; minimum ${rule.minDuration}`);
+    }
+    if (rule.maxDuration) {
+      add('max_duration', loan.duration <= rule.maxDuration, `${loan.duration} months; maximum ${rule.maxDuration}`);
+    }
+    if (rule.minInterestRate) {
+      add('min_interest_rate', loan.interestRate >= rule.minInterestRate, `${loan.interestRate}%; minimum ${rule.minInterestRate}%`);
+    }
+    if (rule.riskGrades.length) {
+      add('risk_grade', rule.riskGrades.includes(risk.grade), `grade ${risk.grade} (score ${risk.score}); allowed: ${rule.riskGrades.join(', ')}`);
+    }
+
+    const left = round2(rule.monthlyBudget - spent);
+    add('monthly_budget', left > 0, `₹${left} of ₹${rule.monthlyBudget} left this month`);
+
+    return checks;
+  }
+}
+
+module.exports = new AutoInvestService();
@@ -0,0 +1,371 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Collateral = require('../models/Collateral');
+const Loan = require('../models/Loan');
+const blockchainService = require('./blockchainService');
+const eventBus = require('../utils/eventBus');
+const { sha256 } = require('../utils/hashing');
+const { round2 } = require('../utils/amortization');
+
+const DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const PLEDGEABLE_STATES = ['registered', 'released'];
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  goldRatePerGram: envNumber('GOLD_RATE_PER_GRAM_24K', 7000),
+  ltvPercent: {
+    gold: envNumber('LTV_GOLD_PERCENT', 75),
+    land: envNumber('LTV_LAND_PERCENT', 50),
+    livestock: envNumber('LTV_LIVESTOCK_PERCENT', 40)
+  },
+  // Amount a borrower can request without pledging anything
+  unsecuredLimit: envNumber('UNSECURED_LOAN_LIMIT', 0)
+};
+
+class CollateralError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'CollateralError';
+    this.status = status;
+  }
+}
+
+/**
+ * CollateralService - Registry of assets that secure loans
+ * Values gold ornaments at the configured gold rate scaled by purity, and land and livestock at
+ * their declared value; each item can secure its value times the loan-to-value ratio for its type.
+ * Supporting documents are hashed and the hash recorded on-chain. Items are pledged when a loan is
+ * requested against them and released when the loan is repaid or cancelled.
+ */
+class CollateralService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Register a collateral item, value it and anchor its document hash on-chain
+   * @param {Object} owner - Borrower User document
+   * @param {Object} item
+   * @param {string} item.type - gold | land | livestock
+   * @param {string} item.description - Free text
+   * @param {Object} item.gold - { ornament, weightGrams, purityKarat }
+   * @param {Object} item.land - { surveyNumber, village, district, areaAcres }
+   * @param {Object} item.livestock - { species, count, tagNumbers }
+   * @param {number} item.declaredValue - Value of land or livestock
+   * @param {Object} document - Uploaded file: { originalname, mimetype, size, buffer }
+   * @returns {Promise<Object>} Collateral
+   * @throws {CollateralError}
+   */
+  async register(owner, { type, description, gold, land, livestock, declaredValue }, document) {
+    const details = this._details(type, { gold, land, livestock });
+    const valuation = this._valuation(type, details, declaredValue);
+
+    if (!document) throw new CollateralError('A supporting document is required', 400);
+    if (!DOCUMENT_TYPES.includes(document.mimetype)) {
+      throw new CollateralError('Supporting document must be a PDF, JPEG or PNG', 400);
+    }
+
+    const documentHash = sha256(document.buffer);
+    let record;
+    try {
+      record = await blockchainService.storeDocumentHash({
+        documentHash,
+        ownerAddress: owner.walletAddress,
+        documentType: `collateral_${type}`
+      });
+    } catch (error) {
+      throw new CollateralError(error.message, 502);
+    }
+
+    const collateral = await Collateral.create({
+      collateralId: uuidv4(),
+      ownerId: owner._id,
+      type,
+      description,
+      [type]: details,
+      valuation,
+      ltvPercent: this.config.ltvPercent[type],
+      document: {
+        fileName: document.originalname,
+        mimeType: document.mimetype,
+        size: document.size,
+        sha256: documentHash,
+        data: document.buffer
+      },
+      chain: {
+        txHash: record.txHash,
+        blockNumber: record.blockNumber,
+        network: record.network || blockchainService.getNetworkInfo().currentNetwork,
+        recordedAt: this.clock()
+      }
+    });
+
+    eventBus.emitEvent('collateral.registered', {
+      collateralId: collateral.collateralId,
+      ownerId: owner._id,
+      type,
+      value: valuation.value,
+      documentHash,
+      txHash: record.txHash
+    }, { source: 'collateral_service', userId: owner._id });
+
+    return collateral;
+  }
+
+  /**
+   * A borrower's collateral, newest first, with what is free to pledge
+   * @param {string} ownerId - Borrower ID
+   * @returns {Promise<Object>} { items, available, unsecuredLimit, goldRatePerGram }
+   */
+  async list(ownerId) {
+    const items = await Collateral.find({ ownerId }).sort({ createdAt: -1 });
+    const available = items.filter(item => PLEDGEABLE_STATES.includes(item.status));
+    return {
+      items,
+      available: round2(available.reduce((sum, item) => sum + item.lendableValue, 0)),
+      unsecuredLimit: this.config.unsecuredLimit,
+      goldRatePerGram: this.config.goldRatePerGram
+    };
+  }
+
+  /**
+   * Most a borrower can request against the given items: the unsecured limit plus each item's
+   * value times its loan-to-value ratio
+   * @param {string} ownerId - Borrower ID
+   * @param {Array<string>} collateralIds - Items to pledge
+   * @returns {Promise<Object>} { items, secured, maxAmount }
+   * @throws {CollateralError} when an item is not the borrower's or is already pledged
+   */
+  async limitFor(ownerId, collateralIds = []) {
+    const ids = [...new Set(collateralIds.map(String))];
+    const items = ids.length ? await Collateral.find({ ownerId, collateralId: { $in: ids } }) : [];
+    if (items.length !== ids.length) throw new CollateralError('Collateral not found', 404);
+
+    const pledged = items.find(item => !PLEDGEABLE_STATES.includes(item.status));
+    if (pledged) throw new CollateralError(`Collateral ${pledged.collateralId} is already pledged to another loan`);
+
+    const secured = round2(items.reduce((sum, item) => sum + item.lendableValue, 0));
+    return { items, secured, maxAmount: round2(secured + this.config.unsecuredLimit) };
+  }
+
+  /**
+   * Most a loan can be for with the collateral already pledged to it
+   * @param {Object} loan - Loan document
+   * @returns {Promise<number>}
+   */
+  async loanLimit(loan) {
+    const items = await Collateral.find({ loanId: loan._id, status: 'pledged' });
+    return round2(items.reduce((sum, item) => sum + item.lendableValue, 0) + this.config.unsecuredLimit);
+  }
+
+  /**
+   * Pledge items to a newly requested loan, before the loan is saved. Each item is claimed
+   * only while it is still unpledged, so two requests cannot pledge the same item; if any
+   * item was taken in the meantime the ones already claimed are given back.
+   * @param {Object} loan - Loan document
+   * @param {Array<Object>} items - Collateral documents from limitFor
+   * @returns {Promise<Array<Object>>} Pledged items
+   * @throws {CollateralError} If an item was pledged to another loan since limitFor
+   */
+  async pledge(loan, items) {
+    const pledgedAt = this.clock();
+    const pledged = [];
+    for (const item of items) {
+      const claimed = await Collateral.findOneAndUpdate(
+        { _id: item._id, status: { $in: PLEDGEABLE_STATES } },
+        {
+          $set: { status: 'pledged', loanId: loan._id },
+          $push: { pledges: { loanId: loan._id, pledgedAt } }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        await this.unpledge(loan, items.slice(0, pledged.length));
+        throw new CollateralError(`Collateral ${item.collateralId} is already pledged to another loan`);
+      }
+      pledged.push(claimed);
+    }
+
+    if (pledged.length) {
+      eventBus.emitEvent('collateral.pledged', {
+        loanId: loan._id,
+        ownerId: loan.borrowerId,
+        collateralIds: pledged.map(item => item.collateralId),
+        secured: round2(pledged.reduce((sum, item) => sum + item.lendableValue, 0))
+      }, { source: 'collateral_service', userId: loan.borrowerId });
+    }
+    return pledged;
+  }
+
+  /**
+   * Give back items pledged to a loan request that was never saved, restoring
+   * the status they had before
+   * @param {Object} loan - Loan document
+   * @param {Array<Object>} items - Collateral documents as read by limitFor
+   */
+  async unpledge(loan, items) {
+    for (const item of items) {
+      await Collateral.updateOne(
+        { _id: item._id, loanId: loan._id, status: 'pledged' },
+        {
+          $set: { status: item.status },
+          $unset: { loanId: 1 },
+          $pull: { pledges: { loanId: loan._id } }
+        }
+      );
+    }
+  }
+
+  /**
+   * Release everything pledged to a loan once it is repaid or cancelled
+   * @param {string} loanId - Loan ID
+   * @param {string} reason - loan_repaid | loan_cancelled
+   * @returns {Promise<Array<Object>>} Released items
+   */
+  async releaseForLoan(loanId, reason) {
+    const items = await Collateral.find({ loanId, status: 'pledged' });
+    const releasedAt = this.clock();
+    for (const item of items) {
+      item.status = 'released';
+      item.loanId = undefined;
+      const pledge = item.pledges.find(entry => entry.loanId.equals(loanId) && !entry.releasedAt);
+      if (pledge) {
+        pledge.releasedAt = releasedAt;
+        pledge.releaseReason = reason;
+      }
+      await item.save();
+
+      eventBus.emitEvent('notification.send', {
+        userId: item.ownerId,
+        type: 'collateral_released',
+        variables: { loanId, collateralId: item.collateralId, itemType: item.type }
+      });
+    }
+
+    if (items.length) {
+      eventBus.emitEvent('collateral.released', {
+        loanId,
+        collateralIds: items.map(item => item.collateralId),
+        reason
+      }, { source: 'collateral_service' });
+    }
+    return items;
+  }
+
+  /**
+   * Collateral pledged to a loan
+   * @param {string} loanId - Loan ID
+   * @param {Object} options
+   * @param {string} options.userId - Requesting user; must be the borrower or a lender of the loan
+   * @returns {Promise<Object>} { items, secured, amount }
+   * @throws {CollateralError}
+   */
+  async forLoan(loanId, { userId }) {
+    const loan = await this._loan(loanId);
+    this._assertParty(loan, userId);
+
+    const items = await Collateral.find({ loanId: loan._id, status: 'pledged' });
+    return {
+      items,
+      secured: round2(items.reduce((sum, item) => sum + item.lendableValue, 0)),
+      amount: loan.amount
+    };
+  }
+
+  /**
+   * Supporting document of an item, for its owner or the lenders of the loan it secures
+   * @returns {Promise<Object>} { fileName, mimeType, sha256, data }
+   * @throws {CollateralError}
+   */
+  async document(collateralId, { userId }) {
+    const item = await Collateral.findOne({ collateralId }).select('+document.data');
+    if (!item) throw new CollateralError('Collateral not found', 404);
+    if (!item.ownerId.equals(userId)) {
+      const loan = item.loanId ? await Loan.findById(item.loanId) : null;
+      if (!loan) throw new CollateralError('Collateral not found', 404);
+      this._assertParty(loan, userId);
+    }
+    return item.document;
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  async _loan(loanId) {
+    const loan = mongoose.isValidObjectId(loanId) ? await Loan.findById(loanId) : null;
+    if (!loan) throw new CollateralError('Loan not found', 404);
+    return loan;
+  }
+
+  /**
+   * @private
+   */
+  _assertParty(loan, userId) {
+    const parties = [loan.borrowerId, loan.lenderId, ...loan.lenders.map(position => position.lenderId)].filter(Boolean);
+    if (!parties.some(id => id.equals(userId))) {
+      throw new CollateralError('Only the borrower or a lender of this loan can see its collateral', 403);
+    }
+  }
+
+  /**
+   * Type-specific fields, checked
+   * @private
+   */
+  _details(type, { gold = {}, land = {}, livestock = {} }) {
+    if (type === 'gold') {
+      const weightGrams = Number(gold.weightGrams);
+      const purityKarat = Number(gold.purityKarat);
+      if (!(weightGrams > 0)) throw new CollateralError('weightGrams must be positive', 400);
+      if (!(purityKarat >= 1 && purityKarat <= 24)) throw new CollateralError('purityKarat must be from 1 to 24', 400);
+      return { ornament: gold.ornament, weightGrams, purityKarat };
+    }
+    if (type === 'land') {
+      const areaAcres = Number(land.areaAcres);
+      if (!land.surveyNumber) throw new CollateralError('surveyNumber is required', 400);
+      if (!(areaAcres > 0)) throw new CollateralError('areaAcres must be positive', 400);
+      return { surveyNumber: land.surveyNumber, village: land.village, district: land.district, areaAcres };
+    }
+    if (type === 'livestock') {
+      const count = Number(livestock.count);
+      if (!livestock.species) throw new CollateralError('species is required', 400);
+      if (!Number.isInteger(count) || count < 1) throw new CollateralError('count must be a whole number above 0', 400);
+      return { species: livestock.species, count, tagNumbers: livestock.tagNumbers || [] };
+    }
+    throw new CollateralError('type must be gold, land or livestock', 400);
+  }
+
+  /**
+   * @private
+   */
+  _valuation(type, details, declaredValue) {
+    if (type === 'gold') {
+      const ratePerGram = this.config.goldRatePerGram;
+      return {
+        value: round2(details.weightGrams * details.purityKarat / 24 * ratePerGram),
+        method: 'gold_rate',
+        ratePerGram,
+        valuedAt: this.clock()
+      };
+    }
+
+    const value = Number(declaredValue);
+    if (!(value > 0)) throw new CollateralError('declaredValue must be positive', 400);
+    return { value: round2(value), method: 'declared', valuedAt: this.clock() };
+  }
+}
+
+module.exports = new CollateralService();
+module.exports.CollateralService = CollateralService;
+module.exports.CollateralError = CollateralError;
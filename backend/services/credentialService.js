@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const otpService = require('./otpService');
+const { OtpError } = require('./otpService');
+const twilioService = require('./twilioService');
+const tokenService = require('./tokenService');
+const eventBus = require('../utils/eventBus');
+const { sha256 } = require('../utils/hashing');
+const { MFA_ROLES } = require('../utils/policies');
+const {
+  isPasswordHash,
+  passwordProblems,
+  hashPassword,
+  passwordMatches,
+  passwordRounds
+} = require('../utils/passwords');
+
+const MINUTE_MS = 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  bcryptRounds: envNumber('BCRYPT_ROUNDS', 10),
+  passwordMinLength: envNumber('PASSWORD_MIN_LENGTH', 8),
+  tokenMinutes: envNumber('CREDENTIAL_TOKEN_MINUTES', 15)
+};
+
+class CredentialError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'CredentialError';
+    this.status = status;
+  }
+}
+
+/**
+ * CredentialService - Unique IDs and passwords
+ * Passwords are chosen by the user, checked against the policy and stored as bcrypt hashes;
+ * accounts from before hashing are upgraded the next time they log in. Choosing a password at
+ * signup (after the phone OTP) or after a forgotten password (after a password_reset OTP)
+ * takes a one-time token that is stored hashed and expires after CREDENTIAL_TOKEN_MINUTES.
+ * Only the unique ID is ever sent by SMS, never the password. Resetting a password signs the
+ * user out on every device. Roles in MFA_ROLES also enter an admin_mfa code texted to their
+ * phone after the password, tied to the sign-in by a one-time token of the same kind.
+ */
+class CredentialService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Check a unique ID and password, upgrading a plaintext or weaker-hashed password on success
+   * @param {string} uniqueId - Unique ID
+   * @param {string} password - Password as entered
+   * @returns {Promise<Object|null>} The user, or null if the credentials do not match
+   */
+  async authenticate(uniqueId, password) {
+    const user = uniqueId && password ? await User.findOne({ uniqueId }).select('+password') : null;
+    if (!user || !user.password) return null;
+
+    if (isPasswordHash(user.password)) {
+      if (!await passwordMatches(password, user.password)) return null;
+      if (passwordRounds(user.password) < this.config.bcryptRounds) {
+        user.password = await hashPassword(String(password), this.config.bcryptRounds);
+        await user.save();
+      }
+      return user;
+    }
+
+    // Stored before passwords were hashed: compare digests so the check takes constant time
+    const matches = crypto.timingSafeEqual(
+      Buffer.from(sha256(user.password), 'hex'),
+      Buffer.from(sha256(String(password)), 'hex')
+    );
+    if (!matches) return null;
+    user.password = await hashPassword(String(password), this.config.bcryptRounds);
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Let a user whose phone was just verified choose a password
+   * @param {Object} user - User document
+   * @returns {Promise<string>} One-time setup token
+   * @throws {CredentialError}
+   */
+  async startSetup(user) {
+    if (user.uniqueId) throw new CredentialError('Credentials already exist; use forgot password to change them');
+    return this._issueToken(user, 'setup');
+  }
+
+  /**
+   * Create the unique ID and set the chosen password; the unique ID is also sent by SMS
+   * @param {string} setupToken - Token from startSetup
+   * @param {string} password - Chosen password
+   * @returns {Promise<Object>} { uniqueId }
+   * @throws {CredentialError}
+   */
+  async createCredentials(setupToken, password) {
+    const user = await this._consumeToken(setupToken, 'setup');
+    if (user.uniqueId) throw new CredentialError('Credentials already exist; use forgot password to change them');
+
+    this._assertPolicy(user, password);
+    user.uniqueId = await this._newUniqueId();
+    await this._setPassword(user, password);
+
+    this._sms(user, 'credentials_created', { uniqueId: user.uniqueId });
+    eventBus.emitEvent('user.credentials_created', { userId: user._id }, {
+      source: 'credential_service',
+      userId: user._id
+    });
+    return { uniqueId: user.uniqueId };
+  }
+
+  /**
+   * Text a password_reset code to the account's phone. Does nothing, without saying so, if
+   * there is no such account, so this cannot be used to find accounts.
+   * @param {Object} account
+   * @param {string} account.uniqueId - Unique ID, or
+   * @param {string} account.phone - Registered phone number
+   * @returns {Promise<void>}
+   * @throws {CredentialError} When codes are being requested too often
+   */
+  async requestReset(account) {
+    const user = await this._account(account);
+    if (user) await this._otp(() => otpService.issue(user.phone, 'password_reset'));
+  }
+
+  /**
+   * Exchange a password_reset code for a one-time reset token
+   * @param {Object} account - { uniqueId } or { phone }
+   * @param {string} code - Code from the SMS
+   * @returns {Promise<string>} Reset token
+   * @throws {CredentialError}
+   */
+  async verifyReset(account, code) {
+    const user = await this._account(account);
+    if (!user) throw new CredentialError('No code is outstanding; ask for a new one', 400);
+    await this._otp(() => otpService.verify(user.phone, 'password_reset', code));
+    return this._issueToken(user, 'reset');
+  }
+
+  /**
+   * Set a new password with a reset token and sign out every session
+   * @param {string} resetToken - Token from verifyReset
+   * @param {string} password - New password
+   * @returns {Promise<Object>} The user
+   * @throws {CredentialError}
+   */
+  async resetPassword(resetToken, password) {
+    const user = await this._consumeToken(resetToken, 'reset');
+    await this._setPassword(user, password);
+    await tokenService.revokeAll(user._id, 'password_reset');
+
+    this._sms(user, 'password_changed', {});
+    eventBus.emitEvent('user.password_reset', { userId: user._id }, {
+      source: 'credential_service',
+      userId: user._id
+    });
+    return user;
+  }
+
+  /**
+   * Whether the user must enter a second factor after their password
+   * @param {Object} user - User document
+   * @returns {boolean}
+   */
+  requiresSecondFactor(user) {
+    return MFA_ROLES.includes(user.role);
+  }
+
+  /**
+   * Text an admin_mfa code to a user whose password was just accepted
+   * @param {Object} user - User document
+   * @returns {Promise<string>} One-time token to send back with the code
+   * @throws {CredentialError} When codes are being requested too often
+   */
+  async startSecondFactor(user) {
+    await this._otp(() => otpService.issue(user.phone, 'admin_mfa'));
+    return this._issueToken(user, 'mfa');
+  }
+
+  /**
+   * Check the second factor of a sign-in
+   * @param {string} mfaToken - Token from startSecondFactor
+   * @param {string} code - Code from the SMS
+   * @returns {Promise<Object>} The user
+   * @throws {CredentialError}
+   */
+  async completeSecondFactor(mfaToken, code) {
+    const user = await this._consumeToken(mfaToken, 'mfa');
+    await this._otp(() => otpService.verify(user.phone, 'admin_mfa', code));
+    user.credentialToken = undefined;
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Text a code for confirming the user's identity again before a destructive action
+   * @param {string} userId - Signed-in user
+   * @returns {Promise<void>}
+   * @throws {CredentialError}
+   */
+  async requestReauthentication(userId) {
+    const user = await User.findById(userId);
+    if (!user) throw new CredentialError('User not found', 404);
+    await this._otp(() => otpService.issue(user.phone, 'admin_mfa', { reference: 'reauth' }));
+  }
+
+  /**
+   * Confirm the signed-in user's password and the code from requestReauthentication
+   * @param {string} userId - Signed-in user
+   * @param {string} password - Password as entered
+   * @param {string} code - Code from the SMS
+   * @returns {Promise<void>}
+   * @throws {CredentialError}
+   */
+  async reauthenticate(userId, password, code) {
+    const user = await User.findById(userId).select('+password');
+    if (!user || !user.password || !isPasswordHash(user.password) || !await passwordMatches(String(password || ''), user.password)) {
+      throw new CredentialError('Password is incorrect', 401);
+    }
+    await this._otp(() => otpService.verify(user.phone, 'admin_mfa', code, { reference: 'reauth' }));
+  }
+
+  // Private helper methods
+
+  /**
+   * Accounts that have finished signing up, by unique ID or phone
+   * @private
+   */
+  _account({ uniqueId, phone } = {}) {
+    if (uniqueId) return User.findOne({ uniqueId: String(uniqueId).trim() });
+    if (phone) return User.findOne({ phone: String(phone).trim(), uniqueId: { $exists: true, $ne: null } });
+    throw new CredentialError('Unique ID or phone number required', 400);
+  }
+
+  /**
+   * @private
+   */
+  async _issueToken(user, purpose) {
+    const token = crypto.randomBytes(32).toString('hex');
+    user.credentialToken = {
+      hash: sha256(token),
+      purpose,
+      expiresAt: new Date(this.clock().getTime() + this.config.tokenMinutes * MINUTE_MS)
+    };
+    await user.save();
+    return token;
+  }
+
+  /**
+   * The user a token was issued to; _setPassword voids it once the password is accepted
+   * @private
+   */
+  async _consumeToken(token, purpose) {
+    const user = typeof token === 'string' && token
+      ? await User.findOne({ 'credentialToken.hash': sha256(token), 'credentialToken.purpose': purpose })
+      : null;
+    if (!user) throw new CredentialError('This link is invalid or has already been used', 400);
+    if (user.credentialToken.expiresAt <= this.clock()) {
+      throw new CredentialError('This link has expired; start again', 400);
+    }
+    return user;
+  }
+
+  /**
+   * @private
+   */
+  _assertPolicy(user, password) {
+    const problems = passwordProblems(password, {
+      minLength: this.config.passwordMinLength,
+      identifiers: [user.uniqueId, user.phone, (user.email || '').split('@')[0]]
+    });
+    if (problems.length) throw new CredentialError(problems.join('; '), 400);
+  }
+
+  /**
+   * @private
+   */
+  async _setPassword(user, password) {
+    this._assertPolicy(user, password);
+    user.password = await hashPassword(password, this.config.bcryptRounds);
+    user.passwordChangedAt = this.clock();
+    user.credentialToken = undefined;
+    await user.save();
+  }
+
+  /**
+   * @private
+   */
+  async _newUniqueId() {
+    for (;;) {
+      const uniqueId = `UID-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+      if (!await User.exists({ uniqueId })) return uniqueId;
+    }
+  }
+
+  /**
+   * Account messages are best-effort; the change has already been saved
+   * @private
+   */
+  _sms(user, type, variables) {
+    twilioService.sendSMS({ to: user.phone, type, variables }).catch(error => {
+      console.error(`Failed to send ${type} SMS:`, error.message);
+    });
+  }
+
+  /**
+   * Surface OTP failures (throttling, lockout, wrong code) as CredentialErrors
+   * @private
+   */
+  async _otp(action) {
+    try {
+      return await action();
+    } catch (error) {
+      if (error instanceof OtpError) throw new CredentialError(error.message, error.status);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CredentialService();
+module.exports.CredentialService = CredentialService;
+module.exports.CredentialError = CredentialError;
@@ -0,0 +1,342 @@
+const Escrow = require('../models/Escrow');
+const Loan = require('../models/Loan');
+const Transaction = require('../models/Transaction');
+const paymentGateway = require('./paymentProviders');
+const ledgerService = require('./ledgerService');
+const guarantorService = require('./guarantorService');
+const eventBus = require('../utils/eventBus');
+const { InvalidTransitionError } = require('../utils/loanFSM');
+const { round2 } = require('../utils/amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Unpaid deposit orders stop counting towards a lender's commitment after this, so they can retry
+const PENDING_DEPOSIT_TTL_MS = 30 * 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  releaseWindowDays: envNumber('ESCROW_RELEASE_WINDOW_DAYS', 7),
+  faceVerificationValidHours: envNumber('LOAN_FACE_VERIFICATION_VALID_HOURS', 24)
+};
+
+class EscrowError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'EscrowError';
+    this.status = status;
+  }
+}
+
+/**
+ * EscrowService - Holds lender deposits until a loan is disbursed
+ * Deposits are paid through the payment gateway and held per lender. Disbursement releases them
+ * to the borrower once escrow covers the loan and the borrower has passed a recent face check.
+ * Loans that are cancelled, or not disbursed within the release window, are refunded automatically.
+ */
+class EscrowService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Track a pending deposit for a gateway order
+   * @param {Object} loan - Loan document
+   * @param {Object} transaction - Pending escrow_deposit transaction
+   * @returns {Promise<Object>} Escrow
+   */
+  async openDeposit(loan, transaction) {
+    return Escrow.create({
+      loanId: loan._id,
+      lenderId: transaction.lenderId,
+      amount: transaction.amount,
+      transactionId: transaction.transactionId,
+      paymentProvider: transaction.paymentProvider
+    });
+  }
+
+  /**
+   * Amount a lender has deposited or is depositing for a loan
+   * @returns {Promise<number>} Held and recently opened escrow total
+   */
+  async depositedBy(loanId, lenderId) {
+    const since = new Date(this.clock().getTime() - PENDING_DEPOSIT_TTL_MS);
+    const escrows = await Escrow.find({
+      loanId,
+      lenderId,
+      $or: [{ status: 'held' }, { status: 'pending', createdAt: { $gte: since } }]
+    });
+    return round2(escrows.reduce((sum, escrow) => sum + escrow.amount, 0));
+  }
+
+  /**
+   * Drop a deposit whose payment failed
+   * @param {Object} transaction - Failed escrow_deposit transaction
+   */
+  async failDeposit(transaction) {
+    await Escrow.updateOne({ transactionId: transaction.transactionId, status: 'pending' }, { status: 'cancelled' });
+  }
+
+  /**
+   * Hold a deposit once its payment is confirmed. Idempotent per transaction.
+   * A deposit arriving after the loan was cancelled, or beyond the lender's commitment
+   * (e.g. a retried checkout where both payments went through), is refunded straight away.
+   * @param {Object} transaction - Confirmed escrow_deposit transaction
+   * @returns {Promise<Object|null>} Escrow
+   */
+  async confirmDeposit(transaction) {
+    const escrow = await Escrow.findOne({ transactionId: transaction.transactionId });
+    if (!escrow || !['pending', 'cancelled'].includes(escrow.status)) return escrow;
+
+    const now = this.clock();
+    escrow.status = 'held';
+    escrow.paymentId = transaction.razorpayPaymentId;
+    escrow.heldAt = now;
+    escrow.expiresAt = new Date(now.getTime() + this.config.releaseWindowDays * DAY_MS);
+    await escrow.save();
+
+    const loan = await Loan.findById(escrow.loanId) || { _id: escrow.loanId };
+    await ledgerService.postEscrowHold(loan, {
+      reference: escrow.transactionId,
+      lenderId: escrow.lenderId,
+      amount: escrow.amount
+    });
+
+    eventBus.emitEvent('escrow.held', {
+      loanId: escrow.loanId,
+      lenderId: escrow.lenderId,
+      amount: escrow.amount,
+      expiresAt: escrow.expiresAt
+    }, { source: 'escrow_service', userId: escrow.lenderId });
+
+    if (!['REQUESTED', 'APPROVED'].includes(loan.status)) {
+      return this.refund(escrow, loan, 'Loan is no longer awaiting disbursement');
+    }
+
+    const position = loan.lenders.find(entry => entry.lenderId.equals(escrow.lenderId));
+    const held = await Escrow.find({ loanId: loan._id, lenderId: escrow.lenderId, status: 'held' });
+    if (!position || round2(held.reduce((sum, entry) => sum + entry.amount, 0)) > position.amount) {
+      return this.refund(escrow, loan, 'Deposit exceeds the lender commitment');
+    }
+    return escrow;
+  }
+
+  /**
+   * Escrow position of a loan
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Object>} { pending, held, released, refunded, escrows }
+   */
+  async summary(loanId) {
+    const escrows = await Escrow.find({ loanId }).sort({ createdAt: 1 });
+    const total = status => round2(escrows.filter(escrow => escrow.status === status).reduce((sum, escrow) => sum + escrow.amount, 0));
+    return {
+      pending: total('pending'),
+      held: total('held'),
+      released: total('released'),
+      refunded: total('refunded'),
+      escrows
+    };
+  }
+
+  /**
+   * Throw unless the borrower passed face verification for this loan recently enough
+   * @param {Object} loan - Loan document
+   * @throws {EscrowError}
+   */
+  assertFaceVerified(loan) {
+    const check = loan.faceVerification;
+    if (!check || !check.verified || !check.verifiedAt) {
+      throw new EscrowError('Borrower must pass face verification before disbursement');
+    }
+    if (this.clock() - new Date(check.verifiedAt) > this.config.faceVerificationValidHours * HOUR_MS) {
+      throw new EscrowError('Borrower face verification has expired, please verify again');
+    }
+  }
+
+  /**
+   * Release escrow to the borrower and activate the loan
+   * @param {Object} loan - Loan document
+   * @param {Object} options
+   * @param {string} options.actor - User releasing the funds
+   * @returns {Promise<Object>} { loan, released, escrows }
+   * @throws {InvalidTransitionError|EscrowError}
+   */
+  async disburse(loan, { actor = null } = {}) {
+    if (!loan.canTransition('disburse')) throw new InvalidTransitionError(loan.status, 'disburse');
+    this.assertFaceVerified(loan);
+
+    const escrows = await Escrow.find({ loanId: loan._id, status: 'held' });
+    const held = round2(escrows.reduce((sum, escrow) => sum + escrow.amount, 0));
+    if (held < loan.amount) {
+      throw new EscrowError(`Escrow holds ${held} of ${loan.amount}; all lenders must complete their deposits`);
+    }
+    const pendingGuarantors = await guarantorService.pendingCount(loan._id);
+    if (pendingGuarantors > 0) {
+      throw new EscrowError(`${pendingGuarantors} guarantor(s) have not answered yet; they must consent or be removed first`);
+    }
+
+    const now = this.clock();
+    const reference = `escrow_release_${loan._id}`;
+    loan.applyTransition('disburse', { actor, source: 'user', reference, amount: held, note: 'Released from escrow' });
+    await loan.save();
+
+    await Escrow.updateMany({ _id: { $in: escrows.map(escrow => escrow._id) } }, { status: 'released', releasedAt: now });
+    await ledgerService.postEscrowRelease(loan, { reference, amount: held });
+
+    eventBus.emitEvent('loan.disbursed', {
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      lenderId: loan.lenderId,
+      amount: held
+    }, { source: 'escrow_service', userId: actor });
+
+    return { loan, released: held, escrows };
+  }
+
+  /**
+   * Cancel a loan that has not been disbursed and refund its escrow
+   * @param {Object} loan - Loan document
+   * @param {Object} options
+   * @param {string} options.actor - User cancelling
+   * @param {string} options.source - user | system | admin
+   * @param {string} options.note - Reason
+   * @returns {Promise<Object>} { loan, refunds }
+   * @throws {InvalidTransitionError}
+   */
+  async cancelLoan(loan, { actor = null, source = 'user', note } = {}) {
+    loan.applyTransition('cancel', { actor, source, note });
+    await loan.save();
+
+    eventBus.emitEvent('loan.cancelled', {
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      lenders: loan.lenders.map(({ lenderId, amount }) => ({ lenderId, amount })),
+      reason: note
+    }, { source: 'escrow_service', userId: actor });
+
+    eventBus.emitEvent('notification.send', {
+      userId: loan.borrowerId,
+      type: 'loan_cancelled',
+      variables: { loanId: loan._id, reason: note }
+    });
+
+    const refunds = await this.refundLoan(loan, note || 'Loan cancelled');
+    return { loan, refunds };
+  }
+
+  /**
+   * Refund every held deposit of a loan and drop pending ones
+   * @returns {Promise<Array<Object>>} Escrows after the refund attempt
+   */
+  async refundLoan(loan, reason) {
+    await Escrow.updateMany({ loanId: loan._id, status: 'pending' }, { status: 'cancelled', refundReason: reason });
+
+    const held = await Escrow.find({ loanId: loan._id, status: 'held' });
+    const results = [];
+    for (const escrow of held) {
+      results.push(await this.refund(escrow, loan, reason));
+    }
+    return results;
+  }
+
+  /**
+   * Refund one held deposit through the gateway that collected it.
+   * Failures are recorded on the escrow and retried by processExpired.
+   * @returns {Promise<Object>} Escrow
+   */
+  async refund(escrow, loan, reason) {
+    let refund;
+    try {
+      refund = await paymentGateway.refund(escrow.paymentId, escrow.amount, {
+        loanId: escrow.loanId.toString(),
+        reason
+      }, escrow.paymentProvider);
+    } catch (error) {
+      console.error(`Escrow refund failed for ${escrow.transactionId}:`, error.message);
+      escrow.refundError = error.message;
+      await escrow.save();
+      return escrow;
+    }
+
+    escrow.status = 'refunded';
+    escrow.refundedAt = this.clock();
+    escrow.refundId = refund.id;
+    escrow.refundReason = reason;
+    escrow.refundError = undefined;
+    await escrow.save();
+
+    await ledgerService.postRefund(loan, {
+      reference: escrow.transactionId,
+      userId: escrow.lenderId,
+      amount: escrow.amount,
+      description: 'Escrow refund',
+      fromEscrow: true
+    });
+    await Transaction.updateOne({ transactionId: escrow.transactionId }, { status: 'refunded' });
+
+    eventBus.emitEvent('escrow.refunded', {
+      loanId: escrow.loanId,
+      lenderId: escrow.lenderId,
+      amount: escrow.amount,
+      refundId: refund.id,
+      reason
+    }, { source: 'escrow_service', userId: escrow.lenderId });
+
+    eventBus.emitEvent('notification.send', {
+      userId: escrow.lenderId,
+      type: 'escrow_refunded',
+      variables: { loanId: escrow.loanId, amount: escrow.amount, reason }
+    });
+
+    return escrow;
+  }
+
+  /**
+   * Cancel loans whose escrow window has run out and retry failed refunds
+   * @returns {Promise<Object>} { loansCancelled, escrowsRefunded, refundFailures }
+   */
+  async processExpired() {
+    const now = this.clock();
+    const result = { loansCancelled: 0, escrowsRefunded: 0, refundFailures: 0 };
+
+    const due = await Escrow.find({
+      status: 'held',
+      $or: [{ expiresAt: { $lte: now } }, { refundError: { $exists: true } }]
+    });
+    const loanIds = [...new Set(due.map(escrow => escrow.loanId.toString()))];
+
+    for (const loanId of loanIds) {
+      const loan = await Loan.findById(loanId);
+      if (!loan) continue;
+
+      let escrows;
+      if (loan.canTransition('cancel')) {
+        ({ refunds: escrows } = await this.cancelLoan(loan, { source: 'system', note: 'Escrow release window expired' }));
+        result.loansCancelled += 1;
+      } else if (loan.status === 'CANCELLED') {
+        escrows = await this.refundLoan(loan, 'Loan cancelled');
+      } else {
+        continue;
+      }
+
+      result.escrowsRefunded += escrows.filter(escrow => escrow.status === 'refunded').length;
+      result.refundFailures += escrows.filter(escrow => escrow.status === 'held').length;
+    }
+
+    return result;
+  }
+}
+
+module.exports = new EscrowService();
+module.exports.EscrowService = EscrowService;
+module.exports.EscrowError = EscrowError;
@@ -0,0 +1,507 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const LoanGuarantor = require('../models/LoanGuarantor');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const otpService = require('./otpService');
+const { OtpError } = require('./otpService');
+const eventBus = require('../utils/eventBus');
+const { totalDue } = require('../utils/allocation');
+const { round2 } = require('../utils/amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Parties can be added until the loan is disbursed
+const OPEN_STATES = ['REQUESTED', 'APPROVED'];
+// Loans a consented party is still answerable for
+const LIABLE_STATES = ['APPROVED', 'ACTIVE', 'PARTIALLY_REPAID', 'GRACE', 'DEFAULTED', 'RESTRUCTURED'];
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  maxParties: envNumber('LOAN_MAX_GUARANTORS', 3)
+};
+
+class GuarantorError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'GuarantorError';
+    this.status = status;
+  }
+}
+
+/**
+ * GuarantorService - Guarantors and co-borrowers on loans
+ * The borrower names existing KYC-verified users by phone; each is sent a loan_consent one-time
+ * code through otpService, bound to their invitation, and is only bound once they consent with it. A loan with unanswered invitations cannot be
+ * disbursed. Consented parties can follow the loan's repayment status, are notified when it
+ * falls overdue or defaults, and carry its balance as a liability in their own risk score.
+ */
+class GuarantorService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Name a guarantor or co-borrower on a loan and send them a consent code
+   * @param {string} loanId - Loan ID
+   * @param {Object} invitation
+   * @param {string} invitation.borrowerId - Inviting borrower
+   * @param {string} invitation.phone - Phone number the invitee registered with
+   * @param {string} invitation.role - guarantor | co_borrower
+   * @param {string} invitation.relationship - family | shg_member | other
+   * @param {number} invitation.liabilityPercent - Share of the balance a guarantor answers for (default 100)
+   * @returns {Promise<Object>} LoanGuarantor
+   * @throws {GuarantorError}
+   */
+  async invite(loanId, { borrowerId, phone, role, relationship, liabilityPercent }) {
+    const loan = await this._loan(loanId);
+    if (!loan.borrowerId.equals(borrowerId)) {
+      throw new GuarantorError('Only the borrower can add guarantors to this loan', 403);
+    }
+    this._assertOpen(loan);
+
+    if (!['guarantor', 'co_borrower'].includes(role)) {
+      throw new GuarantorError('role must be guarantor or co_borrower', 400);
+    }
+    const percent = role === 'co_borrower' ? 100 : Number(liabilityPercent ?? 100);
+    if (!(percent >= 1 && percent <= 100)) {
+      throw new GuarantorError('liabilityPercent must be from 1 to 100', 400);
+    }
+
+    const user = phone ? await User.findOne({ phone: String(phone).trim() }) : null;
+    if (!user) throw new GuarantorError('No RuralConnect user is registered with this phone number', 404);
+    if (!user.kycVerified) throw new GuarantorError(`${user.fullName} has not completed KYC`);
+    if (this._lenderIds(loan).some(id => id.equals(user._id)) || loan.borrowerId.equals(user._id)) {
+      throw new GuarantorError('The borrower and lenders of a loan cannot guarantee it');
+    }
+
+    const parties = await LoanGuarantor.find({ loanId: loan._id, status: { $ne: 'declined' } });
+    if (parties.some(party => party.userId.equals(user._id))) {
+      throw new GuarantorError(`${user.fullName} is already on this loan`);
+    }
+    if (parties.length >= this.config.maxParties) {
+      throw new GuarantorError(`A loan can have at most ${this.config.maxParties} guarantors and co-borrowers`);
+    }
+
+    // Someone who declined before can be asked again
+    let party = await LoanGuarantor.findOne({ loanId: loan._id, userId: user._id });
+    if (party) {
+      Object.assign(party, { role, relationship, liabilityPercent: percent, status: 'pending' });
+      party.consent = {};
+    } else {
+      party = new LoanGuarantor({
+        guarantorId: uuidv4(),
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        userId: user._id,
+        role,
+        relationship,
+        liabilityPercent: percent
+      });
+    }
+    await this._sendCode(party, user, loan);
+
+    eventBus.emitEvent('loan.guarantor_invited', {
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      userId: user._id,
+      guarantorId: party.guarantorId,
+      role
+    }, { source: 'guarantor_service', userId: borrowerId });
+
+    return party;
+  }
+
+  /**
+   * Send a fresh consent code to a party who has not answered yet
+   * @param {string} loanId - Loan ID
+   * @param {string} guarantorId - Party ID
+   * @param {Object} options
+   * @param {string} options.userId - The borrower or the invitee
+   * @returns {Promise<Object>} LoanGuarantor
+   * @throws {GuarantorError}
+   */
+  async resendCode(loanId, guarantorId, { userId }) {
+    const loan = await this._loan(loanId);
+    this._assertOpen(loan);
+    const party = await this._party(loan, guarantorId);
+    if (!party.userId.equals(userId) && !loan.borrowerId.equals(userId)) {
+      throw new GuarantorError('Only the borrower or the invitee can ask for a new code', 403);
+    }
+    if (party.status !== 'pending') throw new GuarantorError(`Invitation is already ${party.status}`);
+
+    const user = await User.findById(party.userId);
+    await this._sendCode(party, user, loan);
+    return party;
+  }
+
+  /**
+   * Consent to be bound by a loan with the code sent by SMS
+   * @param {string} loanId - Loan ID
+   * @param {string} guarantorId - Party ID
+   * @param {Object} options
+   * @param {string} options.userId - Consenting user; must be the invitee
+   * @param {string} options.code - Six-digit consent code
+   * @returns {Promise<Object>} LoanGuarantor
+   * @throws {GuarantorError}
+   */
+  async consent(loanId, guarantorId, { userId, code }) {
+    const loan = await this._loan(loanId);
+    this._assertOpen(loan);
+    const party = await this._invitation(loan, guarantorId, userId);
+    const user = await User.findById(party.userId);
+    await this._otp(() => otpService.verify(user.phone, 'loan_consent', code, { reference: party.guarantorId }));
+
+    party.status = 'consented';
+    party.consent.consentedAt = this.clock();
+    await party.save();
+
+    eventBus.emitEvent('loan.guarantor_consented', {
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      userId: party.userId,
+      guarantorId: party.guarantorId,
+      role: party.role,
+      liabilityPercent: party.liabilityPercent
+    }, { source: 'guarantor_service', userId });
+
+    this._notifyBorrower(loan, party, 'guarantor_consented');
+    return party;
+  }
+
+  /**
+   * Decline an invitation
+   * @param {string} loanId - Loan ID
+   * @param {string} guarantorId - Party ID
+   * @param {Object} options
+   * @param {string} options.userId - Declining user; must be the invitee
+   * @returns {Promise<Object>} LoanGuarantor
+   * @throws {GuarantorError}
+   */
+  async decline(loanId, guarantorId, { userId }) {
+    const loan = await this._loan(loanId);
+    const party = await this._invitation(loan, guarantorId, userId);
+
+    party.status = 'declined';
+    party.consent.declinedAt = this.clock();
+    await party.save();
+    await this._revokeCode(party);
+
+    this._notifyBorrower(loan, party, 'guarantor_declined');
+    return party;
+  }
+
+  /**
+   * Take a party off a loan. Once the loan is approved, only parties who have not consented can go.
+   * @param {string} loanId - Loan ID
+   * @param {string} guarantorId - Party ID
+   * @param {Object} options
+   * @param {string} options.borrowerId - Removing borrower
+   * @returns {Promise<Object>} The removed LoanGuarantor
+   * @throws {GuarantorError}
+   */
+  async remove(loanId, guarantorId, { borrowerId }) {
+    const loan = await this._loan(loanId);
+    if (!loan.borrowerId.equals(borrowerId)) {
+      throw new GuarantorError('Only the borrower can remove guarantors from this loan', 403);
+    }
+    this._assertOpen(loan);
+    const party = await this._party(loan, guarantorId);
+    if (party.status === 'consented' && loan.status !== 'REQUESTED') {
+      throw new GuarantorError('Lenders approved this loan with its guarantors; they can no longer be removed');
+    }
+
+    await LoanGuarantor.deleteOne({ _id: party._id });
+    await this._revokeCode(party);
+    return party;
+  }
+
+  /**
+   * Guarantors and co-borrowers of a loan
+   * @param {string} loanId - Loan ID
+   * @param {Object} options
+   * @param {string} options.userId - Requesting user; the borrower, a lender or one of the parties
+   * @returns {Promise<Array<Object>>} LoanGuarantors with the party's name
+   * @throws {GuarantorError}
+   */
+  async forLoan(loanId, { userId }) {
+    const loan = await this._loan(loanId);
+    const parties = await LoanGuarantor.find({ loanId: loan._id })
+      .sort({ createdAt: 1 })
+      .populate('userId', 'fullName phone');
+
+    const party = parties.some(entry => (entry.userId._id || entry.userId).equals(userId));
+    if (!party && !loan.borrowerId.equals(userId) && !this._lenderIds(loan).some(id => id.equals(userId))) {
+      throw new GuarantorError('Only the borrower, lenders and guarantors of this loan can see its guarantors', 403);
+    }
+    return parties;
+  }
+
+  /**
+   * Loans a user has been asked to guarantee or co-borrow, with their repayment status
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} [{ party, loan, repayment }]
+   */
+  async obligations(userId) {
+    const parties = await LoanGuarantor.find({ userId, status: { $ne: 'declined' } }).sort({ createdAt: -1 });
+    const obligations = [];
+    for (const party of parties) {
+      const loan = await Loan.findById(party.loanId);
+      if (!loan) continue;
+      obligations.push({
+        party,
+        loan: {
+          _id: loan._id,
+          status: loan.status,
+          amount: loan.amount,
+          interestRate: loan.interestRate,
+          duration: loan.duration,
+          purpose: loan.purpose
+        },
+        repayment: this._repayment(loan, party)
+      });
+    }
+    return obligations;
+  }
+
+  /**
+   * What a user stands behind on other people's open loans, for their risk score
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} [{ role, liabilityPercent, exposure, loanStatus }]
+   */
+  async liabilities(userId) {
+    const parties = await LoanGuarantor.find({ userId, status: 'consented' });
+    const liabilities = [];
+    for (const party of parties) {
+      const loan = await Loan.findById(party.loanId);
+      if (!loan || !LIABLE_STATES.includes(loan.status)) continue;
+      liabilities.push({
+        role: party.role,
+        liabilityPercent: party.liabilityPercent,
+        exposure: this._exposure(loan, party),
+        loanStatus: loan.status
+      });
+    }
+    return liabilities;
+  }
+
+  /**
+   * Consented parties backing a loan, for the borrower's risk score
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Array<Object>>} [{ role, liabilityPercent }]
+   */
+  async backing(loanId) {
+    const parties = await LoanGuarantor.find({ loanId, status: 'consented' });
+    return parties.map(({ role, liabilityPercent }) => ({ role, liabilityPercent }));
+  }
+
+  /**
+   * Tell the consented parties of a loan that it went overdue or defaulted
+   * @param {Object} loan - Loan document
+   * @param {string} state - GRACE | DEFAULTED
+   * @param {number} daysOverdue - Days the oldest installment is overdue
+   * @returns {Promise<number>} Parties notified
+   */
+  async escalate(loan, state, daysOverdue) {
+    const parties = await LoanGuarantor.find({ loanId: loan._id, status: 'consented' });
+    for (const party of parties) {
+      eventBus.emitEvent('notification.send', {
+        userId: party.userId,
+        type: state === 'DEFAULTED' ? 'guarantor_loan_defaulted' : 'guarantor_loan_overdue',
+        variables: {
+          loanId: loan._id,
+          role: party.role === 'co_borrower' ? 'co-borrower' : 'guarantor',
+          daysOverdue,
+          amount: this._exposure(loan, party)
+        }
+      });
+    }
+
+    if (parties.length) {
+      eventBus.emitEvent('loan.guarantors_escalated', {
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        state,
+        daysOverdue,
+        userIds: parties.map(party => party.userId)
+      }, { source: 'guarantor_service', priority: 'high' });
+    }
+    return parties.length;
+  }
+
+  /**
+   * Tell the consented parties of a repaid loan that they are no longer liable
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<number>} Parties notified
+   */
+  async release(loanId) {
+    const parties = await LoanGuarantor.find({ loanId, status: 'consented' });
+    for (const party of parties) {
+      eventBus.emitEvent('notification.send', {
+        userId: party.userId,
+        type: 'guarantor_released',
+        variables: { loanId }
+      });
+    }
+    return parties.length;
+  }
+
+  /**
+   * Invitations still waiting for an answer; a loan with any cannot be disbursed
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<number>}
+   */
+  async pendingCount(loanId) {
+    return LoanGuarantor.countDocuments({ loanId, status: 'pending' });
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  async _loan(loanId) {
+    const loan = mongoose.isValidObjectId(loanId) ? await Loan.findById(loanId) : null;
+    if (!loan) throw new GuarantorError('Loan not found', 404);
+    return loan;
+  }
+
+  /**
+   * @private
+   */
+  async _party(loan, guarantorId) {
+    const party = await LoanGuarantor.findOne({ loanId: loan._id, guarantorId });
+    if (!party) throw new GuarantorError('Guarantor not found', 404);
+    return party;
+  }
+
+  /**
+   * A pending invitation addressed to the user
+   * @private
+   */
+  async _invitation(loan, guarantorId, userId) {
+    const party = await this._party(loan, guarantorId);
+    if (!party.userId.equals(userId)) {
+      throw new GuarantorError('Only the invited user can answer this invitation', 403);
+    }
+    if (party.status !== 'pending') throw new GuarantorError(`Invitation is already ${party.status}`);
+    return party;
+  }
+
+  /**
+   * @private
+   */
+  _assertOpen(loan) {
+    if (!OPEN_STATES.includes(loan.status)) {
+      throw new GuarantorError(`Guarantors cannot change on a loan in state ${loan.status}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _lenderIds(loan) {
+    return [loan.lenderId, ...loan.lenders.map(position => position.lenderId)].filter(Boolean);
+  }
+
+  /**
+   * Text the invitee a consent code bound to their invitation
+   * @private
+   */
+  async _sendCode(party, user, loan) {
+    const { expiresAt } = await this._otp(() => otpService.issue(user.phone, 'loan_consent', {
+      reference: party.guarantorId,
+      variables: {
+        role: party.role === 'co_borrower' ? 'co-borrower' : 'guarantor',
+        loanId: loan._id,
+        amount: loan.amount
+      }
+    }));
+    party.consent.sentAt = this.clock();
+    party.consent.expiresAt = expiresAt;
+    await party.save();
+  }
+
+  /**
+   * @private
+   */
+  async _revokeCode(party) {
+    const user = await User.findById(party.userId);
+    if (user) await otpService.revoke(user.phone, 'loan_consent', { reference: party.guarantorId });
+  }
+
+  /**
+   * Surface OTP failures (throttling, lockout, wrong code) as GuarantorErrors
+   * @private
+   */
+  async _otp(action) {
+    try {
+      return await action();
+    } catch (error) {
+      if (error instanceof OtpError) throw new GuarantorError(error.message, error.status);
+      throw error;
+    }
+  }
+
+  /**
+   * Share of the outstanding balance the party answers for
+   * @private
+   */
+  _exposure(loan, party) {
+    const outstanding = LIABLE_STATES.includes(loan.status) && loan.status !== 'APPROVED'
+      ? loan.outstandingAmount
+      : loan.amount;
+    return round2((outstanding || 0) * party.liabilityPercent / 100);
+  }
+
+  /**
+   * Repayment status as a party sees it
+   * @private
+   */
+  _repayment(loan, party) {
+    const now = this.clock();
+    const open = (loan.installments || []).filter(installment => installment.status !== 'Paid');
+    const next = open[0];
+    const overdue = open.filter(installment => installment.dueDate < now);
+
+    return {
+      outstandingAmount: loan.outstandingAmount || 0,
+      exposure: this._exposure(loan, party),
+      paidInstallments: (loan.installments || []).length - open.length,
+      totalInstallments: (loan.installments || []).length,
+      nextDue: next
+        ? { number: next.number, dueDate: next.dueDate, amount: totalDue(next) }
+        : null,
+      overdueInstallments: overdue.length,
+      daysOverdue: overdue.length ? Math.floor((now - overdue[0].dueDate) / DAY_MS) : 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  _notifyBorrower(loan, party, type) {
+    eventBus.emitEvent('notification.send', {
+      userId: loan.borrowerId,
+      type,
+      variables: {
+        loanId: loan._id,
+        role: party.role === 'co_borrower' ? 'co-borrower' : 'guarantor',
+        guarantorId: party.guarantorId
+      }
+    });
+  }
+}
+
+module.exports = new GuarantorService();
+module.exports.GuarantorService = GuarantorService;
+module.exports.GuarantorError = GuarantorError;
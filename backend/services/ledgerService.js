@@ -0,0 +1,341 @@
+const { v4: uuidv4 } = require('uuid');
+const JournalEntry = require('../models/JournalEntry');
+const LedgerAccount = require('../models/LedgerAccount');
+const { round2 } = require('../utils/amortization');
+
+// Platform-level accounts; user wallets are created on first use
+const PLATFORM_ACCOUNTS = {
+  escrow: { code: 'escrow', name: 'Loan escrow', kind: 'escrow', type: 'liability' },
+  platform_fees: { code: 'platform_fees', name: 'Platform fees', kind: 'platform_fees', type: 'revenue' },
+  gateway_clearing: { code: 'gateway_clearing', name: 'Payment gateway clearing', kind: 'gateway_clearing', type: 'asset' }
+};
+
+const DEFAULT_CONFIG = {
+  platformFeePercent: Number(process.env.PLATFORM_FEE_PERCENT || 0)
+};
+
+// Sum a field in paise so floating point noise never reads as an imbalance
+const paiseSum = field => ({ $sum: { $round: [{ $multiply: [`$lines.${field}`, 100] }, 0] } });
+
+/**
+ * LedgerService - Double-entry bookkeeping behind wallets
+ * Money from gateways lands in gateway_clearing, user wallets are what the platform holds for each user,
+ * and every movement is a balanced JournalEntry. Wallet balances are always derived from the journal.
+ */
+class LedgerService {
+  constructor({ config = {} } = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  walletCode(userId) {
+    return `wallet:${userId}`;
+  }
+
+  /**
+   * Post a balanced journal entry. Idempotent per reference.
+   * @param {Object} entry
+   * @param {string} entry.type - escrow | disbursement | repayment | fee | refund
+   * @param {string} entry.reference - Unique business reference
+   * @param {string} entry.description - Entry description
+   * @param {string} entry.loanId - Related loan
+   * @param {Array<Object>} entry.lines - { account, userId, debit, credit, memo }
+   * @returns {Promise<Object>} JournalEntry
+   * @throws {Error} when the lines do not balance
+   */
+  async post({ type, reference, description, loanId, lines, postedAt = new Date() }) {
+    const existing = await JournalEntry.findOne({ reference });
+    if (existing) return existing;
+
+    const postedLines = lines
+      .map(line => ({ ...line, debit: round2(line.debit || 0), credit: round2(line.credit || 0) }))
+      .filter(line => line.debit > 0 || line.credit > 0);
+    await this._ensureAccounts(postedLines);
+
+    try {
+      return await JournalEntry.create({
+        journalId: `jrnl_${uuidv4().replace(/-/g, '').substring(0, 16)}`,
+        type,
+        reference,
+        description,
+        loanId,
+        lines: postedLines,
+        postedAt
+      });
+    } catch (error) {
+      if (error.code === 11000) return JournalEntry.findOne({ reference });
+      throw error;
+    }
+  }
+
+  /**
+   * A lender's deposit received through the gateway is moved into escrow for the loan
+   * @param {Object} loan - Loan document
+   * @param {Object} deposit
+   * @param {string} deposit.reference - Deposit transactionId
+   * @param {string} deposit.lenderId - Depositing lender
+   * @param {number} deposit.amount - Amount deposited
+   * @returns {Promise<Object>} JournalEntry
+   */
+  async postEscrowHold(loan, { reference, lenderId, amount }) {
+    const lender = this.walletCode(lenderId);
+
+    return this.post({
+      type: 'escrow',
+      reference: `escrow:${reference}`,
+      description: `Escrow deposit for loan ${loan._id}`,
+      loanId: loan._id,
+      lines: [
+        { account: PLATFORM_ACCOUNTS.gateway_clearing.code, debit: amount, memo: 'Payment received from lender' },
+        { account: lender, userId: lenderId, credit: amount, memo: 'Payment received' },
+        { account: lender, userId: lenderId, debit: amount, memo: 'Loan funded' },
+        { account: PLATFORM_ACCOUNTS.escrow.code, credit: amount, memo: 'Held for disbursement' }
+      ]
+    });
+  }
+
+  /**
+   * Escrowed funds released to the borrower's wallet, followed by the processing fee
+   * @param {Object} loan - Loan document
+   * @param {Object} release
+   * @param {string} release.reference - Disbursement reference
+   * @param {number} release.amount - Amount released
+   * @returns {Promise<Array<Object>>} Posted entries
+   */
+  async postEscrowRelease(loan, { reference, amount }) {
+    const entries = [await this.post({
+      type: 'disbursement',
+      reference: `disbursement:${reference}`,
+      description: `Loan ${loan._id} disbursed from escrow`,
+      loanId: loan._id,
+      lines: [
+        { account: PLATFORM_ACCOUNTS.escrow.code, debit: amount, memo: 'Released to borrower' },
+        { account: this.walletCode(loan.borrowerId), userId: loan.borrowerId, credit: amount, memo: 'Loan disbursed' }
+      ]
+    })];
+
+    const fee = round2(amount * this.config.platformFeePercent / 100);
+    if (fee > 0) {
+      entries.push(await this.postFee(loan, { reference: `processing:${reference}`, userId: loan.borrowerId, amount: fee, description: 'Processing fee' }));
+    }
+    return entries;
+  }
+
+  /**
+   * Borrower money received through the gateway is paid out to lenders by their distribution.
+   * Anything the waterfall could not allocate stays in the borrower's wallet.
+   * @param {Object} loan - Loan document
+   * @param {Object} receipt - Repayment receipt from repaymentService
+   * @returns {Promise<Object>} JournalEntry
+   */
+  async postRepayment(loan, receipt) {
+    const borrower = this.walletCode(loan.borrowerId);
+
+    return this.post({
+      type: 'repayment',
+      reference: `repayment:${receipt.receiptId}`,
+      description: `Repayment ${receipt.receiptId} on loan ${loan._id}`,
+      loanId: loan._id,
+      lines: [
+        { account: PLATFORM_ACCOUNTS.gateway_clearing.code, debit: receipt.amountReceived, memo: 'Payment received from borrower' },
+        { account: borrower, userId: loan.borrowerId, credit: receipt.amountReceived, memo: 'Payment received' },
+        { account: borrower, userId: loan.borrowerId, debit: receipt.applied, memo: 'Loan repayment' },
+        ...receipt.distributions.map(part => ({
+          account: this.walletCode(part.lenderId),
+          userId: part.lenderId,
+          credit: part.amount,
+          memo: 'Repayment received'
+        }))
+      ]
+    });
+  }
+
+  /**
+   * Charge a platform fee to a user's wallet
+   * @returns {Promise<Object>} JournalEntry
+   */
+  async postFee(loan, { reference, userId, amount, description = 'Platform fee' }) {
+    return this.post({
+      type: 'fee',
+      reference: `fee:${reference}`,
+      description,
+      loanId: loan?._id,
+      lines: [
+        { account: this.walletCode(userId), userId, debit: amount, memo: description },
+        { account: PLATFORM_ACCOUNTS.platform_fees.code, credit: amount, memo: description }
+      ]
+    });
+  }
+
+  /**
+   * Money returned to a user through the gateway, taken from escrow first when it was held there
+   * @returns {Promise<Object>} JournalEntry
+   */
+  async postRefund(loan, { reference, userId, amount, description = 'Refund', fromEscrow = false }) {
+    const wallet = this.walletCode(userId);
+
+    return this.post({
+      type: 'refund',
+      reference: `refund:${reference}`,
+      description,
+      loanId: loan?._id,
+      lines: [
+        ...(fromEscrow ? [
+          { account: PLATFORM_ACCOUNTS.escrow.code, debit: amount, memo: 'Returned from escrow' },
+          { account: wallet, userId, credit: amount, memo: 'Returned from escrow' }
+        ] : []),
+        { account: wallet, userId, debit: amount, memo: description },
+        { account: PLATFORM_ACCOUNTS.gateway_clearing.code, credit: amount, memo: description }
+      ]
+    });
+  }
+
+  /**
+   * Refund of a repayment: lenders give back their share of the reversed amount to the borrower,
+   * and the borrower's refund leaves through the gateway
+   * @param {Object} loan - Loan document
+   * @param {Object} refund
+   * @param {string} refund.reference - Refund ID
+   * @param {number} refund.amount - Amount returned through the gateway
+   * @param {Object} refund.reversal - Result of loan.reverseRepayment, if any of it was applied to the loan
+   * @returns {Promise<Object>} JournalEntry
+   */
+  async postRepaymentRefund(loan, { reference, amount, reversal }) {
+    const borrower = this.walletCode(loan.borrowerId);
+    const clawback = (reversal?.distributions || []).filter(part => part.amount > 0);
+    const clawedBack = round2(clawback.reduce((sum, part) => sum + part.amount, 0));
+
+    return this.post({
+      type: 'refund',
+      reference: `refund:${reference}`,
+      description: `Refund ${reference} on loan ${loan._id}`,
+      loanId: loan._id,
+      lines: [
+        ...clawback.map(part => ({
+          account: this.walletCode(part.lenderId),
+          userId: part.lenderId,
+          debit: part.amount,
+          memo: 'Repayment refunded to borrower'
+        })),
+        ...(clawedBack > 0 ? [{ account: borrower, userId: loan.borrowerId, credit: clawedBack, memo: 'Repayment reversed' }] : []),
+        { account: borrower, userId: loan.borrowerId, debit: amount, memo: 'Refund' },
+        { account: PLATFORM_ACCOUNTS.gateway_clearing.code, credit: amount, memo: 'Refund paid out' }
+      ]
+    });
+  }
+
+  /**
+   * Wallet balance derived from the journal (credits minus debits)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Balance in rupees
+   */
+  async getBalance(userId) {
+    const [row] = await JournalEntry.aggregate([
+      { $match: { 'lines.account': this.walletCode(userId) } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': this.walletCode(userId) } },
+      { $group: { _id: null, debits: paiseSum('debit'), credits: paiseSum('credit') } }
+    ]);
+    return row ? (row.credits - row.debits) / 100 : 0;
+  }
+
+  /**
+   * Wallet movements, newest first, one row per journal line
+   * @param {string} userId - User ID
+   * @param {Object} options
+   * @param {number} options.limit - Maximum entries to read
+   * @returns {Promise<Array<Object>>} { id, type: credit | debit, amount, description, date, entryType, reference, loanId }
+   */
+  async getStatement(userId, { limit = 50 } = {}) {
+    const account = this.walletCode(userId);
+    const entries = await JournalEntry.find({ 'lines.account': account }).sort({ postedAt: -1 }).limit(limit);
+
+    return entries.flatMap(entry => entry.lines
+      .filter(line => line.account === account)
+      .map(line => ({
+        id: line._id.toString(),
+        journalId: entry.journalId,
+        type: line.credit > 0 ? 'credit' : 'debit',
+        amount: line.credit > 0 ? line.credit : line.debit,
+        description: line.memo || entry.description,
+        date: entry.postedAt,
+        entryType: entry.type,
+        reference: entry.reference,
+        loanId: entry.loanId
+      })));
+  }
+
+  /**
+   * Prove the books balance: total debits equal total credits, entry by entry and overall
+   * @returns {Promise<Object>} { balanced, totalDebits, totalCredits, entries, unbalancedEntries, accounts, checkedAt }
+   */
+  async checkConsistency() {
+    const [entries, totals, unbalanced, byAccount, accounts] = await Promise.all([
+      JournalEntry.countDocuments(),
+      JournalEntry.aggregate([
+        { $unwind: '$lines' },
+        { $group: { _id: null, debits: paiseSum('debit'), credits: paiseSum('credit') } }
+      ]),
+      JournalEntry.aggregate([
+        { $unwind: '$lines' },
+        { $group: { _id: '$journalId', debits: paiseSum('debit'), credits: paiseSum('credit') } },
+        { $match: { $expr: { $ne: ['$debits', '$credits'] } } }
+      ]),
+      JournalEntry.aggregate([
+        { $unwind: '$lines' },
+        { $group: { _id: '$lines.account', debits: paiseSum('debit'), credits: paiseSum('credit') } },
+        { $sort: { _id: 1 } }
+      ]),
+      LedgerAccount.find({})
+    ]);
+
+    const types = new Map(accounts.map(account => [account.code, account.type]));
+    const row = totals[0] || { debits: 0, credits: 0 };
+
+    return {
+      balanced: row.debits === row.credits && unbalanced.length === 0,
+      totalDebits: row.debits / 100,
+      totalCredits: row.credits / 100,
+      entries,
+      unbalancedEntries: unbalanced.map(entry => ({
+        journalId: entry._id,
+        debits: entry.debits / 100,
+        credits: entry.credits / 100
+      })),
+      accounts: byAccount.map(account => ({
+        account: account._id,
+        type: types.get(account._id),
+        debits: account.debits / 100,
+        credits: account.credits / 100,
+        balance: (types.get(account._id) === 'asset' ? account.debits - account.credits : account.credits - account.debits) / 100
+      })),
+      checkedAt: new Date()
+    };
+  }
+
+  // Private helper methods
+
+  /**
+   * Create any accounts the lines reference that do not exist yet
+   * @private
+   */
+  async _ensureAccounts(lines) {
+    const codes = new Map(lines.map(line => [line.account, line]));
+    for (const [code, line] of codes) {
+      const definition = PLATFORM_ACCOUNTS[code] || {
+        code,
+        name: `Wallet ${line.userId}`,
+        kind: 'user_wallet',
+        type: 'liability',
+        userId: line.userId
+      };
+      try {
+        await LedgerAccount.updateOne({ code }, { $setOnInsert: definition }, { upsert: true });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.LedgerService = LedgerService;
@@ -0,0 +1,321 @@
+const Loan = require('../models/Loan');
+const Transaction = require('../models/Transaction');
+const eventBus = require('../utils/eventBus');
+const escrowService = require('./escrowService');
+const reconciliationService = require('./reconciliationService');
+const mandateService = require('./mandateService');
+const offerService = require('./offerService');
+const guarantorService = require('./guarantorService');
+const { dues } = require('../utils/allocation');
+const { round2 } = require('../utils/amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  enabled: process.env.LOAN_SCHEDULER_ENABLED !== 'false',
+  runHourUtc: envNumber('LOAN_SCHEDULER_RUN_HOUR_UTC', 1),
+  reminderDaysBefore: envNumber('REPAYMENT_REMINDER_DAYS', 3),
+  graceAfterDays: envNumber('GRACE_AFTER_DAYS', 1),
+  gracePeriodDays: envNumber('GRACE_PERIOD_DAYS', 7),
+  defaultAfterDays: envNumber('DEFAULT_AFTER_DAYS', 90),
+  lateFeeDailyPercent: envNumber('LATE_FEE_DAILY_PERCENT', 0.1)
+};
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+function dayKey(date) {
+  return startOfDay(date).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.floor((startOfDay(to) - startOfDay(from)) / DAY_MS);
+}
+
+/**
+ * LoanScheduler - Daily scan of active loans
+ * Collects due installments through auto-debit mandates, then sends repayment reminders, accrues
+ * late fees and moves overdue loans to GRACE and DEFAULTED, escalating to the loan's guarantors
+ * and co-borrowers when it does.
+ * Also refunds escrow for loans that were not disbursed within the escrow release window,
+ * closes expired loan offers and reconciles payment transactions with the gateway.
+ * Safe to run several times a day: reminders and fees are keyed by installment and day.
+ */
+class LoanScheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date; inject a fixed clock in tests
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Schedule the daily run at the configured UTC hour
+   */
+  start() {
+    if (!this.config.enabled || this.timer) return;
+
+    const now = this.clock();
+    const next = startOfDay(now);
+    next.setUTCHours(this.config.runHourUtc);
+    if (next <= now) next.setTime(next.getTime() + DAY_MS);
+
+    this.timer = setTimeout(() => {
+      this.runDaily().catch(error => console.error('Loan scheduler run failed:', error));
+      this.timer = setInterval(() => {
+        this.runDaily().catch(error => console.error('Loan scheduler run failed:', error));
+      }, DAY_MS);
+      this.timer.unref?.();
+    }, next - now);
+    this.timer.unref?.();
+
+    console.log(`Loan scheduler started, next run at ${next.toISOString()}`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Scan every loan that can still fall overdue
+   * @returns {Promise<Object>} Run summary
+   */
+  async runDaily() {
+    if (this.running) return { skipped: true, reason: 'Run already in progress' };
+    this.running = true;
+
+    const today = startOfDay(this.clock());
+    const summary = { date: dayKey(today), autoDebitsAttempted: 0, autoDebitsCaptured: 0, autoDebitsFailed: 0, loansScanned: 0, remindersSent: 0, penaltiesAccrued: 0, penaltyAmount: 0, movedToGrace: 0, defaulted: 0, escrowLoansCancelled: 0, escrowsRefunded: 0, offersExpired: 0, reconciliationReportId: null, reconciliationFixed: 0, reconciliationFlagged: 0, errors: 0 };
+
+    try {
+      // Debits come first so a loan paid by mandate on its due date is not counted overdue
+      try {
+        const autoDebit = await mandateService.chargeDue({ asOf: this.clock() });
+        summary.autoDebitsAttempted = autoDebit.attempted;
+        summary.autoDebitsCaptured = autoDebit.captured;
+        summary.autoDebitsFailed = autoDebit.failed + autoDebit.exhausted;
+        summary.errors += autoDebit.errors;
+      } catch (error) {
+        summary.errors += 1;
+        console.error('Loan scheduler failed to collect auto-debits:', error);
+      }
+
+      const loans = await Loan.find({ status: { $in: ['ACTIVE', 'PARTIALLY_REPAID', 'GRACE', 'RESTRUCTURED'] } });
+      for (const loan of loans) {
+        summary.loansScanned += 1;
+        try {
+          const result = await this.processLoan(loan, today);
+          summary.remindersSent += result.remindersSent;
+          summary.penaltiesAccrued += result.penaltiesAccrued;
+          summary.penaltyAmount = round2(summary.penaltyAmount + result.penaltyAmount);
+          if (result.transition === 'GRACE') summary.movedToGrace += 1;
+          if (result.transition === 'DEFAULTED') summary.defaulted += 1;
+        } catch (error) {
+          summary.errors += 1;
+          console.error(`Loan scheduler failed for loan ${loan._id}:`, error);
+        }
+      }
+
+      try {
+        const escrow = await escrowService.processExpired();
+        summary.escrowLoansCancelled = escrow.loansCancelled;
+        summary.escrowsRefunded = escrow.escrowsRefunded;
+        summary.errors += escrow.refundFailures;
+      } catch (error) {
+        summary.errors += 1;
+        console.error('Loan scheduler failed to process expired escrow:', error);
+      }
+
+      try {
+        summary.offersExpired = (await offerService.expireStale()).expired;
+      } catch (error) {
+        summary.errors += 1;
+        console.error('Loan scheduler failed to expire loan offers:', error);
+      }
+
+      try {
+        const report = await reconciliationService.run({ to: this.clock(), triggeredBy: 'scheduler' });
+        summary.reconciliationReportId = report.reportId;
+        summary.reconciliationFixed = report.summary.autoFixed;
+        summary.reconciliationFlagged = report.summary.flagged;
+        if (report.status === 'failed') summary.errors += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error('Loan scheduler failed to reconcile payments:', error);
+      }
+    } finally {
+      this.running = false;
+    }
+
+    this.lastRun = { ...summary, completedAt: this.clock() };
+    eventBus.emitEvent('system.loan_scheduler_completed', summary, { source: 'loan_scheduler' });
+    return summary;
+  }
+
+  /**
+   * Reminders, late fees and FSM transitions for one loan
+   * @param {Object} loan - Loan document
+   * @param {Date} today - Start of the current day
+   * @returns {Promise<Object>} Per-loan result
+   */
+  async processLoan(loan, today) {
+    const result = { remindersSent: 0, penaltiesAccrued: 0, penaltyAmount: 0, transition: null };
+    const open = loan.installments.filter(installment => installment.status !== 'Paid');
+    let maxDaysOverdue = 0;
+
+    for (const installment of open) {
+      const daysUntilDue = daysBetween(today, installment.dueDate);
+
+      if (daysUntilDue >= 0 && daysUntilDue <= this.config.reminderDaysBefore && !installment.reminderSentAt) {
+        this._sendReminder(loan, installment, today);
+        installment.reminderSentAt = today;
+        result.remindersSent += 1;
+      }
+
+      if (daysUntilDue < 0) {
+        maxDaysOverdue = Math.max(maxDaysOverdue, -daysUntilDue);
+        const fee = await this._accrueLateFee(loan, installment, today);
+        if (fee > 0) {
+          result.penaltiesAccrued += 1;
+          result.penaltyAmount = round2(result.penaltyAmount + fee);
+        }
+      }
+    }
+
+    const note = `${maxDaysOverdue} days overdue`;
+    if (maxDaysOverdue >= this.config.defaultAfterDays && loan.canTransition('default')) {
+      loan.applyTransition('default', { source: 'system', note });
+      result.transition = 'DEFAULTED';
+    } else if (maxDaysOverdue >= this.config.graceAfterDays && loan.canTransition('gracePeriod')) {
+      loan.applyTransition('gracePeriod', { source: 'system', note });
+      result.transition = 'GRACE';
+    }
+
+    await loan.save();
+
+    if (result.transition) {
+      this._notifyTransition(loan, result.transition, maxDaysOverdue);
+      await guarantorService.escalate(loan, result.transition, maxDaysOverdue);
+    }
+
+    return result;
+  }
+
+  /**
+   * Current configuration and last run summary
+   */
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      scheduled: !!this.timer,
+      running: this.running,
+      config: this.config,
+      lastRun: this.lastRun
+    };
+  }
+
+  // Private helper methods
+
+  /**
+   * Charge the late fee for every day since the last accrual, past the grace period.
+   * The penalty transaction ID is keyed by loan, installment and day, so a repeated
+   * run on the same day hits the unique index instead of charging twice.
+   * @private
+   */
+  async _accrueLateFee(loan, installment, today) {
+    const feeStart = new Date(installment.dueDate.getTime() + this.config.gracePeriodDays * DAY_MS);
+    const accruedFrom = installment.lastPenaltyAccruedOn && installment.lastPenaltyAccruedOn > feeStart
+      ? installment.lastPenaltyAccruedOn
+      : feeStart;
+    const days = daysBetween(accruedFrom, today);
+    if (days <= 0) return 0;
+
+    const due = dues(installment);
+    const fee = round2((due.principal + due.interest) * this.config.lateFeeDailyPercent / 100 * days);
+    if (fee <= 0) return 0;
+
+    try {
+      await new Transaction({
+        transactionId: `penalty_${loan._id}_${installment.number}_${dayKey(today)}`,
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        lenderId: loan.lenderId,
+        amount: fee,
+        type: 'penalty',
+        status: 'pending',
+        accrual: true,
+        initiatedAt: today,
+        metadata: {
+          emiNumber: installment.number,
+          totalEmis: loan.installments.length,
+          remainingAmount: loan.outstandingAmount + fee
+        }
+      }).save();
+    } catch (error) {
+      if (error.code === 11000) return 0; // already charged today
+      throw error;
+    }
+
+    installment.penalty = round2((installment.penalty || 0) + fee);
+    installment.lastPenaltyAccruedOn = today;
+    return fee;
+  }
+
+  /**
+   * @private
+   */
+  _sendReminder(loan, installment, today) {
+    const due = dues(installment);
+    eventBus.emitEvent('loan.repayment_due', {
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      installmentNumber: installment.number,
+      amount: round2(due.principal + due.interest + due.penalty),
+      dueDate: installment.dueDate,
+      reminderDate: today
+    }, { source: 'loan_scheduler', userId: loan.borrowerId });
+  }
+
+  /**
+   * @private
+   */
+  _notifyTransition(loan, state, daysOverdue) {
+    eventBus.emitEvent(state === 'DEFAULTED' ? 'loan.defaulted' : 'loan.grace_period', {
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      lenderId: loan.lenderId,
+      daysOverdue,
+      outstandingAmount: loan.outstandingAmount
+    }, { source: 'loan_scheduler', priority: 'high', userId: loan.borrowerId });
+
+    eventBus.emitEvent('notification.send', {
+      userId: loan.borrowerId,
+      type: 'repayment_overdue',
+      variables: {
+        loanId: loan._id,
+        amount: loan.outstandingAmount
+      }
+    });
+  }
+}
+
+const loanScheduler = new LoanScheduler();
+
+module.exports = loanScheduler;
+module.exports.LoanScheduler = LoanScheduler;
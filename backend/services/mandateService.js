@@ -0,0 +1,535 @@
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const Mandate = require('../models/Mandate');
+const Transaction = require('../models/Transaction');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const paymentGateway = require('./paymentProviders');
+const settlementService = require('./settlementService');
+const eventBus = require('../utils/eventBus');
+const { totalDue } = require('../utils/allocation');
+const { round2 } = require('../utils/amortization');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const OPEN_STATUSES = ['pending', 'active'];
+
+// Loans that no longer need collecting
+const CLOSED_LOAN_STATES = ['REPAID', 'CANCELLED'];
+
+const PAYMENT_METHODS = { upi_autopay: 'upi', emandate: 'netbanking' };
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  maxAttempts: envNumber('MANDATE_MAX_ATTEMPTS', 4),
+  retryBaseHours: envNumber('MANDATE_RETRY_BASE_HOURS', 24),
+  expiryGraceDays: envNumber('MANDATE_EXPIRY_GRACE_DAYS', 90)
+};
+
+class MandateError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'MandateError';
+    this.status = status;
+  }
+}
+
+/**
+ * MandateService - Auto-debit of due installments through recurring payment mandates
+ * A borrower authorizes a UPI AutoPay or eMandate for one loan at checkout. Once the bank confirms it,
+ * the daily run debits everything due on the loan's installment schedule, one charge cycle per
+ * installment. Failed debits are retried with exponential backoff until the cycle runs out of
+ * attempts; debits go through the normal settlement path, so webhooks and reconciliation apply to them too.
+ */
+class MandateService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Start a mandate for a loan; the borrower completes the returned checkout to authorize it
+   * @param {string} loanId - Loan to collect
+   * @param {Object} request
+   * @param {string} request.borrowerId - Borrower setting up the mandate
+   * @param {string} request.method - upi_autopay | emandate
+   * @param {number} request.maxAmount - Largest single debit (default: the loan's outstanding amount)
+   * @returns {Promise<Object>} { mandate, checkout }
+   * @throws {MandateError}
+   */
+  async register(loanId, { borrowerId, method, maxAmount }) {
+    const loan = await Loan.findById(loanId);
+    if (!loan) throw new MandateError('Loan not found', 404);
+    if (!loan.borrowerId.equals(borrowerId)) {
+      throw new MandateError('Only the borrower of a loan can set up its auto-debit', 403);
+    }
+    if (!loan.canTransition('repay') || loan.installments.length === 0) {
+      throw new MandateError(`Cannot set up auto-debit for a loan in state ${loan.status}`);
+    }
+    if (await Mandate.exists({ loanId: loan._id, status: 'active' })) {
+      throw new MandateError('Loan already has an active auto-debit mandate');
+    }
+
+    const largestInstallment = Math.max(...loan.installments.map(installment => installment.amount));
+    const limit = round2(maxAmount || loan.outstandingAmount);
+    if (limit < largestInstallment) {
+      throw new MandateError(`Mandate limit must cover an installment of ₹${largestInstallment}`, 400);
+    }
+
+    const borrower = await User.findById(borrowerId);
+    const lastDue = loan.installments[loan.installments.length - 1].dueDate;
+    const expiresAt = new Date(lastDue.getTime() + this.config.expiryGraceDays * DAY_MS);
+    const mandateId = uuidv4();
+
+    let created;
+    try {
+      created = await paymentGateway.createMandate({
+        method,
+        maxAmount: limit,
+        expiresAt,
+        receipt: paymentGateway.receiptFor(mandateId),
+        customer: borrower ? { name: borrower.fullName, email: borrower.email, phone: borrower.phone } : {},
+        notes: { loanId: loan._id.toString(), mandateId }
+      });
+    } catch (error) {
+      throw new MandateError(`Payment gateway error: ${error.message}`, 502);
+    }
+
+    // An authorization the borrower never finished is replaced by the new one
+    await Mandate.updateMany(
+      { loanId: loan._id, status: 'pending' },
+      { $set: { status: 'revoked', revokedAt: this.clock(), revocationReason: 'Superseded by a new mandate' } }
+    );
+
+    const mandate = await Mandate.create({
+      mandateId,
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      paymentProvider: created.provider,
+      method,
+      maxAmount: limit,
+      expiresAt,
+      authorizationOrderId: created.orderId,
+      gatewayCustomerId: created.customerId
+    });
+
+    return { mandate, checkout: created.checkout };
+  }
+
+  /**
+   * Record the borrower's completed authorization
+   * @param {string} mandateId - Mandate ID
+   * @param {Object} authorization - { paymentId, signature } from checkout
+   * @param {string} borrowerId - Borrower confirming, if called on their behalf
+   * @returns {Promise<Object>} Mandate, active or still pending bank confirmation
+   * @throws {MandateError}
+   */
+  async confirm(mandateId, { paymentId, signature }, borrowerId) {
+    const mandate = await this._owned(mandateId, borrowerId);
+    if (mandate.status !== 'pending') throw new MandateError(`Mandate is already ${mandate.status}`);
+
+    let result;
+    try {
+      result = await paymentGateway.confirmMandate({
+        orderId: mandate.authorizationOrderId,
+        paymentId,
+        signature
+      }, mandate.paymentProvider);
+    } catch (error) {
+      throw new MandateError(`Payment gateway error: ${error.message}`, 502);
+    }
+    if (!result.verified) throw new MandateError('Invalid mandate authorization signature', 400);
+
+    mandate.authorizationPaymentId = paymentId;
+    mandate.gatewayCustomerId = result.customerId || mandate.gatewayCustomerId;
+    mandate.gatewayTokenId = result.tokenId;
+    await this._applyStatus(mandate, result.status);
+    return mandate;
+  }
+
+  /**
+   * Revoke a mandate. Charging stops even if the gateway cannot be reached; the error is kept on the mandate.
+   * @param {string} mandateId - Mandate ID
+   * @param {Object} options
+   * @param {string} options.revokedBy - Borrower revoking it, if any
+   * @param {string} options.reason - Why it was revoked
+   * @returns {Promise<Object>} Mandate
+   * @throws {MandateError}
+   */
+  async revoke(mandateId, { revokedBy, reason } = {}) {
+    const mandate = await this._owned(mandateId, revokedBy);
+    if (!OPEN_STATUSES.includes(mandate.status)) throw new MandateError(`Mandate is already ${mandate.status}`);
+
+    mandate.revokedBy = revokedBy;
+    await this._close(mandate, 'revoked', reason || 'Revoked by borrower');
+    return mandate;
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.loanId - Loan
+   * @param {string} filters.borrowerId - Borrower
+   * @returns {Promise<Array<Object>>} Mandates, newest first
+   */
+  async list({ loanId, borrowerId } = {}) {
+    const query = {};
+    if (loanId) query.loanId = loanId;
+    if (borrowerId) query.borrowerId = borrowerId;
+    return Mandate.find(query).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Apply a mandate status reported by a gateway webhook
+   * @param {Object} token - Normalized { id, status }
+   * @returns {Promise<string>} processed | ignored | deferred
+   */
+  async applyTokenStatus(token) {
+    if (!token?.id || !token.status) return 'ignored';
+
+    const mandate = await Mandate.findOne({ gatewayTokenId: token.id });
+    // The authorization may not have been confirmed here yet
+    if (!mandate) return 'deferred';
+    if (!OPEN_STATUSES.includes(mandate.status)) return 'ignored';
+
+    if (token.status === 'revoked') {
+      await this._close(mandate, 'revoked', 'Cancelled at the bank', { notifyGateway: false });
+      return 'processed';
+    }
+    if (token.status === mandate.status) return 'ignored';
+
+    await this._applyStatus(mandate, token.status);
+    return 'processed';
+  }
+
+  /**
+   * Debit due installments through every active mandate
+   * @param {Object} options
+   * @param {Date} options.asOf - Installments due by this time are collected (default: now)
+   * @returns {Promise<Object>} Run summary
+   */
+  async chargeDue({ asOf = this.clock() } = {}) {
+    const summary = { mandatesScanned: 0, attempted: 0, captured: 0, processing: 0, failed: 0, exhausted: 0, completed: 0, errors: 0 };
+    const mandates = await Mandate.find({ status: 'active' });
+
+    for (const mandate of mandates) {
+      summary.mandatesScanned += 1;
+      try {
+        const loan = await Loan.findById(mandate.loanId);
+        if (!loan || CLOSED_LOAN_STATES.includes(loan.status)) {
+          await this._close(mandate, 'completed', 'Loan closed');
+          summary.completed += 1;
+          continue;
+        }
+
+        const result = await this._collect(mandate, loan, asOf);
+        if (!result || !result.attempted) continue;
+        summary.attempted += 1;
+        summary[result.charge.status] += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`Auto-debit failed for mandate ${mandate.mandateId}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Debit what is due on a loan now, ignoring any retry backoff
+   * @param {Object} loan - Loan document
+   * @returns {Promise<Object>} Charge cycle
+   * @throws {MandateError}
+   */
+  async collect(loan) {
+    const mandate = await Mandate.findOne({ loanId: loan._id, status: 'active' });
+    if (!mandate) throw new MandateError('Loan has no active auto-debit mandate');
+
+    const result = await this._collect(mandate, loan, this.clock(), { force: true });
+    if (!result) throw new MandateError('Nothing is due on this loan');
+    return result.charge;
+  }
+
+  // Private helper methods
+
+  /**
+   * Mandate the caller may act on
+   * @private
+   */
+  async _owned(mandateId, borrowerId) {
+    const mandate = await Mandate.findOne({ mandateId });
+    if (!mandate) throw new MandateError('Mandate not found', 404);
+    if (borrowerId && !mandate.borrowerId.equals(borrowerId)) {
+      throw new MandateError('Only the borrower of a mandate can change it', 403);
+    }
+    return mandate;
+  }
+
+  /**
+   * Installments due by asOf, as one charge cycle named after the latest of them
+   * @private
+   * @returns {Object|null} { installmentNumber, amount }
+   */
+  _due(loan, asOf) {
+    const due = loan.installments.filter(installment => installment.status !== 'Paid' && installment.dueDate <= asOf);
+    if (due.length === 0) return null;
+
+    const amount = round2(due.reduce((sum, installment) => sum + totalDue(installment), 0));
+    return amount > 0 ? { installmentNumber: due[due.length - 1].number, amount } : null;
+  }
+
+  /**
+   * Run the current charge cycle: pick up the outcome of an attempt in flight, or make the next attempt
+   * once its backoff has passed. A captured cycle is not charged again; whatever is still due waits
+   * for the next installment's cycle or a manual payment. Forcing skips the backoff and retries an
+   * exhausted cycle too.
+   * @private
+   * @returns {Promise<Object|null>} { charge, attempted }, or null when nothing is due
+   */
+  async _collect(mandate, loan, asOf, { force = false } = {}) {
+    const due = this._due(loan, asOf);
+    if (!due) return null;
+
+    let charge = mandate.charges.find(entry => entry.installmentNumber === due.installmentNumber);
+    if (charge && charge.status === 'processing') {
+      await this._sync(mandate, charge);
+      await mandate.save();
+    }
+    if (charge) {
+      const retryable = charge.status === 'failed' || (force && charge.status === 'exhausted');
+      if (!retryable || (!force && charge.nextRetryAt > asOf)) return { charge, attempted: false };
+    } else {
+      mandate.charges.push({ installmentNumber: due.installmentNumber });
+      charge = mandate.charges[mandate.charges.length - 1];
+    }
+
+    const attempted = await this._attempt(mandate, loan, charge, Math.min(due.amount, mandate.maxAmount));
+    return { charge, attempted };
+  }
+
+  /**
+   * One debit of the mandate. The transaction ID is derived from the mandate, installment and
+   * attempt, so an overlapping run hits the unique index instead of debiting twice.
+   * @private
+   * @returns {Promise<boolean>} Whether this call made the debit
+   */
+  async _attempt(mandate, loan, charge, amount) {
+    const attempt = charge.attempts + 1;
+    const transactionId = uuidv5(`${charge.installmentNumber}:${attempt}`, mandate.mandateId);
+
+    let transaction;
+    try {
+      transaction = await new Transaction({
+        transactionId,
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        lenderId: loan.lenderId,
+        amount,
+        type: 'emi_payment',
+        paymentProvider: mandate.paymentProvider,
+        status: 'pending',
+        metadata: {
+          paymentMethod: PAYMENT_METHODS[mandate.method],
+          emiNumber: charge.installmentNumber,
+          totalEmis: loan.installments.length,
+          mandateId: mandate.mandateId,
+          attempt
+        }
+      }).save();
+    } catch (error) {
+      if (error.code === 11000) return false; // another run made this attempt
+      throw error;
+    }
+
+    charge.attempts = attempt;
+    charge.amount = amount;
+    charge.status = 'processing';
+    charge.transactionId = transactionId;
+    charge.lastAttemptAt = this.clock();
+    charge.nextRetryAt = undefined;
+    await mandate.save();
+
+    let payment;
+    try {
+      const borrower = await User.findById(loan.borrowerId);
+      payment = await paymentGateway.chargeMandate({
+        customerId: mandate.gatewayCustomerId,
+        tokenId: mandate.gatewayTokenId
+      }, {
+        amount,
+        receipt: paymentGateway.receiptFor(transactionId),
+        customer: borrower ? { email: borrower.email, phone: borrower.phone } : {},
+        notes: { loanId: loan._id.toString(), mandateId: mandate.mandateId, transactionId }
+      }, mandate.paymentProvider);
+    } catch (error) {
+      payment = { status: 'failed', errorDescription: error.message };
+    }
+
+    if (payment.orderId) {
+      transaction.razorpayOrderId = payment.orderId;
+      transaction.razorpayPaymentId = payment.id;
+      await transaction.save();
+    }
+
+    eventBus.emitEvent('payment.autodebit_attempted', {
+      mandateId: mandate.mandateId,
+      loanId: loan._id,
+      transactionId,
+      installmentNumber: charge.installmentNumber,
+      attempt,
+      amount,
+      status: payment.status
+    }, { source: 'mandate_service', userId: loan.borrowerId });
+
+    if (payment.status === 'captured') {
+      await settlementService.settleCaptured(payment);
+      await this._sync(mandate, charge);
+    } else if (payment.status === 'failed') {
+      const reason = payment.errorDescription || 'Auto-debit failed';
+      if (transaction.razorpayOrderId) {
+        await settlementService.settleFailed({ ...payment, errorDescription: reason });
+      } else {
+        await transaction.markAsFailed(reason);
+      }
+      this._failed(mandate, charge, reason);
+    }
+    // Anything else is still with the bank; the gateway's webhook settles the transaction
+
+    await mandate.save();
+    return true;
+  }
+
+  /**
+   * Update a charge in flight from its transaction, which webhooks and reconciliation settle
+   * @private
+   */
+  async _sync(mandate, charge) {
+    const transaction = await Transaction.findOne({ transactionId: charge.transactionId });
+    if (!transaction) return;
+
+    if (transaction.status === 'confirmed') {
+      charge.status = 'captured';
+      charge.capturedAt = transaction.confirmedAt || this.clock();
+      charge.lastError = undefined;
+    } else if (['failed', 'cancelled'].includes(transaction.status)) {
+      this._failed(mandate, charge, transaction.failureReason || 'Auto-debit failed');
+    }
+  }
+
+  /**
+   * Schedule the next attempt of a failed charge, doubling the wait each time, or give up
+   * @private
+   */
+  _failed(mandate, charge, reason) {
+    charge.lastError = reason;
+
+    let retryMessage;
+    if (charge.attempts >= this.config.maxAttempts) {
+      charge.status = 'exhausted';
+      charge.nextRetryAt = undefined;
+      retryMessage = 'Please pay this EMI manually.';
+    } else {
+      charge.status = 'failed';
+      const delay = this.config.retryBaseHours * HOUR_MS * 2 ** (charge.attempts - 1);
+      charge.nextRetryAt = new Date((charge.lastAttemptAt || this.clock()).getTime() + delay);
+      retryMessage = `We will retry on ${charge.nextRetryAt.toISOString().slice(0, 10)}.`;
+    }
+
+    eventBus.emitEvent('notification.send', {
+      userId: mandate.borrowerId,
+      type: 'autodebit_failed',
+      variables: {
+        loanId: mandate.loanId,
+        mandateId: mandate.mandateId,
+        amount: charge.amount,
+        reason,
+        retryMessage
+      }
+    });
+  }
+
+  /**
+   * Move a pending mandate to the status the gateway reports
+   * @private
+   */
+  async _applyStatus(mandate, status) {
+    if (status === 'active') {
+      mandate.status = 'active';
+      mandate.activatedAt = this.clock();
+    } else if (status === 'rejected') {
+      mandate.status = 'failed';
+      mandate.failureReason = 'Mandate was rejected by the bank';
+    }
+    await mandate.save();
+
+    if (mandate.status === 'active') {
+      eventBus.emitEvent('mandate.activated', {
+        mandateId: mandate.mandateId,
+        loanId: mandate.loanId,
+        method: mandate.method,
+        maxAmount: mandate.maxAmount
+      }, { source: 'mandate_service', userId: mandate.borrowerId });
+
+      this._notify(mandate, 'mandate_activated');
+    }
+  }
+
+  /**
+   * End a mandate and cancel it at the gateway
+   * @private
+   */
+  async _close(mandate, status, reason, { notifyGateway = true } = {}) {
+    if (notifyGateway && mandate.gatewayTokenId) {
+      try {
+        await paymentGateway.revokeMandate({
+          customerId: mandate.gatewayCustomerId,
+          tokenId: mandate.gatewayTokenId
+        }, mandate.paymentProvider);
+      } catch (error) {
+        console.error(`Could not revoke mandate ${mandate.mandateId} at the gateway:`, error.message);
+        mandate.revokeError = error.message;
+      }
+    }
+
+    mandate.status = status;
+    mandate.revokedAt = this.clock();
+    mandate.revocationReason = reason;
+    await mandate.save();
+
+    eventBus.emitEvent('mandate.revoked', {
+      mandateId: mandate.mandateId,
+      loanId: mandate.loanId,
+      status,
+      reason
+    }, { source: 'mandate_service', userId: mandate.borrowerId });
+
+    if (status === 'revoked') this._notify(mandate, 'mandate_revoked');
+  }
+
+  /**
+   * @private
+   */
+  _notify(mandate, type) {
+    eventBus.emitEvent('notification.send', {
+      userId: mandate.borrowerId,
+      type,
+      variables: {
+        loanId: mandate.loanId,
+        mandateId: mandate.mandateId,
+        maxAmount: mandate.maxAmount
+      }
+    });
+  }
+}
+
+module.exports = new MandateService();
+module.exports.MandateService = MandateService;
+module.exports.MandateError = MandateError;
@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const LoanOffer = require('../models/LoanOffer');
+const Loan = require('../models/Loan');
+const collateralService = require('./collateralService');
+const eventBus = require('../utils/eventBus');
+const { InvalidTransitionError } = require('../utils/loanFSM');
+const { round2 } = require('../utils/amortization');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  validHours: envNumber('LOAN_OFFER_VALID_HOURS', 48),
+  maxValidHours: envNumber('LOAN_OFFER_MAX_VALID_HOURS', 168)
+};
+
+class OfferError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'OfferError';
+    this.status = status;
+  }
+}
+
+/**
+ * OfferService - Negotiates the terms of requested loans
+ * A lender proposes an amount, rate and duration different from what the borrower asked for;
+ * the other side accepts, rejects or counters, each offer expiring on its own. Accepting an offer
+ * makes its terms binding on the loan and commits its lender, who then funds escrow as usual.
+ * Every change is pushed to both parties' Socket.IO rooms through the event bus.
+ */
+class OfferService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Open a negotiation with an offer on a requested loan
+   * @param {string} loanId - Loan ID
+   * @param {Object} offer
+   * @param {string} offer.lenderId - Offering lender
+   * @param {Object} offer.terms - { amount, interestRate, duration }
+   * @param {string} offer.note - Optional message to the borrower
+   * @param {number} offer.expiresInHours - How long the borrower has to respond
+   * @returns {Promise<Object>} LoanOffer
+   * @throws {OfferError}
+   */
+  async propose(loanId, { lenderId, terms, note, expiresInHours }) {
+    const loan = await this._negotiable(loanId);
+    if (loan.borrowerId.equals(lenderId)) {
+      throw new OfferError('Borrowers cannot make offers on their own loans', 403);
+    }
+
+    const open = await LoanOffer.findOne({ loanId: loan._id, lenderId, status: 'open' });
+    if (open && !(await this._expireIfDue(open))) {
+      throw new OfferError('You already have an open offer on this loan');
+    }
+
+    const proposal = await this._secured(loan, this._terms(terms));
+    const offer = await LoanOffer.create({
+      offerId: uuidv4(),
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      lenderId,
+      proposedBy: 'lender',
+      terms: proposal,
+      note,
+      expiresAt: this._expiresAt(expiresInHours)
+    });
+
+    this._broadcast('created', offer, lenderId);
+    this._notify(offer.borrowerId, 'loan_offer_received', offer);
+    return offer;
+  }
+
+  /**
+   * Answer an open offer with different terms; the offer is closed as countered
+   * @param {string} loanId - Loan ID
+   * @param {string} offerId - Offer being countered
+   * @param {Object} counter
+   * @param {string} counter.userId - Countering user; must be the side the offer was made to
+   * @param {Object} counter.terms - { amount, interestRate, duration }
+   * @param {string} counter.note - Optional message
+   * @param {number} counter.expiresInHours - How long the other side has to respond
+   * @returns {Promise<Object>} The new LoanOffer
+   * @throws {OfferError}
+   */
+  async counter(loanId, offerId, { userId, terms, note, expiresInHours }) {
+    const { loan, offer, side } = await this._respondable(loanId, offerId, userId);
+    const proposal = await this._secured(loan, this._terms(terms));
+    const expiresAt = this._expiresAt(expiresInHours);
+
+    offer.status = 'countered';
+    offer.respondedAt = this.clock();
+    await offer.save();
+
+    const counterOffer = await LoanOffer.create({
+      offerId: uuidv4(),
+      loanId: loan._id,
+      borrowerId: offer.borrowerId,
+      lenderId: offer.lenderId,
+      proposedBy: side,
+      counterTo: offer.offerId,
+      terms: proposal,
+      note,
+      expiresAt
+    });
+
+    this._broadcast('countered', offer, userId);
+    this._broadcast('created', counterOffer, userId);
+    this._notify(side === 'borrower' ? offer.lenderId : offer.borrowerId, 'loan_offer_received', counterOffer);
+    return counterOffer;
+  }
+
+  /**
+   * Accept an open offer: its terms replace the loan's, its lender is committed for the whole
+   * amount and the loan is approved. Other open offers on the loan are superseded.
+   * @param {string} loanId - Loan ID
+   * @param {string} offerId - Offer ID
+   * @param {Object} options
+   * @param {string} options.userId - Accepting user; must be the side the offer was made to
+   * @returns {Promise<Object>} { offer, loan }
+   * @throws {OfferError}
+   */
+  async accept(loanId, offerId, { userId }) {
+    const { loan, offer } = await this._respondable(loanId, offerId, userId);
+
+    try {
+      loan.acceptOffer(offer.terms, { lenderId: offer.lenderId, actor: userId, reference: offer.offerId });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) throw new OfferError(error.message);
+      throw error;
+    }
+    await loan.save();
+
+    offer.status = 'accepted';
+    offer.respondedAt = this.clock();
+    await offer.save();
+
+    const others = await LoanOffer.find({ loanId: loan._id, status: 'open' });
+    for (const other of others) {
+      other.status = 'superseded';
+      other.respondedAt = offer.respondedAt;
+      await other.save();
+      this._broadcast('superseded', other, userId);
+    }
+
+    eventBus.emitEvent('loan.approved', {
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      lenderId: loan.lenderId,
+      lenders: loan.lenders.map(({ lenderId, amount }) => ({ lenderId, amount })),
+      amount: loan.amount,
+      interestRate: loan.interestRate,
+      duration: loan.duration
+    }, { source: 'offer_service', userId });
+
+    this._broadcast('accepted', offer, userId);
+    this._notify(offer.proposedBy === 'lender' ? offer.lenderId : offer.borrowerId, 'loan_offer_accepted', offer);
+    return { offer, loan };
+  }
+
+  /**
+   * Decline an open offer; the negotiation with that lender ends
+   * @param {string} loanId - Loan ID
+   * @param {string} offerId - Offer ID
+   * @param {Object} options
+   * @param {string} options.userId - Rejecting user; must be the side the offer was made to
+   * @param {string} options.reason - Optional reason
+   * @returns {Promise<Object>} LoanOffer
+   * @throws {OfferError}
+   */
+  async reject(loanId, offerId, { userId, reason }) {
+    const { offer } = await this._respondable(loanId, offerId, userId);
+
+    offer.status = 'rejected';
+    offer.respondedAt = this.clock();
+    offer.rejectionReason = reason;
+    await offer.save();
+
+    this._broadcast('rejected', offer, userId);
+    return offer;
+  }
+
+  /**
+   * Offer thread of a loan, oldest first. The borrower sees every lender's offers; a lender
+   * sees only their own negotiation.
+   * @param {string} loanId - Loan ID
+   * @param {Object} options
+   * @param {string} options.userId - Requesting user
+   * @returns {Promise<Array<Object>>} LoanOffers
+   */
+  async thread(loanId, { userId }) {
+    const loan = await this._loan(loanId);
+    const query = { loanId: loan._id };
+    if (!loan.borrowerId.equals(userId)) query.lenderId = userId;
+
+    const offers = await LoanOffer.find(query).sort({ createdAt: 1 });
+    for (const offer of offers) {
+      await this._expireIfDue(offer);
+    }
+    return offers;
+  }
+
+  /**
+   * Close every open offer past its expiry
+   * @returns {Promise<Object>} { expired }
+   */
+  async expireStale() {
+    const stale = await LoanOffer.find({ status: 'open', expiresAt: { $lte: this.clock() } });
+    for (const offer of stale) {
+      offer.status = 'expired';
+      await offer.save();
+      this._broadcast('expired', offer);
+    }
+    return { expired: stale.length };
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  async _loan(loanId) {
+    const loan = mongoose.isValidObjectId(loanId) ? await Loan.findById(loanId) : null;
+    if (!loan) throw new OfferError('Loan not found', 404);
+    return loan;
+  }
+
+  /**
+   * A requested loan nobody has committed to yet
+   * @private
+   */
+  async _negotiable(loanId) {
+    const loan = await this._loan(loanId);
+    if (!loan.canTransition('approve')) {
+      throw new OfferError(`Cannot negotiate a loan in state ${loan.status}`);
+    }
+    if (loan.fundedAmount > 0) {
+      throw new OfferError('Lenders have already committed to this loan at its requested terms');
+    }
+    return loan;
+  }
+
+  /**
+   * An open offer the user can answer, and which side they answer for
+   * @private
+   */
+  async _respondable(loanId, offerId, userId) {
+    const loan = await this._negotiable(loanId);
+    const offer = await LoanOffer.findOne({ loanId: loan._id, offerId });
+    if (!offer) throw new OfferError('Offer not found', 404);
+
+    const side = offer.proposedBy === 'lender' ? 'borrower' : 'lender';
+    const responder = side === 'borrower' ? offer.borrowerId : offer.lenderId;
+    if (!responder.equals(userId)) {
+      throw new OfferError(`Only the ${side} this offer was made to can respond to it`, 403);
+    }
+    if (await this._expireIfDue(offer)) throw new OfferError('Offer has expired');
+    if (offer.status !== 'open') throw new OfferError(`Offer is already ${offer.status}`);
+
+    return { loan, offer, side };
+  }
+
+  /**
+   * Expire an open offer past its expiry; true if it was expired
+   * @private
+   */
+  async _expireIfDue(offer) {
+    if (offer.status !== 'open' || offer.expiresAt > this.clock()) return false;
+    offer.status = 'expired';
+    await offer.save();
+    this._broadcast('expired', offer);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _terms(terms = {}) {
+    const amount = round2(Number(terms.amount));
+    const interestRate = Number(terms.interestRate);
+    const duration = Number(terms.duration);
+
+    if (!(amount > 0)) throw new OfferError('amount must be positive', 400);
+    if (!(interestRate > 0)) throw new OfferError('interestRate must be positive', 400);
+    if (!Number.isInteger(duration) || duration < 1) {
+      throw new OfferError('duration must be a whole number of months', 400);
+    }
+    return { amount, interestRate, duration };
+  }
+
+  /**
+   * Terms whose amount the loan's pledged collateral can secure
+   * @private
+   */
+  async _secured(loan, terms) {
+    const limit = await collateralService.loanLimit(loan);
+    if (terms.amount > limit) {
+      throw new OfferError(`amount exceeds the ₹${limit} the pledged collateral can secure`, 400);
+    }
+    return terms;
+  }
+
+  /**
+   * @private
+   */
+  _expiresAt(expiresInHours) {
+    if (expiresInHours === undefined || expiresInHours === null || expiresInHours === '') {
+      return new Date(this.clock().getTime() + this.config.validHours * HOUR_MS);
+    }
+    const hours = Number(expiresInHours);
+    if (!(hours > 0) || hours > this.config.maxValidHours) {
+      throw new OfferError(`expiresInHours must be above 0 and at most ${this.config.maxValidHours}`, 400);
+    }
+    return new Date(this.clock().getTime() + hours * HOUR_MS);
+  }
+
+  /**
+   * Push an offer change to both parties' Socket.IO rooms
+   * @private
+   */
+  _broadcast(action, offer, userId = null) {
+    eventBus.emitEvent(`loan.offer_${action}`, {
+      offerId: offer.offerId,
+      loanId: offer.loanId,
+      borrowerId: offer.borrowerId,
+      lenderId: offer.lenderId,
+      proposedBy: offer.proposedBy,
+      counterTo: offer.counterTo,
+      terms: { amount: offer.terms.amount, interestRate: offer.terms.interestRate, duration: offer.terms.duration },
+      status: offer.status,
+      expiresAt: offer.expiresAt
+    }, { source: 'offer_service', userId });
+  }
+
+  /**
+   * @private
+   */
+  _notify(userId, type, offer) {
+    eventBus.emitEvent('notification.send', {
+      userId,
+      type,
+      variables: {
+        loanId: offer.loanId,
+        offerId: offer.offerId,
+        amount: offer.terms.amount,
+        interestRate: offer.terms.interestRate,
+        duration: offer.terms.duration,
+        expiresAt: offer.expiresAt.toISOString().slice(0, 16).replace('T', ' ')
+      }
+    });
+  }
+}
+
+module.exports = new OfferService();
+module.exports.OfferService = OfferService;
+module.exports.OfferError = OfferError;
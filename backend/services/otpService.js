@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const OtpChallenge = require('../models/OtpChallenge');
+const twilioService = require('./twilioService');
+const { sha256 } = require('../utils/hashing');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+const PURPOSES = ['signup', 'login', 'loan_consent', 'password_reset', 'admin_mfa'];
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  codeLength: 6,
+  ttlMinutes: envNumber('OTP_TTL_MINUTES', 10),
+  maxAttempts: envNumber('OTP_MAX_ATTEMPTS', 5),
+  lockoutMinutes: envNumber('OTP_LOCKOUT_MINUTES', 30),
+  resendIntervalSeconds: envNumber('OTP_RESEND_INTERVAL_SECONDS', 60),
+  maxSendsPerHour: envNumber('OTP_MAX_SENDS_PER_HOUR', 5)
+};
+
+class OtpError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'OtpError';
+    this.status = status;
+  }
+}
+
+/**
+ * OtpService - One-time codes sent by SMS
+ * Codes are drawn from a CSPRNG, texted through twilioService using the otp_<purpose> template
+ * and stored only as a hash bound to the challenge, so a code issued for one phone, purpose or
+ * reference never verifies another. A code is single-use and expires; too many wrong guesses
+ * lock the challenge, and new codes are throttled both per request and per hour. With Twilio
+ * in mock mode, sent codes can be read back from twilioService.mockMessages.
+ */
+class OtpService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Generate a code, store its hash and text it to the phone. Replaces any code outstanding
+   * for the same phone, purpose and reference.
+   * @param {string} phone - Recipient phone number
+   * @param {string} purpose - signup | login | loan_consent | password_reset | admin_mfa
+   * @param {Object} options
+   * @param {string} options.reference - What the code authorizes beyond the phone number
+   * @param {Object} options.variables - Extra SMS template variables
+   * @returns {Promise<Object>} { expiresAt, resendAvailableAt }
+   * @throws {OtpError}
+   */
+  async issue(phone, purpose, { reference = '', variables = {} } = {}) {
+    const key = this._key(phone, purpose, reference);
+    const now = this.clock();
+    const challenge = await OtpChallenge.findOne(key) || new OtpChallenge(key);
+
+    this._assertUnlocked(challenge, now);
+    if (challenge.lastSentAt) {
+      const wait = Math.ceil((challenge.lastSentAt.getTime() + this.config.resendIntervalSeconds * SECOND_MS - now) / SECOND_MS);
+      if (wait > 0) throw new OtpError(`Wait ${wait} seconds before asking for another code`, 429);
+    }
+    if (!challenge.sendWindow.startedAt || now - challenge.sendWindow.startedAt >= HOUR_MS) {
+      challenge.sendWindow = { startedAt: now, count: 0 };
+    }
+    if (challenge.sendWindow.count >= this.config.maxSendsPerHour) {
+      const minutes = Math.ceil((challenge.sendWindow.startedAt.getTime() + HOUR_MS - now) / MINUTE_MS);
+      throw new OtpError(`Too many codes requested; try again in ${minutes} minutes`, 429);
+    }
+
+    const code = crypto.randomInt(0, 10 ** this.config.codeLength).toString().padStart(this.config.codeLength, '0');
+    try {
+      await twilioService.sendSMS({
+        to: key.phone,
+        type: `otp_${purpose}`,
+        variables: { ...variables, code, minutes: this.config.ttlMinutes }
+      });
+    } catch (error) {
+      throw new OtpError(`Could not send the code: ${error.message}`, 502);
+    }
+    if (twilioService.mockMode && process.env.NODE_ENV !== 'production') {
+      console.log(`📱 ${purpose} code for ${key.phone}: ${code}`);
+    }
+
+    challenge.codeHash = this._hash(challenge, code);
+    challenge.codeExpiresAt = new Date(now.getTime() + this.config.ttlMinutes * MINUTE_MS);
+    challenge.attempts = 0;
+    challenge.lastSentAt = now;
+    challenge.sendWindow.count += 1;
+    challenge.verifiedAt = undefined;
+    this._schedulePurge(challenge);
+    await challenge.save();
+
+    return {
+      expiresAt: challenge.codeExpiresAt,
+      resendAvailableAt: new Date(now.getTime() + this.config.resendIntervalSeconds * SECOND_MS)
+    };
+  }
+
+  /**
+   * Check a code and use it up. Each wrong guess counts towards the lockout.
+   * @param {string} phone - Phone number the code was sent to
+   * @param {string} purpose - signup | login | loan_consent | password_reset | admin_mfa
+   * @param {string} code - Code entered by the user
+   * @param {Object} options
+   * @param {string} options.reference - Reference the code was issued for
+   * @returns {Promise<Object>} The verified OtpChallenge
+   * @throws {OtpError}
+   */
+  async verify(phone, purpose, code, { reference = '' } = {}) {
+    const key = this._key(phone, purpose, reference);
+    const now = this.clock();
+    const challenge = await OtpChallenge.findOne(key).select('+codeHash');
+
+    if (challenge) this._assertUnlocked(challenge, now);
+    if (!challenge || !challenge.codeHash) {
+      throw new OtpError('No code is outstanding; ask for a new one', 400);
+    }
+    if (challenge.codeExpiresAt <= now) {
+      throw new OtpError('Code has expired; ask for a new one', 400);
+    }
+
+    // Attempts are counted, and the code used up, by conditional updates on the hash that was
+    // checked, so parallel guesses can neither exceed maxAttempts nor use a code twice
+    const unspent = { _id: challenge._id, codeHash: challenge.codeHash, attempts: { $lt: this.config.maxAttempts } };
+    if (!this._matches(challenge, code)) {
+      const counted = await OtpChallenge.findOneAndUpdate(unspent, { $inc: { attempts: 1 } }, { new: true });
+      if (!counted) throw await this._spentError(challenge._id);
+
+      const remaining = this.config.maxAttempts - counted.attempts;
+      if (remaining <= 0) {
+        counted.lockedUntil = new Date(now.getTime() + this.config.lockoutMinutes * MINUTE_MS);
+        this._schedulePurge(counted);
+        await OtpChallenge.updateOne({ _id: challenge._id }, {
+          $unset: { codeHash: 1 },
+          $set: { lockedUntil: counted.lockedUntil, purgeAt: counted.purgeAt }
+        });
+        throw new OtpError(`Too many incorrect codes; try again in ${this.config.lockoutMinutes} minutes`, 429);
+      }
+      throw new OtpError(`Incorrect code; ${remaining} attempt${remaining === 1 ? '' : 's'} left`, 400);
+    }
+
+    const verified = await OtpChallenge.findOneAndUpdate(unspent, {
+      $unset: { codeHash: 1, codeExpiresAt: 1 },
+      $set: { attempts: 0, verifiedAt: now }
+    }, { new: true });
+    if (!verified) throw await this._spentError(challenge._id);
+    return verified;
+  }
+
+  /**
+   * Void the outstanding code, e.g. when the invitation it answers is withdrawn
+   * @param {string} phone - Phone number the code was sent to
+   * @param {string} purpose - signup | login | loan_consent | password_reset | admin_mfa
+   * @param {Object} options
+   * @param {string} options.reference - Reference the code was issued for
+   * @returns {Promise<void>}
+   */
+  async revoke(phone, purpose, { reference = '' } = {}) {
+    await OtpChallenge.updateOne(this._key(phone, purpose, reference), {
+      $unset: { codeHash: 1, codeExpiresAt: 1 }
+    });
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  _key(phone, purpose, reference) {
+    if (!PURPOSES.includes(purpose)) throw new OtpError(`Unknown OTP purpose ${purpose}`, 400);
+    const normalized = String(phone || '').trim();
+    if (!normalized) throw new OtpError('Phone number is required', 400);
+    return { phone: normalized, purpose, reference: String(reference) };
+  }
+
+  /**
+   * @private
+   */
+  _assertUnlocked(challenge, now) {
+    if (challenge.lockedUntil && challenge.lockedUntil > now) {
+      const minutes = Math.ceil((challenge.lockedUntil - now) / MINUTE_MS);
+      throw new OtpError(`Too many incorrect codes; try again in ${minutes} minutes`, 429);
+    }
+  }
+
+  /**
+   * Why a code that was outstanding when read could not be counted or used: a parallel
+   * guess used it up or locked the challenge, or a new code replaced it
+   * @private
+   */
+  async _spentError(challengeId) {
+    const current = await OtpChallenge.findById(challengeId);
+    if (current && current.attempts >= this.config.maxAttempts) {
+      return new OtpError(`Too many incorrect codes; try again in ${this.config.lockoutMinutes} minutes`, 429);
+    }
+    return new OtpError('No code is outstanding; ask for a new one', 400);
+  }
+
+  /**
+   * Salting with the challenge ID ties a hash to its phone, purpose and reference
+   * @private
+   */
+  _hash(challenge, code) {
+    return sha256(`${challenge._id}:${code}`);
+  }
+
+  /**
+   * @private
+   */
+  _matches(challenge, code) {
+    const pattern = new RegExp(`^\\d{${this.config.codeLength}}$`);
+    if (!pattern.test(String(code || ''))) return false;
+    return crypto.timingSafeEqual(
+      Buffer.from(challenge.codeHash, 'hex'),
+      Buffer.from(this._hash(challenge, String(code)), 'hex')
+    );
+  }
+
+  /**
+   * Keep the challenge until its code, lockout and resend window have all lapsed
+   * @private
+   */
+  _schedulePurge(challenge) {
+    const times = [
+      challenge.codeExpiresAt,
+      challenge.lockedUntil,
+      challenge.sendWindow.startedAt && new Date(challenge.sendWindow.startedAt.getTime() + HOUR_MS)
+    ].filter(Boolean).map(date => date.getTime());
+    challenge.purgeAt = new Date(Math.max(...times));
+  }
+}
+
+module.exports = new OtpService();
+module.exports.OtpService = OtpService;
+module.exports.OtpError = OtpError;
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const PaymentProvider = require('./PaymentProvider');
+
+const shortId = () => uuidv4().replace(/-/g, '').substring(0, 14);
+
+/**
+ * MockProvider - In-memory gateway for local development and offline tests
+ * Signatures are real HMACs over a local secret, so verification failures can be exercised too.
+ */
+class MockProvider extends PaymentProvider {
+  constructor() {
+    super('mock');
+    this.mockMode = true;
+    this.secret = process.env.MOCK_PAYMENT_SECRET || 'mock_payment_secret';
+    this.orders = new Map();
+    this.payments = new Map();
+    this.tokens = new Map();
+    this.chargeFailures = new Map();
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {}, description }) {
+    if (!amount || amount <= 0) throw new Error('Invalid amount specified');
+    if (!receipt) throw new Error('Receipt ID is required');
+
+    const order = {
+      id: `order_mock_${shortId()}`,
+      amount,
+      currency,
+      receipt,
+      status: 'created',
+      notes,
+      description,
+      createdAt: new Date()
+    };
+    this.orders.set(order.id, order);
+
+    return {
+      ...order,
+      provider: this.name,
+      // Lets offline clients complete checkout without a gateway
+      checkout: { simulate: this.simulatePayment(order.id) }
+    };
+  }
+
+  /**
+   * Payment ID and signature a successful checkout of this order would return
+   * @param {string} orderId - Mock order ID
+   * @returns {Object} { orderId, paymentId, signature }
+   */
+  simulatePayment(orderId) {
+    const paymentId = `pay_mock_${shortId()}`;
+    return { orderId, paymentId, signature: this._sign(`${orderId}|${paymentId}`) };
+  }
+
+  async verifyPayment({ orderId, paymentId, signature }) {
+    const order = this.orders.get(orderId);
+    if (!order) throw new Error('Order not found');
+
+    if (signature !== this._sign(`${orderId}|${paymentId}`)) {
+      return { verified: false, orderId, paymentId, provider: this.name };
+    }
+
+    const payment = {
+      id: paymentId,
+      orderId,
+      amount: order.amount,
+      currency: order.currency,
+      status: 'captured',
+      method: 'upi',
+      refunded: 0,
+      createdAt: new Date()
+    };
+    this.payments.set(paymentId, payment);
+    order.status = 'paid';
+
+    return {
+      verified: true,
+      paymentId,
+      orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      method: payment.method,
+      fee: 0,
+      tax: 0,
+      provider: this.name
+    };
+  }
+
+  async refund(paymentId, amount = null, notes = {}) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) throw new Error('Payment not found');
+
+    const refundAmount = amount || payment.amount - payment.refunded;
+    if (refundAmount <= 0 || payment.refunded + refundAmount > payment.amount) {
+      throw new Error('Refund exceeds captured amount');
+    }
+    payment.refunded += refundAmount;
+    if (payment.refunded >= payment.amount) payment.status = 'refunded';
+
+    return {
+      id: `rfnd_mock_${shortId()}`,
+      paymentId,
+      amount: refundAmount,
+      currency: payment.currency,
+      status: 'processed',
+      notes,
+      provider: this.name
+    };
+  }
+
+  async fetchPayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) throw new Error('Payment not found');
+
+    return {
+      id: payment.id,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      method: payment.method,
+      createdAt: payment.createdAt,
+      provider: this.name
+    };
+  }
+
+  async listPayments({ from, to }) {
+    return [...this.payments.values()]
+      .filter(payment => payment.createdAt >= from && payment.createdAt <= to)
+      .map(payment => ({
+        id: payment.id,
+        orderId: payment.orderId,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        method: payment.method,
+        createdAt: payment.createdAt,
+        provider: this.name
+      }));
+  }
+
+  async createMandate({ method, maxAmount, expiresAt, receipt, customer = {}, notes = {} }) {
+    if (!maxAmount || maxAmount <= 0) throw new Error('Invalid mandate amount specified');
+    if (!receipt) throw new Error('Receipt ID is required');
+
+    const order = {
+      id: `order_mock_${shortId()}`,
+      amount: 0,
+      currency: 'INR',
+      receipt,
+      status: 'created',
+      notes,
+      mandate: { method, maxAmount, expiresAt, customerId: `cust_mock_${shortId()}`, email: customer.email },
+      createdAt: new Date()
+    };
+    this.orders.set(order.id, order);
+
+    return {
+      id: order.id,
+      orderId: order.id,
+      customerId: order.mandate.customerId,
+      method,
+      maxAmount,
+      status: 'created',
+      provider: this.name,
+      checkout: { simulate: this.simulatePayment(order.id) }
+    };
+  }
+
+  async confirmMandate({ orderId, paymentId, signature }) {
+    const order = this.orders.get(orderId);
+    if (!order || !order.mandate) throw new Error('Mandate order not found');
+
+    if (signature !== this._sign(`${orderId}|${paymentId}`)) {
+      return { verified: false, orderId, provider: this.name };
+    }
+
+    // The mock bank confirms mandates immediately
+    const token = { id: `token_mock_${shortId()}`, ...order.mandate, status: 'active' };
+    this.tokens.set(token.id, token);
+    order.status = 'paid';
+
+    return {
+      verified: true,
+      id: orderId,
+      orderId,
+      customerId: token.customerId,
+      tokenId: token.id,
+      method: token.method,
+      maxAmount: token.maxAmount,
+      status: token.status,
+      provider: this.name
+    };
+  }
+
+  async chargeMandate({ tokenId }, { amount, receipt, notes = {} }) {
+    const token = this.tokens.get(tokenId);
+    if (!token) throw new Error('Mandate not found');
+
+    const order = await this.createOrder({ amount, receipt, notes });
+    const payment = {
+      id: `pay_mock_${shortId()}`,
+      orderId: order.id,
+      amount,
+      currency: order.currency,
+      status: 'captured',
+      method: token.method === 'upi_autopay' ? 'upi' : 'emandate',
+      refunded: 0,
+      createdAt: new Date()
+    };
+
+    const failure = this.chargeFailures.get(tokenId);
+    if (token.status !== 'active') {
+      payment.status = 'failed';
+      payment.errorDescription = `Mandate is ${token.status}`;
+    } else if (amount > token.maxAmount) {
+      payment.status = 'failed';
+      payment.errorDescription = 'Amount exceeds the mandate limit';
+    } else if (failure && failure.remaining > 0) {
+      failure.remaining -= 1;
+      payment.status = 'failed';
+      payment.errorDescription = failure.reason;
+    }
+
+    this.payments.set(payment.id, payment);
+    if (payment.status === 'captured') this.orders.get(order.id).status = 'paid';
+
+    return {
+      id: payment.id,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      method: payment.method,
+      errorDescription: payment.errorDescription,
+      createdAt: payment.createdAt,
+      provider: this.name
+    };
+  }
+
+  async revokeMandate({ tokenId }) {
+    const token = this.tokens.get(tokenId);
+    if (!token) throw new Error('Mandate not found');
+    token.status = 'revoked';
+    return { tokenId, status: token.status, provider: this.name };
+  }
+
+  /**
+   * Make the next debits of a mandate fail, to exercise retries offline
+   * @param {string} tokenId - Mock token ID
+   * @param {number} count - Number of debits to fail
+   * @param {string} reason - Failure description
+   */
+  simulateChargeFailures(tokenId, count = 1, reason = 'Insufficient funds') {
+    this.chargeFailures.set(tokenId, { remaining: count, reason });
+  }
+
+  verifyWebhook(rawBody, headers = {}) {
+    return headers['x-mock-signature'] === this._sign(rawBody);
+  }
+
+  /**
+   * Mock webhooks use the normalized shape directly: { id, type, occurredAt, payment, order, token }
+   */
+  parseWebhook(body) {
+    return {
+      id: body.id,
+      type: body.type,
+      occurredAt: body.occurredAt ? new Date(body.occurredAt) : undefined,
+      payment: body.payment || null,
+      order: body.order || null,
+      token: body.token || null,
+      raw: body
+    };
+  }
+
+  getTestCredentials() {
+    return { mode: 'mock', provider: this.name, key_id: 'mock_key' };
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  _sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value, 'utf8').digest('hex');
+  }
+}
+
+module.exports = MockProvider;
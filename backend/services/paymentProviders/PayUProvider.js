@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const PaymentProvider = require('./PaymentProvider');
+
+const sha512 = value => crypto.createHash('sha512').update(value).digest('hex');
+
+// PayU payment modes mapped onto Transaction.metadata.paymentMethod
+const PAYU_MODES = { CC: 'card', DC: 'card', NB: 'netbanking', UPI: 'upi', CASH: 'wallet' };
+
+// PayU transaction statuses mapped onto the normalized payment status
+const PAYU_STATUSES = { success: 'captured', captured: 'captured', failure: 'failed', failed: 'failed', pending: 'created', refunded: 'refunded' };
+
+/**
+ * PayUProvider - PaymentProvider for PayU hosted checkout
+ * Orders are PayU txnids; the browser posts `checkout.params` to `checkout.action`.
+ */
+class PayUProvider extends PaymentProvider {
+  constructor() {
+    super('payu');
+    this.key = process.env.PAYU_KEY;
+    this.salt = process.env.PAYU_SALT;
+    this.baseUrl = process.env.PAYU_BASE_URL || 'https://test.payu.in';
+    this.infoUrl = process.env.PAYU_INFO_URL || `${this.baseUrl}/merchant/postservice.php?form=2`;
+    this.successUrl = process.env.PAYU_SUCCESS_URL || 'http://localhost:8080/success';
+    this.failureUrl = process.env.PAYU_FAILURE_URL || 'http://localhost:8080/failure';
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {}, customer = {}, description = 'RuralConnect Payment' }) {
+    if (!this.key || !this.salt) throw new Error('PAYU_KEY and PAYU_SALT are required');
+    if (!amount || amount <= 0) throw new Error('Invalid amount specified');
+    if (!receipt) throw new Error('Receipt ID is required');
+
+    const params = {
+      key: this.key,
+      txnid: receipt,
+      amount: Number(amount).toFixed(2),
+      productinfo: description,
+      firstname: customer.name || '',
+      email: customer.email || '',
+      phone: customer.phone || '',
+      udf1: notes.loanId ? String(notes.loanId) : '',
+      udf2: notes.paymentType || '',
+      udf3: '',
+      udf4: '',
+      udf5: '',
+      surl: this.successUrl,
+      furl: this.failureUrl
+    };
+    params.hash = sha512([
+      params.key, params.txnid, params.amount, params.productinfo, params.firstname, params.email,
+      params.udf1, params.udf2, params.udf3, params.udf4, params.udf5, '', '', '', '', '', this.salt
+    ].join('|'));
+
+    return {
+      id: receipt,
+      amount: Number(amount),
+      currency,
+      receipt,
+      status: 'created',
+      notes,
+      provider: this.name,
+      checkout: { action: `${this.baseUrl}/_payment`, params }
+    };
+  }
+
+  /**
+   * PayU posts the result to surl/furl; pass that body as `payload`
+   */
+  async verifyPayment({ orderId, paymentId, signature, payload = {} }) {
+    const response = { ...payload, txnid: payload.txnid || orderId, mihpayid: payload.mihpayid || paymentId, hash: payload.hash || signature };
+    const verified = this._verifyResponseHash(response) && response.status === 'success';
+
+    return {
+      verified,
+      paymentId: response.mihpayid,
+      orderId: response.txnid,
+      amount: Number(response.amount),
+      currency: 'INR',
+      status: verified ? 'captured' : response.status,
+      method: PAYU_MODES[response.mode],
+      bank: response.bankcode,
+      fee: response.additionalCharges ? Number(response.additionalCharges) : 0,
+      tax: 0,
+      provider: this.name
+    };
+  }
+
+  async refund(paymentId, amount = null, notes = {}) {
+    if (!amount) {
+      amount = (await this.fetchPayment(paymentId)).amount;
+    }
+    const tokenId = `rfnd_${uuidv4().replace(/-/g, '').substring(0, 14)}`;
+    const result = await this._command('cancel_refund_transaction', paymentId, { var2: tokenId, var3: Number(amount).toFixed(2) });
+
+    if (Number(result.status) !== 1) {
+      throw new Error(`Refund processing failed: ${result.msg || 'unknown PayU error'}`);
+    }
+
+    return {
+      id: result.request_id || tokenId,
+      paymentId,
+      amount: Number(amount),
+      currency: 'INR',
+      status: 'pending',
+      notes,
+      provider: this.name
+    };
+  }
+
+  async fetchPayment(paymentId) {
+    const result = await this._command('check_payment', paymentId);
+    const details = result.transaction_details?.[paymentId] || result.transaction_details || {};
+    if (Number(result.status) !== 1) {
+      throw new Error(`Failed to fetch payment details: ${result.msg || 'unknown PayU error'}`);
+    }
+
+    return {
+      id: paymentId,
+      orderId: details.txnid,
+      amount: Number(details.amt || details.amount),
+      currency: 'INR',
+      status: PAYU_STATUSES[details.status] || details.status,
+      method: PAYU_MODES[details.mode],
+      createdAt: details.addedon ? new Date(details.addedon) : undefined,
+      provider: this.name
+    };
+  }
+
+  /**
+   * PayU reports transactions per calendar day, so the range is widened to whole days and trimmed afterwards
+   */
+  async listPayments({ from, to }) {
+    const day = date => date.toISOString().slice(0, 10);
+    const result = await this._command('get_Transaction_Details', day(from), { var2: day(to) });
+    if (Number(result.status) !== 1) {
+      throw new Error(`Failed to list payments: ${result.msg || 'unknown PayU error'}`);
+    }
+
+    return (result.Transaction_details || [])
+      .map(details => ({
+        id: details.id,
+        orderId: details.txnid,
+        amount: Number(details.transaction_amount || details.amount),
+        currency: 'INR',
+        status: PAYU_STATUSES[details.status] || details.status,
+        method: PAYU_MODES[details.mode],
+        createdAt: details.addedon ? new Date(details.addedon) : undefined,
+        provider: this.name
+      }))
+      .filter(payment => !payment.createdAt || (payment.createdAt >= from && payment.createdAt <= to));
+  }
+
+  /**
+   * PayU webhooks carry the same reverse hash as the checkout response
+   */
+  verifyWebhook(rawBody, headers = {}) {
+    const body = typeof rawBody === 'string' ? this._parseBody(rawBody, headers) : rawBody;
+    return this._verifyResponseHash(body);
+  }
+
+  /**
+   * PayU has no event ID; a payment reaches each status once, so payment ID and status identify the event
+   */
+  parseWebhook(body) {
+    const type = body.status === 'success' ? 'payment.captured' : body.status === 'failure' ? 'payment.failed' : `payment.${body.status}`;
+    return {
+      id: body.mihpayid ? `${body.mihpayid}:${body.status}` : undefined,
+      type,
+      occurredAt: body.addedon ? new Date(body.addedon) : undefined,
+      payment: {
+        id: body.mihpayid,
+        orderId: body.txnid,
+        amount: Number(body.amount),
+        errorDescription: body.error_Message || body.field9
+      },
+      order: null,
+      token: null,
+      raw: body
+    };
+  }
+
+  getTestCredentials() {
+    return { mode: 'sandbox', provider: this.name, key_id: this.key };
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  _verifyResponseHash(response) {
+    if (!this.salt || !response || !response.hash) return false;
+    const fields = [
+      this.salt, response.status, '', '', '', '', '',
+      response.udf5 || '', response.udf4 || '', response.udf3 || '', response.udf2 || '', response.udf1 || '',
+      response.email || '', response.firstname || '', response.productinfo || '', response.amount || '', response.txnid || '', this.key
+    ];
+    // Merchants with convenience fees get additionalCharges prepended to the hash string
+    const base = fields.join('|');
+    const expected = response.additionalCharges ? sha512(`${response.additionalCharges}|${base}`) : sha512(base);
+    return expected === response.hash;
+  }
+
+  /**
+   * @private
+   */
+  _parseBody(rawBody, headers) {
+    if ((headers['content-type'] || '').includes('application/json')) return JSON.parse(rawBody);
+    return Object.fromEntries(new URLSearchParams(rawBody));
+  }
+
+  /**
+   * Call the PayU merchant info API
+   * @private
+   */
+  async _command(command, var1, extra = {}) {
+    const form = new URLSearchParams({
+      key: this.key,
+      command,
+      var1,
+      ...extra,
+      hash: sha512(`${this.key}|${command}|${var1}|${this.salt}`)
+    });
+    const response = await axios.post(this.infoUrl, form.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000
+    });
+    return response.data;
+  }
+}
+
+module.exports = PayUProvider;
@@ -0,0 +1,156 @@
+/**
+ * PaymentProvider - Interface every payment gateway implements
+ * Amounts are in rupees on both sides of the interface; providers convert to paisa internally.
+ *
+ * Normalized shapes:
+ *   order        { id, amount, currency, receipt, status, notes, provider, checkout }
+ *   verification { verified, paymentId, orderId, amount, currency, status, method, bank, wallet, fee, tax, provider }
+ *   payment      { id, orderId, amount, currency, status, method, createdAt, provider }
+ *                status is created | authorized | captured | failed | refunded
+ *   refund       { id, paymentId, amount, currency, status, notes, provider }
+ *   mandate      { id, orderId, customerId, tokenId, method, maxAmount, status, provider, checkout }
+ *                status is created | pending | active | rejected | revoked
+ *   webhookEvent { id, type, occurredAt, payment: { id, orderId, amount, errorDescription }, order: { id, amount, currency },
+ *                  token: { id, status }, raw }
+ */
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+    this.mockMode = false;
+  }
+
+  /**
+   * Create an order the payer completes at checkout
+   * @param {Object} orderData
+   * @param {number} orderData.amount - Amount in rupees
+   * @param {string} orderData.currency - Currency code (default: INR)
+   * @param {string} orderData.receipt - Receipt/reference ID
+   * @param {Object} orderData.notes - Additional notes/metadata
+   * @param {Object} orderData.customer - Payer { name, email, phone }
+   * @param {string} orderData.description - Product description shown at checkout
+   * @returns {Promise<Object>} order
+   */
+  async createOrder(orderData) {
+    throw new Error(`${this.name} does not implement createOrder`);
+  }
+
+  /**
+   * Verify a completed checkout
+   * @param {Object} params
+   * @param {string} params.orderId - Gateway order ID
+   * @param {string} params.paymentId - Gateway payment ID
+   * @param {string} params.signature - Signature returned by checkout
+   * @param {Object} params.payload - Full provider callback payload, for providers that sign more fields
+   * @returns {Promise<Object>} verification
+   */
+  async verifyPayment(params) {
+    throw new Error(`${this.name} does not implement verifyPayment`);
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {string} paymentId - Gateway payment ID
+   * @param {number} amount - Refund amount in rupees (default: full amount)
+   * @param {Object} notes - Refund notes
+   * @returns {Promise<Object>} refund
+   */
+  async refund(paymentId, amount = null, notes = {}) {
+    throw new Error(`${this.name} does not implement refund`);
+  }
+
+  /**
+   * @param {string} paymentId - Gateway payment ID
+   * @returns {Promise<Object>} payment
+   */
+  async fetchPayment(paymentId) {
+    throw new Error(`${this.name} does not implement fetchPayment`);
+  }
+
+  /**
+   * Payments created in a time range, for reconciliation
+   * @param {Object} range
+   * @param {Date} range.from - Start of the range
+   * @param {Date} range.to - End of the range
+   * @returns {Promise<Array<Object>>} payments
+   */
+  async listPayments(range) {
+    throw new Error(`${this.name} does not implement listPayments`);
+  }
+
+  /**
+   * Create a recurring mandate the payer authorizes at checkout
+   * @param {Object} mandateData
+   * @param {string} mandateData.method - upi_autopay | emandate
+   * @param {number} mandateData.maxAmount - Largest single debit in rupees
+   * @param {Date} mandateData.expiresAt - Last day the mandate can be debited
+   * @param {string} mandateData.receipt - Receipt/reference ID
+   * @param {Object} mandateData.customer - Payer { name, email, phone }
+   * @param {Object} mandateData.notes - Additional notes/metadata
+   * @returns {Promise<Object>} mandate, status created
+   */
+  async createMandate(mandateData) {
+    throw new Error(`${this.name} does not implement createMandate`);
+  }
+
+  /**
+   * Verify a completed mandate authorization
+   * @param {Object} params
+   * @param {string} params.orderId - Authorization order ID
+   * @param {string} params.paymentId - Authorization payment ID
+   * @param {string} params.signature - Signature returned by checkout
+   * @returns {Promise<Object>} mandate with verified; pending until the bank confirms it
+   */
+  async confirmMandate(params) {
+    throw new Error(`${this.name} does not implement confirmMandate`);
+  }
+
+  /**
+   * Debit an active mandate
+   * @param {Object} mandate - { customerId, tokenId }
+   * @param {Object} charge
+   * @param {number} charge.amount - Amount in rupees
+   * @param {string} charge.receipt - Receipt/reference ID
+   * @param {Object} charge.customer - Payer { name, email, phone }
+   * @param {Object} charge.notes - Additional notes/metadata
+   * @returns {Promise<Object>} payment; created while the bank is still processing it
+   */
+  async chargeMandate(mandate, charge) {
+    throw new Error(`${this.name} does not implement chargeMandate`);
+  }
+
+  /**
+   * Cancel a mandate so it can no longer be debited
+   * @param {Object} mandate - { customerId, tokenId }
+   * @returns {Promise<Object>} { tokenId, status: revoked, provider }
+   */
+  async revokeMandate(mandate) {
+    throw new Error(`${this.name} does not implement revokeMandate`);
+  }
+
+  /**
+   * @param {string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {boolean} Whether the webhook is authentic
+   */
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`${this.name} does not implement verifyWebhook`);
+  }
+
+  /**
+   * @param {Object} body - Parsed webhook body
+   * @param {Object} headers - Request headers
+   * @returns {Object} webhookEvent; id is undefined when the provider sends no event ID
+   */
+  parseWebhook(body, headers) {
+    throw new Error(`${this.name} does not implement parseWebhook`);
+  }
+
+  /**
+   * Credentials the frontend needs to open checkout
+   */
+  getTestCredentials() {
+    return { mode: this.mockMode ? 'mock' : 'sandbox', provider: this.name };
+  }
+}
+
+module.exports = PaymentProvider;
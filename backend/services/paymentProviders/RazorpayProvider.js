@@ -0,0 +1,183 @@
+const PaymentProvider = require('./PaymentProvider');
+const razorpayService = require('../razorpayService');
+
+// Razorpay token recurring statuses to normalized mandate statuses
+const TOKEN_STATUSES = {
+  initiated: 'pending',
+  confirmed: 'active',
+  rejected: 'rejected',
+  paused: 'revoked',
+  cancelled: 'revoked'
+};
+
+/**
+ * RazorpayProvider - PaymentProvider backed by razorpayService (which keeps its own mock mode)
+ */
+class RazorpayProvider extends PaymentProvider {
+  constructor(service = razorpayService) {
+    super('razorpay');
+    this.service = service;
+    this.mockMode = service.mockMode;
+  }
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = await this.service.createOrder({ amount, currency, receipt, notes });
+    return {
+      id: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      receipt: order.receipt,
+      status: order.status,
+      notes: order.notes,
+      provider: this.name,
+      checkout: { key: this.service.getTestCredentials().key_id, orderId: order.id }
+    };
+  }
+
+  async verifyPayment({ orderId, paymentId, signature }) {
+    const result = await this.service.verifyPayment({
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      razorpay_signature: signature
+    });
+
+    return {
+      verified: result.verified,
+      paymentId: result.payment_id || result.id,
+      orderId: result.order_id,
+      amount: result.amount,
+      currency: result.currency,
+      status: result.status,
+      method: result.method,
+      bank: result.bank,
+      wallet: result.wallet,
+      fee: result.fee,
+      tax: result.tax,
+      provider: this.name
+    };
+  }
+
+  async refund(paymentId, amount = null, notes = {}) {
+    const refund = await this.service.processRefund(paymentId, amount, notes);
+    return {
+      id: refund.id,
+      paymentId: refund.payment_id,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      notes: refund.notes,
+      provider: this.name
+    };
+  }
+
+  async fetchPayment(paymentId) {
+    return this._toPayment(await this.service.getPaymentDetails(paymentId));
+  }
+
+  async listPayments({ from, to }) {
+    const payments = await this.service.listPayments({ from, to });
+    return payments.map(payment => this._toPayment(payment));
+  }
+
+  async createMandate({ method, maxAmount, expiresAt, receipt, customer = {}, notes = {} }) {
+    const order = await this.service.createMandateOrder({ method, maxAmount, expiresAt, receipt, customer, notes });
+    return {
+      id: order.id,
+      orderId: order.id,
+      customerId: order.customer_id,
+      method,
+      maxAmount,
+      status: 'created',
+      provider: this.name,
+      // Checkout needs recurring: 1 alongside the order and customer
+      checkout: {
+        key: this.service.getTestCredentials().key_id,
+        orderId: order.id,
+        customerId: order.customer_id,
+        recurring: 1
+      }
+    };
+  }
+
+  async confirmMandate({ orderId, paymentId, signature }) {
+    const result = await this.service.confirmMandate({
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      razorpay_signature: signature
+    });
+
+    return {
+      verified: result.verified,
+      id: orderId,
+      orderId,
+      customerId: result.customer_id,
+      tokenId: result.token_id,
+      status: TOKEN_STATUSES[result.recurring_status] || 'pending',
+      provider: this.name
+    };
+  }
+
+  async chargeMandate({ customerId, tokenId }, { amount, receipt, customer = {}, notes = {} }) {
+    const payment = await this.service.createRecurringPayment({ customerId, tokenId, amount, receipt, customer, notes });
+    return this._toPayment(payment);
+  }
+
+  async revokeMandate({ customerId, tokenId }) {
+    await this.service.cancelToken(customerId, tokenId);
+    return { tokenId, status: 'revoked', provider: this.name };
+  }
+
+  verifyWebhook(rawBody, headers = {}) {
+    return this.service.verifyWebhookSignature(rawBody, headers['x-razorpay-signature']);
+  }
+
+  /**
+   * Razorpay sends { event, created_at, payload: { payment: { entity } , order: { entity }, token: { entity } } }
+   * with amounts in paisa, and the event ID in the X-Razorpay-Event-Id header
+   */
+  parseWebhook(body, headers = {}) {
+    const payment = body.payload?.payment?.entity;
+    const order = body.payload?.order?.entity;
+    const token = body.payload?.token?.entity;
+
+    return {
+      id: headers['x-razorpay-event-id'],
+      type: body.event,
+      occurredAt: body.created_at ? new Date(body.created_at * 1000) : undefined,
+      payment: payment ? {
+        id: payment.id,
+        orderId: payment.order_id,
+        amount: payment.amount / 100,
+        errorDescription: payment.error_description
+      } : null,
+      order: order ? { id: order.id, amount: order.amount / 100, currency: order.currency } : null,
+      token: token ? { id: token.id, status: TOKEN_STATUSES[token.recurring_details?.status] } : null,
+      raw: body
+    };
+  }
+
+  getTestCredentials() {
+    return { ...this.service.getTestCredentials(), provider: this.name };
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  _toPayment(payment) {
+    return {
+      id: payment.id,
+      orderId: payment.order_id,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      method: payment.method,
+      errorDescription: payment.error_description,
+      createdAt: payment.created_at ? new Date(payment.created_at * 1000) : undefined,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = RazorpayProvider;
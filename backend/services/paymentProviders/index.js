@@ -0,0 +1,106 @@
+const MockProvider = require('./MockProvider');
+const RazorpayProvider = require('./RazorpayProvider');
+const PayUProvider = require('./PayUProvider');
+
+const PROVIDERS = {
+  mock: MockProvider,
+  razorpay: RazorpayProvider,
+  payu: PayUProvider
+};
+
+/**
+ * PaymentGateway - Picks the configured PaymentProvider and delegates to it
+ * PAYMENT_PROVIDER selects razorpay | payu | mock; without it, Razorpay is used when
+ * keys are configured and the mock provider otherwise.
+ * Transactions remember their provider, so follow-ups go to the gateway that created them.
+ */
+class PaymentGateway {
+  constructor() {
+    this.instances = new Map();
+    this.defaultName = process.env.PAYMENT_PROVIDER || (process.env.RAZORPAY_KEY_ID ? 'razorpay' : 'mock');
+
+    if (!PROVIDERS[this.defaultName]) {
+      throw new Error(`Unknown PAYMENT_PROVIDER "${this.defaultName}", expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    console.log(`PaymentGateway using ${this.defaultName} provider`);
+  }
+
+  get names() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * @param {string} name - Provider name (default: configured provider)
+   * @returns {PaymentProvider} Provider instance
+   */
+  provider(name = this.defaultName) {
+    if (!PROVIDERS[name]) throw new Error(`Unknown payment provider: ${name}`);
+    if (!this.instances.has(name)) this.instances.set(name, new PROVIDERS[name]());
+    return this.instances.get(name);
+  }
+
+  createOrder(orderData) {
+    return this.provider().createOrder(orderData);
+  }
+
+  verifyPayment(params, providerName) {
+    return this.provider(providerName).verifyPayment(params);
+  }
+
+  refund(paymentId, amount, notes, providerName) {
+    return this.provider(providerName).refund(paymentId, amount, notes);
+  }
+
+  fetchPayment(paymentId, providerName) {
+    return this.provider(providerName).fetchPayment(paymentId);
+  }
+
+  listPayments(range, providerName) {
+    return this.provider(providerName).listPayments(range);
+  }
+
+  createMandate(mandateData) {
+    return this.provider().createMandate(mandateData);
+  }
+
+  confirmMandate(params, providerName) {
+    return this.provider(providerName).confirmMandate(params);
+  }
+
+  chargeMandate(mandate, charge, providerName) {
+    return this.provider(providerName).chargeMandate(mandate, charge);
+  }
+
+  revokeMandate(mandate, providerName) {
+    return this.provider(providerName).revokeMandate(mandate);
+  }
+
+  verifyWebhook(rawBody, headers, providerName) {
+    return this.provider(providerName).verifyWebhook(rawBody, headers);
+  }
+
+  parseWebhook(body, providerName, headers = {}) {
+    return this.provider(providerName).parseWebhook(body, headers);
+  }
+
+  /**
+   * Receipt/txnid for a transaction, short enough for every gateway (PayU allows 25 characters)
+   * @param {string} transactionId - Internal transaction UUID
+   * @returns {string} Receipt ID
+   */
+  receiptFor(transactionId) {
+    return `rcpt_${transactionId.replace(/-/g, '').substring(0, 20)}`;
+  }
+
+  getTestCredentials() {
+    return this.provider().getTestCredentials();
+  }
+
+  getStatus() {
+    const provider = this.provider();
+    return { provider: provider.name, mockMode: provider.mockMode };
+  }
+}
+
+module.exports = new PaymentGateway();
@@ -0,0 +1,195 @@
+const { PREPAYMENT_OPTIONS, allocatePayment, applyAllocation, dues, totalDue } = require('../utils/allocation');
+const { round2 } = require('../utils/amortization');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const REPAYABLE_STATES = ['ACTIVE', 'PARTIALLY_REPAID', 'GRACE', 'DEFAULTED', 'RESTRUCTURED'];
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  // Charged on principal paid ahead of its due date
+  feePercent: envNumber('PREPAYMENT_FEE_PERCENT', 0),
+  quoteValidHours: envNumber('FORECLOSURE_QUOTE_VALID_HOURS', 24)
+};
+
+class PrepaymentError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'PrepaymentError';
+    this.status = status;
+  }
+}
+
+/**
+ * PrepaymentService - Foreclosure and part-prepayment of loans
+ * Quotes what closing a loan costs today and how a part-prepayment changes the schedule under
+ * each option, and tells settlement how to apply those payments once the gateway confirms them.
+ */
+class PrepaymentService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Cost of closing a loan now: outstanding principal, interest accrued to date, unpaid penalties
+   * and the prepayment fee. Payments opened for the quote settle at its figures until validUntil.
+   * @param {Object} loan - Loan document
+   * @returns {Object} { loanId, asOf, validUntil, principal, interest, penalty, fee, amount }
+   * @throws {PrepaymentError} when the loan is not being repaid
+   */
+  foreclosureQuote(loan, { asOf = this.clock() } = {}) {
+    this._repayable(loan);
+    const quote = loan.foreclosureQuote({ asOf, feePercent: this.config.feePercent });
+    return {
+      loanId: loan._id,
+      ...quote,
+      validUntil: new Date(asOf.getTime() + this.config.quoteValidHours * HOUR_MS)
+    };
+  }
+
+  /**
+   * What a part-prepayment pays for and the schedule it leaves under each option. The amount
+   * clears dues first (penalties, overdue and current installments); the rest is prepaid.
+   * @param {Object} loan - Loan document
+   * @param {number} amount - Amount to apply to the loan, before the fee
+   * @returns {Object} { loanId, asOf, amount, dues, prepaid, fee, total, current, options }
+   * @throws {PrepaymentError}
+   */
+  prepaymentQuote(loan, amount, { asOf = this.clock() } = {}) {
+    this._repayable(loan);
+    if (!(amount > 0)) throw new PrepaymentError('amount must be positive', 400);
+
+    const closing = loan.foreclosureQuote({ asOf });
+    if (round2(amount) >= closing.amount) {
+      throw new PrepaymentError(`${round2(amount)} would close the loan; foreclose it for ${closing.amount} instead`, 400);
+    }
+
+    const options = {};
+    let allocation;
+    for (const option of PREPAYMENT_OPTIONS) {
+      const installments = this._installments(loan);
+      allocation = allocatePayment(installments, amount, { asOf, prepayment: option });
+      applyAllocation(installments, allocation, {
+        paidAt: asOf,
+        waiveInterestOnPrepayment: loan.repaymentMethod === 'reducing_balance'
+      });
+      options[option] = this._schedule(installments, asOf);
+    }
+
+    // Both options allocate the same amounts by component; only the installments differ
+    const prepaid = allocation.totals.prepayment || 0;
+    const current = this._schedule(this._installments(loan), asOf);
+    for (const option of PREPAYMENT_OPTIONS) {
+      options[option].interestSaved = round2(options[option].interestWaived - current.interestWaived);
+    }
+
+    const fee = round2(prepaid * this.config.feePercent / 100);
+    return {
+      loanId: loan._id,
+      asOf,
+      amount: round2(amount),
+      dues: round2(allocation.applied - prepaid),
+      prepaid,
+      fee,
+      total: round2(amount + fee),
+      current,
+      options
+    };
+  }
+
+  /**
+   * How settlement applies a confirmed repayment: a full_repayment that covers the foreclosure
+   * quote for when its order was opened (or, once that quote expires, a fresh one) closes the loan;
+   * a part-prepayment uses its chosen option and pays the fee on what it prepays. Anything else is
+   * an ordinary repayment. Quotes and fees are recomputed here, never taken from the transaction's
+   * metadata, so a client cannot choose its own terms.
+   * @param {Object} loan - Loan document
+   * @param {Object} transaction - Confirmed repayment transaction
+   * @returns {Object} Options for repaymentService.applyPayment: { foreclosure, prepayment, fee }
+   */
+  settlementTerms(loan, transaction, { asOf = this.clock() } = {}) {
+    if (transaction.type === 'full_repayment') {
+      const quotedAt = new Date(transaction.initiatedAt);
+      const accruedTo = asOf - quotedAt <= this.config.quoteValidHours * HOUR_MS ? quotedAt : asOf;
+      const quote = loan.foreclosureQuote({ asOf: accruedTo, feePercent: this.config.feePercent });
+      if (round2(transaction.amount) >= quote.amount) {
+        return { foreclosure: { accruedTo }, fee: quote.fee };
+      }
+      console.warn(`Payment ${transaction.transactionId} does not cover foreclosure of loan ${loan._id}; applying it as a repayment`);
+      return {};
+    }
+
+    if (transaction.prepaymentOption) {
+      const option = transaction.prepaymentOption;
+      return { prepayment: option, fee: this._includedFee(loan, transaction.amount, option, asOf) };
+    }
+    return {};
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  _repayable(loan) {
+    if (!REPAYABLE_STATES.includes(loan.status)) {
+      throw new PrepaymentError(`Cannot prepay a ${loan.status} loan`);
+    }
+  }
+
+  /**
+   * Fee inside a prepayment's total, as prepaymentQuote charged it: the fee percent of what the
+   * payment prepays beyond the dues it clears first
+   * @private
+   */
+  _includedFee(loan, total, option, asOf) {
+    const allocation = allocatePayment(this._installments(loan), total, { asOf, prepayment: option });
+    const dueNow = round2(allocation.applied - (allocation.totals.prepayment || 0));
+    const percent = this.config.feePercent;
+    return round2(Math.max(total - dueNow, 0) * percent / (100 + percent));
+  }
+
+  /**
+   * Plain copies of the installments to simulate on
+   * @private
+   */
+  _installments(loan) {
+    const installments = loan.installments.length ? loan.installments : loan.buildSchedule(loan.disbursedAt || loan.createdAt);
+    return installments.map(installment => (installment.toObject ? installment.toObject() : { ...installment }));
+  }
+
+  /**
+   * Open installments summarised: how many, the regular EMI, the last due date and the interest
+   * left, plus the interest waived so far across the whole schedule
+   * @private
+   */
+  _schedule(installments, asOf) {
+    const open = installments
+      .filter(installment => totalDue(installment) > 0.005)
+      .sort((a, b) => a.number - b.number);
+    const upcoming = open.filter(installment => new Date(installment.dueDate) >= asOf);
+
+    return {
+      installmentsLeft: open.length,
+      emi: upcoming.length ? round2(Math.max(...upcoming.map(totalDue))) : 0,
+      lastDueDate: open.length ? open[open.length - 1].dueDate : null,
+      interestRemaining: round2(open.reduce((sum, installment) => sum + dues(installment).interest, 0)),
+      outstanding: round2(open.reduce((sum, installment) => sum + totalDue(installment), 0)),
+      interestWaived: round2(installments.reduce((sum, installment) => sum + (installment.interestWaived || 0), 0))
+    };
+  }
+}
+
+module.exports = new PrepaymentService();
+module.exports.PrepaymentService = PrepaymentService;
+module.exports.PrepaymentError = PrepaymentError;
@@ -21,6 +21,7 @@ class RazorpayService {
     // Mock transaction store for testing
     this.mockOrders = new Map();
     this.mockPayments = new Map();
+    this.mockTokens = new Map();
     
     console.log(`RazorpayService initialized in ${this.mockMode ? 'MOCK' : 'LIVE'} mode`);
   }
@@ -61,7 +62,7 @@ class RazorpayService {
 
       return {
         id: razorpayOrder.id,
-        amount: razorpayOrder.amount,
+        amount: razorpayOrder.amount / 100, // Return in rupees, like mock mode
         currency: razorpayOrder.currency,
         receipt: razorpayOrder.receipt,
         status: razorpayOrder.status,
@@ -205,6 +206,261 @@ class RazorpayService {
     }
   }
 
+  /**
+   * List payments created in a time range, newest first
+   * @param {Object} range
+   * @param {Date} range.from - Start of the range
+   * @param {Date} range.to - End of the range
+   * @returns {Promise<Array<Object>>} Payments, amounts in rupees
+   */
+  async listPayments({ from, to }) {
+    try {
+      if (this.mockMode) {
+        return [...this.mockPayments.values()].filter(payment =>
+          payment.created_at >= from.getTime() / 1000 && payment.created_at <= to.getTime() / 1000
+        );
+      }
+
+      const payments = [];
+      const count = 100;
+      for (let skip = 0; ; skip += count) {
+        const page = await this.razorpayInstance.payments.all({
+          from: Math.floor(from.getTime() / 1000),
+          to: Math.floor(to.getTime() / 1000),
+          count,
+          skip
+        });
+        payments.push(...page.items.map(payment => ({
+          id: payment.id,
+          amount: payment.amount / 100,
+          currency: payment.currency,
+          status: payment.status,
+          method: payment.method,
+          order_id: payment.order_id,
+          created_at: payment.created_at,
+          provider: 'razorpay'
+        })));
+        if (page.items.length < count) break;
+      }
+      return payments;
+
+    } catch (error) {
+      console.error('Error listing payments:', error);
+      throw new Error(`Failed to list payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a customer and the authorization order for a recurring mandate (UPI AutoPay or eMandate)
+   * @param {Object} mandateData - Mandate details
+   * @param {string} mandateData.method - upi_autopay | emandate
+   * @param {number} mandateData.maxAmount - Largest single debit in rupees
+   * @param {Date} mandateData.expiresAt - Mandate expiry
+   * @param {string} mandateData.receipt - Receipt/reference ID
+   * @param {Object} mandateData.customer - Customer { name, email, phone }
+   * @param {Object} mandateData.notes - Additional notes/metadata
+   * @returns {Promise<Object>} Authorization order with customer_id
+   */
+  async createMandateOrder({ method, maxAmount, expiresAt, receipt, customer = {}, notes = {} }) {
+    try {
+      if (!maxAmount || maxAmount <= 0) {
+        throw new Error('Invalid mandate amount specified');
+      }
+
+      if (this.mockMode) {
+        const order = this._createMockOrder({ amount: 0, currency: 'INR', receipt, notes });
+        const customerId = `cust_mock_${uuidv4().replace(/-/g, '').substring(0, 14)}`;
+        this.mockOrders.get(order.id).mandate = { method, maxAmount, customerId };
+        return { ...order, customer_id: customerId };
+      }
+
+      const razorpayCustomer = await this.razorpayInstance.customers.create({
+        name: customer.name,
+        email: customer.email,
+        contact: customer.phone,
+        fail_existing: 0 // returns the existing customer for a known email/contact
+      });
+
+      // eMandate authorizations are for zero; UPI AutoPay needs a ₹1 authorization payment
+      const razorpayOrder = await this.razorpayInstance.orders.create({
+        amount: method === 'emandate' ? 0 : 100,
+        currency: 'INR',
+        method: method === 'emandate' ? 'emandate' : 'upi',
+        customer_id: razorpayCustomer.id,
+        receipt,
+        notes,
+        token: {
+          max_amount: Math.round(maxAmount * 100),
+          expire_at: Math.floor(expiresAt.getTime() / 1000),
+          frequency: 'as_presented'
+        }
+      });
+
+      return {
+        id: razorpayOrder.id,
+        amount: razorpayOrder.amount / 100,
+        currency: razorpayOrder.currency,
+        receipt: razorpayOrder.receipt,
+        status: razorpayOrder.status,
+        customer_id: razorpayCustomer.id,
+        provider: 'razorpay'
+      };
+
+    } catch (error) {
+      console.error('Error creating Razorpay mandate:', error);
+      throw new Error(`Mandate creation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify a mandate authorization and fetch the token it created
+   * @param {Object} paymentData - Checkout response for the authorization order
+   * @returns {Promise<Object>} { verified, order_id, payment_id, customer_id, token_id, recurring_status }
+   */
+  async confirmMandate(paymentData) {
+    try {
+      const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = paymentData;
+
+      if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+        throw new Error('Missing required mandate verification parameters');
+      }
+
+      if (this.mockMode) {
+        const order = this.mockOrders.get(razorpay_order_id);
+        if (!order || !order.mandate) {
+          throw new Error('Mandate order not found');
+        }
+        const token = {
+          id: `token_mock_${uuidv4().replace(/-/g, '').substring(0, 14)}`,
+          customer_id: order.mandate.customerId,
+          max_amount: order.mandate.maxAmount,
+          recurring_status: 'confirmed'
+        };
+        this.mockTokens.set(token.id, token);
+        return {
+          verified: true,
+          order_id: razorpay_order_id,
+          payment_id: razorpay_payment_id,
+          customer_id: token.customer_id,
+          token_id: token.id,
+          recurring_status: token.recurring_status
+        };
+      }
+
+      if (!this._verifySignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+        return { verified: false, order_id: razorpay_order_id, payment_id: razorpay_payment_id };
+      }
+
+      const payment = await this.razorpayInstance.payments.fetch(razorpay_payment_id);
+      const token = await this.razorpayInstance.customers.fetchToken(payment.customer_id, payment.token_id);
+
+      return {
+        verified: true,
+        order_id: razorpay_order_id,
+        payment_id: razorpay_payment_id,
+        customer_id: payment.customer_id,
+        token_id: payment.token_id,
+        // initiated until the bank approves an eMandate, which can take days
+        recurring_status: token.recurring_details?.status
+      };
+
+    } catch (error) {
+      console.error('Error confirming mandate:', error);
+      throw new Error(`Mandate confirmation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Debit a confirmed token through a subsequent recurring payment
+   * @param {Object} chargeData - Charge details
+   * @param {string} chargeData.customerId - Razorpay customer ID
+   * @param {string} chargeData.tokenId - Razorpay token ID
+   * @param {number} chargeData.amount - Amount in rupees
+   * @param {string} chargeData.receipt - Receipt/reference ID
+   * @param {Object} chargeData.customer - Customer { email, phone }
+   * @param {Object} chargeData.notes - Additional notes/metadata
+   * @returns {Promise<Object>} Payment; captured later and reported by webhook
+   */
+  async createRecurringPayment({ customerId, tokenId, amount, receipt, customer = {}, notes = {} }) {
+    try {
+      if (!tokenId) {
+        throw new Error('Token ID is required for a recurring payment');
+      }
+
+      const order = await this.createOrder({ amount, receipt, notes });
+
+      if (this.mockMode) {
+        const token = this.mockTokens.get(tokenId);
+        if (!token) {
+          throw new Error('Token not found');
+        }
+        const payment = {
+          id: `pay_mock_${uuidv4().replace(/-/g, '').substring(0, 14)}`,
+          order_id: order.id,
+          amount,
+          currency: 'INR',
+          status: token.recurring_status === 'confirmed' && amount <= token.max_amount ? 'captured' : 'failed',
+          method: 'upi',
+          created_at: Math.floor(Date.now() / 1000),
+          provider: 'mock'
+        };
+        this.mockPayments.set(payment.id, payment);
+        return payment;
+      }
+
+      const result = await this.razorpayInstance.payments.createRecurringPayment({
+        email: customer.email,
+        contact: customer.phone,
+        amount: Math.round(amount * 100),
+        currency: 'INR',
+        order_id: order.id,
+        customer_id: customerId,
+        token: tokenId,
+        recurring: '1',
+        notes
+      });
+
+      return {
+        id: result.razorpay_payment_id,
+        order_id: result.razorpay_order_id || order.id,
+        amount,
+        currency: 'INR',
+        status: 'created',
+        provider: 'razorpay'
+      };
+
+    } catch (error) {
+      console.error('Error creating recurring payment:', error);
+      throw new Error(`Recurring payment failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a token so it can no longer be debited
+   * @param {string} customerId - Razorpay customer ID
+   * @param {string} tokenId - Razorpay token ID
+   * @returns {Promise<Object>} { token_id, recurring_status }
+   */
+  async cancelToken(customerId, tokenId) {
+    try {
+      if (this.mockMode) {
+        const token = this.mockTokens.get(tokenId);
+        if (!token) {
+          throw new Error('Token not found');
+        }
+        token.recurring_status = 'cancelled';
+        return { token_id: tokenId, recurring_status: token.recurring_status };
+      }
+
+      await this.razorpayInstance.customers.deleteToken(customerId, tokenId);
+      return { token_id: tokenId, recurring_status: 'cancelled' };
+
+    } catch (error) {
+      console.error('Error cancelling token:', error);
+      throw new Error(`Token cancellation failed: ${error.message}`);
+    }
+  }
+
   /**
    * Create webhook signature for verification
    * @param {string} body - Webhook body
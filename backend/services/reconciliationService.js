@@ -0,0 +1,346 @@
+const { v4: uuidv4 } = require('uuid');
+const Transaction = require('../models/Transaction');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const ReconciliationAudit = require('../models/ReconciliationAudit');
+const Mandate = require('../models/Mandate');
+const paymentGateway = require('./paymentProviders');
+const settlementService = require('./settlementService');
+const escrowService = require('./escrowService');
+const eventBus = require('../utils/eventBus');
+const { round2 } = require('../utils/amortization');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const OPEN_STATUSES = ['pending', 'processing', 'failed', 'cancelled'];
+
+const CSV_COLUMNS = ['kind', 'resolution', 'transactionId', 'provider', 'paymentId', 'orderId', 'recordedStatus', 'gatewayStatus', 'recordedAmount', 'gatewayAmount', 'detail'];
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  windowHours: envNumber('RECONCILIATION_WINDOW_HOURS', 48),
+  pendingExpiryHours: envNumber('RECONCILIATION_PENDING_EXPIRY_HOURS', 24)
+};
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * ReconciliationService - Compares Transaction records with what the payment gateways report
+ * Each run lists the gateway's payments for a time range, fetches any other payment a transaction
+ * points at, and records every mismatch on a ReconciliationReport. Clear-cut cases are fixed:
+ * captured payments still pending here are settled, failed ones are marked failed, and orders never
+ * paid are expired. Everything else (money we confirmed but the gateway did not capture, amount
+ * differences, payments with no transaction) is flagged for an operator.
+ */
+class ReconciliationService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Reconcile transactions and gateway payments in a time range
+   * @param {Object} options
+   * @param {Date} options.from - Start of the range (default: windowHours before `to`)
+   * @param {Date} options.to - End of the range (default: now)
+   * @param {string} options.triggeredBy - scheduler | admin
+   * @returns {Promise<Object>} ReconciliationReport
+   */
+  async run({ from, to, triggeredBy = 'scheduler' } = {}) {
+    to = to || this.clock();
+    from = from || new Date(to.getTime() - this.config.windowHours * HOUR_MS);
+
+    const report = await ReconciliationReport.create({
+      reportId: uuidv4(),
+      from,
+      to,
+      triggeredBy,
+      startedAt: this.clock()
+    });
+
+    try {
+      // Open transactions are rechecked however old they are, until the gateway settles them
+      const transactions = await Transaction.find({
+        razorpayOrderId: { $exists: true },
+        $or: [
+          { initiatedAt: { $gte: from, $lte: to } },
+          { status: { $in: ['pending', 'processing'] } }
+        ]
+      });
+
+      report.providers = [...new Set([paymentGateway.defaultName, ...transactions.map(transaction => transaction.paymentProvider)])];
+      const payments = await this._listPayments(report, { from, to });
+      const seen = new Set();
+
+      for (const transaction of transactions) {
+        report.summary.transactionsChecked += 1;
+        const payment = await this._paymentFor(transaction, payments);
+        if (payment) seen.add(`${payment.provider}:${payment.id}`);
+
+        const item = await this._reconcile(report, transaction, payment);
+        if (item) {
+          report.items.push(item);
+        } else {
+          report.summary.matched += 1;
+        }
+      }
+
+      for (const payment of payments.all) {
+        if (payment.status !== 'captured' || seen.has(`${payment.provider}:${payment.id}`)) continue;
+        // The transaction may sit outside the range
+        const known = await Transaction.exists({
+          $or: [{ razorpayPaymentId: payment.id }, { razorpayOrderId: payment.orderId }]
+        });
+        // UPI AutoPay authorizations take a token payment that belongs to a mandate, not a transaction
+        if (known || await Mandate.exists({ authorizationOrderId: payment.orderId })) continue;
+
+        report.items.push({
+          kind: 'orphan_payment',
+          resolution: 'flagged',
+          provider: payment.provider,
+          paymentId: payment.id,
+          orderId: payment.orderId,
+          gatewayStatus: payment.status,
+          gatewayAmount: payment.amount,
+          detail: 'Captured payment has no matching transaction'
+        });
+      }
+
+      report.summary.mismatches = report.items.length;
+      report.summary.autoFixed = report.items.filter(item => item.resolution === 'auto_fixed').length;
+      report.summary.flagged = report.items.length - report.summary.autoFixed;
+      report.status = 'completed';
+    } catch (error) {
+      console.error(`Reconciliation ${report.reportId} failed:`, error);
+      report.status = 'failed';
+      report.error = error.message;
+    }
+
+    report.completedAt = this.clock();
+    await report.save();
+
+    eventBus.emitEvent('system.reconciliation_completed', {
+      reportId: report.reportId,
+      status: report.status,
+      mismatches: report.summary.mismatches,
+      autoFixed: report.summary.autoFixed,
+      flagged: report.summary.flagged
+    }, { source: 'reconciliation_service' });
+
+    return report;
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {number} filters.limit - Maximum reports
+   * @returns {Promise<Array<Object>>} Reports without their items, newest first
+   */
+  async list({ limit = 20 } = {}) {
+    return ReconciliationReport.find().select('-items').sort({ startedAt: -1 }).limit(limit);
+  }
+
+  /**
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object|null>} ReconciliationReport
+   */
+  async get(reportId) {
+    return ReconciliationReport.findOne({ reportId });
+  }
+
+  /**
+   * Automatic fixes made for a report
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Array<Object>>} ReconciliationAudit records
+   */
+  async audits(reportId) {
+    return ReconciliationAudit.find({ reportId }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Report items as CSV, one mismatch per row
+   * @param {Object} report - ReconciliationReport
+   * @returns {string} CSV
+   */
+  toCsv(report) {
+    const rows = report.items.map(item => CSV_COLUMNS.map(column => csvCell(item[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  // Private helper methods
+
+  /**
+   * List every provider's payments in the range, indexed by payment and order ID.
+   * A provider that cannot be listed is recorded on the report; its transactions are still checked one by one.
+   * @private
+   */
+  async _listPayments(report, range) {
+    const payments = { all: [], byId: new Map(), byOrder: new Map() };
+
+    for (const provider of report.providers) {
+      let listed;
+      try {
+        listed = await paymentGateway.listPayments(range, provider);
+      } catch (error) {
+        console.error(`Reconciliation could not list ${provider} payments:`, error.message);
+        report.listingErrors.push({ provider, message: error.message });
+        continue;
+      }
+
+      for (const payment of listed) {
+        const entry = { ...payment, provider };
+        payments.all.push(entry);
+        payments.byId.set(`${provider}:${entry.id}`, entry);
+        const key = `${provider}:${entry.orderId}`;
+        // A captured attempt wins over failed retries of the same order
+        if (!payments.byOrder.has(key) || entry.status === 'captured') payments.byOrder.set(key, entry);
+      }
+    }
+
+    report.summary.paymentsListed = payments.all.length;
+    return payments;
+  }
+
+  /**
+   * Gateway payment behind a transaction, fetched directly when it was not listed
+   * @private
+   */
+  async _paymentFor(transaction, payments) {
+    const provider = transaction.paymentProvider;
+    const listed = (transaction.razorpayPaymentId && payments.byId.get(`${provider}:${transaction.razorpayPaymentId}`))
+      || payments.byOrder.get(`${provider}:${transaction.razorpayOrderId}`);
+    if (listed) return listed;
+    if (!transaction.razorpayPaymentId) return null;
+
+    try {
+      return { ...await paymentGateway.fetchPayment(transaction.razorpayPaymentId, provider), provider };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Compare one transaction with its gateway payment; fix it if the case is clear-cut
+   * @private
+   * @returns {Promise<Object|null>} Report item, or null when they agree
+   */
+  async _reconcile(report, transaction, payment) {
+    const item = {
+      transactionId: transaction.transactionId,
+      provider: transaction.paymentProvider,
+      paymentId: payment?.id || transaction.razorpayPaymentId,
+      orderId: transaction.razorpayOrderId,
+      recordedStatus: transaction.status,
+      gatewayStatus: payment?.status,
+      recordedAmount: transaction.amount,
+      gatewayAmount: payment?.amount
+    };
+    const amountDiffers = payment && round2(payment.amount) !== round2(transaction.amount);
+
+    if (!payment) {
+      if (transaction.status === 'confirmed') {
+        return { ...item, kind: 'missing_payment', resolution: 'flagged', detail: 'Confirmed transaction has no payment at the gateway' };
+      }
+      if (transaction.status === 'pending' && this.clock() - transaction.initiatedAt > this.config.pendingExpiryHours * HOUR_MS) {
+        return this._fix(report, transaction, { ...item, kind: 'expired_pending' }, 'expire_order', () => this._expire(transaction));
+      }
+      return null;
+    }
+
+    if (payment.status === 'captured') {
+      if (amountDiffers) {
+        return { ...item, kind: 'amount_mismatch', resolution: 'flagged', detail: `Gateway captured ${payment.amount}, transaction is for ${transaction.amount}` };
+      }
+      if (OPEN_STATUSES.includes(transaction.status)) {
+        return this._fix(report, transaction, { ...item, kind: 'captured_pending' }, 'confirm_captured',
+          () => settlementService.settleCaptured(payment, 'system'));
+      }
+      return null;
+    }
+
+    if (payment.status === 'failed') {
+      if (transaction.status === 'confirmed') {
+        return { ...item, kind: 'failed_confirmed', resolution: 'flagged', detail: 'Transaction is confirmed but the gateway payment failed' };
+      }
+      if (transaction.status === 'pending') {
+        return this._fix(report, transaction, { ...item, kind: 'failed_pending' }, 'mark_failed',
+          () => settlementService.settleFailed({ ...payment, errorDescription: 'Payment failed at gateway (reconciliation)' }));
+      }
+      return null;
+    }
+
+    if (payment.status === 'refunded' && transaction.status === 'confirmed') {
+      return { ...item, kind: 'refunded_confirmed', resolution: 'flagged', detail: 'Gateway refunded a payment that is still confirmed here' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a fix and write its audit record
+   * @private
+   */
+  async _fix(report, transaction, item, action, apply) {
+    const before = { status: transaction.status, amount: transaction.amount };
+    let outcome;
+    let resolution = 'auto_fixed';
+
+    try {
+      outcome = await apply();
+      // Another confirmation is in flight or the transaction moved on; leave it to an operator
+      if (outcome === 'deferred' || outcome === 'ignored') resolution = 'flagged';
+    } catch (error) {
+      console.error(`Reconciliation fix ${action} failed for ${transaction.transactionId}:`, error);
+      outcome = error.message;
+      resolution = 'fix_failed';
+    }
+
+    const after = await Transaction.findById(transaction._id);
+    await ReconciliationAudit.create({
+      reportId: report.reportId,
+      transactionId: transaction.transactionId,
+      kind: item.kind,
+      action,
+      provider: item.provider,
+      paymentId: item.paymentId,
+      orderId: item.orderId,
+      before,
+      after: { status: after?.status },
+      outcome
+    });
+
+    return { ...item, resolution, detail: `${action}: ${outcome}` };
+  }
+
+  /**
+   * Cancel a pending transaction whose order was never paid
+   * @private
+   * @returns {Promise<string>} processed | ignored
+   */
+  async _expire(transaction) {
+    const result = await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending' },
+      { $set: { status: 'cancelled', failureReason: 'Order was not paid' } }
+    );
+    if (result.modifiedCount === 0) return 'ignored';
+
+    if (transaction.type === 'escrow_deposit') {
+      await escrowService.failDeposit(transaction);
+    }
+    return 'processed';
+  }
+}
+
+module.exports = new ReconciliationService();
+module.exports.ReconciliationService = ReconciliationService;
@@ -0,0 +1,342 @@
+const { v4: uuidv4 } = require('uuid');
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const Loan = require('../models/Loan');
+const paymentGateway = require('./paymentProviders');
+const ledgerService = require('./ledgerService');
+const repaymentService = require('./repaymentService');
+const settlementService = require('./settlementService');
+const eventBus = require('../utils/eventBus');
+const { ALLOCATION_ORDER } = require('../utils/allocation');
+const { round2 } = require('../utils/amortization');
+
+const OPEN_STATUSES = ['requested', 'approved'];
+
+class RefundError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+  }
+}
+
+/**
+ * RefundService - Two-step refunds of gateway payments
+ * A borrower or lender requests a full or partial refund; an admin approves it, which refunds through
+ * the gateway that took the payment, takes the amount back off the loan (unapplied cash first, then
+ * the repayment waterfall in reverse) and posts the reversal to the ledger. The gateway's refund is
+ * recorded before anything else changes, so a refund that fails after it can be retried without
+ * refunding the borrower twice.
+ */
+class RefundService {
+
+  /**
+   * Request a refund of a confirmed repayment
+   * @param {string} transactionId - Gateway transaction to refund
+   * @param {Object} request
+   * @param {number} request.amount - Amount to refund (default: everything still refundable)
+   * @param {string} request.reasonCode - Refund reason code
+   * @param {string} request.note - Free-text explanation
+   * @param {string} request.requestedBy - User requesting the refund
+   * @returns {Promise<Object>} Refund
+   * @throws {RefundError}
+   */
+  async request(transactionId, { amount, reasonCode, note, requestedBy }) {
+    const transaction = await Transaction.findOne({ transactionId });
+    if (!transaction) throw new RefundError('Transaction not found', 404);
+
+    if (requestedBy && ![transaction.borrowerId, transaction.lenderId].some(id => id && id.equals(requestedBy))) {
+      throw new RefundError('Only the borrower or lender of a transaction can request its refund', 403);
+    }
+    if (!settlementService.isRepaymentType(transaction.type)) {
+      throw new RefundError(`Refunds of ${transaction.type} transactions are not supported; escrow deposits are refunded through escrow`);
+    }
+    if (transaction.status !== 'confirmed' || !transaction.razorpayPaymentId) {
+      throw new RefundError(`Cannot refund a ${transaction.status} transaction`);
+    }
+
+    const refundable = await this.refundable(transaction);
+    const requested = round2(amount || refundable);
+    if (requested <= 0 || requested > refundable) {
+      throw new RefundError(`At most ${refundable} of this payment can still be refunded`, 400);
+    }
+
+    const refund = await Refund.create({
+      refundId: uuidv4(),
+      transactionId,
+      loanId: transaction.loanId,
+      borrowerId: transaction.borrowerId,
+      lenderId: transaction.lenderId,
+      paymentProvider: transaction.paymentProvider,
+      paymentId: transaction.razorpayPaymentId,
+      amount: requested,
+      reasonCode,
+      note,
+      requestedBy
+    });
+
+    eventBus.emitEvent('refund.requested', {
+      refundId: refund.refundId,
+      transactionId,
+      loanId: refund.loanId,
+      amount: refund.amount,
+      reasonCode
+    }, { source: 'refund_service', userId: requestedBy });
+
+    this._notify(refund, 'refund_requested');
+    return refund;
+  }
+
+  /**
+   * Amount of a transaction not yet refunded or awaiting a refund decision. A prepayment fee
+   * withheld from the payment stays with the platform.
+   * @param {Object} transaction - Transaction document
+   * @returns {Promise<number>}
+   */
+  async refundable(transaction) {
+    const [open, fees] = await Promise.all([
+      Refund.find({ transactionId: transaction.transactionId, status: { $in: OPEN_STATUSES } }),
+      Transaction.find({ parentTransactionId: transaction.transactionId, type: 'processing_fee' })
+    ]);
+    const reserved = open.reduce((sum, refund) => sum + refund.amount, 0);
+    const withheld = fees.reduce((sum, fee) => sum + fee.amount, 0);
+    return round2(Math.max(transaction.amount - withheld - (transaction.refundedAmount || 0) - reserved, 0));
+  }
+
+  /**
+   * Approve a requested refund and process it
+   * @param {string} refundId - Refund ID
+   * @param {string} adminId - Approving admin
+   * @returns {Promise<Object>} Refund: processed, failed at the gateway, or approved with an error
+   * if the gateway refunded it but applying it failed (see retry)
+   * @throws {RefundError}
+   */
+  async approve(refundId, adminId) {
+    const refund = await Refund.findOneAndUpdate(
+      { refundId, status: 'requested' },
+      { $set: { status: 'approved', approvedBy: adminId, approvedAt: new Date() } },
+      { new: true }
+    );
+    if (!refund) throw await this._notPending(refundId);
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await paymentGateway.refund(refund.paymentId, refund.amount, {
+        refundId: refund.refundId,
+        reasonCode: refund.reasonCode
+      }, refund.paymentProvider);
+    } catch (error) {
+      console.error(`Refund ${refund.refundId} failed at the gateway:`, error.message);
+      refund.status = 'failed';
+      refund.error = error.message;
+      await refund.save();
+      return refund;
+    }
+
+    // Recorded before the loan or ledger change, so a failure below is retried rather than refunded again
+    refund.gatewayRefundId = gatewayRefund.id;
+    await refund.save();
+
+    return this._complete(refund);
+  }
+
+  /**
+   * Apply again a refund the gateway paid out but that failed to apply to the loan, ledger or transaction
+   * @param {string} refundId - Refund ID
+   * @param {string} adminId - Admin retrying it
+   * @returns {Promise<Object>} Refund, processed or still approved with the new error
+   * @throws {RefundError}
+   */
+  async retry(refundId, adminId) {
+    const refund = await Refund.findOneAndUpdate(
+      { refundId, status: 'approved', gatewayRefundId: { $exists: true }, error: { $exists: true } },
+      { $set: { retriedBy: adminId, retriedAt: new Date() }, $unset: { error: 1 } },
+      { new: true }
+    );
+    if (!refund) {
+      const existing = await Refund.findOne({ refundId });
+      if (!existing) throw new RefundError('Refund not found', 404);
+      throw new RefundError(existing.status === 'approved'
+        ? 'Refund is still being processed'
+        : `Refund is ${existing.status}; only a refund that failed after the gateway paid it can be retried`);
+    }
+
+    return this._complete(refund);
+  }
+
+  /**
+   * Reject a requested refund
+   * @param {string} refundId - Refund ID
+   * @param {string} reason - Why the refund was declined
+   * @param {string} adminId - Rejecting admin
+   * @returns {Promise<Object>} Refund
+   * @throws {RefundError}
+   */
+  async reject(refundId, reason, adminId) {
+    const refund = await Refund.findOneAndUpdate(
+      { refundId, status: 'requested' },
+      { $set: { status: 'rejected', rejectedBy: adminId, rejectedAt: new Date(), rejectionReason: reason } },
+      { new: true }
+    );
+    if (!refund) throw await this._notPending(refundId);
+
+    this._notify(refund, 'refund_rejected', { reason });
+    return refund;
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.status - Refund status
+   * @param {string} filters.transactionId - Refunded transaction
+   * @param {number} filters.limit - Maximum refunds
+   * @returns {Promise<Array<Object>>} Refunds, newest first
+   */
+  async list({ status, transactionId, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (transactionId) query.transactionId = transactionId;
+    return Refund.find(query).sort({ requestedAt: -1 }).limit(limit);
+  }
+
+  // Private helper methods
+
+  /**
+   * Apply a refund the gateway has paid out and mark it processed. If applying fails the refund
+   * stays approved with the error, for retry.
+   * @private
+   */
+  async _complete(refund) {
+    let reversal;
+    try {
+      reversal = await this._apply(refund);
+    } catch (error) {
+      console.error(`Refund ${refund.refundId} was paid out but not applied:`, error.message);
+      refund.error = error.message;
+      await refund.save();
+      return refund;
+    }
+
+    refund.status = 'processed';
+    refund.processedAt = new Date();
+    await refund.save();
+
+    eventBus.emitEvent('payment.refunded', {
+      refundId: refund.refundId,
+      transactionId: refund.transactionId,
+      loanId: refund.loanId,
+      amount: refund.amount,
+      gatewayRefundId: refund.gatewayRefundId
+    }, { source: 'refund_service', userId: refund.borrowerId });
+
+    // Every lender who gave back part of the repayment hears about it, not just the lead
+    const lenderIds = reversal ? reversal.distributions.map(part => part.lenderId) : [refund.lenderId];
+    this._notify(refund, 'refund_processed', {}, lenderIds);
+    return refund;
+  }
+
+  /**
+   * Take the refund off the loan, post it to the ledger and update the transaction.
+   * A payment the loan never applied was never booked either, so only the transaction changes.
+   * Safe to run again for the same refund: the loan reversal is keyed by the refundId, the ledger
+   * entry by its reference, and the transaction's refunded amount is recounted from processed refunds.
+   * @private
+   * @returns {Promise<Object|null>} Loan reversal, if any of the refund was taken back from the loan
+   */
+  async _apply(refund) {
+    const transaction = await Transaction.findOne({ transactionId: refund.transactionId });
+    const loan = await Loan.findById(refund.loanId);
+    const applied = loan && await Transaction.findOne({ loanId: loan._id, parentTransactionId: refund.transactionId });
+    const receipt = applied && await repaymentService.getReceipt(loan._id, applied.receiptId);
+    // Earlier refunds of this payment used up unapplied cash first, then the waterfall from the end
+    const previous = await Refund.find({ transactionId: refund.transactionId, status: 'processed' });
+
+    let reversal = null;
+    if (receipt) {
+      if (loan.hasTransitionFor(refund.refundId)) {
+        reversal = { reversed: refund.reversedAmount, distributions: refund.clawback };
+      } else {
+        const reversedBefore = round2(previous.reduce((sum, entry) => sum + entry.reversedAmount, 0));
+        const unappliedBefore = round2(previous.reduce((sum, entry) => sum + entry.amount - entry.reversedAmount, 0));
+
+        const unapplied = round2(Math.max(Math.min(refund.amount, receipt.unallocated - unappliedBefore), 0));
+        const toReverse = round2(refund.amount - unapplied);
+
+        if (toReverse > 0) {
+          const lines = this._unreversedLines(receipt.lines, reversedBefore);
+          reversal = loan.reverseRepayment(lines, toReverse, {
+            actor: refund.requestedBy,
+            source: 'payment',
+            reference: refund.refundId,
+            note: `Refund ${refund.reasonCode}`
+          });
+          refund.reversedAmount = reversal.reversed;
+          refund.clawback = reversal.distributions;
+          await refund.save();
+          await loan.save();
+        }
+      }
+
+      await ledgerService.postRepaymentRefund(loan, { reference: refund.refundId, amount: refund.amount, reversal });
+    }
+
+    if (transaction) {
+      const refundedBefore = previous.reduce((sum, entry) => sum + entry.amount, 0);
+      transaction.refundedAmount = round2(refundedBefore + refund.amount);
+      if (transaction.refundedAmount >= transaction.amount) transaction.status = 'refunded';
+      await transaction.save();
+    }
+    return reversal;
+  }
+
+  /**
+   * Allocation lines in waterfall order, minus what earlier refunds already took back from the end
+   * @private
+   */
+  _unreversedLines(lines, reversedBefore) {
+    const ordered = [...lines].sort((a, b) => ALLOCATION_ORDER.indexOf(a.component) - ALLOCATION_ORDER.indexOf(b.component));
+    let remaining = reversedBefore;
+    const result = [];
+    for (const line of ordered.reverse()) {
+      const taken = Math.min(line.amount, remaining);
+      remaining = round2(remaining - taken);
+      if (line.amount - taken > 0) result.unshift({ ...line, amount: round2(line.amount - taken) });
+    }
+    return result;
+  }
+
+  /**
+   * Error for a refund that cannot be approved or rejected
+   * @private
+   */
+  async _notPending(refundId) {
+    const refund = await Refund.findOne({ refundId });
+    return refund
+      ? new RefundError(`Refund is already ${refund.status}`)
+      : new RefundError('Refund not found', 404);
+  }
+
+  /**
+   * Notify the borrower and lenders of the refunded payment
+   * @private
+   */
+  _notify(refund, type, variables = {}, lenderIds = [refund.lenderId]) {
+    const recipients = new Map([refund.borrowerId, ...lenderIds].filter(Boolean).map(id => [id.toString(), id]));
+    for (const userId of recipients.values()) {
+      eventBus.emitEvent('notification.send', {
+        userId,
+        type,
+        variables: {
+          refundId: refund.refundId,
+          transactionId: refund.transactionId,
+          loanId: refund.loanId,
+          amount: refund.amount,
+          ...variables
+        }
+      });
+    }
+  }
+}
+
+module.exports = new RefundService();
+module.exports.RefundService = RefundService;
+module.exports.RefundError = RefundError;
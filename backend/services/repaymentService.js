@@ -0,0 +1,229 @@
+const { v4: uuidv4 } = require('uuid');
+const Loan = require('../models/Loan');
+const Transaction = require('../models/Transaction');
+const eventBus = require('../utils/eventBus');
+const ledgerService = require('./ledgerService');
+const { summarizeByInstallment } = require('../utils/allocation');
+const { round2 } = require('../utils/amortization');
+
+// Lender distribution field each transaction type is paid out of
+const DISTRIBUTION_FIELDS = {
+  penalty: 'penalty',
+  interest: 'interest',
+  emi_payment: 'principal'
+};
+
+// Transaction type each waterfall component is booked under
+const COMPONENT_TYPES = {
+  penalty: 'penalty',
+  overdue_interest: 'interest',
+  current_interest: 'interest',
+  overdue_principal: 'emi_payment',
+  current_principal: 'emi_payment',
+  prepayment: 'emi_payment'
+};
+
+/**
+ * RepaymentService - Applies repayments to loans through the allocation waterfall
+ * Persists each payment as linked penalty/interest/emi_payment transactions grouped by a receipt,
+ * and posts it to the ledger
+ */
+class RepaymentService {
+
+  /**
+   * Apply a payment to a loan. Idempotent per reference.
+   * @param {Object|string} loanOrId - Loan document or ID
+   * @param {number} amount - Amount received
+   * @param {Object} options
+   * @param {string} options.actor - User who triggered the payment
+   * @param {string} options.source - user | payment | event_bus | system
+   * @param {string} options.reference - External reference (e.g. gateway transactionId) used for deduplication
+   * @param {string} options.paymentMethod - Transaction metadata payment method
+   * @param {Date} options.asOf - Payment date
+   * @param {string} options.prepayment - What any prepayment does: reduce_tenure (default) or reduce_emi
+   * @param {Object} options.foreclosure - Close the loan: { accruedTo } waives interest not accrued by then
+   * @param {number} options.fee - Prepayment fee withheld from the amount for the platform
+   * @returns {Promise<Object|null>} { loan, receipt, duplicate }, or null if the loan does not exist
+   * @throws {InvalidTransitionError} when the loan cannot accept repayments
+   */
+  async applyPayment(loanOrId, amount, { actor = null, source = 'user', reference, paymentMethod, asOf = new Date(), prepayment, foreclosure, fee = 0 } = {}) {
+    const loan = loanOrId instanceof Loan ? loanOrId : await Loan.findById(loanOrId);
+    if (!loan) return null;
+
+    if (reference && loan.hasTransitionFor(reference)) {
+      const existing = await Transaction.findOne({ loanId: loan._id, parentTransactionId: reference });
+      const receipt = existing ? await this.getReceipt(loan._id, existing.receiptId) : null;
+      return { loan, receipt, duplicate: true };
+    }
+
+    const receiptId = `rcpt_${uuidv4().replace(/-/g, '').substring(0, 16)}`;
+    const options = { actor, source, reference: reference || receiptId, asOf, prepayment };
+    const net = round2(amount - fee);
+    const allocation = foreclosure
+      ? loan.recordForeclosure(net, { ...options, accruedTo: foreclosure.accruedTo })
+      : loan.recordRepayment(net, options);
+    await loan.save();
+
+    const transactions = await this._persistAllocation(loan, allocation, { receiptId, reference, paymentMethod, asOf, fee });
+    const receipt = this._buildReceipt(loan._id, receiptId, transactions);
+    await ledgerService.postRepayment(loan, receipt);
+    if (receipt.fee > 0) {
+      await ledgerService.postFee(loan, {
+        reference: `prepayment:${receiptId}`,
+        userId: loan.borrowerId,
+        amount: receipt.fee,
+        description: 'Prepayment fee'
+      });
+    }
+
+    if (allocation.distributions.length > 1) {
+      eventBus.emitEvent('loan.repayment_distributed', {
+        loanId: loan._id,
+        receiptId,
+        distributions: allocation.distributions
+      }, { source: 'repayment_service', userId: actor });
+    }
+
+    if (loan.status === 'REPAID') {
+      eventBus.emitEvent('loan.completed', {
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        lenderId: loan.lenderId,
+        totalAmount: loan.repaidAmount
+      }, { source: 'repayment_service', userId: actor });
+    }
+
+    return { loan, receipt, duplicate: false };
+  }
+
+  /**
+   * Rebuild a receipt from its transactions
+   * @param {string} loanId - Loan ID
+   * @param {string} receiptId - Receipt ID
+   * @returns {Promise<Object|null>} Receipt, or null if not found
+   */
+  async getReceipt(loanId, receiptId) {
+    const transactions = await Transaction.find({ loanId, receiptId }).sort({ initiatedAt: 1 });
+    if (transactions.length === 0) return null;
+    return this._buildReceipt(loanId, receiptId, transactions);
+  }
+
+  /**
+   * List receipts for a loan, newest first
+   * @param {string} loanId - Loan ID
+   * @returns {Promise<Array<Object>>} Receipts
+   */
+  async listReceipts(loanId) {
+    const transactions = await Transaction.find({ loanId, receiptId: { $exists: true } }).sort({ initiatedAt: -1 });
+    const groups = new Map();
+    for (const transaction of transactions) {
+      if (!groups.has(transaction.receiptId)) groups.set(transaction.receiptId, []);
+      groups.get(transaction.receiptId).push(transaction);
+    }
+    return [...groups.entries()].map(([receiptId, group]) => this._buildReceipt(loanId, receiptId, group));
+  }
+
+  // Private helper methods
+
+  /**
+   * Create one confirmed transaction per transaction type in the allocation
+   * @private
+   */
+  async _persistAllocation(loan, allocation, { receiptId, reference, paymentMethod, asOf, fee = 0 }) {
+    const byType = new Map();
+    for (const line of allocation.lines) {
+      const type = COMPONENT_TYPES[line.component];
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push(line);
+    }
+
+    // Unallocated cash is recorded on the emi_payment component, creating an empty one if needed
+    if (allocation.unallocated > 0 && !byType.has('emi_payment')) byType.set('emi_payment', []);
+
+    // The prepayment fee rides on the receipt as a processing_fee transaction the platform keeps
+    if (fee > 0) byType.set('processing_fee', []);
+
+    const transactions = [];
+    for (const [type, lines] of byType) {
+      const transaction = new Transaction({
+        transactionId: uuidv4(),
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        lenderId: loan.lenderId,
+        amount: type === 'processing_fee' ? round2(fee) : round2(lines.reduce((sum, line) => sum + line.amount, 0)),
+        type,
+        status: 'confirmed',
+        confirmedAt: asOf,
+        initiatedAt: asOf,
+        receiptId,
+        parentTransactionId: reference,
+        allocations: lines,
+        distributions: allocation.distributions
+          .map(part => ({ lenderId: part.lenderId, amount: part[DISTRIBUTION_FIELDS[type]] }))
+          .filter(part => part.amount > 0),
+        metadata: {
+          paymentMethod,
+          emiNumber: lines.length ? lines[0].installmentNumber : undefined,
+          totalEmis: loan.installments.length,
+          remainingAmount: loan.outstandingAmount,
+          unallocatedAmount: type === 'emi_payment' ? allocation.unallocated : 0
+        }
+      });
+      await transaction.save();
+      transactions.push(transaction);
+    }
+    return transactions;
+  }
+
+  /**
+   * Shape a receipt from its component transactions
+   * @private
+   */
+  _buildReceipt(loanId, receiptId, transactions) {
+    const lines = transactions.flatMap(transaction => transaction.allocations.map(line => ({
+      installmentNumber: line.installmentNumber,
+      component: line.component,
+      amount: line.amount
+    })));
+    const installments = summarizeByInstallment(lines);
+    const totals = installments.reduce((sum, row) => ({
+      penalty: round2(sum.penalty + row.penalty),
+      interest: round2(sum.interest + row.interest),
+      principal: round2(sum.principal + row.principal),
+      prepayment: round2(sum.prepayment + row.prepayment)
+    }), { penalty: 0, interest: 0, principal: 0, prepayment: 0 });
+    const applied = round2(totals.penalty + totals.interest + totals.principal + totals.prepayment);
+    const unallocated = round2(transactions.reduce((sum, t) => sum + (t.metadata?.unallocatedAmount || 0), 0));
+    const fee = round2(transactions.filter(t => t.type === 'processing_fee').reduce((sum, t) => sum + t.amount, 0));
+
+    const byLender = new Map();
+    for (const part of transactions.flatMap(transaction => transaction.distributions || [])) {
+      const key = part.lenderId.toString();
+      byLender.set(key, round2((byLender.get(key) || 0) + part.amount));
+    }
+
+    return {
+      receiptId,
+      loanId,
+      paidAt: transactions[0].confirmedAt,
+      amountReceived: round2(applied + unallocated + fee),
+      applied,
+      unallocated,
+      fee,
+      totals,
+      installments,
+      lines,
+      outstandingAfter: transactions[0].metadata?.remainingAmount,
+      distributions: [...byLender.entries()].map(([lenderId, amount]) => ({ lenderId, amount })),
+      transactions: transactions.map(transaction => ({
+        transactionId: transaction.transactionId,
+        displayId: transaction.displayId,
+        type: transaction.type,
+        amount: transaction.amount,
+        status: transaction.status
+      }))
+    };
+  }
+}
+
+module.exports = new RepaymentService();
@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const HardshipRequest = require('../models/HardshipRequest');
+const Loan = require('../models/Loan');
+const eventBus = require('../utils/eventBus');
+const { sha256 } = require('../utils/hashing');
+const { InvalidTransitionError } = require('../utils/loanFSM');
+
+const DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_CONFIG = {
+  maxMoratoriumMonths: envNumber('RESTRUCTURE_MAX_MORATORIUM_MONTHS', 12),
+  maxTenureMonths: envNumber('RESTRUCTURE_MAX_TENURE_MONTHS', 60)
+};
+
+class RestructuringError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'RestructuringError';
+    this.status = status;
+  }
+}
+
+/**
+ * RestructuringService - Hardship requests and the loan restructurings they lead to
+ * A borrower files a request with a reason, a supporting document and the relief they need
+ * (a moratorium or a re-amortization). Once every lender on the loan approves it, the loan gets
+ * a new installment schedule and moves to RESTRUCTURED; a single rejection closes the request.
+ * The borrower and every lender are notified at each step.
+ */
+class RestructuringService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * File a hardship request for a loan
+   * @param {string} loanId - Loan ID
+   * @param {Object} request
+   * @param {string} request.borrowerId - Requesting user; must be the loan's borrower
+   * @param {string} request.reason - Hardship reason code
+   * @param {string} request.description - What happened
+   * @param {Object} request.plan - { type: 'moratorium', months } or { type: 'reamortization', durationMonths }
+   * @param {Object} request.document - Uploaded file: { originalname, mimetype, size, buffer }
+   * @returns {Promise<Object>} HardshipRequest
+   * @throws {RestructuringError}
+   */
+  async request(loanId, { borrowerId, reason, description, plan, document }) {
+    const loan = await this._loan(loanId);
+    if (!loan.borrowerId.equals(borrowerId)) {
+      throw new RestructuringError('Only the borrower can request relief on this loan', 403);
+    }
+    if (!loan.canTransition('restructure')) {
+      throw new RestructuringError(`Cannot restructure a loan in state ${loan.status}`);
+    }
+    this._validatePlan(plan);
+    if (!document) throw new RestructuringError('A supporting document is required', 400);
+    if (!DOCUMENT_TYPES.includes(document.mimetype)) {
+      throw new RestructuringError('Supporting document must be a PDF, JPEG or PNG', 400);
+    }
+
+    const open = await HardshipRequest.findOne({ loanId: loan._id, status: 'requested' });
+    if (open) throw new RestructuringError('This loan already has a hardship request awaiting a decision');
+
+    const hardship = await HardshipRequest.create({
+      requestId: uuidv4(),
+      loanId: loan._id,
+      borrowerId: loan.borrowerId,
+      reason,
+      description,
+      plan: {
+        type: plan.type,
+        months: plan.type === 'moratorium' ? Number(plan.months) : undefined,
+        durationMonths: plan.type === 'reamortization' ? Number(plan.durationMonths) : undefined
+      },
+      document: {
+        fileName: document.originalname,
+        mimeType: document.mimetype,
+        size: document.size,
+        sha256: sha256(document.buffer),
+        data: document.buffer
+      },
+      approvers: this._lenderIds(loan),
+      requestedAt: this.clock()
+    });
+
+    eventBus.emitEvent('loan.hardship_requested', {
+      loanId: loan._id,
+      requestId: hardship.requestId,
+      reason,
+      plan: hardship.plan
+    }, { source: 'restructuring_service', userId: loan.borrowerId });
+
+    this._notify(loan, 'hardship_requested', hardship);
+    return hardship;
+  }
+
+  /**
+   * Record a lender's approval; the last approval restructures the loan
+   * @param {string} loanId - Loan ID
+   * @param {string} requestId - Hardship request ID
+   * @param {Object} decision
+   * @param {string} decision.lenderId - Approving lender
+   * @param {string} decision.note - Optional comment
+   * @returns {Promise<Object>} HardshipRequest, approved once every lender has approved it
+   * @throws {RestructuringError}
+   */
+  async approve(loanId, requestId, { lenderId, note }) {
+    const { loan, hardship } = await this._pending(loanId, requestId, lenderId);
+
+    hardship.decisions.push({ lenderId, decision: 'approved', note, decidedAt: this.clock() });
+    const approved = new Set(hardship.decisions.filter(entry => entry.decision === 'approved').map(entry => entry.lenderId.toString()));
+    if (!hardship.approvers.every(id => approved.has(id.toString()))) {
+      await hardship.save();
+      return hardship;
+    }
+
+    const previousOutstanding = loan.outstandingAmount;
+    let result;
+    try {
+      result = loan.restructure(hardship.plan, {
+        actor: lenderId,
+        source: 'user',
+        reference: hardship.requestId,
+        note: `Hardship: ${hardship.reason}`,
+        asOf: this.clock()
+      });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) throw new RestructuringError(error.message);
+      throw error;
+    }
+    await loan.save();
+
+    hardship.status = 'approved';
+    hardship.approvedAt = this.clock();
+    hardship.outcome = { previousOutstanding, outstanding: loan.outstandingAmount, ...result };
+    await hardship.save();
+
+    eventBus.emitEvent('loan.restructured', {
+      loanId: loan._id,
+      requestId: hardship.requestId,
+      plan: hardship.plan,
+      ...hardship.outcome
+    }, { source: 'restructuring_service', userId: lenderId });
+
+    this._notify(loan, 'loan_restructured', hardship, {
+      emi: result.emi,
+      firstDueDate: result.firstDueDate.toISOString().slice(0, 10)
+    });
+    return hardship;
+  }
+
+  /**
+   * Reject a hardship request; one lender's rejection closes it
+   * @param {string} loanId - Loan ID
+   * @param {string} requestId - Hardship request ID
+   * @param {Object} decision
+   * @param {string} decision.lenderId - Rejecting lender
+   * @param {string} decision.reason - Why relief was declined
+   * @returns {Promise<Object>} HardshipRequest
+   * @throws {RestructuringError}
+   */
+  async reject(loanId, requestId, { lenderId, reason }) {
+    const { loan, hardship } = await this._pending(loanId, requestId, lenderId);
+
+    hardship.decisions.push({ lenderId, decision: 'rejected', note: reason, decidedAt: this.clock() });
+    hardship.status = 'rejected';
+    hardship.rejectedAt = this.clock();
+    hardship.rejectionReason = reason;
+    await hardship.save();
+
+    eventBus.emitEvent('loan.hardship_rejected', {
+      loanId: loan._id,
+      requestId: hardship.requestId,
+      reason
+    }, { source: 'restructuring_service', userId: lenderId });
+
+    this._notify(loan, 'hardship_rejected', hardship, { reason });
+    return hardship;
+  }
+
+  /**
+   * Hardship requests of a loan, newest first
+   * @param {string} loanId - Loan ID
+   * @param {Object} options
+   * @param {string} options.userId - Requesting user; must be the borrower or a lender of the loan
+   * @returns {Promise<Array<Object>>} HardshipRequests, without document contents
+   * @throws {RestructuringError}
+   */
+  async list(loanId, { userId } = {}) {
+    const loan = await this._loan(loanId);
+    this._assertParty(loan, userId);
+    return HardshipRequest.find({ loanId: loan._id }).sort({ requestedAt: -1 });
+  }
+
+  /**
+   * Requests awaiting a lender's decision, oldest first
+   * @param {string} lenderId - Lender ID
+   * @returns {Promise<Array<Object>>} HardshipRequests
+   */
+  async pendingFor(lenderId) {
+    const requests = await HardshipRequest.find({ approvers: lenderId, status: 'requested' }).sort({ requestedAt: 1 });
+    return requests.filter(hardship => !hardship.decisions.some(entry => entry.lenderId.equals(lenderId)));
+  }
+
+  /**
+   * Supporting document of a request
+   * @returns {Promise<Object>} { fileName, mimeType, sha256, data }
+   * @throws {RestructuringError}
+   */
+  async document(loanId, requestId, { userId } = {}) {
+    const loan = await this._loan(loanId);
+    this._assertParty(loan, userId);
+    const hardship = await HardshipRequest.findOne({ loanId: loan._id, requestId }).select('+document.data');
+    if (!hardship) throw new RestructuringError('Hardship request not found', 404);
+    return hardship.document;
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  async _loan(loanId) {
+    const loan = mongoose.isValidObjectId(loanId) ? await Loan.findById(loanId) : null;
+    if (!loan) throw new RestructuringError('Loan not found', 404);
+    return loan;
+  }
+
+  /**
+   * A request awaiting a decision from this lender
+   * @private
+   */
+  async _pending(loanId, requestId, lenderId) {
+    const loan = await this._loan(loanId);
+    const hardship = await HardshipRequest.findOne({ loanId: loan._id, requestId });
+    if (!hardship) throw new RestructuringError('Hardship request not found', 404);
+    if (!hardship.approvers.some(id => id.equals(lenderId))) {
+      throw new RestructuringError('Only a lender on this loan can decide on its hardship requests', 403);
+    }
+    if (hardship.status !== 'requested') {
+      throw new RestructuringError(`Hardship request is already ${hardship.status}`);
+    }
+    if (hardship.decisions.some(entry => entry.lenderId.equals(lenderId))) {
+      throw new RestructuringError('You have already decided on this request');
+    }
+    return { loan, hardship };
+  }
+
+  /**
+   * @private
+   */
+  _lenderIds(loan) {
+    const ids = loan.lenders.length ? loan.lenders.map(position => position.lenderId) : [loan.lenderId];
+    return [...new Map(ids.filter(Boolean).map(id => [id.toString(), id])).values()];
+  }
+
+  /**
+   * @private
+   */
+  _assertParty(loan, userId) {
+    if (userId && ![loan.borrowerId, ...this._lenderIds(loan)].some(id => id.equals(userId))) {
+      throw new RestructuringError('Only the borrower or a lender of a loan can see its hardship requests', 403);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _validatePlan(plan) {
+    if (plan?.type === 'moratorium') {
+      const months = Number(plan.months);
+      if (!Number.isInteger(months) || months < 1 || months > this.config.maxMoratoriumMonths) {
+        throw new RestructuringError(`Moratorium must be 1 to ${this.config.maxMoratoriumMonths} months`, 400);
+      }
+    } else if (plan?.type === 'reamortization') {
+      const months = Number(plan.durationMonths);
+      if (!Number.isInteger(months) || months < 1 || months > this.config.maxTenureMonths) {
+        throw new RestructuringError(`New tenure must be 1 to ${this.config.maxTenureMonths} months`, 400);
+      }
+    } else {
+      throw new RestructuringError('Plan type must be moratorium or reamortization', 400);
+    }
+  }
+
+  /**
+   * Tell the borrower and every lender
+   * @private
+   */
+  _notify(loan, type, hardship, variables = {}) {
+    for (const userId of [loan.borrowerId, ...this._lenderIds(loan)]) {
+      eventBus.emitEvent('notification.send', {
+        userId,
+        type,
+        variables: {
+          loanId: loan._id,
+          requestId: hardship.requestId,
+          reason: hardship.reason,
+          ...variables
+        }
+      });
+    }
+  }
+}
+
+module.exports = new RestructuringService();
+module.exports.RestructuringService = RestructuringService;
+module.exports.RestructuringError = RestructuringError;
@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const Loan = require('../models/Loan');
+const Transaction = require('../models/Transaction');
+const RiskScore = require('../models/RiskScore');
+const guarantorService = require('./guarantorService');
+const { scoreBorrower } = require('../utils/riskScoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RiskScoringService - Loads borrower data, scores it and keeps score snapshots
+ */
+class RiskScoringService {
+
+  /**
+   * Compute a borrower's current risk score
+   * @param {string} userId - Borrower user ID
+   * @param {Object} options
+   * @param {Object} options.loan - Loan being assessed; its amount, purpose and consented guarantors feed the request factors
+   * @param {number} options.amount - Requested amount, when there is no loan yet
+   * @param {string} options.purpose - Requested purpose, when there is no loan yet
+   * @param {string} options.trigger - Snapshot trigger
+   * @param {boolean} options.persist - Store a snapshot
+   * @returns {Promise<Object|null>} Score with factors, or null if the user does not exist
+   */
+  async computeScore(userId, { loan, amount, purpose, trigger = 'on_demand', persist = true } = {}) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const asOf = new Date();
+    const [loans, transactions, liabilities, guarantors] = await Promise.all([
+      Loan.find({ borrowerId: userId, ...(loan ? { _id: { $ne: loan._id } } : {}) }),
+      Transaction.find({ borrowerId: userId, accrual: { $ne: true }, initiatedAt: { $gte: new Date(asOf.getTime() - 365 * DAY_MS) } }),
+      guarantorService.liabilities(userId),
+      loan ? guarantorService.backing(loan._id) : []
+    ]);
+
+    const request = loan ? { amount: loan.amount, purpose: loan.purpose, guarantors } : amount ? { amount, purpose } : undefined;
+    const result = scoreBorrower({ user, loans, transactions, request, liabilities, asOf });
+
+    const snapshot = persist
+      ? await this._storeSnapshot(userId, result, { loanId: loan?._id, trigger, force: trigger !== 'on_demand' })
+      : null;
+
+    return { userId, ...result, computedAt: snapshot ? snapshot.createdAt : asOf };
+  }
+
+  /**
+   * Scores for the loans in a matching run, keyed by loan ID
+   * @param {Array<Object>} loans - Loan documents
+   * @param {Object} options
+   * @param {boolean} options.persist - Store snapshots
+   * @returns {Promise<Object>} Map of loan ID to score
+   */
+  async scoresForLoans(loans, { persist = true } = {}) {
+    const scores = {};
+    for (const loan of loans) {
+      const result = await this.computeScore(loan.borrowerId, { loan, trigger: 'matching', persist });
+      if (result) scores[loan._id.toString()] = result.score;
+    }
+    return scores;
+  }
+
+  /**
+   * Stored snapshots, newest first
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum snapshots to return
+   */
+  async getHistory(userId, limit = 20) {
+    return RiskScore.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('score grade trigger loanId modelVersion createdAt');
+  }
+
+  // Private helper methods
+
+  /**
+   * On-demand lookups only add a snapshot when the score moved or the last one is a day old
+   * @private
+   */
+  async _storeSnapshot(userId, result, { loanId, trigger, force }) {
+    if (!force) {
+      const latest = await RiskScore.findOne({ userId }).sort({ createdAt: -1 });
+      if (latest && latest.score === result.score && latest.modelVersion === result.modelVersion
+        && Date.now() - latest.createdAt.getTime() < DAY_MS) {
+        return latest;
+      }
+    }
+
+    return RiskScore.create({ userId, loanId, trigger, ...result });
+  }
+}
+
+module.exports = new RiskScoringService();
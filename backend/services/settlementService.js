@@ -0,0 +1,138 @@
+const Transaction = require('../models/Transaction');
+const Loan = require('../models/Loan');
+const repaymentService = require('./repaymentService');
+const escrowService = require('./escrowService');
+const prepaymentService = require('./prepaymentService');
+const eventBus = require('../utils/eventBus');
+const { InvalidTransitionError } = require('../utils/loanFSM');
+
+/**
+ * SettlementService - Applies gateway payment outcomes to transactions, loans and escrow
+ * Shared by checkout confirmation, webhooks and reconciliation. Every step is idempotent per
+ * transaction, so the same payment reported by several of them is only applied once.
+ */
+class SettlementService {
+
+  /**
+   * Check whether a transaction type pays down a loan
+   * @param {string} type - Transaction type
+   * @returns {boolean}
+   */
+  isRepaymentType(type) {
+    return type === 'emi_payment' || type === 'full_repayment';
+  }
+
+  /**
+   * Apply a confirmed transaction to its loan or escrow
+   * @param {Object} transaction - Confirmed transaction
+   * @param {string} source - Transition source recorded on the loan (default: payment)
+   */
+  async applyConfirmed(transaction, source = 'payment') {
+    // Loans are only disbursed by releasing escrow (escrowService.disburse), never by a payment
+    if (this.isRepaymentType(transaction.type)) {
+      await this.applyRepayment(transaction, source);
+    } else if (transaction.type === 'escrow_deposit') {
+      await escrowService.confirmDeposit(transaction);
+    }
+  }
+
+  /**
+   * Apply a confirmed repayment transaction to its loan through the LoanFSM, closing the loan
+   * for foreclosures and using the chosen option for part-prepayments.
+   * Idempotent per transactionId, so webhooks and confirmations can overlap.
+   * @returns {Promise<Object|null>} Repayment receipt, or null if the LoanFSM rejected it
+   */
+  async applyRepayment(transaction, source = 'payment') {
+    try {
+      const loan = await Loan.findById(transaction.loanId._id || transaction.loanId);
+      if (!loan) return null;
+
+      return await repaymentService.applyPayment(loan, transaction.amount, {
+        reference: transaction.transactionId,
+        actor: transaction.borrowerId._id || transaction.borrowerId,
+        paymentMethod: transaction.metadata?.paymentMethod,
+        source,
+        ...prepaymentService.settlementTerms(loan, transaction)
+      });
+    } catch (error) {
+      if (!(error instanceof InvalidTransitionError)) throw error;
+      console.error(`Repayment ${transaction.transactionId} rejected by LoanFSM:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Confirm the transaction behind a captured gateway payment and apply it.
+   * Deferred while the transaction is unknown or a confirmation is in flight; the gateway's retry or a
+   * replay picks it up later. A capture after a failure still confirms, since the gateway took the money.
+   * @param {Object} payment - Normalized gateway payment { id, orderId, amount }
+   * @param {string} source - Transition source recorded on the loan (default: payment)
+   * @returns {Promise<string>} processed | ignored | deferred
+   */
+  async settleCaptured(payment, source = 'payment') {
+    let transaction = await Transaction.findOne({
+      $or: [
+        { razorpayPaymentId: payment.id },
+        { razorpayOrderId: payment.orderId }
+      ]
+    });
+
+    if (!transaction || transaction.status === 'processing') {
+      return 'deferred';
+    }
+    if (transaction.status === 'refunded') {
+      return 'ignored';
+    }
+
+    if (transaction.status !== 'confirmed') {
+      transaction = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: transaction.status },
+        { $set: { status: 'processing', razorpayPaymentId: transaction.razorpayPaymentId || payment.id } },
+        { new: true }
+      );
+      if (!transaction) return 'deferred';
+
+      await transaction.markAsConfirmed();
+
+      eventBus.emitEvent('payment.captured', {
+        transactionId: transaction.transactionId,
+        paymentId: payment.id,
+        amount: payment.amount
+      });
+    }
+
+    // Re-applying is a no-op once done, and completes the work if an earlier attempt failed part way
+    await this.applyConfirmed(transaction, source);
+    return 'processed';
+  }
+
+  /**
+   * Fail the transaction behind a failed gateway payment. Ignored once the payment is confirmed,
+   * whatever order the events arrive in.
+   * @param {Object} payment - Normalized gateway payment { id, orderId, errorDescription }
+   * @returns {Promise<string>} processed | ignored | deferred
+   */
+  async settleFailed(payment) {
+    const transaction = await Transaction.findOne({
+      razorpayOrderId: payment.orderId
+    });
+
+    if (!transaction) return 'deferred';
+    if (['processing', 'confirmed', 'refunded'].includes(transaction.status)) return 'ignored';
+
+    await transaction.markAsFailed(payment.errorDescription || 'Payment failed');
+
+    if (transaction.type === 'escrow_deposit') {
+      await escrowService.failDeposit(transaction);
+    }
+
+    eventBus.emitEvent('payment.failed', {
+      transactionId: transaction.transactionId,
+      orderId: payment.orderId,
+      error: payment.errorDescription
+    });
+    return 'processed';
+  }
+}
+
+module.exports = new SettlementService();
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const repaymentService = require('./repaymentService');
+const { renderReceipt, renderStatement } = require('../utils/pdfDocuments');
+const { round2 } = require('../utils/amortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A refunded payment was confirmed first, so it keeps its receipt
+const RECEIPT_STATUSES = ['confirmed', 'refunded'];
+
+const SPLIT_COMPONENTS = ['penalty', 'interest', 'principal', 'prepayment', 'fee', 'unallocated'];
+
+class StatementError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'StatementError';
+    this.status = status;
+  }
+}
+
+/**
+ * StatementService - Payment receipts and loan account statements, as data or bilingual PDFs
+ * A statement replays the loan's account: the disbursement, late fees, repayments and refunds,
+ * each with the outstanding balance recorded when it happened, and cuts it to a date range.
+ */
+class StatementService {
+
+  /**
+   * Receipt for a confirmed transaction of a loan. A gateway payment is split by the
+   * repayment transactions booked against it; other transactions are their own single line.
+   * @param {string} loanId - Loan ID
+   * @param {string} transactionId - Gateway or repayment transaction ID
+   * @param {Object} options
+   * @param {string} options.userId - Requesting user; must be the borrower or a lender of the loan
+   * @returns {Promise<Object>} { receiptNo, transactionId, type, status, paidAt, loanId, borrower, amount, paymentMethod, gatewayPaymentId, split, refundedAmount, outstandingAfter, txnHash }
+   * @throws {StatementError}
+   */
+  async receipt(loanId, transactionId, { userId } = {}) {
+    const loan = await this._readable(loanId, userId);
+    const transaction = await Transaction.findOne({ loanId: loan._id, transactionId });
+    if (!transaction) throw new StatementError('Transaction not found', 404);
+    if (!RECEIPT_STATUSES.includes(transaction.status)) {
+      throw new StatementError('Receipts are only issued for confirmed payments');
+    }
+
+    let payment = transaction;
+    let split = null;
+    if (transaction.receiptId) {
+      split = await repaymentService.getReceipt(loan._id, transaction.receiptId);
+      if (transaction.parentTransactionId) {
+        payment = await Transaction.findOne({ loanId: loan._id, transactionId: transaction.parentTransactionId }) || transaction;
+      }
+    } else {
+      const booked = await Transaction.findOne({ loanId: loan._id, parentTransactionId: transaction.transactionId, receiptId: { $exists: true } });
+      if (booked) split = await repaymentService.getReceipt(loan._id, booked.receiptId);
+    }
+
+    const lines = split
+      ? SPLIT_COMPONENTS
+        .map(component => ({ component, amount: component in split.totals ? split.totals[component] : split[component] }))
+        .filter(line => line.amount > 0)
+      : [{ component: transaction.type, amount: transaction.amount }];
+
+    return {
+      receiptNo: transaction.displayId,
+      transactionId: transaction.transactionId,
+      type: transaction.type,
+      status: transaction.status,
+      paidAt: payment.confirmedAt || transaction.confirmedAt || transaction.initiatedAt,
+      loanId: loan._id,
+      borrower: await this._borrowerName(loan),
+      amount: split ? split.amountReceived : transaction.amount,
+      paymentMethod: payment.metadata?.paymentMethod,
+      gatewayPaymentId: payment.razorpayPaymentId,
+      split: lines,
+      refundedAmount: payment.refundedAmount || 0,
+      outstandingAfter: split ? split.outstandingAfter : undefined,
+      txnHash: transaction.txnHash || payment.txnHash || null
+    };
+  }
+
+  /**
+   * Account statement of a loan for a date range
+   * @param {string} loanId - Loan ID
+   * @param {Object} options
+   * @param {string|Date} options.from - First day; defaults to the disbursement date
+   * @param {string|Date} options.to - Last day, inclusive; defaults to now
+   * @param {string} options.userId - Requesting user; must be the borrower or a lender of the loan
+   * @returns {Promise<Object>} { loanId, borrower, purpose, status, from, to, openingBalance, closingBalance, totalDebits, totalCredits, entries }
+   * @throws {StatementError}
+   */
+  async statement(loanId, { from, to, userId } = {}) {
+    const loan = await this._readable(loanId, userId);
+
+    const since = from ? this._date(from, 'from') : (loan.disbursedAt || loan.createdAt);
+    const until = to ? new Date(this._date(to, 'to').getTime() + DAY_MS - 1) : new Date();
+    if (since > until) throw new StatementError('from must not be after to', 400);
+
+    const [receipts, lateFees] = await Promise.all([
+      repaymentService.listReceipts(loan._id),
+      Transaction.find({ loanId: loan._id, type: 'penalty', accrual: true }).sort({ initiatedAt: 1 })
+    ]);
+    const entries = this._entries(loan, receipts, lateFees);
+
+    const before = entries.filter(entry => entry.date < since);
+    const within = entries.filter(entry => entry.date >= since && entry.date <= until);
+    const openingBalance = before.length ? before[before.length - 1].balance : 0;
+
+    return {
+      loanId: loan._id,
+      borrower: await this._borrowerName(loan),
+      purpose: loan.purpose,
+      status: loan.status,
+      from: since,
+      to: until,
+      openingBalance,
+      closingBalance: within.length ? within[within.length - 1].balance : openingBalance,
+      totalDebits: round2(within.reduce((sum, entry) => sum + entry.debit, 0)),
+      totalCredits: round2(within.reduce((sum, entry) => sum + entry.credit, 0)),
+      entries: within
+    };
+  }
+
+  /**
+   * Receipt as a bilingual PDF
+   * @param {Object} receipt - From receipt()
+   * @returns {Promise<Buffer>} PDF
+   */
+  receiptPdf(receipt) {
+    return renderReceipt(receipt);
+  }
+
+  /**
+   * Statement as a bilingual PDF
+   * @param {Object} statement - From statement()
+   * @returns {Promise<Buffer>} PDF
+   */
+  statementPdf(statement) {
+    return renderStatement(statement);
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  async _readable(loanId, userId) {
+    const loan = mongoose.isValidObjectId(loanId) ? await Loan.findById(loanId) : null;
+    if (!loan) throw new StatementError('Loan not found', 404);
+
+    const parties = [loan.borrowerId, loan.lenderId, ...loan.lenders.map(position => position.lenderId)];
+    if (userId && !parties.some(id => id && id.equals(userId))) {
+      throw new StatementError('Only the borrower or a lender of a loan can see its payments', 403);
+    }
+    return loan;
+  }
+
+  /**
+   * @private
+   */
+  _date(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new StatementError(`${name} must be a date`, 400);
+    return date;
+  }
+
+  /**
+   * @private
+   */
+  async _borrowerName(loan) {
+    const borrower = await User.findById(loan.borrowerId).select('fullName');
+    return borrower ? borrower.fullName : undefined;
+  }
+
+  /**
+   * Every balance movement of the loan, oldest first, with the balance after it.
+   * Balances come from what was recorded at the time; where the recorded balance moved by more
+   * than the entry (interest waived on prepayment, or reinstated by a refund) an extra line shows
+   * the difference; a restructuring is sized by how much the new schedule moved the balance.
+   * Entries recorded before balances were kept fall back to a running total.
+   * @private
+   */
+  _entries(loan, receipts, lateFees) {
+    const events = [];
+
+    for (const transition of loan.stateHistory) {
+      if (transition.event === 'disburse') {
+        const payable = transition.balance !== undefined ? transition.balance : loan.totalPayable;
+        const interest = round2(payable - loan.amount);
+        events.push({ date: transition.at, kind: 'disbursement', debit: loan.amount, credit: 0, balance: interest > 0 ? undefined : payable });
+        if (interest > 0) {
+          events.push({ date: transition.at, kind: 'scheduled_interest', debit: interest, credit: 0, balance: payable });
+        }
+      } else if (transition.event === 'refund') {
+        events.push({ date: transition.at, kind: 'refund', detail: transition.reference, debit: transition.amount || 0, credit: 0, balance: transition.balance });
+      } else if (transition.event === 'restructure') {
+        // Sized below from the balance the new schedule left
+        events.push({ date: transition.at, kind: 'restructure', detail: transition.reference, debit: 0, credit: 0, balance: transition.balance });
+      }
+    }
+
+    for (const fee of lateFees) {
+      events.push({
+        date: fee.initiatedAt,
+        kind: 'late_fee',
+        detail: fee.metadata?.emiNumber ? `EMI ${fee.metadata.emiNumber}` : undefined,
+        debit: fee.amount,
+        credit: 0,
+        balance: fee.metadata?.remainingAmount
+      });
+    }
+
+    for (const receipt of receipts) {
+      if (receipt.applied <= 0) continue;
+      events.push({
+        date: receipt.paidAt,
+        kind: 'payment',
+        detail: receipt.receiptId,
+        debit: 0,
+        credit: receipt.applied,
+        balance: receipt.outstandingAfter
+      });
+    }
+
+    // Stable sort keeps the disbursement ahead of its interest line
+    events.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const entries = [];
+    let balance = 0;
+    for (const event of events) {
+      const expected = round2(balance + event.debit - event.credit);
+      const recorded = event.balance === undefined || event.balance === null ? expected : round2(event.balance);
+      const difference = round2(recorded - expected);
+
+      if (event.kind === 'restructure') {
+        entries.push({ ...event, date: new Date(event.date), debit: Math.max(difference, 0), credit: Math.max(-difference, 0), balance: recorded });
+      } else {
+        entries.push({ ...event, date: new Date(event.date), balance: expected });
+      }
+
+      if (event.kind !== 'restructure' && Math.abs(difference) >= 0.01) {
+        const kind = event.kind === 'payment' && difference < 0 ? 'waiver'
+          : event.kind === 'refund' && difference > 0 ? 'reinstated'
+            : 'adjustment';
+        entries.push({
+          date: new Date(event.date),
+          kind,
+          debit: difference > 0 ? difference : 0,
+          credit: difference < 0 ? -difference : 0,
+          balance: recorded
+        });
+      }
+      balance = recorded;
+    }
+    return entries;
+  }
+}
+
+module.exports = new StatementService();
+module.exports.StatementService = StatementService;
+module.exports.StatementError = StatementError;
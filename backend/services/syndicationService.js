@@ -0,0 +1,195 @@
+const Loan = require('../models/Loan');
+const eventBus = require('../utils/eventBus');
+const riskScoringService = require('./riskScoringService');
+const { Borrower, Lender, enhancedMatching } = require('../utils/matching');
+const { round2 } = require('../utils/amortization');
+
+// Used when a borrower cannot be scored; lenders accept scores up to their tolerance
+const DEFAULT_RISK_SCORE = 50;
+const DEFAULT_RISK_TOLERANCE = 100;
+
+/**
+ * SyndicationService - Funds requested loans from several lenders
+ * Runs enhancedMatching over lender commitments and records each lender's pro-rata position
+ */
+class SyndicationService {
+
+  /**
+   * Match lender commitments against open loan requests
+   * @param {Object} params
+   * @param {Array<Object>} params.commitments - { lenderId, amount, riskTolerance, minInterestRate }, in priority order
+   * @param {Array<string>} params.loanIds - Restrict the run to these loans (default: all REQUESTED loans)
+   * @param {Object} params.riskScores - Borrower risk score overrides keyed by borrower ID (default: computed per loan)
+   * @param {boolean} params.dryRun - Return the plan without saving it
+   * @param {string} params.source - Position source recorded on the loan (matching | auto_invest)
+   * @param {string} params.actor - User who triggered the run
+   * @returns {Promise<Object>} { loans, lenders, dryRun }
+   */
+  async runMatching({ commitments, loanIds, riskScores = {}, dryRun = false, actor = null, source = 'matching' }) {
+    const query = { status: 'REQUESTED' };
+    if (loanIds && loanIds.length) query._id = { $in: loanIds };
+    const loans = (await Loan.find(query).sort({ createdAt: 1 }))
+      .filter(loan => loan.amount - loan.fundedAmount > 0);
+
+    const lenders = {};
+    for (const commitment of commitments) {
+      lenders[commitment.lenderId] = new Lender(
+        commitment.lenderId,
+        commitment.amount,
+        commitment.riskTolerance ?? DEFAULT_RISK_TOLERANCE
+      );
+    }
+
+    const computed = await riskScoringService.scoresForLoans(
+      loans.filter(loan => riskScores[loan.borrowerId.toString()] === undefined),
+      { persist: !dryRun }
+    );
+
+    const scores = {};
+    const borrowers = loans.map(loan => {
+      const loanId = loan._id.toString();
+      scores[loanId] = riskScores[loan.borrowerId.toString()] ?? computed[loanId] ?? DEFAULT_RISK_SCORE;
+      const preferences = commitments
+        .filter(commitment => !commitment.minInterestRate || loan.interestRate >= commitment.minInterestRate)
+        .filter(commitment => commitment.lenderId !== loan.borrowerId.toString())
+        .map(commitment => commitment.lenderId);
+      return new Borrower(loanId, round2(loan.amount - loan.fundedAmount), preferences);
+    });
+
+    enhancedMatching(borrowers, lenders, scores);
+
+    const byLoan = new Map();
+    for (const lender of Object.values(lenders)) {
+      for (const { borrowerId: loanId, contribution } of lender.accepted) {
+        if (!byLoan.has(loanId)) byLoan.set(loanId, []);
+        byLoan.get(loanId).push({ lenderId: lender.id, amount: round2(contribution) });
+      }
+    }
+
+    const results = [];
+    for (const loan of loans) {
+      const contributions = byLoan.get(loan._id.toString()) || [];
+      for (const { lenderId, amount } of contributions) {
+        loan.addLenderCommitment(lenderId, amount, source);
+      }
+
+      const fullyFunded = loan.fundedAmount >= loan.amount;
+      if (fullyFunded) {
+        loan.applyTransition('approve', { actor, source: 'system', note: `Syndicated across ${loan.lenders.length} lenders` });
+      }
+
+      if (!dryRun && contributions.length) {
+        await loan.save();
+        this._notifyFunding(loan, contributions, fullyFunded, actor);
+      }
+
+      results.push({
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        requested: loan.amount,
+        matched: round2(contributions.reduce((sum, c) => sum + c.amount, 0)),
+        funded: loan.fundedAmount,
+        fullyFunded,
+        status: loan.status,
+        riskScore: scores[loan._id.toString()],
+        lenders: loan.lenderShares().map(({ lenderId, amount, share }) => ({ lenderId, amount, share: round2(share * 100) }))
+      });
+    }
+
+    return {
+      dryRun,
+      loans: results,
+      lenders: commitments.map(commitment => {
+        const lender = lenders[commitment.lenderId];
+        return {
+          lenderId: commitment.lenderId,
+          committed: commitment.amount,
+          allocated: round2(commitment.amount - lender.available),
+          remaining: round2(lender.available),
+          loans: lender.accepted.length
+        };
+      })
+    };
+  }
+
+  /**
+   * A lender's positions across every loan they hold a share of
+   * @param {string} lenderId - Lender user ID
+   * @returns {Promise<Object>} { positions, totals }
+   */
+  async getLenderPositions(lenderId) {
+    const loans = await Loan.find({
+      $or: [{ 'lenders.lenderId': lenderId }, { lenderId, 'lenders.0': { $exists: false } }]
+    }).populate('borrowerId', 'fullName').sort({ createdAt: -1 });
+
+    const positions = loans.map(loan => {
+      const position = loan.lenderShares().find(p => p.lenderId.toString() === lenderId.toString());
+      const outstandingPrincipal = loan.installments.length
+        ? loan.installments.reduce((sum, installment) => sum + installment.principal - installment.principalPaid, 0)
+        : loan.amount;
+      const received = {
+        principal: position.principalReceived,
+        interest: position.interestReceived,
+        penalty: position.penaltyReceived,
+        total: round2(position.principalReceived + position.interestReceived + position.penaltyReceived)
+      };
+
+      return {
+        loanId: loan._id,
+        borrower: loan.borrowerId,
+        status: loan.status,
+        interestRate: loan.interestRate,
+        duration: loan.duration,
+        loanAmount: loan.amount,
+        committed: position.amount,
+        share: round2(position.share * 100),
+        lead: !!loan.lenderId && loan.lenderId.toString() === lenderId.toString(),
+        fundedAt: position.fundedAt,
+        received,
+        outstandingPrincipal: round2(outstandingPrincipal * position.share)
+      };
+    });
+
+    const totals = positions.reduce((sum, position) => ({
+      committed: round2(sum.committed + position.committed),
+      received: round2(sum.received + position.received.total),
+      outstandingPrincipal: round2(sum.outstandingPrincipal + position.outstandingPrincipal)
+    }), { committed: 0, received: 0, outstandingPrincipal: 0 });
+
+    return { positions, totals };
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  _notifyFunding(loan, contributions, fullyFunded, actor) {
+    if (fullyFunded) {
+      eventBus.emitEvent('loan.approved', {
+        loanId: loan._id,
+        borrowerId: loan.borrowerId,
+        lenderId: loan.lenderId,
+        lenders: loan.lenders.map(({ lenderId, amount }) => ({ lenderId, amount })),
+        amount: loan.amount,
+        interestRate: loan.interestRate,
+        duration: loan.duration
+      }, { source: 'syndication_service', userId: actor });
+    }
+
+    for (const { lenderId, amount } of contributions) {
+      eventBus.emitEvent('notification.send', {
+        userId: lenderId,
+        type: 'loan_funded',
+        variables: {
+          loanId: loan._id,
+          amount,
+          fundedAmount: loan.fundedAmount,
+          loanAmount: loan.amount
+        }
+      });
+    }
+  }
+}
+
+module.exports = new SyndicationService();
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/AuthSession');
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+const eventBus = require('../utils/eventBus');
+const { sha256 } = require('../utils/hashing');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const ISSUER = 'ruralconnect';
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// JWT_KEYS="2026-10:newSecret,2026-04:oldSecret" lists every key tokens may be signed with, by
+// kid; JWT_ACTIVE_KID picks the one new tokens are signed with (the first by default).
+// JWT_SECRET alone is a single key with kid "default".
+function keysFromEnv() {
+  const keys = {};
+  for (const entry of (process.env.JWT_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+  }
+  if (!Object.keys(keys).length && process.env.JWT_SECRET) keys.default = process.env.JWT_SECRET;
+  return keys;
+}
+
+const DEFAULT_CONFIG = {
+  accessTokenMinutes: envNumber('ACCESS_TOKEN_TTL_MINUTES', 15),
+  refreshTokenDays: envNumber('REFRESH_TOKEN_TTL_DAYS', 30),
+  reauthMinutes: envNumber('ADMIN_REAUTH_MINUTES', 5),
+  keys: keysFromEnv(),
+  activeKid: process.env.JWT_ACTIVE_KID
+};
+
+class TokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+/**
+ * TokenService - Access tokens, refresh tokens and sign-out
+ * The single place tokens are issued and checked. Access tokens are short-lived HS256 JWTs whose
+ * kid header names the key they were signed with, so keys can be rotated by adding a new active
+ * key and keeping the old one until its tokens have expired. Each signed-in device has an
+ * AuthSession holding its refresh token, which is opaque, stored hashed and replaced on every
+ * use; presenting a replaced one ends the session. Signing out denylists the session's access
+ * token until it expires. A session opened with a second factor says so in its access tokens'
+ * mfa claim, and can be marked re-authenticated for a few minutes before destructive actions.
+ */
+class TokenService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.clock - Returns the current Date
+   * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+   */
+  constructor({ clock = () => new Date(), config = {} } = {}) {
+    this.clock = clock;
+    this.config = { ...DEFAULT_CONFIG, ...config };
+
+    if (!Object.keys(this.config.keys).length) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET or JWT_KEYS must be set in production');
+      }
+      // Tokens will not survive a restart; refresh tokens still will
+      console.warn('⚠️  JWT_SECRET not set; signing access tokens with a random development key');
+      this.config.keys = { dev: crypto.randomBytes(32).toString('hex') };
+    }
+    this.config.activeKid = this.config.activeKid || Object.keys(this.config.keys)[0];
+    if (!this.config.keys[this.config.activeKid]) {
+      throw new Error(`JWT_ACTIVE_KID ${this.config.activeKid} is not one of the JWT_KEYS`);
+    }
+  }
+
+  /**
+   * Sign a user in on a device. A session already open on the same device is ended.
+   * @param {Object} user - User document
+   * @param {Object} device
+   * @param {string} device.deviceId - Client-chosen device ID; generated if missing
+   * @param {string} device.deviceName - e.g. the User-Agent
+   * @param {string} device.ip - Client IP
+   * @param {boolean} device.mfa - Whether the user entered a second factor
+   * @returns {Promise<Object>} { token, expiresIn, refreshToken, sessionId, deviceId }
+   */
+  async createSession(user, { deviceId, deviceName, ip, mfa = false } = {}) {
+    const now = this.clock();
+    const device = typeof deviceId === 'string' && deviceId.trim() ? deviceId.trim().slice(0, 100) : crypto.randomUUID();
+
+    const open = await AuthSession.find({ userId: user._id, deviceId: device, revokedAt: null });
+    for (const previous of open) await this._revoke(previous, 'replaced');
+
+    const session = new AuthSession({
+      sessionId: crypto.randomUUID(),
+      userId: user._id,
+      deviceId: device,
+      deviceName: deviceName ? String(deviceName).slice(0, 200) : undefined,
+      ip,
+      mfaAt: mfa ? now : undefined,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + this.config.refreshTokenDays * DAY_MS)
+    });
+    const refreshToken = this._rotateRefreshToken(session);
+    const access = this._sign(user, session);
+    await session.save();
+
+    return { ...access, refreshToken, sessionId: session.sessionId, deviceId: device };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token
+   * @param {string} refreshToken - Current refresh token of the session
+   * @param {Object} options
+   * @param {string} options.ip - Client IP
+   * @returns {Promise<Object>} { token, expiresIn, refreshToken }
+   * @throws {TokenError}
+   */
+  async refresh(refreshToken, { ip } = {}) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = sessionId && secret
+      ? await AuthSession.findOne({ sessionId }).select('+refreshTokenHash +previousTokenHash')
+      : null;
+    if (!session) throw new TokenError('Invalid refresh token');
+
+    const now = this.clock();
+    const hash = sha256(secret);
+    if (session.previousTokenHash && this._sameHash(hash, session.previousTokenHash)) {
+      if (!session.revokedAt) {
+        await this._revoke(session, 'reuse_detected');
+        eventBus.emitEvent('auth.refresh_reuse_detected', {
+          userId: session.userId,
+          sessionId: session.sessionId,
+          deviceId: session.deviceId,
+          ip
+        }, { source: 'token_service', userId: session.userId, priority: 'high' });
+      }
+      throw new TokenError('Refresh token was already used; sign in again');
+    }
+    if (!this._sameHash(hash, session.refreshTokenHash)) throw new TokenError('Invalid refresh token');
+    if (session.revokedAt) throw new TokenError('Session has been signed out');
+    if (session.expiresAt <= now) throw new TokenError('Session has expired; sign in again');
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await this._revoke(session, 'revoked');
+      throw new TokenError('Invalid refresh token');
+    }
+
+    const rotated = this._rotateRefreshToken(session);
+    const access = this._sign(user, session);
+    session.lastUsedAt = now;
+    session.expiresAt = new Date(now.getTime() + this.config.refreshTokenDays * DAY_MS);
+    if (ip) session.ip = ip;
+    await session.save();
+
+    return { ...access, refreshToken: rotated };
+  }
+
+  /**
+   * Check an access token: signature under the key its kid names, expiry, and the denylist
+   * @param {string} token - Bearer token
+   * @returns {Promise<Object>} { id, email, role, sessionId, jti, exp, mfa }
+   * @throws {TokenError}
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const secret = decoded && this.config.keys[decoded.header.kid];
+    if (!secret) throw new TokenError('Invalid token');
+
+    let claims;
+    try {
+      claims = jwt.verify(token, secret, {
+        algorithms: ['HS256'],
+        issuer: ISSUER,
+        clockTimestamp: Math.floor(this.clock().getTime() / SECOND_MS)
+      });
+    } catch (error) {
+      throw new TokenError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid token');
+    }
+
+    if (await RevokedToken.exists({ jti: claims.jti })) throw new TokenError('Token has been revoked');
+    return {
+      id: claims.sub,
+      email: claims.email,
+      role: claims.role,
+      sessionId: claims.sid,
+      jti: claims.jti,
+      exp: claims.exp,
+      mfa: claims.mfa === true
+    };
+  }
+
+  /**
+   * Sign out the device an access token belongs to
+   * @param {Object} claims - From verifyAccessToken
+   * @returns {Promise<void>}
+   */
+  async signOut(claims) {
+    const session = await AuthSession.findOne({ sessionId: claims.sessionId, userId: claims.id });
+    if (session && !session.revokedAt) await this._revoke(session, 'logout');
+    await this._deny(claims.jti, claims.id, new Date(claims.exp * SECOND_MS));
+  }
+
+  /**
+   * Sign out one of a user's devices
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session to end
+   * @returns {Promise<Object>} AuthSession
+   * @throws {TokenError}
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await AuthSession.findOne({ sessionId, userId });
+    if (!session) throw new TokenError('Session not found', 404);
+    if (!session.revokedAt) await this._revoke(session, 'revoked');
+    return session;
+  }
+
+  /**
+   * Sign a user out everywhere, e.g. after a password reset
+   * @param {string} userId - User ID
+   * @param {string} reason - logout_all | password_reset | role_changed
+   * @returns {Promise<number>} Sessions ended
+   */
+  async revokeAll(userId, reason = 'logout_all') {
+    const sessions = await AuthSession.find({ userId, revokedAt: null });
+    for (const session of sessions) await this._revoke(session, reason);
+    return sessions.length;
+  }
+
+  /**
+   * Record that the user has just confirmed their password and a code on this session
+   * @param {Object} claims - From verifyAccessToken
+   * @returns {Promise<Date>} Until when destructive actions are allowed
+   * @throws {TokenError}
+   */
+  async markReauthenticated(claims) {
+    const session = await AuthSession.findOne({ sessionId: claims.sessionId, userId: claims.id, revokedAt: null });
+    if (!session) throw new TokenError('Session has been signed out');
+    session.reauthenticatedAt = this.clock();
+    await session.save();
+    return new Date(session.reauthenticatedAt.getTime() + this.config.reauthMinutes * MINUTE_MS);
+  }
+
+  /**
+   * Whether the session was re-authenticated within ADMIN_REAUTH_MINUTES
+   * @param {Object} claims - From verifyAccessToken
+   * @returns {Promise<boolean>}
+   */
+  async recentlyReauthenticated(claims) {
+    const session = await AuthSession.findOne({ sessionId: claims.sessionId, userId: claims.id, revokedAt: null });
+    if (!session || !session.reauthenticatedAt) return false;
+    return this.clock().getTime() - session.reauthenticatedAt.getTime() <= this.config.reauthMinutes * MINUTE_MS;
+  }
+
+  /**
+   * Devices a user is signed in on
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} AuthSessions, most recently used first
+   */
+  async sessions(userId) {
+    return AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: this.clock() } })
+      .sort({ lastUsedAt: -1 });
+  }
+
+  // Private helper methods
+
+  /**
+   * @private
+   */
+  _sign(user, session) {
+    const iat = Math.floor(this.clock().getTime() / SECOND_MS);
+    const exp = iat + this.config.accessTokenMinutes * 60;
+    const jti = crypto.randomUUID();
+    const token = jwt.sign({
+      sub: String(user._id),
+      id: String(user._id),
+      email: user.email,
+      role: user.role,
+      sid: session.sessionId,
+      mfa: !!session.mfaAt,
+      jti,
+      iat,
+      exp,
+      iss: ISSUER
+    }, this.config.keys[this.config.activeKid], { algorithm: 'HS256', keyid: this.config.activeKid });
+
+    session.accessJti = jti;
+    session.accessExpiresAt = new Date(exp * SECOND_MS);
+    return { token, expiresIn: exp - iat };
+  }
+
+  /**
+   * The refresh token is "<sessionId>.<secret>"; only the secret's hash is stored
+   * @private
+   */
+  _rotateRefreshToken(session) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    session.previousTokenHash = session.isNew ? undefined : session.refreshTokenHash;
+    session.refreshTokenHash = sha256(secret);
+    return `${session.sessionId}.${secret}`;
+  }
+
+  /**
+   * @private
+   */
+  _sameHash(a, b) {
+    return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+  }
+
+  /**
+   * End a session and denylist its latest access token
+   * @private
+   */
+  async _revoke(session, reason) {
+    session.revokedAt = this.clock();
+    session.revokedReason = reason;
+    await session.save();
+    if (session.accessJti) await this._deny(session.accessJti, session.userId, session.accessExpiresAt);
+  }
+
+  /**
+   * @private
+   */
+  async _deny(jti, userId, expiresAt) {
+    if (!jti || !expiresAt || expiresAt <= this.clock()) return;
+    await RevokedToken.updateOne(
+      { jti },
+      { $setOnInsert: { jti, userId, expiresAt, revokedAt: this.clock() } },
+      { upsert: true }
+    );
+  }
+}
+
+module.exports = new TokenService();
+module.exports.TokenService = TokenService;
+module.exports.TokenError = TokenError;
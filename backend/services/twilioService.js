@@ -23,11 +23,35 @@ class TwilioService {
       loan_rejected: 'Your loan application for ₹{amount} has been declined. Loan ID: {loanId}. Contact support for assistance.',
       payment_successful: 'Payment successful! ₹{amount} received for Loan {loanId}. Transaction ID: {transactionId}. Thank you!',
       payment_failed: 'Payment of ₹{amount} for Loan {loanId} failed. Please try again or contact support. Transaction ID: {transactionId}',
+      refund_requested: 'A refund of ₹{amount} for Loan {loanId} has been requested and is awaiting approval. Transaction ID: {transactionId}',
+      refund_processed: 'Refund of ₹{amount} for Loan {loanId} has been processed. Refund ID: {refundId}',
+      refund_rejected: 'The refund request of ₹{amount} for Loan {loanId} was declined: {reason}',
+      mandate_activated: 'Auto-debit is active for Loan {loanId}. Due EMIs up to ₹{maxAmount} will be collected automatically.',
+      mandate_revoked: 'Auto-debit for Loan {loanId} has been cancelled. Please pay your EMIs manually.',
+      autodebit_failed: 'Auto-debit of ₹{amount} for Loan {loanId} failed: {reason}. {retryMessage}',
+      hardship_requested: 'A hardship request ({reason}) has been filed for Loan {loanId} and is awaiting the lenders\' decision. Request ID: {requestId}',
+      hardship_rejected: 'The hardship request for Loan {loanId} was declined: {reason}',
+      loan_restructured: 'Loan {loanId} has been restructured. Your new EMI is ₹{emi}, first due on {firstDueDate}.',
+      loan_offer_received: 'New offer on Loan {loanId}: ₹{amount} at {interestRate}% for {duration} months. Respond by {expiresAt} UTC.',
+      loan_offer_accepted: 'Your offer on Loan {loanId} (₹{amount} at {interestRate}% for {duration} months) was accepted.',
+      collateral_released: 'Your {itemType} collateral pledged to Loan {loanId} has been released. Collateral ID: {collateralId}',
+      otp_signup: 'Your RuralConnect verification code is {code}. It is valid for {minutes} minutes. Do not share it with anyone.',
+      otp_login: 'Your RuralConnect login code is {code}. It is valid for {minutes} minutes. Do not share it with anyone.',
+      otp_password_reset: 'Your RuralConnect password reset code is {code}. It is valid for {minutes} minutes. If you did not ask to reset your password, ignore this message.',
+      otp_admin_mfa: 'Your RuralConnect admin code is {code}. It is valid for {minutes} minutes. If you are not signing in to the admin console, change your password now.',
+      otp_loan_consent: 'You have been named {role} on Loan {loanId} for ₹{amount}. To consent, enter code {code} in the RuralConnect app within {minutes} minutes. Ignore this message to decline.',
+      guarantor_consented: 'Your {role} has consented to back Loan {loanId}.',
+      guarantor_declined: 'Your {role} declined to back Loan {loanId}. Remove them or invite someone else before disbursement.',
+      guarantor_loan_overdue: 'Loan {loanId}, which you back as {role}, is {daysOverdue} days overdue. Your share of the balance is ₹{amount}.',
+      guarantor_loan_defaulted: 'URGENT: Loan {loanId}, which you back as {role}, has defaulted after {daysOverdue} days. You may be asked to repay your share of ₹{amount}.',
+      guarantor_released: 'Loan {loanId} has been repaid in full. Your guarantee on it has ended.',
       repayment_due: 'Reminder: Your EMI of ₹{amount} for Loan {loanId} is due on {dueDate}. Please make payment to avoid penalties.',
       repayment_overdue: 'URGENT: Your EMI of ₹{amount} for Loan {loanId} is overdue. Please pay immediately to avoid additional charges.',
       document_verified: 'Document verification successful for Loan {loanId}. Your application is now being processed.',
       document_rejected: 'Document verification failed for Loan {loanId}. Please upload correct documents in the RuralConnect app.',
       loan_completed: 'Congratulations! You have successfully completed Loan {loanId}. Thank you for using RuralConnect.',
+      credentials_created: 'Your RuralConnect account is ready. Your unique ID is {uniqueId}. Sign in with it and the password you chose; we will never send your password by SMS.',
+      password_changed: 'Your RuralConnect password was just changed. If this was not you, contact support immediately.',
       welcome: 'Welcome to RuralConnect! Your account has been created successfully. Start your lending journey today.',
       kyc_reminder: 'Complete your KYC verification to unlock full RuralConnect features. Visit the app to continue.',
       security_alert: 'Security Alert: Suspicious activity detected on your RuralConnect account. Contact support immediately if this wasn\'t you.'
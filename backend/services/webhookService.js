@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentGateway = require('./paymentProviders');
+
+// Events in these states are never dispatched again on redelivery; only an explicit replay re-runs them
+const SETTLED = ['processed', 'ignored'];
+
+/**
+ * WebhookService - Persisted, idempotent webhook processing
+ * Each delivery is stored by (provider, eventId) before it is dispatched. Gateway retries of a settled
+ * event are acknowledged without being applied again; deferred and failed events are retried on
+ * redelivery or through replay. Handlers must be idempotent themselves, which is what makes replay safe.
+ */
+class WebhookService {
+
+  /**
+   * Store a verified webhook and dispatch it unless it was already settled
+   * @param {string} providerName - Provider the webhook came from
+   * @param {Object} body - Parsed webhook body
+   * @param {Object} options
+   * @param {string} options.rawBody - Body exactly as received, used to derive an ID when the provider sends none
+   * @param {Object} options.headers - Request headers
+   * @param {Function} dispatch - async (event) => 'processed' | 'ignored' | 'deferred'
+   * @returns {Promise<Object>} { event: WebhookEvent, duplicate }
+   */
+  async receive(providerName, body, { rawBody, headers = {} }, dispatch) {
+    const parsed = paymentGateway.parseWebhook(body, providerName, headers);
+    const eventId = parsed.id || `sha256_${crypto.createHash('sha256').update(rawBody || JSON.stringify(body)).digest('hex')}`;
+
+    let stored = await WebhookEvent.findOne({ provider: providerName, eventId });
+    if (stored && SETTLED.includes(stored.status)) {
+      return { event: stored, duplicate: true };
+    }
+
+    if (!stored) {
+      try {
+        stored = await WebhookEvent.create({
+          provider: providerName,
+          eventId,
+          type: parsed.type || 'unknown',
+          paymentId: parsed.payment?.id,
+          orderId: parsed.payment?.orderId || parsed.order?.id,
+          occurredAt: parsed.occurredAt,
+          payload: body
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // A concurrent delivery of the same event got there first
+        return { event: await WebhookEvent.findOne({ provider: providerName, eventId }), duplicate: true };
+      }
+    }
+
+    return { event: await this._dispatch(stored, parsed, dispatch), duplicate: false };
+  }
+
+  /**
+   * Re-run a stored event regardless of its status
+   * @param {string} id - WebhookEvent _id or provider event ID
+   * @param {Function} dispatch - Same dispatcher as receive
+   * @returns {Promise<Object|null>} WebhookEvent, or null if not found
+   */
+  async replay(id, dispatch) {
+    const query = /^[a-f0-9]{24}$/i.test(id) ? { $or: [{ _id: id }, { eventId: id }] } : { eventId: id };
+    const stored = await WebhookEvent.findOne(query);
+    if (!stored) return null;
+
+    const parsed = paymentGateway.parseWebhook(stored.payload, stored.provider);
+    return this._dispatch(stored, parsed, dispatch);
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.status - Event status
+   * @param {string} filters.provider - Provider name
+   * @param {number} filters.limit - Maximum events
+   * @returns {Promise<Array<Object>>} Events, newest first
+   */
+  async list({ status, provider, limit = 50 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (provider) query.provider = provider;
+    return WebhookEvent.find(query).sort({ receivedAt: -1 }).limit(limit);
+  }
+
+  // Private helper methods
+
+  /**
+   * Run the dispatcher and record the outcome on the stored event
+   * @private
+   */
+  async _dispatch(stored, parsed, dispatch) {
+    stored.attempts += 1;
+    try {
+      stored.status = await dispatch(parsed);
+      stored.lastError = undefined;
+      stored.processedAt = new Date();
+    } catch (error) {
+      stored.status = 'failed';
+      stored.lastError = error.message;
+      console.error(`Webhook ${stored.provider}/${stored.eventId} failed:`, error);
+    }
+    await stored.save();
+    return stored;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const Transaction = require('../models/Transaction');
+const eventBus = require('../utils/eventBus');
+const escrowService = require('../services/escrowService');
+const reconciliationService = require('../services/reconciliationService');
+const mandateService = require('../services/mandateService');
+const offerService = require('../services/offerService');
+const guarantorService = require('../services/guarantorService');
+const { LoanScheduler } = require('../services/loanScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TODAY = new Date('2026-03-20T01:00:00Z');
+
+// A loan disbursed on 1 December whose January, February and March installments are unpaid
+function overdueLoan() {
+  const loan = new Loan({
+    borrowerId: new mongoose.Types.ObjectId(),
+    lenderId: new mongoose.Types.ObjectId(),
+    amount: 60000,
+    duration: 6,
+    interestRate: 12,
+    purpose: 'seeds',
+    status: 'ACTIVE',
+    disbursedAt: new Date('2025-12-01T00:00:00Z'),
+  });
+  loan.installments = loan.buildSchedule();
+  return loan;
+}
+
+describe('LoanScheduler late fees', () => {
+  let penalties;
+  let stored;
+
+  beforeEach(() => {
+    penalties = new Map();
+    stored = null;
+
+    // Penalty transaction IDs are unique in MongoDB; a second insert fails with 11000
+    mock.method(Transaction.prototype, 'save', async function() {
+      if (penalties.has(this.transactionId)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      penalties.set(this.transactionId, this.amount);
+      return this;
+    });
+    mock.method(Loan.prototype, 'save', async function() {
+      stored = this.toObject();
+      return this;
+    });
+
+    mock.method(eventBus, 'emitEvent', () => {});
+    mock.method(guarantorService, 'escalate', async () => {});
+    mock.method(mandateService, 'chargeDue', async () => ({ attempted: 0, captured: 0, failed: 0, exhausted: 0, errors: 0 }));
+    mock.method(escrowService, 'processExpired', async () => ({ loansCancelled: 0, escrowsRefunded: 0, refundFailures: 0 }));
+    mock.method(offerService, 'expireStale', async () => ({ expired: 0 }));
+    mock.method(reconciliationService, 'run', async () => ({ reportId: 'rec_test', status: 'completed', summary: { autoFixed: 0, flagged: 0 } }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function schedulerAt(date) {
+    return new LoanScheduler({
+      clock: () => new Date(date),
+      config: { enabled: false, gracePeriodDays: 7, graceAfterDays: 1, defaultAfterDays: 90, lateFeeDailyPercent: 0.1 }
+    });
+  }
+
+  // Loan.find returns what the last run saved, as MongoDB would
+  function serveStoredLoan(initial) {
+    mock.method(Loan, 'find', async () => [stored ? Loan.hydrate(stored) : initial]);
+  }
+
+  it('charges each overdue installment once when the scan runs twice on the same day', async () => {
+    serveStoredLoan(overdueLoan());
+
+    const first = await schedulerAt(TODAY).runDaily();
+    const charged = new Map(penalties);
+    const penaltyByInstallment = stored.installments.map(installment => installment.penalty);
+
+    // January, February and March are all past their 7-day grace period
+    assert.equal(first.penaltiesAccrued, 3);
+    assert.equal(charged.size, 3);
+
+    const second = await schedulerAt(TODAY.getTime() + 5 * 60 * 60 * 1000).runDaily();
+    assert.equal(second.penaltiesAccrued, 0);
+    assert.equal(second.penaltyAmount, 0);
+    assert.deepEqual(penalties, charged);
+    assert.deepEqual(stored.installments.map(installment => installment.penalty), penaltyByInstallment);
+  });
+
+  it('does not charge again when the loan was not saved after the first run', async () => {
+    const loan = overdueLoan();
+    const snapshot = loan.toObject();
+    mock.method(Loan, 'find', async () => [Loan.hydrate(snapshot)]);
+
+    await schedulerAt(TODAY).runDaily();
+    const charged = new Map(penalties);
+    const second = await schedulerAt(TODAY).runDaily();
+
+    assert.equal(second.penaltiesAccrued, 0);
+    assert.deepEqual(penalties, charged);
+  });
+
+  it('charges one more day of fees on the next day', async () => {
+    serveStoredLoan(overdueLoan());
+
+    await schedulerAt(TODAY).runDaily();
+    const next = await schedulerAt(TODAY.getTime() + DAY_MS).runDaily();
+
+    assert.equal(next.penaltiesAccrued, 3);
+    assert.equal(penalties.size, 6);
+  });
+});
@@ -0,0 +1,203 @@
+process.env.TWILIO_MOCK_MODE = 'true';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const OtpChallenge = require('../models/OtpChallenge');
+const twilioService = require('../services/twilioService');
+const { OtpService, OtpError } = require('../services/otpService');
+
+const MINUTE_MS = 60 * 1000;
+const PHONE = '9000000001';
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([path, condition]) => {
+    const value = doc[path];
+    if (condition && typeof condition === 'object' && '$lt' in condition) return value < condition.$lt;
+    return String(value) === String(condition);
+  });
+}
+
+// OtpChallenge backed by an in-memory collection; every write is applied in one step, as in MongoDB
+function fakeCollection() {
+  const docs = [];
+  const read = (doc, withHash) => {
+    if (!doc) return null;
+    const copy = { ...doc, sendWindow: { ...doc.sendWindow } };
+    if (!withHash) delete copy.codeHash;
+    return OtpChallenge.hydrate(copy);
+  };
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const path of Object.keys(update.$unset || {})) delete doc[path];
+    for (const [path, by] of Object.entries(update.$inc || {})) doc[path] = (doc[path] || 0) + by;
+  };
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  mock.method(OtpChallenge, 'findOne', filter => {
+    let withHash = false;
+    const query = {
+      select(fields) {
+        withHash = fields === '+codeHash';
+        return query;
+      },
+      then(resolve, reject) {
+        return tick().then(() => read(docs.find(doc => matches(doc, filter)), withHash)).then(resolve, reject);
+      }
+    };
+    return query;
+  });
+  mock.method(OtpChallenge, 'findById', async id => {
+    await tick();
+    return read(docs.find(doc => String(doc._id) === String(id)));
+  });
+  mock.method(OtpChallenge, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (!doc) return null;
+    apply(doc, update);
+    return read(doc);
+  });
+  mock.method(OtpChallenge, 'updateOne', async (filter, update) => {
+    await tick();
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (doc) apply(doc, update);
+  });
+  mock.method(OtpChallenge.prototype, 'save', async function() {
+    await tick();
+    await this.validate();
+    const stored = docs.find(doc => String(doc._id) === String(this._id));
+    const fields = this.toObject();
+    if (!stored) {
+      docs.push(fields);
+      return this;
+    }
+    // Like MongoDB, only the paths changed on the document are written
+    for (const path of this.modifiedPaths().filter(modified => !modified.includes('.'))) {
+      if (fields[path] === undefined) delete stored[path];
+      else stored[path] = fields[path];
+    }
+    return this;
+  });
+  return docs;
+}
+
+function lastCode() {
+  return [...twilioService.mockMessages.values()].at(-1).variables.code;
+}
+
+function wrongCode() {
+  return lastCode() === '000000' ? '111111' : '000000';
+}
+
+async function rejects(promise, status, pattern) {
+  await assert.rejects(promise, error => {
+    assert.ok(error instanceof OtpError, error.message);
+    assert.equal(error.status, status);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+describe('OtpService', () => {
+  let now;
+  let otp;
+  let docs;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    docs = fakeCollection();
+    now = new Date('2026-03-20T10:00:00Z');
+    otp = new OtpService({
+      clock: () => new Date(now),
+      config: { ttlMinutes: 10, maxAttempts: 5, lockoutMinutes: 30, resendIntervalSeconds: 60, maxSendsPerHour: 3 }
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('verifies a code once and keeps only its hash', async () => {
+    await otp.issue(PHONE, 'login');
+    const code = lastCode();
+    assert.ok(docs[0].codeHash);
+    assert.notEqual(docs[0].codeHash, code);
+
+    const challenge = await otp.verify(PHONE, 'login', code);
+    assert.ok(challenge.verifiedAt);
+    await rejects(otp.verify(PHONE, 'login', code), 400, /No code is outstanding/);
+  });
+
+  it('rejects a code issued for another purpose', async () => {
+    await otp.issue(PHONE, 'login');
+    await rejects(otp.verify(PHONE, 'signup', lastCode()), 400, /No code is outstanding/);
+  });
+
+  it('rejects a code once it has expired', async () => {
+    await otp.issue(PHONE, 'login');
+    const code = lastCode();
+    now = new Date(now.getTime() + 10 * MINUTE_MS);
+    await rejects(otp.verify(PHONE, 'login', code), 400, /expired/);
+  });
+
+  it('locks the challenge after maxAttempts wrong codes', async () => {
+    await otp.issue(PHONE, 'login');
+    const code = lastCode();
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      await rejects(otp.verify(PHONE, 'login', wrongCode()), 400, new RegExp(`${5 - attempt} attempts? left`));
+    }
+    await rejects(otp.verify(PHONE, 'login', wrongCode()), 429, /try again in 30 minutes/);
+    await rejects(otp.verify(PHONE, 'login', code), 429, /Too many incorrect codes/);
+    await rejects(otp.issue(PHONE, 'login'), 429, /Too many incorrect codes/);
+
+    now = new Date(now.getTime() + 30 * MINUTE_MS);
+    await otp.issue(PHONE, 'login');
+    assert.ok(await otp.verify(PHONE, 'login', lastCode()));
+  });
+
+  it('counts parallel wrong guesses against the same limit', async () => {
+    await otp.issue(PHONE, 'login');
+    const code = lastCode();
+
+    const guesses = await Promise.allSettled(Array.from({ length: 8 }, () => otp.verify(PHONE, 'login', wrongCode())));
+    assert.ok(guesses.every(guess => guess.status === 'rejected'));
+    assert.equal(docs[0].attempts, 5);
+    assert.equal(guesses.filter(guess => /attempts? left/.test(guess.reason.message)).length, 4);
+    await rejects(otp.verify(PHONE, 'login', code), 429, /Too many incorrect codes/);
+  });
+
+  it('lets only one of two parallel correct guesses use the code', async () => {
+    await otp.issue(PHONE, 'login');
+    const code = lastCode();
+
+    const results = await Promise.allSettled([otp.verify(PHONE, 'login', code), otp.verify(PHONE, 'login', code)]);
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  });
+
+  it('throttles resends per request and per hour', async () => {
+    await otp.issue(PHONE, 'login');
+    await rejects(otp.issue(PHONE, 'login'), 429, /Wait 60 seconds/);
+
+    now = new Date(now.getTime() + 30 * 1000);
+    await rejects(otp.issue(PHONE, 'login'), 429, /Wait 30 seconds/);
+
+    now = new Date(now.getTime() + 30 * 1000);
+    await otp.issue(PHONE, 'login');
+    now = new Date(now.getTime() + 60 * 1000);
+    await otp.issue(PHONE, 'login');
+    now = new Date(now.getTime() + 60 * 1000);
+    await rejects(otp.issue(PHONE, 'login'), 429, /Too many codes requested; try again in 57 minutes/);
+
+    now = new Date('2026-03-20T11:00:00Z');
+    const { expiresAt } = await otp.issue(PHONE, 'login');
+    assert.equal(expiresAt.toISOString(), '2026-03-20T11:10:00.000Z');
+  });
+
+  it('voids the outstanding code on revoke', async () => {
+    await otp.issue(PHONE, 'loan_consent', { reference: 'GUA-1' });
+    const code = lastCode();
+    await otp.revoke(PHONE, 'loan_consent', { reference: 'GUA-1' });
+    await rejects(otp.verify(PHONE, 'loan_consent', code, { reference: 'GUA-1' }), 400, /No code is outstanding/);
+  });
+});
@@ -0,0 +1,266 @@
+const { round2 } = require("./amortization");
+
+// Waterfall order a payment is applied in
+const ALLOCATION_ORDER = ["penalty", "overdue_interest", "overdue_principal", "current_interest", "current_principal", "prepayment"];
+
+// What a prepayment does to the schedule: retire the last installments, or lower every later one
+const PREPAYMENT_OPTIONS = ["reduce_tenure", "reduce_emi"];
+
+const EPSILON = 0.005;
+
+function dues(installment) {
+  return {
+    penalty: round2((installment.penalty || 0) - (installment.penaltyPaid || 0)),
+    interest: round2(installment.interest - (installment.interestPaid || 0) - (installment.interestWaived || 0)),
+    principal: round2(installment.principal - (installment.principalPaid || 0))
+  };
+}
+
+function totalDue(installment) {
+  const due = dues(installment);
+  return round2(due.penalty + due.interest + due.principal);
+}
+
+/**
+ * Split a payment across installments in waterfall order:
+ * penalties, overdue interest, overdue principal, current dues, then prepayment.
+ * Pure; use applyAllocation to write the result onto the installments.
+ * @param {Array<Object>} installments - Loan installments
+ * @param {number} amount - Payment amount
+ * @param {Object} options
+ * @param {Date} options.asOf - Installments due before this date are overdue
+ * @param {string} options.prepayment - reduce_tenure (default) or reduce_emi
+ * @returns {Object} { lines, totals, applied, unallocated, prepayment }
+ */
+function allocatePayment(installments, amount, { asOf = new Date(), prepayment = "reduce_tenure" } = {}) {
+  const open = installments
+    .filter(installment => totalDue(installment) > EPSILON)
+    .sort((a, b) => a.number - b.number);
+  const overdue = open.filter(installment => new Date(installment.dueDate) < asOf);
+  const upcoming = open.filter(installment => new Date(installment.dueDate) >= asOf);
+  const current = upcoming.slice(0, 1);
+  // Prepayment retires the last installments first, shortening the tenure, unless it is reduce_emi
+  const future = upcoming.slice(1).reverse();
+
+  const lines = [];
+  let remaining = round2(amount);
+
+  const take = (group, component, field) => {
+    for (const installment of group) {
+      if (remaining <= EPSILON) return;
+      const due = dues(installment)[field];
+      const paid = round2(Math.min(due, remaining));
+      if (paid > EPSILON) {
+        lines.push({ installmentNumber: installment.number, component, amount: paid });
+        remaining = round2(remaining - paid);
+      }
+    }
+  };
+
+  // reduce_emi takes prepayment off every later installment in proportion to its principal, keeping the tenure
+  const spread = group => {
+    const owed = group.map(installment => dues(installment).principal);
+    const paid = round2(Math.min(owed.reduce((sum, due) => sum + due, 0), remaining));
+    if (paid <= EPSILON) return;
+    prorate(paid, owed).forEach((part, i) => {
+      if (part > 0) lines.push({ installmentNumber: group[i].number, component: "prepayment", amount: part });
+    });
+    remaining = round2(remaining - paid);
+  };
+
+  take(open, "penalty", "penalty");
+  take(overdue, "overdue_interest", "interest");
+  take(overdue, "overdue_principal", "principal");
+  take(current, "current_interest", "interest");
+  take(current, "current_principal", "principal");
+  if (prepayment === "reduce_emi") {
+    spread(future);
+  } else {
+    take(future, "prepayment", "principal");
+  }
+
+  const totals = lines.reduce((sum, line) => {
+    sum[line.component] = round2((sum[line.component] || 0) + line.amount);
+    return sum;
+  }, {});
+
+  return {
+    lines,
+    totals,
+    applied: round2(amount - remaining),
+    unallocated: remaining,
+    prepayment
+  };
+}
+
+/**
+ * Write an allocation onto installments (mutates them)
+ * @param {Array<Object>} installments - Loan installments
+ * @param {Object} allocation - Result of allocatePayment
+ * @param {Object} options
+ * @param {Date} options.paidAt - Payment date
+ * @param {boolean} options.waiveInterestOnPrepayment - Drop the scheduled interest of installments retired by prepayment,
+ *   or the matching share of it when a reduce_emi prepayment lowers them
+ */
+function applyAllocation(installments, allocation, { paidAt = new Date(), waiveInterestOnPrepayment = false } = {}) {
+  const byNumber = new Map(installments.map(installment => [installment.number, installment]));
+  const touched = new Set();
+
+  for (const line of allocation.lines) {
+    const installment = byNumber.get(line.installmentNumber);
+    if (!installment) continue;
+    touched.add(installment);
+
+    if (line.component === "penalty") {
+      installment.penaltyPaid = round2((installment.penaltyPaid || 0) + line.amount);
+    } else if (line.component.endsWith("interest")) {
+      installment.interestPaid = round2((installment.interestPaid || 0) + line.amount);
+    } else {
+      const principalDue = dues(installment).principal;
+      installment.principalPaid = round2((installment.principalPaid || 0) + line.amount);
+      if (line.component === "prepayment" && waiveInterestOnPrepayment) {
+        if (dues(installment).principal <= EPSILON) {
+          installment.interestWaived = round2(installment.interest - (installment.interestPaid || 0));
+        } else if (allocation.prepayment === "reduce_emi") {
+          // Interest on a reducing balance falls in step with the principal still owed
+          const waived = dues(installment).interest * line.amount / principalDue;
+          installment.interestWaived = round2((installment.interestWaived || 0) + waived);
+        }
+      }
+    }
+  }
+
+  for (const installment of touched) {
+    if (totalDue(installment) <= EPSILON) {
+      installment.status = "Paid";
+      installment.paidAt = paidAt;
+    } else {
+      installment.status = "PartiallyPaid";
+    }
+  }
+
+  return installments;
+}
+
+/**
+ * Undo part of a payment, last allocated line first: prepayment, then current dues,
+ * overdue dues and penalties. Pure; use applyReversal to write the result onto the installments.
+ * @param {Array<Object>} lines - Lines of the allocation being reversed
+ * @param {number} amount - Amount to take back from the applied lines
+ * @returns {Object} { lines, reversed }
+ */
+function reverseAllocation(lines, amount) {
+  const reversal = [];
+  let remaining = round2(amount);
+
+  for (const line of [...lines].reverse()) {
+    if (remaining <= EPSILON) break;
+    const taken = round2(Math.min(line.amount, remaining));
+    reversal.push({ installmentNumber: line.installmentNumber, component: line.component, amount: taken });
+    remaining = round2(remaining - taken);
+  }
+
+  return { lines: reversal, reversed: round2(amount - remaining) };
+}
+
+/**
+ * Write a reversal onto installments (mutates them). Interest waived by a reversed prepayment is due again.
+ * @param {Array<Object>} installments - Loan installments
+ * @param {Object} reversal - Result of reverseAllocation
+ */
+function applyReversal(installments, reversal) {
+  const byNumber = new Map(installments.map(installment => [installment.number, installment]));
+  const touched = new Set();
+
+  for (const line of reversal.lines) {
+    const installment = byNumber.get(line.installmentNumber);
+    if (!installment) continue;
+    touched.add(installment);
+
+    if (line.component === "penalty") {
+      installment.penaltyPaid = round2(Math.max((installment.penaltyPaid || 0) - line.amount, 0));
+    } else if (line.component.endsWith("interest")) {
+      installment.interestPaid = round2(Math.max((installment.interestPaid || 0) - line.amount, 0));
+    } else {
+      installment.principalPaid = round2(Math.max((installment.principalPaid || 0) - line.amount, 0));
+      if (line.component === "prepayment") installment.interestWaived = 0;
+    }
+  }
+
+  for (const installment of touched) {
+    const paid = (installment.penaltyPaid || 0) + (installment.interestPaid || 0) + (installment.principalPaid || 0);
+    if (totalDue(installment) <= EPSILON) continue;
+    installment.status = paid > EPSILON ? "PartiallyPaid" : "Pending";
+    installment.paidAt = undefined;
+  }
+
+  return installments;
+}
+
+/**
+ * Unpaid interest each installment has accrued by asOf: all of it once due, the elapsed share
+ * of the current period, and nothing for later periods
+ * @param {Array<Object>} installments - Loan installments
+ * @param {Date} asOf - Accrual date
+ * @param {Date} startDate - Start of the first period (disbursement)
+ * @returns {Map<number, number>} Accrued interest by installment number
+ */
+function accruedInterest(installments, asOf, startDate) {
+  const accrued = new Map();
+  let periodStart = new Date(startDate);
+
+  for (const installment of [...installments].sort((a, b) => a.number - b.number)) {
+    const dueDate = new Date(installment.dueDate);
+    const share = dueDate <= asOf ? 1
+      : periodStart < asOf ? (asOf - periodStart) / (dueDate - periodStart)
+        : 0;
+    const earned = round2(installment.interest * share - (installment.interestPaid || 0) - (installment.interestWaived || 0));
+    accrued.set(installment.number, Math.max(Math.min(earned, dues(installment).interest), 0));
+    periodStart = dueDate;
+  }
+
+  return accrued;
+}
+
+/**
+ * Per-installment view of an allocation, for receipts
+ */
+function summarizeByInstallment(lines) {
+  const rows = new Map();
+  for (const line of lines) {
+    const row = rows.get(line.installmentNumber) || { installmentNumber: line.installmentNumber, penalty: 0, interest: 0, principal: 0, prepayment: 0 };
+    const key = line.component === "penalty" ? "penalty"
+      : line.component === "prepayment" ? "prepayment"
+        : line.component.endsWith("interest") ? "interest" : "principal";
+    row[key] = round2(row[key] + line.amount);
+    rows.set(line.installmentNumber, row);
+  }
+  return [...rows.values()].sort((a, b) => a.installmentNumber - b.installmentNumber);
+}
+
+/**
+ * Split an amount in proportion to weights, to the paisa.
+ * Largest remainders take the leftover paise so the parts always sum to the amount.
+ */
+function prorate(amount, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (!(total > 0)) return weights.map(() => 0);
+
+  const paise = Math.round(amount * 100);
+  const exact = weights.map(weight => paise * weight / total);
+  const parts = exact.map(Math.floor);
+  let leftover = paise - parts.reduce((sum, part) => sum + part, 0);
+
+  const byRemainder = exact
+    .map((value, i) => ({ i, remainder: value - parts[i] }))
+    .sort((a, b) => b.remainder - a.remainder);
+  for (const { i } of byRemainder) {
+    if (leftover <= 0) break;
+    parts[i] += 1;
+    leftover -= 1;
+  }
+
+  return parts.map(part => part / 100);
+}
+
+module.exports = { ALLOCATION_ORDER, PREPAYMENT_OPTIONS, allocatePayment, applyAllocation, reverseAllocation, applyReversal, accruedInterest, summarizeByInstallment, dues, totalDue, prorate };
@@ -0,0 +1,165 @@
+const METHODS = ["reducing_balance", "flat"];
+const FREQUENCIES = ["monthly", "weekly", "harvest"];
+
+// Rabi (April) and kharif (November) harvests, 1-based months
+const RABI_KHARIF_MONTHS = [4, 11];
+
+// HARVEST_MONTHS without a single valid month would leave the harvest schedule with no due dates
+const CONFIGURED_HARVEST_MONTHS = (process.env.HARVEST_MONTHS || "")
+  .split(",")
+  .map(Number)
+  .filter(m => Number.isInteger(m) && m >= 1 && m <= 12);
+const DEFAULT_HARVEST_MONTHS = CONFIGURED_HARVEST_MONTHS.length ? CONFIGURED_HARVEST_MONTHS : RABI_KHARIF_MONTHS;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+}
+
+/**
+ * Due dates for a loan of `durationMonths` starting at `startDate`
+ */
+function dueDates(startDate, durationMonths, frequency, harvestMonths = DEFAULT_HARVEST_MONTHS) {
+  const start = new Date(startDate);
+
+  if (frequency === "weekly") {
+    const weeks = Math.max(Math.round(durationMonths * 52 / 12), 1);
+    return Array.from({ length: weeks }, (_, i) => new Date(start.getTime() + (i + 1) * 7 * DAY_MS));
+  }
+
+  if (frequency === "harvest") {
+    // One installment per harvest inside the tenure; the last harvest on or after maturity closes the loan
+    const maturity = addMonths(start, durationMonths);
+    const months = [...harvestMonths].sort((a, b) => a - b);
+    const dates = [];
+    let year = start.getFullYear();
+    while (dates.length === 0 || dates[dates.length - 1] < maturity) {
+      for (const month of months) {
+        const lastDay = new Date(year, month, 0).getDate();
+        const harvest = new Date(year, month - 1, Math.min(start.getDate(), lastDay));
+        if (harvest > start && (dates.length === 0 || dates[dates.length - 1] < maturity)) {
+          dates.push(harvest);
+        }
+      }
+      year += 1;
+    }
+    return dates;
+  }
+
+  return Array.from({ length: durationMonths }, (_, i) => addMonths(start, i + 1));
+}
+
+function periodsPerYear(frequency) {
+  return frequency === "weekly" ? 52 : 12;
+}
+
+/**
+ * Generate an amortization schedule
+ * @param {Object} params
+ * @param {number} params.principal - Amount disbursed
+ * @param {number} params.annualRate - Annual interest rate in percent
+ * @param {number} params.durationMonths - Tenure in months
+ * @param {string} params.method - reducing_balance | flat
+ * @param {string} params.frequency - monthly | weekly | harvest
+ * @param {Date} params.startDate - Disbursement date
+ * @param {number[]} params.harvestMonths - 1-based harvest months (harvest frequency only)
+ * @returns {Array<Object>} Installments with number, dueDate, principal, interest, amount, outstanding
+ */
+function generateSchedule({
+  principal,
+  annualRate,
+  durationMonths,
+  method = "reducing_balance",
+  frequency = "monthly",
+  startDate = new Date(),
+  harvestMonths = DEFAULT_HARVEST_MONTHS
+}) {
+  if (!(principal > 0)) throw new Error("Principal must be greater than 0");
+  if (!(durationMonths > 0)) throw new Error("Duration must be greater than 0");
+  if (!(annualRate >= 0)) throw new Error("Interest rate must not be negative");
+  if (!METHODS.includes(method)) throw new Error(`Unsupported repayment method: ${method}`);
+  if (!FREQUENCIES.includes(frequency)) throw new Error(`Unsupported repayment frequency: ${frequency}`);
+
+  const dates = dueDates(startDate, durationMonths, frequency, harvestMonths);
+  const n = dates.length;
+  const rate = annualRate / 100;
+  const rows = [];
+
+  if (method === "flat") {
+    const totalInterest = principal * rate * durationMonths / 12;
+    for (let i = 0; i < n; i++) {
+      rows.push({ principal: principal / n, interest: totalInterest / n });
+    }
+  } else if (frequency === "harvest") {
+    // Equal principal, interest on the outstanding balance for the actual days elapsed
+    let outstanding = principal;
+    let previous = new Date(startDate);
+    for (const date of dates) {
+      const interest = outstanding * rate * ((date - previous) / DAY_MS) / 365;
+      rows.push({ principal: principal / n, interest });
+      outstanding -= principal / n;
+      previous = date;
+    }
+  } else {
+    const periodRate = rate / periodsPerYear(frequency);
+    const emi = periodRate === 0
+      ? principal / n
+      : principal * periodRate * Math.pow(1 + periodRate, n) / (Math.pow(1 + periodRate, n) - 1);
+    let outstanding = principal;
+    for (let i = 0; i < n; i++) {
+      const interest = outstanding * periodRate;
+      rows.push({ principal: emi - interest, interest });
+      outstanding -= emi - interest;
+    }
+  }
+
+  // Round each row and let the last installment absorb the rounding residue
+  const totalInterest = rows.reduce((sum, row) => sum + row.interest, 0);
+  let outstanding = principal;
+  let interestSoFar = 0;
+  return rows.map((row, i) => {
+    const last = i === n - 1;
+    const rowPrincipal = last ? round2(outstanding) : round2(row.principal);
+    const interest = last ? round2(totalInterest - interestSoFar) : round2(row.interest);
+    outstanding = round2(outstanding - rowPrincipal);
+    interestSoFar += interest;
+    return {
+      number: i + 1,
+      dueDate: dates[i],
+      principal: rowPrincipal,
+      interest,
+      amount: round2(rowPrincipal + interest),
+      outstanding: last ? 0 : outstanding
+    };
+  });
+}
+
+function summarizeSchedule(installments) {
+  return installments.reduce((totals, installment) => ({
+    principal: round2(totals.principal + installment.principal),
+    interest: round2(totals.interest + installment.interest),
+    payable: round2(totals.payable + installment.amount)
+  }), { principal: 0, interest: 0, payable: 0 });
+}
+
+module.exports = {
+  METHODS,
+  FREQUENCIES,
+  DEFAULT_HARVEST_MONTHS,
+  generateSchedule,
+  summarizeSchedule,
+  dueDates,
+  addMonths,
+  round2
+};
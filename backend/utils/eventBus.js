@@ -36,10 +36,18 @@ class EventBusManager extends EventEmitter {
     
     // Loan Events
     this.on('loan.created', this.handleLoanCreated.bind(this));
+    this.on('loan.created', this.handleAutoInvest.bind(this));
     this.on('loan.approved', this.handleLoanApproved.bind(this));
     this.on('loan.rejected', this.handleLoanRejected.bind(this));
     this.on('loan.repayment_due', this.handleRepaymentDue.bind(this));
     this.on('loan.completed', this.handleLoanCompleted.bind(this));
+    this.on('loan.completed', data => this.handleRiskScoreRefresh(data, 'loan_completed'));
+    this.on('loan.defaulted', data => this.handleRiskScoreRefresh(data, 'loan_defaulted'));
+    this.on('loan.completed', data => this.handleCollateralRelease(data, 'loan_repaid'));
+    this.on('loan.cancelled', data => this.handleCollateralRelease(data, 'loan_cancelled'));
+    this.on('loan.completed', this.handleGuarantorRelease.bind(this));
+    this.on('loan.guarantor_consented', this.handleGuarantorConsented.bind(this));
+    this.on('loan.guarantors_escalated', this.handleGuarantorsEscalated.bind(this));
     
     // Document Events
     this.on('document.uploaded', this.handleDocumentUploaded.bind(this));
@@ -178,7 +186,8 @@ class EventBusManager extends EventEmitter {
   }
 
   /**
-   * Handle transaction confirmation events
+   * Handle transaction confirmation events.
+   * Repayments are applied to their loan only by settlementService, never from here.
    */
   async handleTransactionConfirmed(data) {
     console.log(`Transaction confirmed: ${data.transactionId} with hash ${data.txnHash}`);
@@ -196,16 +205,6 @@ class EventBusManager extends EventEmitter {
         transactionId: data.transactionId
       }
     });
-    
-    // Update loan status if this was a repayment
-    if (data.type === 'emi_payment' || data.type === 'full_repayment') {
-      this.emitEvent('loan.update_repayment_status', {
-        loanId: data.loanId,
-        amount: data.amount,
-        transactionId: data.transactionId,
-        txnHash: data.txnHash
-      });
-    }
   }
 
   /**
@@ -289,6 +288,23 @@ class EventBusManager extends EventEmitter {
     });
   }
 
+  /**
+   * Run lenders' auto-invest rules against a new loan request
+   */
+  async handleAutoInvest(data) {
+    const autoInvestService = require('../services/autoInvestService');
+
+    try {
+      const decisions = await autoInvestService.enqueue(data.loanId);
+      const invested = (decisions || []).filter(d => d.decision === 'invested');
+      if (invested.length) {
+        console.log(`Auto-invest committed ₹${invested.reduce((sum, d) => sum + d.amount, 0)} to loan ${data.loanId} from ${invested.length} lenders`);
+      }
+    } catch (error) {
+      console.error(`Auto-invest for loan ${data.loanId} failed: ${error.message}`);
+    }
+  }
+
   /**
    * Handle loan approval events
    */
@@ -299,7 +315,7 @@ class EventBusManager extends EventEmitter {
     this.emitEvent('notification.send_multi', {
       recipients: [
         { userId: data.borrowerId, userType: 'borrower' },
-        { userId: data.lenderId, userType: 'lender' }
+        ...(data.lenders || [{ lenderId: data.lenderId }]).map(({ lenderId }) => ({ userId: lenderId, userType: 'lender' }))
       ],
       type: 'loan_approved',
       variables: {
@@ -374,6 +390,76 @@ class EventBusManager extends EventEmitter {
     });
   }
 
+  /**
+   * Snapshot the borrower's risk score when a loan outcome changes it
+   */
+  async handleRiskScoreRefresh(data, trigger) {
+    const riskScoringService = require('../services/riskScoringService');
+
+    try {
+      await riskScoringService.computeScore(data.borrowerId, { trigger });
+    } catch (error) {
+      console.error(`Risk score refresh for ${data.borrowerId} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Release the collateral pledged to a loan that was repaid or cancelled
+   */
+  async handleCollateralRelease(data, reason) {
+    const collateralService = require('../services/collateralService');
+
+    try {
+      await collateralService.releaseForLoan(data.loanId, reason);
+    } catch (error) {
+      console.error(`Collateral release for loan ${data.loanId} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-score the borrower with their new backing, and the guarantor with their new liability
+   */
+  async handleGuarantorConsented(data) {
+    const riskScoringService = require('../services/riskScoringService');
+    const Loan = require('../models/Loan');
+
+    try {
+      const loan = await Loan.findById(data.loanId);
+      await riskScoringService.computeScore(data.borrowerId, { loan, trigger: 'guarantor_consent' });
+      await riskScoringService.computeScore(data.userId, { trigger: 'guarantor_consent' });
+    } catch (error) {
+      console.error(`Risk score refresh after guarantor consent on loan ${data.loanId} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-score the guarantors of a loan that went overdue or defaulted
+   */
+  async handleGuarantorsEscalated(data) {
+    const riskScoringService = require('../services/riskScoringService');
+
+    for (const userId of data.userIds) {
+      try {
+        await riskScoringService.computeScore(userId, { trigger: 'guarantor_escalation' });
+      } catch (error) {
+        console.error(`Risk score refresh for guarantor ${userId} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Tell the guarantors of a repaid loan that their liability has ended
+   */
+  async handleGuarantorRelease(data) {
+    const guarantorService = require('../services/guarantorService');
+
+    try {
+      await guarantorService.release(data.loanId);
+    } catch (error) {
+      console.error(`Guarantor release for loan ${data.loanId} failed: ${error.message}`);
+    }
+  }
+
   /**
    * Handle document upload events
    */
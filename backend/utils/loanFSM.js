@@ -1,36 +1,116 @@
+const LOAN_STATES = ["REQUESTED", "APPROVED", "ACTIVE", "PARTIALLY_REPAID", "GRACE", "DEFAULTED", "RESTRUCTURED", "REPAID", "CANCELLED"];
+
+// Pre-FSM documents stored Pending/Active/Completed
+const LEGACY_STATES = { pending: "REQUESTED", active: "ACTIVE", completed: "REPAID" };
+
+class InvalidTransitionError extends Error {
+  constructor(state, event) {
+    super(`Cannot ${event} a loan in state ${state}`);
+    this.name = "InvalidTransitionError";
+    this.state = state;
+    this.event = event;
+    this.status = 409;
+  }
+}
+
+function normalizeState(state) {
+  if (!state) return state;
+  const upper = String(state).toUpperCase();
+  if (LOAN_STATES.includes(upper)) return upper;
+  return LEGACY_STATES[String(state).toLowerCase()] || state;
+}
+
 class LoanFSM {
-  constructor(amount) {
+  constructor(amount, state = "REQUESTED", remaining = amount) {
     this.amount = amount;
-    this.remaining = amount;
-    this.state = "REQUESTED";
+    this.remaining = remaining;
+    this.state = normalizeState(state);
+  }
+
+  static get events() {
+    return ["approve", "disburse", "repay", "refund", "gracePeriod", "default", "restructure", "cancel"];
+  }
+
+  can(event) {
+    return LoanFSM.events.includes(event) && this._sources(event).includes(this.state);
+  }
+
+  apply(event, ...args) {
+    if (!LoanFSM.events.includes(event)) throw new InvalidTransitionError(this.state, event);
+    this[event](...args);
+    return this.state;
   }
 
   approve() {
-    if (this.state === "REQUESTED") this.state = "APPROVED";
+    this._assert("approve");
+    this.state = "APPROVED";
   }
 
   disburse() {
-    if (this.state === "APPROVED") this.state = "ACTIVE";
+    this._assert("disburse");
+    this.state = "ACTIVE";
   }
 
   repay(amount) {
-    if (this.state !== "ACTIVE") return;
+    this._assert("repay");
     this.remaining -= amount;
     if (this.remaining <= 0) {
       this.state = "REPAID";
       this.remaining = 0;
-    } else {
+    } else if (this.state !== "DEFAULTED" && this.state !== "RESTRUCTURED") {
       this.state = "PARTIALLY_REPAID";
     }
   }
 
+  // A refunded repayment puts the amount back on the balance; a repaid loan reopens,
+  // and one with every repayment refunded is simply active again
+  refund(amount) {
+    this._assert("refund");
+    this.remaining += amount;
+    if (this.remaining > 0 && (this.state === "REPAID" || this.state === "PARTIALLY_REPAID")) {
+      this.state = this.remaining >= this.amount ? "ACTIVE" : "PARTIALLY_REPAID";
+    }
+  }
+
   gracePeriod() {
-    if (this.state === "ACTIVE") this.state = "GRACE";
+    this._assert("gracePeriod");
+    this.state = "GRACE";
   }
 
   default() {
-    if (["ACTIVE", "PARTIALLY_REPAID", "GRACE"].includes(this.state)) this.state = "DEFAULTED";
+    this._assert("default");
+    this.state = "DEFAULTED";
+  }
+
+  // Hardship relief replaces the schedule, so the balance is whatever the new schedule leaves
+  restructure(balance) {
+    this._assert("restructure");
+    this.remaining = balance;
+    this.state = "RESTRUCTURED";
+  }
+
+  cancel() {
+    this._assert("cancel");
+    this.state = "CANCELLED";
+  }
+
+  _sources(event) {
+    switch (event) {
+      case "approve": return ["REQUESTED"];
+      case "disburse": return ["APPROVED"];
+      case "repay": return ["ACTIVE", "PARTIALLY_REPAID", "GRACE", "DEFAULTED", "RESTRUCTURED"];
+      case "refund": return ["ACTIVE", "PARTIALLY_REPAID", "GRACE", "DEFAULTED", "RESTRUCTURED", "REPAID"];
+      case "gracePeriod": return ["ACTIVE", "PARTIALLY_REPAID", "RESTRUCTURED"];
+      case "default": return ["ACTIVE", "PARTIALLY_REPAID", "GRACE", "RESTRUCTURED"];
+      case "restructure": return ["ACTIVE", "PARTIALLY_REPAID", "GRACE", "DEFAULTED", "RESTRUCTURED"];
+      case "cancel": return ["REQUESTED", "APPROVED"];
+      default: return [];
+    }
+  }
+
+  _assert(event) {
+    if (!this._sources(event).includes(this.state)) throw new InvalidTransitionError(this.state, event);
   }
 }
 
-module.exports = { LoanFSM };
+module.exports = { LoanFSM, InvalidTransitionError, LOAN_STATES, normalizeState };
@@ -38,11 +38,12 @@ function enhancedMatching(borrowers, lenders, borrowerRiskScores) {
     if (!lenderId) continue;
     const l = lenders[lenderId];
     const riskScore = borrowerRiskScores[b.id];
-    const give = Math.min(b.remaining, l.available);
+    const give = l ? Math.min(b.remaining, l.available) : 0;
     if (give > 0 && l.accept(b.id, give, riskScore)) {
       b.remaining -= give;
-      if (b.remaining > 0) queue.push(b);
     }
+    // A declined or exhausted lender moves the borrower on to their next preference
+    if (b.remaining > 0) queue.push(b);
   }
   return lenders;
 }
@@ -0,0 +1,49 @@
+const bcrypt = require("bcryptjs");
+
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+// bcrypt only looks at the first 72 bytes; a longer password would be silently truncated
+const MAX_BYTES = 72;
+
+function isPasswordHash(value) {
+  return typeof value === "string" && BCRYPT_HASH.test(value);
+}
+
+/**
+ * Ways a proposed password falls short of the policy: long enough, at most 72 bytes, mixing
+ * letters and digits, and not containing the account's own identifiers.
+ * @param {string} password - Proposed password
+ * @param {Object} options
+ * @param {number} options.minLength - Minimum length in characters
+ * @param {Array<string>} options.identifiers - Unique ID, phone, email name and so on
+ * @returns {Array<string>} Problems; empty if the password is acceptable
+ */
+function passwordProblems(password, { minLength = 8, identifiers = [] } = {}) {
+  if (typeof password !== "string" || !password) return ["Password is required"];
+
+  const problems = [];
+  if (password.length < minLength) problems.push(`Password must be at least ${minLength} characters`);
+  if (Buffer.byteLength(password) > MAX_BYTES) problems.push(`Password must be at most ${MAX_BYTES} bytes`);
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    problems.push("Password must contain both letters and numbers");
+  }
+
+  const lower = password.toLowerCase();
+  if (identifiers.some(identifier => identifier && identifier.length >= 4 && lower.includes(identifier.toLowerCase()))) {
+    problems.push("Password must not contain your unique ID, phone number or email");
+  }
+  return problems;
+}
+
+function hashPassword(password, rounds) {
+  return bcrypt.hash(password, rounds);
+}
+
+function passwordMatches(password, hash) {
+  return bcrypt.compare(String(password), hash);
+}
+
+function passwordRounds(hash) {
+  return bcrypt.getRounds(hash);
+}
+
+module.exports = { isPasswordHash, passwordProblems, hashPassword, passwordMatches, passwordRounds };
@@ -0,0 +1,227 @@
+const path = require("path");
+const PDFDocument = require("pdfkit");
+
+// Noto Sans Devanagari covers Latin, the rupee sign and Hindi, so one font serves both languages
+const FONT_DIR = path.join(__dirname, "..", "assets", "fonts");
+const FONTS = {
+  regular: path.join(FONT_DIR, "NotoSansDevanagari-Regular.ttf"),
+  bold: path.join(FONT_DIR, "NotoSansDevanagari-Bold.ttf")
+};
+
+const PLATFORM = "RuralConnect";
+
+// [English, Hindi]; every label is printed in both
+const LABELS = {
+  receiptTitle: ["Payment Receipt", "भुगतान रसीद"],
+  statementTitle: ["Loan Account Statement", "ऋण खाता विवरण"],
+  receiptNo: ["Receipt No.", "रसीद संख्या"],
+  date: ["Date", "दिनांक"],
+  loanId: ["Loan ID", "ऋण संख्या"],
+  borrower: ["Borrower", "उधारकर्ता"],
+  purpose: ["Purpose", "उद्देश्य"],
+  amountPaid: ["Amount paid", "भुगतान की गई राशि"],
+  paymentMethod: ["Payment method", "भुगतान का तरीका"],
+  gatewayPaymentId: ["Gateway payment ID", "गेटवे भुगतान आईडी"],
+  split: ["Amount split", "राशि का विभाजन"],
+  outstandingAfter: ["Outstanding after payment", "भुगतान के बाद बकाया"],
+  refunded: ["Refunded", "वापस की गई राशि"],
+  txnHash: ["Blockchain transaction hash", "ब्लॉकचेन लेनदेन हैश"],
+  notRecorded: ["Not recorded", "दर्ज नहीं"],
+  period: ["Period", "अवधि"],
+  openingBalance: ["Opening balance", "प्रारंभिक शेष"],
+  closingBalance: ["Closing balance", "अंतिम शेष"],
+  totalDebits: ["Total debits", "कुल नामे"],
+  totalCredits: ["Total credits", "कुल जमा"],
+  particulars: ["Particulars", "विवरण"],
+  debit: ["Debit", "नामे"],
+  credit: ["Credit", "जमा"],
+  balance: ["Balance", "शेष"],
+  noEntries: ["No transactions in this period", "इस अवधि में कोई लेनदेन नहीं"],
+  generated: ["Computer-generated document; no signature required.", "यह कंप्यूटर जनित दस्तावेज़ है, इस पर हस्ताक्षर की आवश्यकता नहीं है।"]
+};
+
+// Receipt split lines and statement entry kinds
+const ITEM_LABELS = {
+  penalty: ["Penalty", "जुर्माना"],
+  interest: ["Interest", "ब्याज"],
+  principal: ["Principal", "मूलधन"],
+  prepayment: ["Prepayment", "अग्रिम भुगतान"],
+  fee: ["Prepayment fee", "अग्रिम भुगतान शुल्क"],
+  unallocated: ["Unallocated", "असमायोजित राशि"],
+  emi_payment: ["EMI payment", "किस्त भुगतान"],
+  full_repayment: ["Full repayment", "पूर्ण पुनर्भुगतान"],
+  escrow_deposit: ["Escrow deposit", "एस्क्रो जमा"],
+  loan_disbursement: ["Loan disbursement", "ऋण वितरण"],
+  processing_fee: ["Processing fee", "प्रोसेसिंग शुल्क"],
+  disbursement: ["Loan disbursed", "ऋण वितरित"],
+  scheduled_interest: ["Interest for the term", "अवधि का ब्याज"],
+  payment: ["Repayment received", "पुनर्भुगतान प्राप्त"],
+  late_fee: ["Late fee charged", "विलंब शुल्क लगाया गया"],
+  refund: ["Payment refunded", "भुगतान वापस किया गया"],
+  waiver: ["Interest waived on prepayment", "अग्रिम भुगतान पर ब्याज माफ"],
+  reinstated: ["Waived interest reinstated", "माफ ब्याज पुनः लागू"],
+  adjustment: ["Balance adjustment", "शेष समायोजन"],
+  restructure: ["Loan restructured", "ऋण पुनर्गठित"]
+};
+
+const PAGE_MARGIN = 50;
+
+function label(key, labels = LABELS) {
+  const pair = labels[key];
+  return pair ? `${pair[0]} / ${pair[1]}` : key;
+}
+
+function money(amount) {
+  return `₹${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function day(date) {
+  return date ? new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" }) : "—";
+}
+
+// Lay out a document and collect it into a Buffer
+function render(title, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN, info: { Title: title, Author: PLATFORM } });
+    doc.registerFont("regular", FONTS.regular);
+    doc.registerFont("bold", FONTS.bold);
+
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function heading(doc, key) {
+  doc.font("bold").fontSize(16).text(PLATFORM, { align: "center" });
+  doc.fontSize(13).text(label(key), { align: "center" });
+  doc.moveDown();
+}
+
+// Label on the left, value on the right of the same line
+function field(doc, key, value, labels = LABELS) {
+  const width = doc.page.width - 2 * PAGE_MARGIN;
+  if (doc.y + 30 > doc.page.height - PAGE_MARGIN) doc.addPage();
+  const y = doc.y;
+  doc.font("regular").fontSize(10).text(label(key, labels), PAGE_MARGIN, y, { width: width / 2 });
+  const labelBottom = doc.y;
+  doc.font("bold").text(String(value), PAGE_MARGIN + width / 2, y, { width: width / 2, align: "right" });
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(labelBottom, doc.y) + 4;
+}
+
+function rule(doc) {
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y).lineWidth(0.5).stroke();
+  doc.moveDown(0.5);
+}
+
+function footer(doc) {
+  doc.moveDown(2);
+  doc.font("regular").fontSize(8).fillColor("#666666")
+    .text(`${LABELS.generated[0]} ${LABELS.generated[1]}`, PAGE_MARGIN, doc.y, { align: "center" })
+    .fillColor("black");
+}
+
+/**
+ * Bilingual receipt for one confirmed payment
+ * @param {Object} receipt - From statementService.receipt
+ * @returns {Promise<Buffer>} PDF
+ */
+function renderReceipt(receipt) {
+  return render(`${LABELS.receiptTitle[0]} ${receipt.receiptNo}`, doc => {
+    heading(doc, "receiptTitle");
+    field(doc, "receiptNo", receipt.receiptNo);
+    field(doc, "date", day(receipt.paidAt));
+    field(doc, "loanId", String(receipt.loanId));
+    if (receipt.borrower) field(doc, "borrower", receipt.borrower);
+    field(doc, "amountPaid", money(receipt.amount));
+    if (receipt.paymentMethod) field(doc, "paymentMethod", receipt.paymentMethod);
+    if (receipt.gatewayPaymentId) field(doc, "gatewayPaymentId", receipt.gatewayPaymentId);
+    doc.moveDown(0.5);
+
+    doc.font("bold").fontSize(11).text(label("split"));
+    rule(doc);
+    for (const line of receipt.split) {
+      field(doc, line.component, money(line.amount), ITEM_LABELS);
+    }
+    rule(doc);
+    if (receipt.refundedAmount > 0) field(doc, "refunded", money(receipt.refundedAmount));
+    if (receipt.outstandingAfter !== undefined) field(doc, "outstandingAfter", money(receipt.outstandingAfter));
+    doc.moveDown(0.5);
+
+    doc.font("regular").fontSize(10).text(label("txnHash"));
+    doc.font("bold").fontSize(9).text(receipt.txnHash || label("notRecorded"));
+    footer(doc);
+  });
+}
+
+/**
+ * Bilingual loan account statement for a date range
+ * @param {Object} statement - From statementService.statement
+ * @returns {Promise<Buffer>} PDF
+ */
+function renderStatement(statement) {
+  return render(`${LABELS.statementTitle[0]} ${statement.loanId}`, doc => {
+    heading(doc, "statementTitle");
+    field(doc, "loanId", String(statement.loanId));
+    if (statement.borrower) field(doc, "borrower", statement.borrower);
+    if (statement.purpose) field(doc, "purpose", statement.purpose);
+    field(doc, "period", `${day(statement.from)} – ${day(statement.to)}`);
+    field(doc, "openingBalance", money(statement.openingBalance));
+    doc.moveDown(0.5);
+
+    // Date, particulars, debit, credit, balance
+    const widths = [70, 190, 75, 75, 85];
+    const drawRow = (cells, font) => {
+      doc.font(font).fontSize(9);
+      const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - 6 })));
+      if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+        doc.addPage();
+        drawRow(columns, "bold");
+        doc.font(font).fontSize(9);
+      }
+      const y = doc.y;
+      let x = PAGE_MARGIN;
+      cells.forEach((cell, i) => {
+        doc.text(cell, x, y, { width: widths[i] - 6, align: i >= 2 ? "right" : "left" });
+        x += widths[i];
+      });
+      doc.x = PAGE_MARGIN;
+      doc.y = y + height + 4;
+    };
+    const columns = ["date", "particulars", "debit", "credit", "balance"].map(key => `${LABELS[key][0]}\n${LABELS[key][1]}`);
+
+    drawRow(columns, "bold");
+    rule(doc);
+    if (statement.entries.length === 0) {
+      doc.font("regular").fontSize(9).text(label("noEntries"));
+      doc.moveDown(0.5);
+    }
+    for (const entry of statement.entries) {
+      const particulars = [label(entry.kind, ITEM_LABELS), entry.detail].filter(Boolean).join("\n");
+      drawRow([
+        day(entry.date),
+        particulars,
+        entry.debit ? money(entry.debit) : "",
+        entry.credit ? money(entry.credit) : "",
+        money(entry.balance)
+      ], "regular");
+    }
+    rule(doc);
+
+    field(doc, "totalDebits", money(statement.totalDebits));
+    field(doc, "totalCredits", money(statement.totalCredits));
+    field(doc, "closingBalance", money(statement.closingBalance));
+    footer(doc);
+  });
+}
+
+module.exports = { renderReceipt, renderStatement, LABELS, ITEM_LABELS };
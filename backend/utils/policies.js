@@ -0,0 +1,179 @@
+const ROLES = ["Borrower", "Lender", "Admin", "Support"];
+
+// Roles people can sign up as; Admin and Support accounts are assigned by an operator
+const SIGNUP_ROLES = ["Borrower", "Lender"];
+
+// Roles that must enter a code texted to their phone after their password, at every sign-in
+const MFA_ROLES = ["Admin"];
+
+// Loans lenders can browse for funding, whoever borrowed them
+const OPEN_LOAN_STATES = ["REQUESTED", "APPROVED"];
+
+// Who may do what. Without a ":any" rule a user only reaches their own records: loans they
+// borrowed or lent on, their transactions, notifications and sync data. Mirrored by
+// src/lib/policies.ts, so change both together.
+const POLICIES = {
+  "loan:request": ["Borrower"],
+  "loan:repay": ["Borrower"],
+  "loan:fund": ["Lender"],
+  "loan:match": ["Lender", "Admin"],
+  "loan:match:any": ["Admin"],
+  "loan:browse": ["Lender", "Admin", "Support"],
+  "loan:read:any": ["Admin", "Support"],
+  "transaction:read:any": ["Admin", "Support"],
+  "notification:read:any": ["Admin", "Support"],
+  "notification:send": ["Admin"],
+  "notification:manage": ["Admin", "Support"],
+  "sync:any": ["Admin"],
+  "user:read:any": ["Admin", "Support"],
+  "risk_score:read:any": ["Lender", "Admin", "Support"],
+  "investment:manage": ["Lender"],
+  "collateral:register": ["Borrower"],
+  "document:validate": ["Lender", "Admin", "Support"],
+  "admin:console": ["Admin"]
+};
+
+// Body fields each write route accepts; allowFields drops the rest before the handler runs
+const WRITABLE_FIELDS = {
+  "user.profile": ["fullName", "walletAddress"],
+  "loan.create": ["amount", "duration", "interestRate", "purpose", "repaymentMethod", "repaymentFrequency", "harvestMonths", "collateralIds"],
+  "loan.match": ["commitments", "loanIds", "riskScores", "dryRun"],
+  "loan.cancel": ["reason"],
+  "loan.payment": ["amount"],
+  "loan.prepay": ["amount", "option"],
+  "loan.hardship": ["reason", "description", "planType", "months", "durationMonths"],
+  "loan.hardship_decision": ["note", "reason"],
+  "loan.offer": ["amount", "interestRate", "duration", "note", "expiresInHours"],
+  "loan.offer_response": ["reason"],
+  "loan.guarantor": ["phone", "role", "relationship", "liabilityPercent"],
+  "loan.guarantor_consent": ["code"],
+  "investment.rule": ["name", "active", "priority", "maxPerLoan", "monthlyBudget", "purposes", "minDuration", "maxDuration", "minInterestRate", "riskGrades"],
+  "payment.initiate": ["loanId", "borrowerId", "lenderId", "amount", "paymentType", "currency"],
+  "payment.confirm": ["orderId", "paymentId", "signature", "payload", "transactionId", "razorpay_order_id", "razorpay_payment_id", "razorpay_signature"],
+  "payment.repayment": ["loanId", "amount", "repaymentType", "emiNumber", "autoDebit"],
+  "payment.refund": ["amount", "reasonCode", "note"],
+  "mandate.register": ["loanId", "method", "maxAmount"],
+  "mandate.confirm": ["paymentId", "signature", "razorpay_payment_id", "razorpay_signature"],
+  "mandate.revoke": ["reason"],
+  "notification.send": ["userId", "userType", "type", "title", "message", "channels", "priority", "scheduledFor", "templateVariables", "metadata", "phoneNumber", "fcmToken", "email"],
+  "notification.send_bulk": ["recipients", "type", "title", "message", "channels", "priority", "templateVariables", "batchSize"],
+  "notification.retry": ["channels"],
+  "notification.queue": ["userId"],
+  "sync.upload": ["userId", "operations", "clientTimestamp", "deviceId"],
+  "sync.resolve_conflict": ["conflictId", "resolution", "mergedData", "userId"],
+  "sync.full_sync": ["userId", "deviceId"],
+  "admin.kyc_review": ["decision", "note"],
+  "admin.loan_override": ["event", "note"],
+  "admin.role": ["role"],
+  "admin.reauth": ["password", "otp"],
+  "admin.clear_users": ["email"]
+};
+
+/**
+ * Whether a role may take an action
+ * @param {string} role - Borrower | Lender | Admin | Support
+ * @param {string} action - Key of POLICIES
+ * @returns {boolean}
+ */
+function can(role, action) {
+  const roles = POLICIES[action];
+  if (!roles) throw new Error(`Unknown policy ${action}`);
+  return roles.includes(role);
+}
+
+/**
+ * The fields of a request body a write route accepts
+ * @param {Object} body - Request body
+ * @param {string} route - Key of WRITABLE_FIELDS
+ * @returns {Object} Allowed fields that are present
+ */
+function pickFields(body, route) {
+  const fields = WRITABLE_FIELDS[route];
+  if (!fields) throw new Error(`No writable fields declared for ${route}`);
+
+  const picked = {};
+  for (const key of fields) {
+    if (body && body[key] !== undefined) picked[key] = body[key];
+  }
+  return picked;
+}
+
+// IDs as strings, whether or not the reference was populated
+function idOf(value) {
+  return value ? String(value._id || value) : null;
+}
+
+/**
+ * Borrower and lenders of a loan
+ * @param {Object} loan - Loan document
+ * @returns {Array<string>} User IDs
+ */
+function loanParties(loan) {
+  return [loan.borrowerId, loan.lenderId, ...(loan.lenders || []).map(position => position.lenderId)]
+    .map(idOf)
+    .filter(Boolean);
+}
+
+/**
+ * Whether the user borrowed or lent on a loan
+ * @param {Object} user - req.user
+ * @param {Object} loan - Loan document
+ * @returns {boolean}
+ */
+function ownsLoan(user, loan) {
+  return loanParties(loan).includes(String(user.id));
+}
+
+/**
+ * Whether the user may see a loan: their own, any loan open for funding if they can browse,
+ * or any loan at all for staff
+ * @param {Object} user - req.user
+ * @param {Object} loan - Loan document
+ * @returns {boolean}
+ */
+function canViewLoan(user, loan) {
+  return ownsLoan(user, loan)
+    || can(user.role, "loan:read:any")
+    || (can(user.role, "loan:browse") && OPEN_LOAN_STATES.includes(loan.status));
+}
+
+/**
+ * Query narrowing a loan search to the loans the user may see
+ * @param {Object} user - req.user
+ * @returns {Object} MongoDB filter
+ */
+function loanScope(user) {
+  if (can(user.role, "loan:read:any")) return {};
+
+  const own = [{ borrowerId: user.id }, { lenderId: user.id }, { "lenders.lenderId": user.id }];
+  if (can(user.role, "loan:browse")) own.push({ status: { $in: OPEN_LOAN_STATES } });
+  return { $or: own };
+}
+
+/**
+ * Whether the user paid or was paid by a transaction, or is a party to its loan
+ * @param {Object} user - req.user
+ * @param {Object} transaction - Transaction document, optionally with loanId populated
+ * @returns {boolean}
+ */
+function ownsTransaction(user, transaction) {
+  const parties = [idOf(transaction.borrowerId), idOf(transaction.lenderId)];
+  if (transaction.loanId && transaction.loanId.borrowerId) parties.push(...loanParties(transaction.loanId));
+  return parties.includes(String(user.id));
+}
+
+module.exports = {
+  ROLES,
+  SIGNUP_ROLES,
+  MFA_ROLES,
+  OPEN_LOAN_STATES,
+  POLICIES,
+  WRITABLE_FIELDS,
+  can,
+  pickFields,
+  loanParties,
+  ownsLoan,
+  canViewLoan,
+  loanScope,
+  ownsTransaction
+};
@@ -0,0 +1,172 @@
+const { round2 } = require("./amortization");
+
+const MODEL_VERSION = "v2";
+
+// Neutral starting point; factors move the score up (riskier) or down (safer)
+const BASE_SCORE = 50;
+
+const PURPOSE_KEYWORDS = {
+  productive: ["agri", "farm", "seed", "crop", "fertili", "irrigat", "livestock", "cattle", "dairy", "tractor", "equipment", "business", "shop", "poultry"],
+  essential: ["education", "school", "fees", "medical", "health", "hospital", "house repair"],
+  consumption: ["wedding", "marriage", "festival", "celebration", "personal", "consumer", "phone", "vehicle", "travel"]
+};
+
+const PURPOSE_CONTRIBUTION = { productive: -3, essential: 0, consumption: 5, other: 2 };
+
+const GRADES = [
+  { max: 30, grade: "A" },
+  { max: 45, grade: "B" },
+  { max: 60, grade: "C" },
+  { max: 75, grade: "D" },
+  { max: 100, grade: "E" }
+];
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function gradeFor(score) {
+  return GRADES.find(band => score <= band.max).grade;
+}
+
+function classifyPurpose(purpose = "") {
+  const text = purpose.toLowerCase();
+  for (const [category, keywords] of Object.entries(PURPOSE_KEYWORDS)) {
+    if (keywords.some(keyword => text.includes(keyword))) return category;
+  }
+  return "other";
+}
+
+function factor(key, label, contribution, detail) {
+  return { key, label, contribution: round2(contribution), detail };
+}
+
+function identityFactors(user) {
+  const digilocker = user.digilockerVerified || user.digilockerData?.verified;
+  const simulated = digilocker && user.digilockerData?.simulatedMode;
+
+  return [
+    factor("kyc", "KYC verification", user.kycVerified ? -8 : 10,
+      user.kycVerified ? "KYC completed" : "KYC not completed"),
+    factor("face", "Face verification", user.faceVerified ? -5 : 6,
+      user.faceVerified ? "Face verified" : "Face not verified"),
+    factor("digilocker", "DigiLocker verification", !digilocker ? 5 : simulated ? -3 : -7,
+      !digilocker ? "Aadhaar not verified through DigiLocker"
+        : simulated ? "DigiLocker verified in simulated mode" : "Aadhaar verified through DigiLocker")
+  ];
+}
+
+function repaymentFactors(loans, asOf) {
+  const closed = loans.filter(loan => loan.status === "REPAID");
+  const defaulted = loans.filter(loan => loan.status === "DEFAULTED");
+  const inGrace = loans.filter(loan => loan.status === "GRACE");
+
+  const history = closed.length + defaulted.length + inGrace.length === 0
+    ? factor("repayment_history", "Loan outcomes", 0, "No completed or overdue loans")
+    : factor("repayment_history", "Loan outcomes",
+      Math.max(-4 * closed.length, -12) + Math.min(20 * defaulted.length, 30) + Math.min(8 * inGrace.length, 16),
+      `${closed.length} repaid, ${defaulted.length} defaulted, ${inGrace.length} currently overdue`);
+
+  const due = loans
+    .flatMap(loan => loan.installments || [])
+    .filter(installment => installment.status === "Paid" || new Date(installment.dueDate) < asOf);
+  const late = due.filter(installment => installment.status !== "Paid"
+    || new Date(installment.paidAt) > new Date(installment.dueDate));
+
+  const punctuality = due.length === 0
+    ? factor("punctuality", "On-time installments", 0, "No installments due yet")
+    : factor("punctuality", "On-time installments",
+      15 * (late.length / due.length) - 5 * (1 - late.length / due.length),
+      `${due.length - late.length} of ${due.length} installments paid on time`);
+
+  return [history, punctuality];
+}
+
+function failureFactor(transactions) {
+  const failed = transactions.filter(transaction => transaction.status === "failed");
+  return factor("payment_failures", "Failed payments", Math.min(3 * failed.length, 15),
+    failed.length ? `${failed.length} failed payments in the last 12 months` : "No failed payments in the last 12 months");
+}
+
+function liabilityFactor(liabilities) {
+  if (liabilities.length === 0) {
+    return factor("guarantee_liability", "Guarantees and co-borrowings", 0, "Not liable for anyone else's loan");
+  }
+
+  const exposure = round2(liabilities.reduce((sum, liability) => sum + liability.exposure, 0));
+  const troubled = liabilities.filter(liability => ["GRACE", "DEFAULTED"].includes(liability.loanStatus));
+  return factor("guarantee_liability", "Guarantees and co-borrowings",
+    Math.min(2 * liabilities.length, 6) + Math.min(10 * troubled.length, 20),
+    `Liable for ₹${exposure} across ${liabilities.length} loans, ${troubled.length} overdue or defaulted`);
+}
+
+function guarantorFactor(request) {
+  const guarantors = request?.guarantors || [];
+  if (!request || !request.amount || guarantors.length === 0) return [];
+
+  // A co-borrower shares the whole loan; a guarantor backs the share they consented to
+  const cover = guarantors.reduce((sum, guarantor) =>
+    sum + (guarantor.role === "co_borrower" ? 6 : 4 * guarantor.liabilityPercent / 100), 0);
+  return [factor("guarantors", "Guarantors and co-borrowers", -Math.min(cover, 10),
+    `${guarantors.length} consented to back this loan`)];
+}
+
+function requestFactors(request, loans) {
+  if (!request || !request.amount) return [];
+
+  const category = classifyPurpose(request.purpose);
+  const purpose = factor("loan_purpose", "Loan purpose", PURPOSE_CONTRIBUTION[category],
+    `${request.purpose || "Unspecified"} (${category})`);
+
+  const repaid = loans.filter(loan => loan.status === "REPAID").map(loan => loan.amount);
+  let amount;
+  if (repaid.length === 0) {
+    amount = factor("amount_vs_history", "Amount vs past loans", request.amount > 50000 ? 5 : 0,
+      "No repaid loans to compare against");
+  } else {
+    const largest = Math.max(...repaid);
+    const ratio = request.amount / largest;
+    amount = factor("amount_vs_history", "Amount vs past loans", ratio > 2 ? 8 : ratio > 1.25 ? 4 : ratio <= 1 ? -2 : 0,
+      `${round2(ratio)}x the largest repaid loan (₹${largest})`);
+  }
+
+  return [purpose, amount];
+}
+
+/**
+ * Explainable borrower risk score. Pure; callers load the data.
+ * Scores run 0-100 where higher is riskier, the scale Lender.accept compares against riskTolerance.
+ * @param {Object} params
+ * @param {Object} params.user - User document
+ * @param {Array<Object>} params.loans - The user's loans as borrower
+ * @param {Array<Object>} params.transactions - The user's transactions from the last 12 months
+ * @param {Object} params.request - Loan being assessed: { amount, purpose, guarantors } (optional);
+ *   guarantors are the consented parties backing it: [{ role, liabilityPercent }]
+ * @param {Array<Object>} params.liabilities - Other people's open loans the user guarantees or
+ *   co-borrows: [{ role, liabilityPercent, exposure, loanStatus }]
+ * @param {Date} params.asOf - Scoring date
+ * @returns {Object} { score, grade, baseScore, factors, modelVersion }
+ */
+function scoreBorrower({ user, loans = [], transactions = [], request, liabilities = [], asOf = new Date() }) {
+  const factors = [
+    ...identityFactors(user),
+    ...repaymentFactors(loans, asOf),
+    failureFactor(transactions),
+    liabilityFactor(liabilities),
+    ...requestFactors(request, loans),
+    ...guarantorFactor(request)
+  ];
+
+  const raw = factors.reduce((sum, f) => sum + f.contribution, BASE_SCORE);
+  const score = Math.round(clamp(raw, 0, 100));
+
+  return {
+    score,
+    grade: gradeFor(score),
+    baseScore: BASE_SCORE,
+    factors,
+    modelVersion: MODEL_VERSION
+  };
+}
+
+module.exports = { MODEL_VERSION, BASE_SCORE, scoreBorrower, classifyPurpose, gradeFor };
@@ -11,6 +11,7 @@ import Login from "./pages/Login";
 import Signup from "./pages/Signup";
 import FaceVerification from "./pages/FaceVerification";
 import OTPVerification from "./pages/OTPVerification";
+import ForgotPassword from "./pages/ForgotPassword";
 import Dashboard from "./pages/Dashboard";
 import IssueLoan from "./pages/IssueLoan";
 import AllLoans from "./pages/AllLoans";
@@ -37,18 +38,31 @@ const App = () => (
             <Route path="/signup" element={<Signup />} />
             <Route path="/face-verification" element={<FaceVerification />} />
             <Route path="/otp-verification" element={<OTPVerification />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
 
             <Route element={<DashboardLayout />}>
               <Route path="/dashboard" element={<Dashboard />} />
-              <Route path="/issue-loan" element={<IssueLoan />} />
+              <Route
+                path="/issue-loan"
+                element={<RoleGate action="loan:request"><IssueLoan /></RoleGate>}
+              />
               <Route path="/all-loans" element={<AllLoans />} />
-              <Route path="/borrower-loans" element={<BorrowerLoans />} />
-              <Route path="/repay-loan" element={<RepayLoan />} />
+              <Route
+                path="/borrower-loans"
+                element={<RoleGate action="loan:request"><BorrowerLoans /></RoleGate>}
+              />
+              <Route
+                path="/repay-loan"
+                element={<RoleGate action="loan:repay"><RepayLoan /></RoleGate>}
+              />
               <Route
                 path="/validate-documents"
-                element={<ValidateDocuments />}
+                element={<RoleGate action="document:validate"><ValidateDocuments /></RoleGate>}
+              />
+              <Route
+                path="/documents"
+                element={<RoleGate action="document:validate"><Documents /></RoleGate>}
               />
-              <Route path="/documents" element={<Documents />} />
             </Route>
 
             {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
@@ -0,0 +1,241 @@
+import { useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import {
+  COLLATERAL_TYPE_LABELS,
+  collateralApi,
+  describeCollateral,
+  type Collateral,
+  type CollateralType,
+} from '@/lib/api';
+
+const STATUS_STYLES: Record<Collateral['status'], string> = {
+  registered: 'bg-blue-500/20 text-blue-400',
+  pledged: 'bg-orange-500/20 text-orange-400',
+  released: 'bg-green-500/20 text-green-400',
+};
+
+const SPECIES = ['cattle', 'buffalo', 'goat', 'sheep', 'poultry', 'other'];
+
+const EMPTY_FORM = {
+  description: '',
+  declaredValue: '',
+  ornament: '',
+  weightGrams: '',
+  purityKarat: '22',
+  surveyNumber: '',
+  village: '',
+  district: '',
+  areaAcres: '',
+  species: 'cattle',
+  count: '1',
+  tagNumbers: '',
+};
+
+interface CollateralRegistryProps {
+  items: Collateral[];
+  goldRatePerGram: number;
+  selected: string[];
+  onSelect: (collateralIds: string[]) => void;
+  onRegistered: () => void;
+}
+
+// Borrower's collateral: register gold, land or livestock, and pick the items to pledge to a new loan
+const CollateralRegistry = ({ items, goldRatePerGram, selected, onSelect, onRegistered }: CollateralRegistryProps) => {
+  const [registering, setRegistering] = useState(false);
+  const [type, setType] = useState<CollateralType>('gold');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [document, setDocument] = useState<File | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const toggle = (collateralId: string, checked: boolean) => {
+    onSelect(checked ? [...selected, collateralId] : selected.filter((id) => id !== collateralId));
+  };
+
+  const handleRegister = async () => {
+    if (!document) return;
+    setSubmitting(true);
+    const fields =
+      type === 'gold'
+        ? { ornament: form.ornament, weightGrams: Number(form.weightGrams), purityKarat: Number(form.purityKarat) }
+        : type === 'land'
+          ? {
+              surveyNumber: form.surveyNumber,
+              village: form.village,
+              district: form.district,
+              areaAcres: Number(form.areaAcres),
+              declaredValue: Number(form.declaredValue),
+            }
+          : {
+              species: form.species,
+              count: Number(form.count),
+              tagNumbers: form.tagNumbers,
+              declaredValue: Number(form.declaredValue),
+            };
+    const response = await collateralApi.register({ type, description: form.description, ...fields, document });
+    setSubmitting(false);
+
+    if (!response.success) {
+      toast.error(response.error || 'Could not register the collateral');
+      return;
+    }
+    toast.success('Collateral registered and its document hash recorded on-chain');
+    setForm(EMPTY_FORM);
+    setDocument(null);
+    setRegistering(false);
+    onRegistered();
+  };
+
+  const field = (name: keyof typeof EMPTY_FORM, label: string, inputType = 'text') => (
+    <div className="space-y-1">
+      <Label htmlFor={`collateral-${name}`}>{label}</Label>
+      <Input
+        id={`collateral-${name}`}
+        type={inputType}
+        value={form[name]}
+        onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+        className="glass-panel border-glass-border"
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      {items.length === 0 && <p className="text-sm text-muted-foreground">No collateral registered yet</p>}
+      {items.map((item) => {
+        const pledgeable = item.status !== 'pledged';
+        return (
+          <div key={item.collateralId} className="glass-panel rounded-lg p-3 text-sm flex items-start gap-3">
+            <Checkbox
+              checked={selected.includes(item.collateralId)}
+              disabled={!pledgeable}
+              onCheckedChange={(checked) => toggle(item.collateralId, checked === true)}
+              className="mt-1"
+            />
+            <div className="flex-1 space-y-1">
+              <div className="flex items-center justify-between">
+                <span className="font-semibold">
+                  {COLLATERAL_TYPE_LABELS[item.type]}: {describeCollateral(item)}
+                </span>
+                <Badge className={STATUS_STYLES[item.status]}>{item.status}</Badge>
+              </div>
+              <p className="text-muted-foreground">
+                Valued ₹{item.valuation.value.toLocaleString()} • secures ₹{item.lendableValue.toLocaleString()} at{' '}
+                {item.ltvPercent}% LTV
+              </p>
+              <button
+                type="button"
+                onClick={() => collateralApi.downloadDocument(item)}
+                className="text-gold hover:underline"
+              >
+                {item.document.fileName}
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
+      {!registering && (
+        <Button type="button" variant="outline" onClick={() => setRegistering(true)} className="w-full">
+          Register collateral
+        </Button>
+      )}
+
+      {registering && (
+        <div className="space-y-3">
+          <div className="space-y-1">
+            <Label>Type</Label>
+            <Select value={type} onValueChange={(value) => setType(value as CollateralType)}>
+              <SelectTrigger className="glass-panel border-glass-border">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="glass-panel border-glass-border">
+                {(Object.keys(COLLATERAL_TYPE_LABELS) as CollateralType[]).map((key) => (
+                  <SelectItem key={key} value={key}>
+                    {COLLATERAL_TYPE_LABELS[key]}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {type === 'gold' && (
+            <>
+              <div className="grid grid-cols-3 gap-2">
+                {field('ornament', 'Ornament')}
+                {field('weightGrams', 'Weight (g)', 'number')}
+                {field('purityKarat', 'Purity (K)', 'number')}
+              </div>
+              <p className="text-xs text-muted-foreground">Valued at ₹{goldRatePerGram.toLocaleString()}/g for 24K, scaled by purity</p>
+            </>
+          )}
+          {type === 'land' && (
+            <div className="grid grid-cols-2 gap-2">
+              {field('surveyNumber', 'Survey number')}
+              {field('areaAcres', 'Area (acres)', 'number')}
+              {field('village', 'Village')}
+              {field('district', 'District')}
+            </div>
+          )}
+          {type === 'livestock' && (
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-1">
+                <Label>Species</Label>
+                <Select value={form.species} onValueChange={(value) => setForm({ ...form, species: value })}>
+                  <SelectTrigger className="glass-panel border-glass-border">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="glass-panel border-glass-border">
+                    {SPECIES.map((species) => (
+                      <SelectItem key={species} value={species}>
+                        {species}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {field('count', 'Head count', 'number')}
+              {field('tagNumbers', 'Ear tags (comma-separated)')}
+            </div>
+          )}
+          {type !== 'gold' && field('declaredValue', 'Value (₹)', 'number')}
+          {field('description', 'Description')}
+
+          <div className="space-y-1">
+            <Label htmlFor="collateral-document">
+              {type === 'gold' ? 'Assay certificate' : type === 'land' ? 'Land record extract' : 'Veterinary certificate'} (PDF,
+              JPEG or PNG, up to 5MB)
+            </Label>
+            <Input
+              id="collateral-document"
+              type="file"
+              accept="application/pdf,image/jpeg,image/png"
+              onChange={(e) => setDocument(e.target.files?.[0] ?? null)}
+              className="glass-panel border-glass-border"
+            />
+          </div>
+          <div className="flex gap-2">
+            <Button
+              type="button"
+              onClick={handleRegister}
+              disabled={!document || submitting}
+              className="flex-1 bg-gold-gradient hover:opacity-90 text-background font-semibold"
+            >
+              Register
+            </Button>
+            <Button type="button" variant="outline" onClick={() => setRegistering(false)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollateralRegistry;
@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from 'sonner';
+import {
+  loanApi,
+  paymentApi,
+  type ForeclosureQuote,
+  type PaymentCheckout,
+  type PrepaymentOption,
+  type PrepaymentQuote,
+} from '@/lib/api';
+
+const OPTION_LABELS: Record<PrepaymentOption, string> = {
+  reduce_tenure: 'Shorter tenure',
+  reduce_emi: 'Lower EMI',
+};
+
+const formatMoney = (amount: number) => `₹${amount.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+const formatDate = (date?: string | null) => (date ? new Date(date).toLocaleDateString() : '—');
+
+interface EarlyRepaymentProps {
+  loanId: string;
+  onPaid: () => void;
+}
+
+// Foreclosure quote and part-prepayment with a choice between a shorter tenure and a lower EMI
+const EarlyRepayment = ({ loanId, onPaid }: EarlyRepaymentProps) => {
+  const [foreclosure, setForeclosure] = useState<ForeclosureQuote | null>(null);
+  const [amount, setAmount] = useState('');
+  const [prepayment, setPrepayment] = useState<PrepaymentQuote | null>(null);
+  const [option, setOption] = useState<PrepaymentOption>('reduce_tenure');
+
+  // The mock gateway hands back a completed checkout, so offline payments settle immediately
+  const settle = async (transactionId: string, checkout: PaymentCheckout | undefined, done: string) => {
+    if (checkout?.simulate) {
+      const confirmed = await paymentApi.confirm({ ...checkout.simulate, transactionId });
+      if (!confirmed.success) {
+        toast.error(confirmed.error || 'Payment failed');
+        return;
+      }
+      toast.success(done);
+    } else {
+      toast.success('Payment order created. Complete the payment to apply it.');
+    }
+    onPaid();
+  };
+
+  const handleForeclosureQuote = async () => {
+    const response = await loanApi.getForeclosureQuote(loanId);
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Could not get a foreclosure quote');
+      return;
+    }
+    setForeclosure(response.data.data);
+  };
+
+  const handleForeclose = async () => {
+    const response = await loanApi.foreclose(loanId);
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Foreclosure failed');
+      return;
+    }
+    const { transactionId, checkout } = response.data.data;
+    setForeclosure(null);
+    await settle(transactionId, checkout, 'Loan closed');
+  };
+
+  const handlePrepaymentQuote = async () => {
+    const response = await loanApi.getPrepaymentQuote(loanId, Number(amount));
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Could not get a prepayment quote');
+      setPrepayment(null);
+      return;
+    }
+    setPrepayment(response.data.data);
+  };
+
+  const handlePrepay = async () => {
+    if (!prepayment) return;
+    const response = await loanApi.prepay(loanId, prepayment.amount, option);
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Prepayment failed');
+      return;
+    }
+    const { transactionId, checkout } = response.data.data;
+    setPrepayment(null);
+    setAmount('');
+    await settle(transactionId, checkout, 'Prepayment processed');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-3">
+        <h3 className="font-semibold">Close the loan</h3>
+        {foreclosure ? (
+          <div className="text-sm space-y-1">
+            <p>Principal: {formatMoney(foreclosure.principal)}</p>
+            <p>Interest to date: {formatMoney(foreclosure.interest)}</p>
+            {foreclosure.penalty > 0 && <p>Penalties: {formatMoney(foreclosure.penalty)}</p>}
+            {foreclosure.fee > 0 && <p>Prepayment fee: {formatMoney(foreclosure.fee)}</p>}
+            <p className="font-semibold text-gold">
+              Total {formatMoney(foreclosure.amount)} • valid until {new Date(foreclosure.validUntil).toLocaleString()}
+            </p>
+            <Button onClick={handleForeclose} className="w-full mt-2 bg-gold-gradient hover:opacity-90 text-background font-semibold">
+              Pay {formatMoney(foreclosure.amount)} and close loan
+            </Button>
+          </div>
+        ) : (
+          <Button variant="outline" onClick={handleForeclosureQuote} className="w-full">
+            Get foreclosure quote
+          </Button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <h3 className="font-semibold">Prepay part of the loan</h3>
+        <div className="flex gap-2 items-end">
+          <div className="flex-1 space-y-1">
+            <Label htmlFor={`prepay-${loanId}`}>Amount (₹)</Label>
+            <Input
+              id={`prepay-${loanId}`}
+              type="number"
+              value={amount}
+              onChange={(e) => {
+                setAmount(e.target.value);
+                setPrepayment(null);
+              }}
+              className="glass-panel border-glass-border"
+            />
+          </div>
+          <Button variant="outline" onClick={handlePrepaymentQuote} disabled={!(Number(amount) > 0)}>
+            Compare options
+          </Button>
+        </div>
+
+        {prepayment && (
+          <div className="space-y-3">
+            <p className="text-sm text-muted-foreground">
+              {formatMoney(prepayment.dues)} clears what is due; {formatMoney(prepayment.prepaid)} is prepaid
+              {prepayment.fee > 0 && ` (fee ${formatMoney(prepayment.fee)})`}. Now: {prepayment.current.installmentsLeft} EMIs of up to{' '}
+              {formatMoney(prepayment.current.emi)}.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {(Object.keys(OPTION_LABELS) as PrepaymentOption[]).map((key) => {
+                const schedule = prepayment.options[key];
+                return (
+                  <button
+                    key={key}
+                    type="button"
+                    onClick={() => setOption(key)}
+                    className={`glass-panel rounded-lg p-3 text-left text-sm border ${option === key ? 'border-gold' : 'border-glass-border'}`}
+                  >
+                    <p className="font-semibold">{OPTION_LABELS[key]}</p>
+                    <p>
+                      {schedule.installmentsLeft} EMIs of up to {formatMoney(schedule.emi)}
+                    </p>
+                    <p>Last due {formatDate(schedule.lastDueDate)}</p>
+                    {!!schedule.interestSaved && <p className="text-green-400">Saves {formatMoney(schedule.interestSaved)} interest</p>}
+                  </button>
+                );
+              })}
+            </div>
+            <Button onClick={handlePrepay} className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold">
+              Prepay {formatMoney(prepayment.total)}
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EarlyRepayment;
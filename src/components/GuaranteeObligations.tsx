@@ -0,0 +1,120 @@
+import { useEffect, useState } from 'react';
+import { GlassCard } from '@/components/ui/glass-card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { toast } from 'sonner';
+import { GUARANTOR_ROLE_LABELS, guarantorApi, type GuaranteeObligation } from '@/lib/api';
+
+const formatDate = (date?: string) => (date ? new Date(date).toLocaleDateString() : '—');
+
+// Loans the signed-in user has been asked to back: consent with the SMS code, then follow repayment
+const GuaranteeObligations = () => {
+  const [obligations, setObligations] = useState<GuaranteeObligation[]>([]);
+  const [codes, setCodes] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    fetchObligations();
+  }, []);
+
+  const fetchObligations = async () => {
+    const response = await guarantorApi.obligations();
+    if (response.success && response.data) {
+      setObligations(response.data.data);
+    }
+  };
+
+  const handleConsent = async ({ party }: GuaranteeObligation) => {
+    const response = await guarantorApi.consent(party.loanId, party.guarantorId, codes[party.guarantorId] || '');
+    if (!response.success) {
+      toast.error(response.error || 'Consent failed');
+      return;
+    }
+    toast.success('Consent recorded');
+    fetchObligations();
+  };
+
+  const handleDecline = async ({ party }: GuaranteeObligation) => {
+    const response = await guarantorApi.decline(party.loanId, party.guarantorId);
+    if (!response.success) {
+      toast.error(response.error || 'Could not decline');
+      return;
+    }
+    toast.success('Invitation declined');
+    fetchObligations();
+  };
+
+  const handleResend = async ({ party }: GuaranteeObligation) => {
+    const response = await guarantorApi.resend(party.loanId, party.guarantorId);
+    if (!response.success) {
+      toast.error(response.error || 'Could not send a new code');
+      return;
+    }
+    toast.success('New code sent to your phone');
+  };
+
+  if (obligations.length === 0) return null;
+
+  return (
+    <GlassCard className="space-y-4">
+      <h3 className="text-xl font-semibold">Loans You Back</h3>
+      {obligations.map((obligation) => {
+        const { party, loan, repayment } = obligation;
+        return (
+          <div key={party.guarantorId} className="glass-panel rounded-lg p-4 text-sm space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="font-semibold">
+                {loan.purpose} • ₹{loan.amount.toLocaleString()} • {GUARANTOR_ROLE_LABELS[party.role]}
+                {party.role === 'guarantor' && ` for ${party.liabilityPercent}%`}
+              </span>
+              <Badge className={repayment.overdueInstallments ? 'bg-red-500/20 text-red-400' : 'bg-blue-500/20 text-blue-400'}>
+                {loan.status}
+              </Badge>
+            </div>
+
+            {party.status === 'pending' ? (
+              <div className="flex flex-wrap gap-2">
+                <Input
+                  placeholder="6-digit code from SMS"
+                  inputMode="numeric"
+                  maxLength={6}
+                  value={codes[party.guarantorId] || ''}
+                  onChange={(e) => setCodes({ ...codes, [party.guarantorId]: e.target.value })}
+                  className="glass-panel border-glass-border w-48"
+                />
+                <Button size="sm" onClick={() => handleConsent(obligation)} className="bg-gold-gradient text-background">
+                  Consent
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => handleResend(obligation)}>
+                  New code
+                </Button>
+                <Button size="sm" variant="outline" onClick={() => handleDecline(obligation)}>
+                  Decline
+                </Button>
+              </div>
+            ) : (
+              <>
+                <p>
+                  {repayment.paidInstallments} of {repayment.totalInstallments} EMIs paid • Outstanding ₹
+                  {repayment.outstandingAmount.toLocaleString()} • Your share ₹{repayment.exposure.toLocaleString()}
+                </p>
+                {repayment.nextDue && (
+                  <p className="text-muted-foreground">
+                    Next EMI ₹{repayment.nextDue.amount.toLocaleString()} due {formatDate(repayment.nextDue.dueDate)}
+                  </p>
+                )}
+                {repayment.overdueInstallments > 0 && (
+                  <p className="text-red-400">
+                    {repayment.overdueInstallments} EMI(s) overdue by up to {repayment.daysOverdue} days
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        );
+      })}
+    </GlassCard>
+  );
+};
+
+export default GuaranteeObligations;
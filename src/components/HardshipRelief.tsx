@@ -0,0 +1,178 @@
+import { useEffect, useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import {
+  HARDSHIP_REASON_LABELS,
+  describeHardshipPlan,
+  hardshipApi,
+  type HardshipReason,
+  type HardshipRequest,
+} from '@/lib/api';
+
+const STATUS_STYLES: Record<HardshipRequest['status'], string> = {
+  requested: 'bg-orange-500/20 text-orange-400',
+  approved: 'bg-green-500/20 text-green-400',
+  rejected: 'bg-red-500/20 text-red-400',
+};
+
+const formatDate = (date?: string) => (date ? new Date(date).toLocaleDateString() : '—');
+
+interface HardshipReliefProps {
+  loanId: string;
+}
+
+// Borrower's hardship request form and the loan's request history
+const HardshipRelief = ({ loanId }: HardshipReliefProps) => {
+  const [requests, setRequests] = useState<HardshipRequest[]>([]);
+  const [reason, setReason] = useState<HardshipReason>('crop_failure');
+  const [description, setDescription] = useState('');
+  const [planType, setPlanType] = useState<'moratorium' | 'reamortization'>('moratorium');
+  const [months, setMonths] = useState('3');
+  const [document, setDocument] = useState<File | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchRequests(loanId);
+  }, [loanId]);
+
+  const fetchRequests = async (id: string) => {
+    const response = await hardshipApi.list(id);
+    if (response.success && response.data) {
+      setRequests(response.data.data);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!document) return;
+    setSubmitting(true);
+    const plan =
+      planType === 'moratorium'
+        ? { type: planType, months: Number(months) }
+        : { type: planType, durationMonths: Number(months) };
+    const response = await hardshipApi.request(loanId, { reason, description, plan, document });
+    setSubmitting(false);
+
+    if (!response.success) {
+      toast.error(response.error || 'Could not file the request');
+      return;
+    }
+    toast.success('Hardship request sent to your lenders');
+    setDescription('');
+    setDocument(null);
+    fetchRequests(loanId);
+  };
+
+  const pending = requests.some((request) => request.status === 'requested');
+
+  return (
+    <div className="space-y-6">
+      {!pending && (
+        <div className="space-y-3">
+          <h3 className="font-semibold">Ask for relief</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <Label>Reason</Label>
+              <Select value={reason} onValueChange={(value) => setReason(value as HardshipReason)}>
+                <SelectTrigger className="glass-panel border-glass-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="glass-panel border-glass-border">
+                  {(Object.keys(HARDSHIP_REASON_LABELS) as HardshipReason[]).map((key) => (
+                    <SelectItem key={key} value={key}>
+                      {HARDSHIP_REASON_LABELS[key]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label>Relief</Label>
+              <Select value={planType} onValueChange={(value) => setPlanType(value as typeof planType)}>
+                <SelectTrigger className="glass-panel border-glass-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="glass-panel border-glass-border">
+                  <SelectItem value="moratorium">Pause payments (moratorium)</SelectItem>
+                  <SelectItem value="reamortization">Spread over a new tenure</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor={`hardship-months-${loanId}`}>
+              {planType === 'moratorium' ? 'Months without payments' : 'New tenure (months)'}
+            </Label>
+            <Input
+              id={`hardship-months-${loanId}`}
+              type="number"
+              min={1}
+              value={months}
+              onChange={(e) => setMonths(e.target.value)}
+              className="glass-panel border-glass-border"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor={`hardship-description-${loanId}`}>What happened</Label>
+            <Textarea
+              id={`hardship-description-${loanId}`}
+              value={description}
+              maxLength={1000}
+              onChange={(e) => setDescription(e.target.value)}
+              className="glass-panel border-glass-border"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor={`hardship-document-${loanId}`}>Supporting document (PDF, JPEG or PNG, up to 5MB)</Label>
+            <Input
+              id={`hardship-document-${loanId}`}
+              type="file"
+              accept="application/pdf,image/jpeg,image/png"
+              onChange={(e) => setDocument(e.target.files?.[0] ?? null)}
+              className="glass-panel border-glass-border"
+            />
+          </div>
+          <Button
+            onClick={handleSubmit}
+            disabled={!document || !(Number(months) > 0) || submitting}
+            className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+          >
+            Send to lenders
+          </Button>
+        </div>
+      )}
+
+      {requests.length > 0 && (
+        <div className="space-y-2">
+          <h3 className="font-semibold">Requests</h3>
+          {requests.map((request) => (
+            <div key={request.requestId} className="glass-panel rounded-lg p-3 text-sm space-y-1">
+              <div className="flex items-center justify-between">
+                <span>
+                  {HARDSHIP_REASON_LABELS[request.reason]} • {describeHardshipPlan(request.plan)}
+                </span>
+                <Badge className={STATUS_STYLES[request.status]}>{request.status}</Badge>
+              </div>
+              <p className="text-muted-foreground">
+                Filed {formatDate(request.requestedAt)} • {request.decisions.length} of {request.approvers.length} lenders decided
+              </p>
+              {request.outcome && (
+                <p>
+                  New schedule: {request.outcome.installments} EMIs of ₹{request.outcome.emi.toLocaleString()} from{' '}
+                  {formatDate(request.outcome.firstDueDate)}
+                </p>
+              )}
+              {request.rejectionReason && <p className="text-red-400">Declined: {request.rejectionReason}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HardshipRelief;
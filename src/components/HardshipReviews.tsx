@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react';
+import { GlassCard } from '@/components/ui/glass-card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { toast } from 'sonner';
+import { FileText } from 'lucide-react';
+import { HARDSHIP_REASON_LABELS, describeHardshipPlan, hardshipApi, type HardshipRequest } from '@/lib/api';
+
+// Hardship requests waiting on the signed-in lender's decision
+const HardshipReviews = () => {
+  const [requests, setRequests] = useState<HardshipRequest[]>([]);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    fetchPending();
+  }, []);
+
+  const fetchPending = async () => {
+    const response = await hardshipApi.pending();
+    if (response.success && response.data) {
+      setRequests(response.data.data);
+    }
+  };
+
+  const handleApprove = async (request: HardshipRequest) => {
+    const response = await hardshipApi.approve(request.loanId, request.requestId, notes[request.requestId]);
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Approval failed');
+      return;
+    }
+    toast.success(response.data.data.status === 'approved' ? 'Loan restructured' : 'Approval recorded');
+    fetchPending();
+  };
+
+  const handleReject = async (request: HardshipRequest) => {
+    const reason = notes[request.requestId]?.trim();
+    if (!reason) {
+      toast.error('Give a reason for declining');
+      return;
+    }
+    const response = await hardshipApi.reject(request.loanId, request.requestId, reason);
+    if (!response.success) {
+      toast.error(response.error || 'Rejection failed');
+      return;
+    }
+    toast.success('Hardship request declined');
+    fetchPending();
+  };
+
+  const handleDocument = async (request: HardshipRequest) => {
+    const response = await hardshipApi.downloadDocument(request);
+    if (!response.success) toast.error(response.error || 'Download failed');
+  };
+
+  if (requests.length === 0) return null;
+
+  return (
+    <GlassCard className="space-y-4">
+      <h3 className="text-xl font-semibold">Hardship Requests</h3>
+      {requests.map((request) => (
+        <div key={request.requestId} className="glass-panel rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="font-semibold">
+                {HARDSHIP_REASON_LABELS[request.reason]} • {describeHardshipPlan(request.plan)}
+              </p>
+              <p className="text-sm text-muted-foreground">
+                Loan {request.loanId} • filed {new Date(request.requestedAt).toLocaleDateString()}
+              </p>
+            </div>
+            <Button variant="outline" size="sm" onClick={() => handleDocument(request)}>
+              <FileText className="w-4 h-4 mr-2" />
+              {request.document.fileName}
+            </Button>
+          </div>
+          {request.description && <p className="text-sm">{request.description}</p>}
+          <Input
+            placeholder="Note (required to decline)"
+            value={notes[request.requestId] ?? ''}
+            onChange={(e) => setNotes({ ...notes, [request.requestId]: e.target.value })}
+            className="glass-panel border-glass-border"
+          />
+          <div className="flex gap-2">
+            <Button onClick={() => handleApprove(request)} className="flex-1 bg-gold-gradient hover:opacity-90 text-background font-semibold">
+              Approve
+            </Button>
+            <Button variant="outline" onClick={() => handleReject(request)} className="flex-1">
+              Decline
+            </Button>
+          </div>
+        </div>
+      ))}
+    </GlassCard>
+  );
+};
+
+export default HardshipReviews;
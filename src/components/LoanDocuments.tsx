@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Download, FileText } from 'lucide-react';
+import { toast } from 'sonner';
+import { statementApi, type PaymentRecord } from '@/lib/api';
+
+const REPAYMENT_TYPES = ['emi_payment', 'full_repayment', 'penalty', 'interest'];
+
+interface LoanDocumentsProps {
+  loanId: string;
+}
+
+// Statement for a date range plus a receipt per payment, both as English/Hindi PDFs
+const LoanDocuments = ({ loanId }: LoanDocumentsProps) => {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [payments, setPayments] = useState<PaymentRecord[]>([]);
+
+  useEffect(() => {
+    fetchPayments(loanId);
+  }, [loanId]);
+
+  const fetchPayments = async (id: string) => {
+    const response = await statementApi.payments(id);
+    if (response.success && response.data) {
+      // Repayments are booked as component transactions under the gateway payment; list the payment itself
+      setPayments(
+        response.data.data.transactions.filter((t) => t.receiptUrl && !t.parentTransactionId && REPAYMENT_TYPES.includes(t.type))
+      );
+    }
+  };
+
+  const handleStatement = async () => {
+    const response = await statementApi.downloadStatement(loanId, { from, to });
+    if (!response.success) toast.error(response.error || 'Could not download the statement');
+  };
+
+  const handleReceipt = async (payment: PaymentRecord) => {
+    const response = await statementApi.downloadReceipt(loanId, payment);
+    if (!response.success) toast.error(response.error || 'Could not download the receipt');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 items-end">
+        <div className="space-y-1">
+          <Label htmlFor={`from-${loanId}`}>From</Label>
+          <Input id={`from-${loanId}`} type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="glass-panel border-glass-border" />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor={`to-${loanId}`}>To</Label>
+          <Input id={`to-${loanId}`} type="date" value={to} onChange={(e) => setTo(e.target.value)} className="glass-panel border-glass-border" />
+        </div>
+        <Button variant="outline" onClick={handleStatement}>
+          <FileText className="w-4 h-4 mr-2" />
+          Statement (PDF)
+        </Button>
+      </div>
+
+      {payments.length > 0 ? (
+        <div className="space-y-2">
+          {payments.map((payment) => (
+            <div key={payment.transactionId} className="flex items-center justify-between text-sm">
+              <span>
+                {payment.displayId} • ₹{payment.amount.toLocaleString()} •{' '}
+                {new Date(payment.confirmedAt ?? payment.initiatedAt).toLocaleDateString()}
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => handleReceipt(payment)}>
+                <Download className="w-4 h-4 mr-1" />
+                Receipt
+              </Button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-muted-foreground">No confirmed payments yet</p>
+      )}
+    </div>
+  );
+};
+
+export default LoanDocuments;
@@ -0,0 +1,187 @@
+import { useEffect, useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { toast } from 'sonner';
+import {
+  GUARANTOR_RELATIONSHIP_LABELS,
+  GUARANTOR_ROLE_LABELS,
+  guarantorApi,
+  type GuarantorRelationship,
+  type GuarantorRole,
+  type LoanGuarantor,
+} from '@/lib/api';
+
+const STATUS_STYLES: Record<LoanGuarantor['status'], string> = {
+  pending: 'bg-orange-500/20 text-orange-400',
+  consented: 'bg-green-500/20 text-green-400',
+  declined: 'bg-red-500/20 text-red-400',
+};
+
+interface LoanGuarantorsProps {
+  loanId: string;
+  // Parties can only be added or removed before the loan is disbursed
+  editable: boolean;
+}
+
+// Borrower's guarantors and co-borrowers on a loan; each consents with a code sent to their phone
+const LoanGuarantors = ({ loanId, editable }: LoanGuarantorsProps) => {
+  const [parties, setParties] = useState<LoanGuarantor[]>([]);
+  const [phone, setPhone] = useState('');
+  const [role, setRole] = useState<GuarantorRole>('guarantor');
+  const [relationship, setRelationship] = useState<GuarantorRelationship>('family');
+  const [liabilityPercent, setLiabilityPercent] = useState('100');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchParties(loanId);
+  }, [loanId]);
+
+  const fetchParties = async (id: string) => {
+    const response = await guarantorApi.list(id);
+    if (response.success && response.data) {
+      setParties(response.data.data);
+    }
+  };
+
+  const handleInvite = async () => {
+    setSubmitting(true);
+    const response = await guarantorApi.invite(loanId, {
+      phone,
+      role,
+      relationship,
+      liabilityPercent: role === 'guarantor' ? Number(liabilityPercent) : undefined,
+    });
+    setSubmitting(false);
+
+    if (!response.success) {
+      toast.error(response.error || 'Could not add the guarantor');
+      return;
+    }
+    toast.success('Consent code sent to their phone');
+    setPhone('');
+    fetchParties(loanId);
+  };
+
+  const handleResend = async (party: LoanGuarantor) => {
+    const response = await guarantorApi.resend(loanId, party.guarantorId);
+    if (!response.success) {
+      toast.error(response.error || 'Could not send a new code');
+      return;
+    }
+    toast.success('New consent code sent');
+  };
+
+  const handleRemove = async (party: LoanGuarantor) => {
+    const response = await guarantorApi.remove(loanId, party.guarantorId);
+    if (!response.success) {
+      toast.error(response.error || 'Could not remove the guarantor');
+      return;
+    }
+    toast.success('Removed');
+    fetchParties(loanId);
+  };
+
+  const nameOf = (party: LoanGuarantor) => (typeof party.userId === 'string' ? 'Invitee' : party.userId.fullName);
+
+  return (
+    <div className="space-y-4">
+      {parties.length === 0 && <p className="text-sm text-muted-foreground">No guarantors or co-borrowers</p>}
+      {parties.map((party) => (
+        <div key={party.guarantorId} className="glass-panel rounded-lg p-3 text-sm space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="font-semibold">
+              {nameOf(party)} • {GUARANTOR_ROLE_LABELS[party.role]}
+              {party.role === 'guarantor' && ` for ${party.liabilityPercent}%`}
+            </span>
+            <Badge className={STATUS_STYLES[party.status]}>{party.status}</Badge>
+          </div>
+          <p className="text-muted-foreground">{GUARANTOR_RELATIONSHIP_LABELS[party.relationship]}</p>
+          {editable && (
+            <div className="flex gap-2">
+              {party.status === 'pending' && (
+                <Button size="sm" variant="outline" onClick={() => handleResend(party)}>
+                  Resend code
+                </Button>
+              )}
+              <Button size="sm" variant="outline" onClick={() => handleRemove(party)}>
+                Remove
+              </Button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {editable && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <Label htmlFor={`guarantor-phone-${loanId}`}>Registered phone number</Label>
+              <Input
+                id={`guarantor-phone-${loanId}`}
+                value={phone}
+                onChange={(e) => setPhone(e.target.value)}
+                className="glass-panel border-glass-border"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label>Role</Label>
+              <Select value={role} onValueChange={(value) => setRole(value as GuarantorRole)}>
+                <SelectTrigger className="glass-panel border-glass-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="glass-panel border-glass-border">
+                  {(Object.keys(GUARANTOR_ROLE_LABELS) as GuarantorRole[]).map((key) => (
+                    <SelectItem key={key} value={key}>
+                      {GUARANTOR_ROLE_LABELS[key]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label>Relationship</Label>
+              <Select value={relationship} onValueChange={(value) => setRelationship(value as GuarantorRelationship)}>
+                <SelectTrigger className="glass-panel border-glass-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="glass-panel border-glass-border">
+                  {(Object.keys(GUARANTOR_RELATIONSHIP_LABELS) as GuarantorRelationship[]).map((key) => (
+                    <SelectItem key={key} value={key}>
+                      {GUARANTOR_RELATIONSHIP_LABELS[key]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {role === 'guarantor' && (
+              <div className="space-y-1">
+                <Label htmlFor={`guarantor-liability-${loanId}`}>Share guaranteed (%)</Label>
+                <Input
+                  id={`guarantor-liability-${loanId}`}
+                  type="number"
+                  min={1}
+                  max={100}
+                  value={liabilityPercent}
+                  onChange={(e) => setLiabilityPercent(e.target.value)}
+                  className="glass-panel border-glass-border"
+                />
+              </div>
+            )}
+          </div>
+          <Button
+            onClick={handleInvite}
+            disabled={!phone || submitting}
+            className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+          >
+            Send consent request
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoanGuarantors;
@@ -0,0 +1,197 @@
+import { useEffect, useState } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { toast } from 'sonner';
+import { useAuth } from '@/contexts/AuthContext';
+import { offerApi, type LoanOffer, type LoanTerms } from '@/lib/api';
+
+const STATUS_STYLES: Record<LoanOffer['status'], string> = {
+  open: 'bg-orange-500/20 text-orange-400',
+  accepted: 'bg-green-500/20 text-green-400',
+  rejected: 'bg-red-500/20 text-red-400',
+  countered: 'bg-blue-500/20 text-blue-400',
+  expired: 'bg-muted text-muted-foreground',
+  superseded: 'bg-muted text-muted-foreground',
+};
+
+const toForm = (terms: LoanTerms) => ({
+  amount: String(terms.amount),
+  interestRate: String(terms.interestRate),
+  duration: String(terms.duration),
+  note: '',
+});
+
+interface LoanOffersProps {
+  loanId: string;
+  terms: LoanTerms;
+  onAccepted?: () => void;
+}
+
+// Offer thread of a requested loan: lenders propose terms, and each side accepts, rejects or counters
+const LoanOffers = ({ loanId, terms, onAccepted }: LoanOffersProps) => {
+  const { user } = useAuth();
+  const [offers, setOffers] = useState<LoanOffer[]>([]);
+  const [form, setForm] = useState(toForm(terms));
+  // Offer being countered, or 'new' for a lender's opening offer
+  const [drafting, setDrafting] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchOffers(loanId);
+  }, [loanId]);
+
+  const fetchOffers = async (id: string) => {
+    const response = await offerApi.thread(id);
+    if (response.success && response.data) {
+      setOffers(response.data.data);
+    }
+  };
+
+  const isLender = user?.role === 'Lender';
+  const canRespond = (offer: LoanOffer) =>
+    offer.status === 'open' && (offer.proposedBy === 'lender' ? !isLender : isLender);
+
+  const proposal = () => ({
+    amount: Number(form.amount),
+    interestRate: Number(form.interestRate),
+    duration: Number(form.duration),
+    note: form.note || undefined,
+  });
+
+  const handleSend = async () => {
+    const response =
+      drafting === 'new' ? await offerApi.propose(loanId, proposal()) : await offerApi.counter(loanId, drafting!, proposal());
+    if (!response.success) {
+      toast.error(response.error || 'Could not send the offer');
+      return;
+    }
+    toast.success(drafting === 'new' ? 'Offer sent' : 'Counter-offer sent');
+    setDrafting(null);
+    fetchOffers(loanId);
+  };
+
+  const handleAccept = async (offer: LoanOffer) => {
+    const response = await offerApi.accept(loanId, offer.offerId);
+    if (!response.success) {
+      toast.error(response.error || 'Could not accept the offer');
+      return;
+    }
+    toast.success('Offer accepted. These are now the loan terms.');
+    fetchOffers(loanId);
+    onAccepted?.();
+  };
+
+  const handleReject = async (offer: LoanOffer) => {
+    const response = await offerApi.reject(loanId, offer.offerId);
+    if (!response.success) {
+      toast.error(response.error || 'Could not reject the offer');
+      return;
+    }
+    toast.success('Offer rejected');
+    fetchOffers(loanId);
+  };
+
+  const startDraft = (id: string, from: LoanTerms) => {
+    setForm(toForm(from));
+    setDrafting(id);
+  };
+
+  const negotiating = offers.some((offer) => offer.status === 'open');
+
+  return (
+    <div className="space-y-4">
+      {offers.length === 0 && <p className="text-sm text-muted-foreground">No offers yet</p>}
+      {offers.map((offer) => (
+        <div key={offer.offerId} className="glass-panel rounded-lg p-3 text-sm space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="font-semibold">
+              {offer.proposedBy === 'lender' ? 'Lender' : 'Borrower'}
+              {offer.counterTo ? ' countered' : ' offered'}: ₹{offer.terms.amount.toLocaleString()} at {offer.terms.interestRate}% for{' '}
+              {offer.terms.duration} months
+            </span>
+            <Badge className={STATUS_STYLES[offer.status]}>{offer.status}</Badge>
+          </div>
+          {offer.note && <p>{offer.note}</p>}
+          {offer.status === 'open' && (
+            <p className="text-muted-foreground">Expires {new Date(offer.expiresAt).toLocaleString()}</p>
+          )}
+          {offer.rejectionReason && <p className="text-red-400">{offer.rejectionReason}</p>}
+          {canRespond(offer) && (
+            <div className="flex gap-2">
+              <Button size="sm" onClick={() => handleAccept(offer)} className="bg-gold-gradient text-background">
+                Accept
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => startDraft(offer.offerId, offer.terms)}>
+                Counter
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => handleReject(offer)}>
+                Reject
+              </Button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {isLender && !negotiating && drafting === null && (
+        <Button variant="outline" onClick={() => startDraft('new', terms)} className="w-full">
+          Offer different terms
+        </Button>
+      )}
+
+      {drafting !== null && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-3 gap-2">
+            <div className="space-y-1">
+              <Label htmlFor={`offer-amount-${loanId}`}>Amount (₹)</Label>
+              <Input
+                id={`offer-amount-${loanId}`}
+                type="number"
+                value={form.amount}
+                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                className="glass-panel border-glass-border"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`offer-rate-${loanId}`}>Rate (%)</Label>
+              <Input
+                id={`offer-rate-${loanId}`}
+                type="number"
+                value={form.interestRate}
+                onChange={(e) => setForm({ ...form, interestRate: e.target.value })}
+                className="glass-panel border-glass-border"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`offer-duration-${loanId}`}>Months</Label>
+              <Input
+                id={`offer-duration-${loanId}`}
+                type="number"
+                value={form.duration}
+                onChange={(e) => setForm({ ...form, duration: e.target.value })}
+                className="glass-panel border-glass-border"
+              />
+            </div>
+          </div>
+          <Input
+            placeholder="Message (optional)"
+            value={form.note}
+            maxLength={500}
+            onChange={(e) => setForm({ ...form, note: e.target.value })}
+            className="glass-panel border-glass-border"
+          />
+          <div className="flex gap-2">
+            <Button onClick={handleSend} className="flex-1 bg-gold-gradient hover:opacity-90 text-background font-semibold">
+              Send {drafting === 'new' ? 'offer' : 'counter-offer'}
+            </Button>
+            <Button variant="outline" onClick={() => setDrafting(null)}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoanOffers;
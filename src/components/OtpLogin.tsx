@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Phone, KeyRound } from 'lucide-react';
+import { toast } from 'sonner';
+import { authApi, OTP_RESEND_SECONDS, type SignedInSession } from '@/lib/api';
+import { useCountdown } from '@/hooks/use-countdown';
+
+interface OtpLoginProps {
+  onSession: (session: SignedInSession) => void;
+}
+
+// Passwordless sign-in: a login code is texted to the phone registered on the account
+const OtpLogin = ({ onSession }: OtpLoginProps) => {
+  const [phone, setPhone] = useState('');
+  const [otp, setOtp] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const resend = useCountdown();
+
+  const handleSend = async () => {
+    setLoading(true);
+    const response = await authApi.sendOtp({ phone, purpose: 'login' });
+    setLoading(false);
+
+    if (!response.success) {
+      toast.error(response.error || 'Could not send a code');
+      return;
+    }
+    setCodeSent(true);
+    resend.start(response.data?.data.resendAfterSeconds ?? OTP_RESEND_SECONDS);
+    toast.success('If this number is registered, a code is on its way');
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    const response = await authApi.loginWithOtp(phone, otp);
+    setLoading(false);
+
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Login failed');
+      return;
+    }
+    onSession(response.data.data);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="otp-phone" className="flex items-center gap-2">
+          <Phone className="w-4 h-4 text-gold" />
+          Registered phone number
+        </Label>
+        <div className="flex gap-2">
+          <Input
+            id="otp-phone"
+            inputMode="numeric"
+            placeholder="10-digit phone number"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            className="glass-panel border-glass-border focus:border-gold"
+          />
+          <Button type="button" variant="outline" onClick={handleSend} disabled={!phone || loading || resend.seconds > 0}>
+            {resend.seconds > 0 ? `${resend.seconds}s` : codeSent ? 'Resend' : 'Send code'}
+          </Button>
+        </div>
+      </div>
+
+      {codeSent && (
+        <div className="space-y-2">
+          <Label htmlFor="otp-code" className="flex items-center gap-2">
+            <KeyRound className="w-4 h-4 text-gold" />
+            Code from SMS
+          </Label>
+          <Input
+            id="otp-code"
+            inputMode="numeric"
+            maxLength={6}
+            placeholder="123456"
+            value={otp}
+            onChange={(e) => setOtp(e.target.value)}
+            className="glass-panel border-glass-border focus:border-gold"
+          />
+        </div>
+      )}
+
+      <Button
+        type="submit"
+        className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+        disabled={!codeSent || !otp || loading}
+      >
+        {loading ? 'Signing in...' : 'Sign In'}
+      </Button>
+    </form>
+  );
+};
+
+export default OtpLogin;
@@ -3,13 +3,14 @@ import { useAuth } from "@/contexts/AuthContext";
 import { Navigate } from "react-router-dom";
 import { toast } from "sonner";
 import { tokenManager } from "@/lib/api";
+import { can, type PolicyAction } from "@/lib/policies";
 
 interface RoleGateProps {
-  allow: Array<"Borrower" | "Lender">;
+  action: PolicyAction;
   children: React.ReactNode;
 }
 
-const RoleGate: React.FC<RoleGateProps> = ({ allow, children }) => {
+const RoleGate: React.FC<RoleGateProps> = ({ action, children }) => {
   const { user, loading } = useAuth();
   const hasToken = !!tokenManager.get();
 
@@ -23,7 +24,7 @@ const RoleGate: React.FC<RoleGateProps> = ({ allow, children }) => {
 
   if (!user) return <Navigate to="/login" replace />;
 
-  if (!allow.includes(user.role)) {
+  if (!can(user.role, action)) {
     toast.error("Access restricted for your role");
     return <Navigate to="/dashboard" replace />;
   }
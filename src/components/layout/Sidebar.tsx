@@ -11,30 +11,28 @@ import {
 import { NavLink } from "react-router-dom";
 import { cn } from "@/lib/utils";
 import { useAuth } from "@/contexts/AuthContext";
+import { can, type PolicyAction } from "@/lib/policies";
 
-const borrowerNavItems = [
-  { icon: Home, label: "Dashboard", path: "/dashboard" },
-  { icon: PlusCircle, label: "Issue Loan", path: "/issue-loan" },
-  { icon: FileText, label: "All Loans", path: "/all-loans" },
-  { icon: User, label: "Borrower Loans", path: "/borrower-loans" },
-  { icon: CreditCard, label: "Repay Loan", path: "/repay-loan" },
-];
-
-const lenderNavItems = [
+// Items with an action are shown only to roles that policy allows, matching the RoleGate on the route
+const navItems: { icon: typeof Home; label: string; path: string; action?: PolicyAction }[] = [
   { icon: Home, label: "Dashboard", path: "/dashboard" },
+  { icon: PlusCircle, label: "Issue Loan", path: "/issue-loan", action: "loan:request" },
   { icon: FileText, label: "All Loans", path: "/all-loans" },
+  { icon: User, label: "Borrower Loans", path: "/borrower-loans", action: "loan:request" },
+  { icon: CreditCard, label: "Repay Loan", path: "/repay-loan", action: "loan:repay" },
   {
     icon: ShieldCheck,
     label: "Validate Documents",
     path: "/validate-documents",
+    action: "document:validate",
   },
-  { icon: FolderOpen, label: "Documents", path: "/documents" },
+  { icon: FolderOpen, label: "Documents", path: "/documents", action: "document:validate" },
 ];
 
 export const Sidebar = () => {
   const { user } = useAuth();
 
-  const navItems = user?.role === "Lender" ? lenderNavItems : borrowerNavItems;
+  const visibleItems = navItems.filter((item) => !item.action || can(user?.role, item.action));
 
   return (
     <aside className="w-64 glass-panel min-h-screen border-r border-glass-border p-6 sticky top-0">
@@ -49,7 +47,7 @@ export const Sidebar = () => {
       </div>
 
       <nav className="space-y-2">
-        {navItems.map((item) => (
+        {visibleItems.map((item) => (
           <NavLink
             key={item.path}
             to={item.path}
@@ -1,4 +1,4 @@
-import { Bell, Wallet, LogOut, User } from 'lucide-react';
+import { Bell, Wallet, LogOut, MonitorX, User } from 'lucide-react';
 import { useAuth } from '@/contexts/AuthContext';
 import { Button } from '@/components/ui/button';
 import {
@@ -11,7 +11,7 @@ import {
 } from '@/components/ui/dropdown-menu';
 
 export const Topbar = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll } = useAuth();
 
   return (
     <header className="h-16 glass-panel border-b border-glass-border px-6 flex items-center justify-between sticky top-0 z-50">
@@ -53,6 +53,10 @@ export const Topbar = () => {
               <LogOut className="w-4 h-4 mr-2" />
               Logout
             </DropdownMenuItem>
+            <DropdownMenuItem onClick={logoutAll} className="text-destructive cursor-pointer">
+              <MonitorX className="w-4 h-4 mr-2" />
+              Logout on all devices
+            </DropdownMenuItem>
           </DropdownMenuContent>
         </DropdownMenu>
       </div>
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
-import { authApi, tokenManager } from "@/lib/api";
+import { authApi, needsSecondFactor, tokenManager } from "@/lib/api";
+import type { Role } from "@/lib/policies";
 import { useNavigate } from "react-router-dom";
 import { toast } from "sonner";
 
@@ -10,15 +11,16 @@ interface User {
   walletAddress: string;
   kycVerified: boolean;
   faceVerified: boolean;
-  role: "Borrower" | "Lender";
+  role: Role;
 }
 
 interface AuthContextType {
   user: User | null;
   loading: boolean;
-  login: (email: string, password: string) => Promise<boolean>;
+  login: (uniqueId: string, password: string) => Promise<boolean>;
   register: (userData: any) => Promise<boolean>;
-  logout: () => void;
+  logout: () => Promise<void>;
+  logoutAll: () => Promise<void>;
   isAuthenticated: boolean;
 }
 
@@ -51,13 +53,17 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
     setLoading(false);
   };
 
-  const login = async (email: string, password: string): Promise<boolean> => {
-    const response = await authApi.login({ email, password });
+  const login = async (uniqueId: string, password: string): Promise<boolean> => {
+    const response = await authApi.login({ uniqueId, password });
 
     if (response.success && response.data) {
-      const data = response.data as any;
-      tokenManager.set(data.token);
-      setUser(data.user);
+      const session = response.data.data;
+      if (needsSecondFactor(session)) {
+        toast.error("Enter the code sent to your phone on the login page");
+        return false;
+      }
+      tokenManager.setSession(session);
+      setUser(session.user as User);
       toast.success("Welcome back!");
       return true;
     } else {
@@ -81,13 +87,25 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
     }
   };
 
-  const logout = () => {
-    authApi.logout();
+  const logout = async () => {
+    await authApi.logout();
     setUser(null);
     toast.success("Logged out successfully");
     navigate("/");
   };
 
+  // Ends every session of the account, e.g. after losing a phone
+  const logoutAll = async () => {
+    const response = await authApi.logoutAll();
+    setUser(null);
+    if (response.success) {
+      toast.success("Logged out on all devices");
+    } else {
+      toast.error(response.error || "Could not log out other devices");
+    }
+    navigate("/");
+  };
+
   return (
     <AuthContext.Provider
       value={{
@@ -96,6 +114,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({
         login,
         register,
         logout,
+        logoutAll,
         isAuthenticated: !!user,
       }}
     >
@@ -0,0 +1,14 @@
+import * as React from "react";
+
+// Seconds left on a cooldown, ticking down to 0; start(n) restarts it
+export function useCountdown(initialSeconds = 0) {
+  const [seconds, setSeconds] = React.useState(initialSeconds);
+
+  React.useEffect(() => {
+    if (seconds <= 0) return;
+    const timer = setTimeout(() => setSeconds(seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [seconds]);
+
+  return { seconds, start: setSeconds };
+}
@@ -1,4 +1,6 @@
 // API Configuration and Utilities
+import type { Role } from '@/lib/policies';
+
 // Replace with your actual backend URL
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000/api';
 
@@ -10,36 +12,100 @@ interface ApiResponse<T = unknown> {
 }
 
 // Token management
+// The access token lasts minutes; the refresh token is exchanged for a new pair when it runs out
+export interface AuthTokens {
+  token: string;
+  refreshToken: string;
+  expiresIn: number;
+}
+
 export const tokenManager = {
   get: () => localStorage.getItem('auth_token') || localStorage.getItem('token'),
   set: (token: string) => {
     localStorage.setItem('auth_token', token);
     localStorage.setItem('token', token);
   },
+  getRefresh: () => localStorage.getItem('refresh_token'),
+  setSession: (session: AuthTokens) => {
+    tokenManager.set(session.token);
+    localStorage.setItem('refresh_token', session.refreshToken);
+  },
   remove: () => {
     localStorage.removeItem('auth_token');
     localStorage.removeItem('token');
+    localStorage.removeItem('refresh_token');
+  },
+  // Identifies this browser across sign-ins, so signing in again replaces its old session
+  deviceId: () => {
+    let id = localStorage.getItem('device_id');
+    if (!id) {
+      id = crypto.randomUUID();
+      localStorage.setItem('device_id', id);
+    }
+    return id;
   },
 };
 
+// Concurrent requests that find the access token expired share one refresh
+let refreshing: Promise<boolean> | null = null;
+
+function refreshSession(): Promise<boolean> {
+  const refreshToken = tokenManager.getRefresh();
+  if (!refreshToken) return Promise.resolve(false);
+
+  refreshing ??= fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken }),
+  })
+    .then(async (response) => {
+      const body = await response.json();
+      if (!response.ok || !body.data) {
+        // Only a rejected refresh token ends the session, not a network failure
+        if (response.status === 401) tokenManager.remove();
+        return false;
+      }
+      tokenManager.setSession(body.data);
+      return true;
+    })
+    .catch(() => false)
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+}
+
+// fetch with the access token, refreshing it once and retrying if the server rejects it
+async function authorizedFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  const send = () => {
+    const token = tokenManager.get();
+    return fetch(url, {
+      ...init,
+      headers: { ...init.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    });
+  };
+
+  const signedIn = !!tokenManager.get();
+  const response = await send();
+  if (response.status !== 401 || !signedIn || !(await refreshSession())) {
+    return response;
+  }
+  return send();
+}
+
 // API request helper
 async function apiRequest<T>(
   endpoint: string,
   options: RequestInit = {}
 ): Promise<ApiResponse<T>> {
-  const token = tokenManager.get();
-  
+  // Multipart bodies set their own Content-Type with the boundary
   const headers: HeadersInit = {
-    'Content-Type': 'application/json',
+    ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
     ...options.headers,
   };
 
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
-
   try {
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    const response = await authorizedFetch(`${API_BASE_URL}${endpoint}`, {
       ...options,
       headers,
     });
@@ -49,7 +115,7 @@ async function apiRequest<T>(
     if (!response.ok) {
       return {
         success: false,
-        error: data.message || 'An error occurred',
+        error: data.message || data.error || 'An error occurred',
       };
     }
 
@@ -66,6 +132,55 @@ async function apiRequest<T>(
   }
 }
 
+// One-time codes sent by SMS: confirming the phone at signup, or logging in without a password
+export type OtpPurpose = 'signup' | 'login';
+
+// Default wait before another code can be requested; the server's answer overrides it
+export const OTP_RESEND_SECONDS = 60;
+
+// Mirrors the backend password policy; the server's error lists anything still missing
+export const PASSWORD_HINT = 'At least 8 characters with letters and numbers, not containing your phone number or email';
+
+// Identify an account for a password reset by unique ID or registered phone number
+export type AccountLookup = { uniqueId: string } | { phone: string };
+
+// What signing in returns: the token pair and the signed-in user
+export interface SignedInSession extends AuthTokens {
+  sessionId: string;
+  deviceId: string;
+  user: {
+    id: string;
+    email: string;
+    fullName: string;
+    role: Role;
+    walletAddress?: string;
+    kycVerified: boolean;
+    faceVerified: boolean;
+  };
+}
+
+// Admins get this instead of a session after their password: the code texted to them completes the sign-in
+export interface SecondFactorChallenge {
+  mfaRequired: true;
+  mfaToken: string;
+}
+
+export type SignInResult = SignedInSession | SecondFactorChallenge;
+
+export const needsSecondFactor = (result: SignInResult): result is SecondFactorChallenge =>
+  'mfaRequired' in result && result.mfaRequired;
+
+// A device the user is signed in on
+export interface DeviceSession {
+  sessionId: string;
+  deviceId: string;
+  deviceName?: string;
+  ip?: string;
+  lastUsedAt: string;
+  createdAt: string;
+  current: boolean;
+}
+
 // Authentication APIs
 export const authApi = {
   register: async (userData: {
@@ -80,21 +195,97 @@ export const authApi = {
     });
   },
 
-  login: async (credentials: { email: string; password: string }) => {
-    return apiRequest('/auth/login', {
+  login: async (credentials: { uniqueId: string; password: string }) => {
+    return apiRequest<{ data: SignInResult }>('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ ...credentials, deviceId: tokenManager.deviceId() }),
+    });
+  },
+
+  completeSecondFactor: async (mfaToken: string, otp: string) => {
+    return apiRequest<{ data: SignedInSession }>('/auth/login/mfa', {
       method: 'POST',
-      body: JSON.stringify(credentials),
+      body: JSON.stringify({ mfaToken, otp, deviceId: tokenManager.deviceId() }),
     });
   },
 
+  // Signs this device out on the server too; the tokens are forgotten even if that fails
   logout: async () => {
+    const response = tokenManager.get()
+      ? await apiRequest('/auth/logout', { method: 'POST' })
+      : { success: true };
     tokenManager.remove();
-    return { success: true };
+    return response;
+  },
+
+  logoutAll: async () => {
+    const response = await apiRequest<{ data: { signedOut: number } }>('/auth/logout-all', { method: 'POST' });
+    tokenManager.remove();
+    return response;
+  },
+
+  sessions: async () => {
+    return apiRequest<{ data: DeviceSession[] }>('/auth/sessions');
+  },
+
+  endSession: async (sessionId: string) => {
+    return apiRequest(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
   },
 
   verifyToken: async () => {
     return apiRequest('/auth/verify');
   },
+
+  // Codes go to the account's registered phone; the response is the same whether or not it exists
+  sendOtp: async (params: { email?: string; phone?: string; purpose: OtpPurpose }) => {
+    return apiRequest<{ message: string; data: { resendAfterSeconds: number } }>('/auth/send-otp', {
+      method: 'POST',
+      body: JSON.stringify(params),
+    });
+  },
+
+  // Signing up, the answer carries a one-time token for choosing a password
+  verifyOtp: async (email: string, otp: string) => {
+    return apiRequest<{ data: { setupToken?: string } }>('/auth/verify-otp', {
+      method: 'POST',
+      body: JSON.stringify({ email, otp }),
+    });
+  },
+
+  createCredentials: async (setupToken: string, password: string) => {
+    return apiRequest<{ message: string; data: { uniqueId: string } }>('/auth/generate-credentials', {
+      method: 'POST',
+      body: JSON.stringify({ setupToken, password }),
+    });
+  },
+
+  forgotPassword: async (account: AccountLookup) => {
+    return apiRequest<{ message: string; data: { resendAfterSeconds: number } }>('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify(account),
+    });
+  },
+
+  verifyPasswordReset: async (account: AccountLookup, otp: string) => {
+    return apiRequest<{ data: { resetToken: string } }>('/auth/forgot-password/verify', {
+      method: 'POST',
+      body: JSON.stringify({ ...account, otp }),
+    });
+  },
+
+  resetPassword: async (resetToken: string, password: string) => {
+    return apiRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ resetToken, password }),
+    });
+  },
+
+  loginWithOtp: async (phone: string, otp: string) => {
+    return apiRequest<{ data: SignedInSession }>('/auth/login-otp', {
+      method: 'POST',
+      body: JSON.stringify({ phone, otp, deviceId: tokenManager.deviceId() }),
+    });
+  },
 };
 
 // Face Verification APIs
@@ -112,12 +303,46 @@ export const faceApi = {
 };
 
 // Loan APIs
+export interface ForeclosureQuote {
+  loanId: string;
+  asOf: string;
+  validUntil: string;
+  principal: number;
+  interest: number;
+  penalty: number;
+  fee: number;
+  amount: number;
+}
+
+export type PrepaymentOption = 'reduce_tenure' | 'reduce_emi';
+
+export interface PrepaymentSchedule {
+  installmentsLeft: number;
+  emi: number;
+  lastDueDate: string | null;
+  interestRemaining: number;
+  outstanding: number;
+  interestSaved?: number;
+}
+
+export interface PrepaymentQuote {
+  loanId: string;
+  amount: number;
+  dues: number;
+  prepaid: number;
+  fee: number;
+  total: number;
+  current: PrepaymentSchedule;
+  options: Record<PrepaymentOption, PrepaymentSchedule>;
+}
+
 export const loanApi = {
   create: async (loanData: {
     amount: number;
     duration: number;
     interestRate: number;
     purpose: string;
+    collateralIds?: string[];
   }) => {
     return apiRequest('/loans/create', {
       method: 'POST',
@@ -139,10 +364,588 @@ export const loanApi = {
   },
 
   fund: async (loanId: string) => {
-    return apiRequest(`/loans/${loanId}/fund`, {
+    return apiRequest<{ data: { transactionId: string; checkout?: PaymentCheckout } }>(`/loans/${loanId}/fund`, {
+      method: 'POST',
+    });
+  },
+
+  getEscrow: async (loanId: string) => {
+    return apiRequest(`/loans/${loanId}/escrow`);
+  },
+
+  cancel: async (loanId: string, reason?: string) => {
+    return apiRequest(`/loans/${loanId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  match: async (request: {
+    commitments: Array<{ lenderId: string; amount: number; riskTolerance?: number; minInterestRate?: number }>;
+    loanIds?: string[];
+    riskScores?: Record<string, number>;
+    dryRun?: boolean;
+  }) => {
+    return apiRequest('/loans/match', {
+      method: 'POST',
+      body: JSON.stringify(request),
+    });
+  },
+
+  getLenderPositions: async (lenderId: string) => {
+    return apiRequest(`/loans/lender/${lenderId}/positions`);
+  },
+
+  repay: async (loanId: string, amount: number) => {
+    return apiRequest<{ data: { transactionId: string; checkout?: PaymentCheckout } }>(`/loans/${loanId}/repay-payment`, {
+      method: 'POST',
+      body: JSON.stringify({ amount }),
+    });
+  },
+
+  getForeclosureQuote: async (loanId: string) => {
+    return apiRequest<{ data: ForeclosureQuote }>(`/loans/${loanId}/foreclosure-quote`);
+  },
+
+  foreclose: async (loanId: string) => {
+    return apiRequest<{ data: { transactionId: string; quote: ForeclosureQuote; checkout?: PaymentCheckout } }>(`/loans/${loanId}/foreclose`, {
+      method: 'POST',
+    });
+  },
+
+  getPrepaymentQuote: async (loanId: string, amount: number) => {
+    return apiRequest<{ data: PrepaymentQuote }>(`/loans/${loanId}/prepayment-quote?amount=${amount}`);
+  },
+
+  prepay: async (loanId: string, amount: number, option: PrepaymentOption) => {
+    return apiRequest<{ data: { transactionId: string; checkout?: PaymentCheckout } }>(`/loans/${loanId}/prepay`, {
+      method: 'POST',
+      body: JSON.stringify({ amount, option }),
+    });
+  },
+};
+
+// Payment APIs
+export interface PaymentCheckout {
+  // Only returned by the offline mock provider
+  simulate?: { orderId: string; paymentId: string; signature: string };
+  [key: string]: unknown;
+}
+
+export const paymentApi = {
+  confirm: async (confirmation: {
+    orderId: string;
+    paymentId: string;
+    signature: string;
+    transactionId?: string;
+  }) => {
+    return apiRequest('/payments/confirm', {
+      method: 'POST',
+      body: JSON.stringify(confirmation),
+    });
+  },
+};
+
+// Auto-debit mandate APIs
+export interface MandateCharge {
+  installmentNumber: number;
+  amount: number;
+  attempts: number;
+  status: 'processing' | 'captured' | 'failed' | 'exhausted';
+  lastError?: string;
+  lastAttemptAt?: string;
+  nextRetryAt?: string;
+}
+
+export interface Mandate {
+  mandateId: string;
+  loanId: string;
+  method: 'upi_autopay' | 'emandate';
+  maxAmount: number;
+  status: 'pending' | 'active' | 'revoked' | 'failed' | 'completed';
+  expiresAt?: string;
+  activatedAt?: string;
+  revokedAt?: string;
+  revocationReason?: string;
+  failureReason?: string;
+  charges: MandateCharge[];
+}
+
+export const mandateApi = {
+  list: async (loanId?: string) => {
+    return apiRequest<{ data: Mandate[] }>(`/payments/mandates${loanId ? `?loanId=${loanId}` : ''}`);
+  },
+
+  register: async (request: { loanId: string; method: Mandate['method']; maxAmount?: number }) => {
+    return apiRequest<{ data: { mandate: Mandate; checkout?: PaymentCheckout } }>('/payments/mandates', {
+      method: 'POST',
+      body: JSON.stringify(request),
+    });
+  },
+
+  confirm: async (mandateId: string, authorization: { paymentId: string; signature: string }) => {
+    return apiRequest<{ data: Mandate }>(`/payments/mandates/${mandateId}/confirm`, {
+      method: 'POST',
+      body: JSON.stringify(authorization),
+    });
+  },
+
+  revoke: async (mandateId: string) => {
+    return apiRequest<{ data: Mandate }>(`/payments/mandates/${mandateId}/revoke`, {
+      method: 'POST',
+    });
+  },
+};
+
+// Receipt and statement APIs
+export interface PaymentRecord {
+  transactionId: string;
+  displayId: string;
+  amount: number;
+  type: string;
+  status: string;
+  initiatedAt: string;
+  confirmedAt?: string;
+  receiptId?: string;
+  parentTransactionId?: string;
+  receiptUrl: string | null;
+}
+
+// Save a file from an authenticated endpoint, such as a PDF receipt
+async function downloadFile(endpoint: string, fallbackName: string): Promise<ApiResponse> {
+  try {
+    const response = await authorizedFetch(`${API_BASE_URL}${endpoint}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      return {
+        success: false,
+        error: data.message || data.error || 'Download failed',
+      };
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = /filename="([^"]+)"/.exec(disposition)?.[1] || fallbackName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Download Error:', error);
+    return {
+      success: false,
+      error: 'Network error. Please check your connection.',
+    };
+  }
+}
+
+export const statementApi = {
+  payments: async (loanId: string) => {
+    return apiRequest<{ data: { transactions: PaymentRecord[]; statementUrl: string } }>(
+      `/payments/history/${loanId}?status=confirmed&limit=50`
+    );
+  },
+
+  downloadReceipt: async (loanId: string, payment: PaymentRecord) => {
+    return downloadFile(`/payments/history/${loanId}/receipts/${payment.transactionId}`, `receipt-${payment.displayId}.pdf`);
+  },
+
+  downloadStatement: async (loanId: string, range: { from?: string; to?: string } = {}) => {
+    const query = new URLSearchParams();
+    if (range.from) query.set('from', range.from);
+    if (range.to) query.set('to', range.to);
+    const search = query.toString();
+    return downloadFile(`/payments/history/${loanId}/statement${search ? `?${search}` : ''}`, `statement-${loanId}.pdf`);
+  },
+};
+
+// Loan offer (negotiation) APIs
+export interface LoanTerms {
+  amount: number;
+  interestRate: number;
+  duration: number;
+}
+
+export interface LoanOffer {
+  offerId: string;
+  loanId: string;
+  borrowerId: string;
+  lenderId: string;
+  proposedBy: 'lender' | 'borrower';
+  counterTo?: string;
+  terms: LoanTerms;
+  note?: string;
+  status: 'open' | 'accepted' | 'rejected' | 'countered' | 'expired' | 'superseded';
+  expiresAt: string;
+  createdAt: string;
+  respondedAt?: string;
+  rejectionReason?: string;
+}
+
+export type OfferProposal = LoanTerms & { note?: string; expiresInHours?: number };
+
+export const offerApi = {
+  thread: async (loanId: string) => {
+    return apiRequest<{ data: LoanOffer[] }>(`/loans/${loanId}/offers`);
+  },
+
+  propose: async (loanId: string, proposal: OfferProposal) => {
+    return apiRequest<{ data: LoanOffer }>(`/loans/${loanId}/offers`, {
+      method: 'POST',
+      body: JSON.stringify(proposal),
+    });
+  },
+
+  accept: async (loanId: string, offerId: string) => {
+    return apiRequest<{ data: { offer: LoanOffer } }>(`/loans/${loanId}/offers/${offerId}/accept`, {
+      method: 'POST',
+    });
+  },
+
+  reject: async (loanId: string, offerId: string, reason?: string) => {
+    return apiRequest<{ data: LoanOffer }>(`/loans/${loanId}/offers/${offerId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  counter: async (loanId: string, offerId: string, proposal: OfferProposal) => {
+    return apiRequest<{ data: LoanOffer }>(`/loans/${loanId}/offers/${offerId}/counter`, {
+      method: 'POST',
+      body: JSON.stringify(proposal),
+    });
+  },
+};
+
+// Hardship and restructuring APIs
+export type HardshipReason =
+  | 'crop_failure'
+  | 'drought'
+  | 'flood'
+  | 'pest_attack'
+  | 'livestock_loss'
+  | 'price_crash'
+  | 'illness'
+  | 'other';
+
+export const HARDSHIP_REASON_LABELS: Record<HardshipReason, string> = {
+  crop_failure: 'Crop failure',
+  drought: 'Drought',
+  flood: 'Flood',
+  pest_attack: 'Pest attack',
+  livestock_loss: 'Livestock loss',
+  price_crash: 'Crop price crash',
+  illness: 'Illness',
+  other: 'Other',
+};
+
+export type HardshipPlan = { type: 'moratorium'; months: number } | { type: 'reamortization'; durationMonths: number };
+
+export interface HardshipRequest {
+  requestId: string;
+  loanId: string;
+  borrowerId: string;
+  reason: HardshipReason;
+  description?: string;
+  plan: { type: HardshipPlan['type']; months?: number; durationMonths?: number };
+  document: { fileName: string; mimeType: string; size: number; sha256: string };
+  status: 'requested' | 'approved' | 'rejected';
+  approvers: string[];
+  decisions: Array<{ lenderId: string; decision: 'approved' | 'rejected'; note?: string; decidedAt: string }>;
+  requestedAt: string;
+  approvedAt?: string;
+  rejectedAt?: string;
+  rejectionReason?: string;
+  outcome?: {
+    previousOutstanding: number;
+    capitalized: number;
+    outstanding: number;
+    installments: number;
+    emi: number;
+    firstDueDate: string;
+    lastDueDate: string;
+  };
+}
+
+export const describeHardshipPlan = (plan: HardshipRequest['plan']) =>
+  plan.type === 'moratorium' ? `${plan.months}-month moratorium` : `Re-spread over ${plan.durationMonths} months`;
+
+export const hardshipApi = {
+  request: async (loanId: string, request: { reason: HardshipReason; description: string; plan: HardshipPlan; document: File }) => {
+    const form = new FormData();
+    form.append('reason', request.reason);
+    form.append('description', request.description);
+    form.append('planType', request.plan.type);
+    if (request.plan.type === 'moratorium') form.append('months', String(request.plan.months));
+    else form.append('durationMonths', String(request.plan.durationMonths));
+    form.append('document', request.document);
+
+    return apiRequest<{ data: HardshipRequest }>(`/loans/${loanId}/hardship`, {
+      method: 'POST',
+      body: form,
+    });
+  },
+
+  list: async (loanId: string) => {
+    return apiRequest<{ data: HardshipRequest[] }>(`/loans/${loanId}/hardship`);
+  },
+
+  pending: async () => {
+    return apiRequest<{ data: HardshipRequest[] }>('/loans/hardship/pending');
+  },
+
+  approve: async (loanId: string, requestId: string, note?: string) => {
+    return apiRequest<{ data: HardshipRequest }>(`/loans/${loanId}/hardship/${requestId}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  },
+
+  reject: async (loanId: string, requestId: string, reason: string) => {
+    return apiRequest<{ data: HardshipRequest }>(`/loans/${loanId}/hardship/${requestId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  downloadDocument: async (request: HardshipRequest) => {
+    return downloadFile(`/loans/${request.loanId}/hardship/${request.requestId}/document`, request.document.fileName);
+  },
+};
+
+// Collateral APIs
+export type CollateralType = 'gold' | 'land' | 'livestock';
+
+export const COLLATERAL_TYPE_LABELS: Record<CollateralType, string> = {
+  gold: 'Gold ornaments',
+  land: 'Land',
+  livestock: 'Livestock',
+};
+
+export interface Collateral {
+  collateralId: string;
+  type: CollateralType;
+  description?: string;
+  gold?: { ornament?: string; weightGrams: number; purityKarat: number };
+  land?: { surveyNumber: string; village?: string; district?: string; areaAcres: number };
+  livestock?: { species: string; count: number; tagNumbers: string[] };
+  valuation: { value: number; method: 'gold_rate' | 'declared'; ratePerGram?: number; valuedAt: string };
+  ltvPercent: number;
+  lendableValue: number;
+  document: { fileName: string; mimeType: string; size: number; sha256: string };
+  chain: { txHash?: string; blockNumber?: number; network?: string; recordedAt?: string };
+  status: 'registered' | 'pledged' | 'released';
+  loanId?: string;
+  createdAt: string;
+}
+
+export interface CollateralRegistration {
+  type: CollateralType;
+  description?: string;
+  declaredValue?: number;
+  ornament?: string;
+  weightGrams?: number;
+  purityKarat?: number;
+  surveyNumber?: string;
+  village?: string;
+  district?: string;
+  areaAcres?: number;
+  species?: string;
+  count?: number;
+  tagNumbers?: string;
+  document: File;
+}
+
+export const describeCollateral = (item: Collateral) => {
+  if (item.type === 'gold' && item.gold) return `${item.gold.ornament || 'Gold'} • ${item.gold.weightGrams}g, ${item.gold.purityKarat}K`;
+  if (item.type === 'land' && item.land) return `Survey no. ${item.land.surveyNumber} • ${item.land.areaAcres} acres`;
+  if (item.type === 'livestock' && item.livestock) return `${item.livestock.count} ${item.livestock.species}`;
+  return COLLATERAL_TYPE_LABELS[item.type];
+};
+
+export const collateralApi = {
+  register: async ({ document, ...fields }: CollateralRegistration) => {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== '') form.append(key, String(value));
+    }
+    form.append('document', document);
+
+    return apiRequest<{ data: Collateral }>('/collateral', {
+      method: 'POST',
+      body: form,
+    });
+  },
+
+  list: async () => {
+    return apiRequest<{ data: { items: Collateral[]; available: number; unsecuredLimit: number; goldRatePerGram: number } }>(
+      '/collateral'
+    );
+  },
+
+  forLoan: async (loanId: string) => {
+    return apiRequest<{ data: { items: Collateral[]; secured: number; amount: number } }>(`/loans/${loanId}/collateral`);
+  },
+
+  downloadDocument: async (item: Collateral) => {
+    return downloadFile(`/collateral/${item.collateralId}/document`, item.document.fileName);
+  },
+};
+
+// Guarantor and co-borrower APIs
+export type GuarantorRole = 'guarantor' | 'co_borrower';
+export type GuarantorRelationship = 'family' | 'shg_member' | 'other';
+
+export const GUARANTOR_ROLE_LABELS: Record<GuarantorRole, string> = {
+  guarantor: 'Guarantor',
+  co_borrower: 'Co-borrower',
+};
+
+export const GUARANTOR_RELATIONSHIP_LABELS: Record<GuarantorRelationship, string> = {
+  family: 'Family member',
+  shg_member: 'Self-help group member',
+  other: 'Other',
+};
+
+export interface LoanGuarantor {
+  guarantorId: string;
+  loanId: string;
+  borrowerId: string;
+  userId: string | { _id: string; fullName: string; phone: string };
+  role: GuarantorRole;
+  relationship: GuarantorRelationship;
+  liabilityPercent: number;
+  status: 'pending' | 'consented' | 'declined';
+  consent: { sentAt?: string; expiresAt?: string; consentedAt?: string; declinedAt?: string };
+  createdAt: string;
+}
+
+export interface GuaranteeObligation {
+  party: LoanGuarantor;
+  loan: { _id: string; status: string; amount: number; interestRate: number; duration: number; purpose: string };
+  repayment: {
+    outstandingAmount: number;
+    exposure: number;
+    paidInstallments: number;
+    totalInstallments: number;
+    nextDue: { number: number; dueDate: string; amount: number } | null;
+    overdueInstallments: number;
+    daysOverdue: number;
+  };
+}
+
+export const guarantorApi = {
+  list: async (loanId: string) => {
+    return apiRequest<{ data: LoanGuarantor[] }>(`/loans/${loanId}/guarantors`);
+  },
+
+  invite: async (
+    loanId: string,
+    invitation: { phone: string; role: GuarantorRole; relationship: GuarantorRelationship; liabilityPercent?: number }
+  ) => {
+    return apiRequest<{ data: LoanGuarantor }>(`/loans/${loanId}/guarantors`, {
+      method: 'POST',
+      body: JSON.stringify(invitation),
+    });
+  },
+
+  consent: async (loanId: string, guarantorId: string, code: string) => {
+    return apiRequest<{ data: LoanGuarantor }>(`/loans/${loanId}/guarantors/${guarantorId}/consent`, {
       method: 'POST',
+      body: JSON.stringify({ code }),
     });
   },
+
+  decline: async (loanId: string, guarantorId: string) => {
+    return apiRequest<{ data: LoanGuarantor }>(`/loans/${loanId}/guarantors/${guarantorId}/decline`, {
+      method: 'POST',
+    });
+  },
+
+  resend: async (loanId: string, guarantorId: string) => {
+    return apiRequest<{ data: LoanGuarantor }>(`/loans/${loanId}/guarantors/${guarantorId}/resend`, {
+      method: 'POST',
+    });
+  },
+
+  remove: async (loanId: string, guarantorId: string) => {
+    return apiRequest<{ data: LoanGuarantor }>(`/loans/${loanId}/guarantors/${guarantorId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  obligations: async () => {
+    return apiRequest<{ data: GuaranteeObligation[] }>('/loans/guarantees');
+  },
+};
+
+// Investment (auto-invest) APIs
+export interface InvestmentRule {
+  _id: string;
+  name: string;
+  active: boolean;
+  priority: number;
+  maxPerLoan: number;
+  monthlyBudget: number;
+  purposes: Array<'productive' | 'essential' | 'consumption' | 'other'>;
+  minDuration?: number;
+  maxDuration?: number;
+  minInterestRate?: number;
+  riskGrades: Array<'A' | 'B' | 'C' | 'D' | 'E'>;
+  spentThisMonth?: number;
+}
+
+export interface AutoInvestmentDecision {
+  _id: string;
+  loanId: { _id: string; amount: number; purpose: string; duration: number; interestRate: number; status: string } | null;
+  ruleName?: string;
+  decision: 'invested' | 'skipped' | 'not_allocated';
+  amount: number;
+  riskGrade?: string;
+  evaluations: Array<{
+    ruleName: string;
+    matched: boolean;
+    checks: Array<{ check: string; passed: boolean; detail: string }>;
+  }>;
+  createdAt: string;
+}
+
+export type InvestmentRuleInput = Omit<InvestmentRule, '_id' | 'spentThisMonth' | 'active' | 'priority'> & {
+  active?: boolean;
+  priority?: number;
+};
+
+export const investmentApi = {
+  getRules: async () => {
+    return apiRequest<{ data: InvestmentRule[] }>('/investments/rules');
+  },
+
+  createRule: async (rule: InvestmentRuleInput) => {
+    return apiRequest<{ data: InvestmentRule }>('/investments/rules', {
+      method: 'POST',
+      body: JSON.stringify(rule),
+    });
+  },
+
+  updateRule: async (ruleId: string, updates: Partial<InvestmentRuleInput>) => {
+    return apiRequest<{ data: InvestmentRule }>(`/investments/rules/${ruleId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  deleteRule: async (ruleId: string) => {
+    return apiRequest(`/investments/rules/${ruleId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getAutoInvestments: async (investedOnly = false) => {
+    return apiRequest<{ data: AutoInvestmentDecision[] }>(`/investments/auto-investments${investedOnly ? '?investedOnly=true' : ''}`);
+  },
 };
 
 // Analytics APIs
@@ -183,4 +986,12 @@ export const userApi = {
   getKycStatus: async () => {
     return apiRequest('/user/kyc');
   },
+
+  getRiskScore: async (userId: string, request?: { amount?: number; purpose?: string }) => {
+    const params = new URLSearchParams();
+    if (request?.amount) params.set('amount', String(request.amount));
+    if (request?.purpose) params.set('purpose', request.purpose);
+    const query = params.toString();
+    return apiRequest(`/users/${userId}/risk-score${query ? `?${query}` : ''}`);
+  },
 };
@@ -0,0 +1,30 @@
+// Who may do what, mirroring backend/utils/policies.js; change both together.
+// The server enforces these; here they only decide which pages and actions to offer.
+export type Role = "Borrower" | "Lender" | "Admin" | "Support";
+
+export const POLICIES = {
+  "loan:request": ["Borrower"],
+  "loan:repay": ["Borrower"],
+  "loan:fund": ["Lender"],
+  "loan:match": ["Lender", "Admin"],
+  "loan:match:any": ["Admin"],
+  "loan:browse": ["Lender", "Admin", "Support"],
+  "loan:read:any": ["Admin", "Support"],
+  "transaction:read:any": ["Admin", "Support"],
+  "notification:read:any": ["Admin", "Support"],
+  "notification:send": ["Admin"],
+  "notification:manage": ["Admin", "Support"],
+  "sync:any": ["Admin"],
+  "user:read:any": ["Admin", "Support"],
+  "risk_score:read:any": ["Lender", "Admin", "Support"],
+  "investment:manage": ["Lender"],
+  "collateral:register": ["Borrower"],
+  "document:validate": ["Lender", "Admin", "Support"],
+  "admin:console": ["Admin"],
+} satisfies Record<string, Role[]>;
+
+export type PolicyAction = keyof typeof POLICIES;
+
+export function can(role: Role | undefined, action: PolicyAction): boolean {
+  return !!role && (POLICIES[action] as Role[]).includes(role);
+}
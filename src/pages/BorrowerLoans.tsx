@@ -1,12 +1,52 @@
+import { useEffect, useState } from 'react';
 import { GlassCard } from '@/components/ui/glass-card';
 import { Badge } from '@/components/ui/badge';
-import { User, Calendar, DollarSign } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { User, FileText, LifeBuoy, Handshake, Users } from 'lucide-react';
+import { useAuth } from '@/contexts/AuthContext';
+import LoanDocuments from '@/components/LoanDocuments';
+import HardshipRelief from '@/components/HardshipRelief';
+import LoanOffers from '@/components/LoanOffers';
+import LoanGuarantors from '@/components/LoanGuarantors';
+import { loanApi } from '@/lib/api';
+
+interface BorrowerLoan {
+  _id: string;
+  amount: number;
+  interestRate: number;
+  duration: number;
+  purpose: string;
+  status: string;
+  repaidAmount?: number;
+  disbursedAt?: string;
+  createdAt: string;
+  installments?: Array<{ dueDate: string }>;
+}
+
+const OPEN_STATES = ['ACTIVE', 'PARTIALLY_REPAID', 'GRACE', 'DEFAULTED', 'RESTRUCTURED'];
+// Guarantors can be added or removed until disbursement
+const PRE_DISBURSEMENT_STATES = ['REQUESTED', 'APPROVED'];
+
+const formatDate = (date?: string) => (date ? new Date(date).toLocaleDateString() : '—');
 
 const BorrowerLoans = () => {
-  const borrowerLoans = [
-    { id: '1', amount: 25000, status: 'Active', startDate: '2024-01-15', dueDate: '2025-01-15', paid: 8000 },
-    { id: '2', amount: 15000, status: 'Completed', startDate: '2023-06-10', dueDate: '2024-06-10', paid: 15000 },
-  ];
+  const { user } = useAuth();
+  const [borrowerLoans, setBorrowerLoans] = useState<BorrowerLoan[]>([]);
+  const [documentsFor, setDocumentsFor] = useState<string | null>(null);
+  const [hardshipFor, setHardshipFor] = useState<string | null>(null);
+  const [offersFor, setOffersFor] = useState<string | null>(null);
+  const [guarantorsFor, setGuarantorsFor] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (user) fetchLoans(user.id);
+  }, [user]);
+
+  const fetchLoans = async (borrowerId: string) => {
+    const response = await loanApi.getBorrowerLoans(borrowerId);
+    if (response.success && response.data) {
+      setBorrowerLoans((response.data as { data: BorrowerLoan[] }).data);
+    }
+  };
 
   return (
     <div className="space-y-6">
@@ -20,17 +60,20 @@ const BorrowerLoans = () => {
           <User className="w-8 h-8 text-gold" />
         </div>
         <div>
-          <h3 className="text-xl font-semibold">Rajesh Kumar</h3>
-          <p className="text-muted-foreground">KYC Verified • Face Verified</p>
+          <h3 className="text-xl font-semibold">{user?.fullName}</h3>
+          <p className="text-muted-foreground">
+            {user?.kycVerified ? 'KYC Verified' : 'KYC Pending'} • {user?.faceVerified ? 'Face Verified' : 'Face Pending'}
+          </p>
         </div>
       </GlassCard>
 
       <div className="space-y-4">
+        {borrowerLoans.length === 0 && <p className="text-muted-foreground">No loans yet</p>}
         {borrowerLoans.map((loan) => (
-          <GlassCard key={loan.id}>
+          <GlassCard key={loan._id}>
             <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold">Loan #{loan.id}</h3>
-              <Badge className={loan.status === 'Active' ? 'bg-green-500/20 text-green-400' : 'bg-blue-500/20 text-blue-400'}>
+              <h3 className="text-lg font-semibold">{loan.purpose}</h3>
+              <Badge className={OPEN_STATES.includes(loan.status) ? 'bg-green-500/20 text-green-400' : 'bg-blue-500/20 text-blue-400'}>
                 {loan.status}
               </Badge>
             </div>
@@ -41,17 +84,64 @@ const BorrowerLoans = () => {
               </div>
               <div>
                 <p className="text-sm text-muted-foreground mb-1">Paid</p>
-                <p className="text-lg font-semibold">₹{loan.paid.toLocaleString()}</p>
+                <p className="text-lg font-semibold">₹{(loan.repaidAmount ?? 0).toLocaleString()}</p>
               </div>
               <div>
                 <p className="text-sm text-muted-foreground mb-1">Start Date</p>
-                <p className="font-medium">{loan.startDate}</p>
+                <p className="font-medium">{formatDate(loan.disbursedAt ?? loan.createdAt)}</p>
               </div>
               <div>
                 <p className="text-sm text-muted-foreground mb-1">Due Date</p>
-                <p className="font-medium">{loan.dueDate}</p>
+                <p className="font-medium">{formatDate(loan.installments?.[loan.installments.length - 1]?.dueDate)}</p>
               </div>
             </div>
+
+            {(PRE_DISBURSEMENT_STATES.includes(loan.status) || OPEN_STATES.includes(loan.status)) && (
+              <div className="mt-4 space-y-4">
+                <Button variant="outline" size="sm" onClick={() => setGuarantorsFor(guarantorsFor === loan._id ? null : loan._id)}>
+                  <Users className="w-4 h-4 mr-2" />
+                  {guarantorsFor === loan._id ? 'Hide guarantors' : 'Guarantors & co-borrowers'}
+                </Button>
+                {guarantorsFor === loan._id && (
+                  <LoanGuarantors loanId={loan._id} editable={PRE_DISBURSEMENT_STATES.includes(loan.status)} />
+                )}
+              </div>
+            )}
+
+            {loan.status === 'REQUESTED' && (
+              <div className="mt-4 space-y-4">
+                <Button variant="outline" size="sm" onClick={() => setOffersFor(offersFor === loan._id ? null : loan._id)}>
+                  <Handshake className="w-4 h-4 mr-2" />
+                  {offersFor === loan._id ? 'Hide offers' : 'Lender offers'}
+                </Button>
+                {offersFor === loan._id && (
+                  <LoanOffers
+                    loanId={loan._id}
+                    terms={{ amount: loan.amount, interestRate: loan.interestRate, duration: loan.duration }}
+                    onAccepted={() => user && fetchLoans(user.id)}
+                  />
+                )}
+              </div>
+            )}
+
+            {loan.disbursedAt && (
+              <div className="mt-4 space-y-4">
+                <div className="flex flex-wrap gap-2">
+                  <Button variant="outline" size="sm" onClick={() => setDocumentsFor(documentsFor === loan._id ? null : loan._id)}>
+                    <FileText className="w-4 h-4 mr-2" />
+                    {documentsFor === loan._id ? 'Hide receipts & statement' : 'Receipts & statement'}
+                  </Button>
+                  {OPEN_STATES.includes(loan.status) && (
+                    <Button variant="outline" size="sm" onClick={() => setHardshipFor(hardshipFor === loan._id ? null : loan._id)}>
+                      <LifeBuoy className="w-4 h-4 mr-2" />
+                      {hardshipFor === loan._id ? 'Hide hardship relief' : 'Hardship relief'}
+                    </Button>
+                  )}
+                </div>
+                {documentsFor === loan._id && <LoanDocuments loanId={loan._id} />}
+                {hardshipFor === loan._id && <HardshipRelief loanId={loan._id} />}
+              </div>
+            )}
           </GlassCard>
         ))}
       </div>
@@ -2,8 +2,12 @@ import { GlassCard } from '@/components/ui/glass-card';
 import { TrendingUp, Users, DollarSign, AlertCircle } from 'lucide-react';
 import { motion } from 'framer-motion';
 import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { useAuth } from '@/contexts/AuthContext';
+import HardshipReviews from '@/components/HardshipReviews';
+import GuaranteeObligations from '@/components/GuaranteeObligations';
 
 const Dashboard = () => {
+  const { user } = useAuth();
   const stats = [
     { label: 'Total Active Loans', value: '₹1,24,500', change: '+12.5%', icon: DollarSign, color: 'text-gold' },
     { label: 'Active Borrowers', value: '48', change: '+8.2%', icon: Users, color: 'text-blue-400' },
@@ -36,6 +40,9 @@ const Dashboard = () => {
         <p className="text-muted-foreground">Welcome to your RuralConnect overview</p>
       </div>
 
+      {user?.role === 'Lender' && <HardshipReviews />}
+      <GuaranteeObligations />
+
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {stats.map((stat, index) => (
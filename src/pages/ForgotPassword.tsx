@@ -0,0 +1,191 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { GlassCard } from '@/components/ui/glass-card';
+import { Link, useNavigate } from 'react-router-dom';
+import { ArrowLeft, KeyRound } from 'lucide-react';
+import { motion } from 'framer-motion';
+import { toast } from 'sonner';
+import { authApi, OTP_RESEND_SECONDS, PASSWORD_HINT, type AccountLookup } from '@/lib/api';
+import { useCountdown } from '@/hooks/use-countdown';
+
+// A 10-digit entry is the registered phone number, anything else a unique ID
+const lookupFor = (identifier: string): AccountLookup =>
+  /^\d{10}$/.test(identifier.trim()) ? { phone: identifier.trim() } : { uniqueId: identifier.trim() };
+
+const ForgotPassword = () => {
+  const [identifier, setIdentifier] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [otp, setOtp] = useState('');
+  const [resetToken, setResetToken] = useState<string | null>(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const resend = useCountdown();
+  const navigate = useNavigate();
+
+  const handleSendCode = async (e?: React.FormEvent) => {
+    e?.preventDefault();
+    setLoading(true);
+    const response = await authApi.forgotPassword(lookupFor(identifier));
+    setLoading(false);
+
+    if (!response.success) {
+      toast.error(response.error || 'Could not send a reset code');
+      return;
+    }
+    setCodeSent(true);
+    resend.start(response.data?.data.resendAfterSeconds ?? OTP_RESEND_SECONDS);
+    toast.success('If the account exists, a reset code has been sent to its phone');
+  };
+
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    const response = await authApi.verifyPasswordReset(lookupFor(identifier), otp);
+    setLoading(false);
+
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'OTP verification failed');
+      return;
+    }
+    setResetToken(response.data.data.resetToken);
+  };
+
+  const handleReset = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!resetToken) return;
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const response = await authApi.resetPassword(resetToken, password);
+    setLoading(false);
+
+    if (!response.success) {
+      toast.error(response.error || 'Could not change the password');
+      return;
+    }
+    toast.success('Password changed. Sign in with your new password.');
+    navigate('/login');
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6 relative overflow-hidden">
+      <div className="absolute inset-0">
+        <div className="absolute w-96 h-96 bg-gold/10 rounded-full blur-3xl top-0 right-0 animate-float" />
+        <div className="absolute w-96 h-96 bg-gold/5 rounded-full blur-3xl bottom-0 left-0 animate-float" style={{ animationDelay: '2s' }} />
+      </div>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="w-full max-w-md relative z-10"
+      >
+        <Link to="/login" className="inline-flex items-center gap-2 text-muted-foreground hover:text-foreground mb-6 transition-colors">
+          <ArrowLeft className="w-4 h-4" />
+          Back to login
+        </Link>
+
+        <GlassCard className="space-y-6">
+          <div className="text-center space-y-2">
+            <div className="w-16 h-16 mx-auto rounded-full bg-gold-gradient flex items-center justify-center mb-4">
+              <KeyRound className="w-8 h-8 text-background" />
+            </div>
+            <h1 className="text-3xl font-bold text-gold-gradient">Reset Password</h1>
+            <p className="text-muted-foreground">
+              {resetToken ? 'Choose a new password' : 'We will text a reset code to your registered phone'}
+            </p>
+          </div>
+
+          {!codeSent ? (
+            <form onSubmit={handleSendCode} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="identifier">Unique ID or phone number</Label>
+                <Input
+                  id="identifier"
+                  value={identifier}
+                  onChange={(e) => setIdentifier(e.target.value)}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+              </div>
+              <Button
+                type="submit"
+                className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+                disabled={!identifier || loading}
+              >
+                Send reset code
+              </Button>
+            </form>
+          ) : !resetToken ? (
+            <form onSubmit={handleVerify} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="otp">Code from SMS</Label>
+                <Input
+                  id="otp"
+                  inputMode="numeric"
+                  maxLength={6}
+                  placeholder="123456"
+                  value={otp}
+                  onChange={(e) => setOtp(e.target.value)}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+              </div>
+              <Button
+                type="submit"
+                className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+                disabled={loading}
+              >
+                Verify code
+              </Button>
+              <Button type="button" variant="outline" className="w-full" onClick={() => handleSendCode()} disabled={resend.seconds > 0}>
+                {resend.seconds > 0 ? `Resend code in ${resend.seconds}s` : 'Resend code'}
+              </Button>
+            </form>
+          ) : (
+            <form onSubmit={handleReset} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="password">New password</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+                <p className="text-xs text-muted-foreground">{PASSWORD_HINT}</p>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword">Confirm new password</Label>
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+              </div>
+              <Button
+                type="submit"
+                className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+                disabled={loading}
+              >
+                Change password
+              </Button>
+            </form>
+          )}
+        </GlassCard>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
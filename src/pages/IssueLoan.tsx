@@ -1,12 +1,13 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
 import { GlassCard } from '@/components/ui/glass-card';
-import { loanApi } from '@/lib/api';
+import CollateralRegistry from '@/components/CollateralRegistry';
+import { collateralApi, loanApi, type Collateral } from '@/lib/api';
 import { toast } from 'sonner';
-import { DollarSign, Calendar, Percent, FileText } from 'lucide-react';
+import { DollarSign, Calendar, Percent, FileText, ShieldCheck } from 'lucide-react';
 
 const IssueLoan = () => {
   const [formData, setFormData] = useState({
@@ -15,8 +16,30 @@ const IssueLoan = () => {
     interestRate: '',
     purpose: '',
   });
+  const [collateral, setCollateral] = useState<Collateral[]>([]);
+  const [unsecuredLimit, setUnsecuredLimit] = useState(0);
+  const [goldRatePerGram, setGoldRatePerGram] = useState(0);
+  const [collateralIds, setCollateralIds] = useState<string[]>([]);
   const [loading, setLoading] = useState(false);
 
+  useEffect(() => {
+    fetchCollateral();
+  }, []);
+
+  const fetchCollateral = async () => {
+    const response = await collateralApi.list();
+    if (response.success && response.data) {
+      setCollateral(response.data.data.items);
+      setUnsecuredLimit(response.data.data.unsecuredLimit);
+      setGoldRatePerGram(response.data.data.goldRatePerGram);
+    }
+  };
+
+  // The request can't exceed what the pledged items secure at their loan-to-value
+  const maxAmount = collateral
+    .filter((item) => collateralIds.includes(item.collateralId))
+    .reduce((sum, item) => sum + item.lendableValue, unsecuredLimit);
+
   const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
@@ -28,6 +51,10 @@ const IssueLoan = () => {
       toast.error('Please fill in all fields');
       return;
     }
+    if (parseFloat(formData.amount) > maxAmount) {
+      toast.error(`Pledge more collateral: the selected items secure up to ₹${maxAmount.toLocaleString()}`);
+      return;
+    }
 
     setLoading(true);
     const response = await loanApi.create({
@@ -35,12 +62,15 @@ const IssueLoan = () => {
       duration: parseInt(formData.duration),
       interestRate: parseFloat(formData.interestRate),
       purpose: formData.purpose,
+      collateralIds,
     });
     setLoading(false);
 
     if (response.success) {
       toast.success('Loan request submitted successfully!');
       setFormData({ amount: '', duration: '', interestRate: '', purpose: '' });
+      setCollateralIds([]);
+      fetchCollateral();
     } else {
       toast.error(response.error || 'Failed to submit loan request');
     }
@@ -53,6 +83,20 @@ const IssueLoan = () => {
         <p className="text-muted-foreground">Create a new loan request for borrowers</p>
       </div>
 
+      <GlassCard>
+        <h2 className="font-semibold flex items-center gap-2 mb-4">
+          <ShieldCheck className="w-4 h-4 text-gold" />
+          Collateral
+        </h2>
+        <CollateralRegistry
+          items={collateral}
+          goldRatePerGram={goldRatePerGram}
+          selected={collateralIds}
+          onSelect={setCollateralIds}
+          onRegistered={fetchCollateral}
+        />
+      </GlassCard>
+
       <GlassCard>
         <form onSubmit={handleSubmit} className="space-y-6">
           <div className="space-y-2">
@@ -70,6 +114,9 @@ const IssueLoan = () => {
               className="glass-panel border-glass-border focus:border-gold"
               required
             />
+            <p className="text-xs text-muted-foreground">
+              Up to ₹{maxAmount.toLocaleString()} against the selected collateral
+            </p>
           </div>
 
           <div className="grid grid-cols-2 gap-4">
@@ -1,31 +1,147 @@
+import { useEffect, useState } from "react";
 import { GlassCard } from "@/components/ui/glass-card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
-import { DollarSign, CreditCard, Wallet } from "lucide-react";
-import { loanApi } from "@/lib/api";
+import { Input } from "@/components/ui/input";
+import { DollarSign, CreditCard, Wallet, Bot, ListChecks, Handshake } from "lucide-react";
+import { toast } from "sonner";
+import LoanOffers from "@/components/LoanOffers";
+import { useAuth } from "@/contexts/AuthContext";
+import {
+  loanApi,
+  investmentApi,
+  paymentApi,
+  type InvestmentRule,
+  type InvestmentRuleInput,
+  type AutoInvestmentDecision,
+} from "@/lib/api";
+
+interface Opportunity {
+  _id: string;
+  borrowerId?: { fullName: string };
+  amount: number;
+  fundedAmount?: number;
+  lenders?: Array<{ lenderId: string }>;
+  status: string;
+  interestRate: number;
+  duration: number;
+  purpose: string;
+}
+
+const PURPOSES: InvestmentRule["purposes"] = ["productive", "essential", "consumption", "other"];
+const GRADES: InvestmentRule["riskGrades"] = ["A", "B", "C", "D", "E"];
+
+const emptyRule = {
+  name: "",
+  maxPerLoan: "",
+  monthlyBudget: "",
+  minInterestRate: "",
+  maxDuration: "",
+  purposes: [] as InvestmentRule["purposes"],
+  riskGrades: [] as InvestmentRule["riskGrades"],
+};
+
+const toggle = <T,>(list: T[], value: T) =>
+  list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
 
 const LenderCenter = () => {
-  const opportunities = [
-    {
-      id: "REQ-201",
-      borrower: "Amit Patel",
-      amount: 20000,
-      rate: 9.0,
-      duration: 12,
-    },
-    {
-      id: "REQ-225",
-      borrower: "Sunita Reddy",
-      amount: 15000,
-      rate: 8.5,
-      duration: 10,
-    },
-  ];
+  const { user } = useAuth();
+  const [opportunities, setOpportunities] = useState<Opportunity[]>([]);
+  const [rules, setRules] = useState<InvestmentRule[]>([]);
+  const [decisions, setDecisions] = useState<AutoInvestmentDecision[]>([]);
+  const [form, setForm] = useState(emptyRule);
+  const [negotiating, setNegotiating] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchOpportunities(user?.id);
+    fetchRules();
+    fetchDecisions();
+  }, [user]);
+
+  // Open requests, plus approved loans this lender committed to (such as accepted offers) awaiting their deposit
+  const fetchOpportunities = async (lenderId?: string) => {
+    const [requested, approved] = await Promise.all([
+      loanApi.getAll({ status: "REQUESTED" }),
+      loanApi.getAll({ status: "APPROVED" }),
+    ]);
+    const list = (response: typeof requested) =>
+      response.success && response.data ? (response.data as { data: Opportunity[] }).data : [];
+    setOpportunities([
+      ...list(requested),
+      ...list(approved).filter((loan) => loan.lenders?.some((position) => position.lenderId === lenderId)),
+    ]);
+  };
+
+  const fetchRules = async () => {
+    const response = await investmentApi.getRules();
+    if (response.success && response.data) setRules(response.data.data);
+  };
+
+  const fetchDecisions = async () => {
+    const response = await investmentApi.getAutoInvestments();
+    if (response.success && response.data) setDecisions(response.data.data);
+  };
 
   const handleFund = async (loanId: string) => {
-    await loanApi.fund(loanId);
+    const response = await loanApi.fund(loanId);
+    if (!response.success || !response.data) {
+      toast.error(response.error || "Funding failed");
+      return;
+    }
+
+    // The mock gateway hands back a completed checkout, so offline deposits settle immediately
+    const { transactionId, checkout } = response.data.data;
+    if (checkout?.simulate) {
+      const confirmed = await paymentApi.confirm({ ...checkout.simulate, transactionId });
+      if (!confirmed.success) {
+        toast.error(confirmed.error || "Escrow deposit failed");
+        return;
+      }
+      toast.success("Deposit held in escrow");
+    } else {
+      toast.success("Funding recorded. Complete the payment to move it into escrow.");
+    }
+    fetchOpportunities(user?.id);
   };
 
+  const handleSaveRule = async () => {
+    const rule: InvestmentRuleInput = {
+      name: form.name,
+      maxPerLoan: Number(form.maxPerLoan),
+      monthlyBudget: Number(form.monthlyBudget),
+      minInterestRate: form.minInterestRate ? Number(form.minInterestRate) : undefined,
+      maxDuration: form.maxDuration ? Number(form.maxDuration) : undefined,
+      purposes: form.purposes,
+      riskGrades: form.riskGrades,
+    };
+    const response = await investmentApi.createRule(rule);
+    if (!response.success) {
+      toast.error(response.error || "Could not save rule");
+      return;
+    }
+    toast.success("Auto-invest rule saved");
+    setForm(emptyRule);
+    fetchRules();
+  };
+
+  const handleToggleRule = async (rule: InvestmentRule) => {
+    const response = await investmentApi.updateRule(rule._id, { active: !rule.active });
+    if (response.success) fetchRules();
+  };
+
+  const describeRule = (rule: InvestmentRule) =>
+    [
+      `max ₹${rule.maxPerLoan.toLocaleString()}/loan`,
+      rule.minInterestRate ? `≥ ${rule.minInterestRate}%` : null,
+      rule.minDuration || rule.maxDuration
+        ? `${rule.minDuration ?? 1}-${rule.maxDuration ?? "∞"}m`
+        : null,
+      rule.purposes.length ? rule.purposes.join("/") : null,
+      rule.riskGrades.length ? `grade ${rule.riskGrades.join("")}` : null,
+    ]
+      .filter(Boolean)
+      .join(" • ");
+
   return (
     <div className="space-y-6">
       <div>
@@ -42,28 +158,181 @@ const LenderCenter = () => {
           <DollarSign className="w-5 h-5 text-gold" /> Opportunities
         </h3>
         <div className="space-y-3">
+          {opportunities.length === 0 && (
+            <p className="text-sm text-muted-foreground">No open loan requests.</p>
+          )}
           {opportunities.map((op) => (
-            <div key={op.id} className="flex items-center justify-between">
+            <div key={op._id} className="space-y-3">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-semibold">{op.borrowerId?.fullName ?? "Borrower"}</p>
+                  <p className="text-sm text-muted-foreground">
+                    {op.duration}m • {op.interestRate}% • {op.purpose}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  <Badge className="bg-gold/20 text-gold">
+                    ₹{(op.fundedAmount ?? 0).toLocaleString()} / ₹{op.amount.toLocaleString()}
+                  </Badge>
+                  {op.status === "REQUESTED" && (
+                    <Button
+                      variant="outline"
+                      onClick={() => setNegotiating(negotiating === op._id ? null : op._id)}
+                    >
+                      <Handshake className="w-4 h-4 mr-2" /> Negotiate
+                    </Button>
+                  )}
+                  <Button
+                    className="bg-gold-gradient text-background"
+                    onClick={() => handleFund(op._id)}
+                  >
+                    Fund
+                  </Button>
+                </div>
+              </div>
+              {negotiating === op._id && (
+                <LoanOffers
+                  loanId={op._id}
+                  terms={{ amount: op.amount, interestRate: op.interestRate, duration: op.duration }}
+                  onAccepted={() => fetchOpportunities(user?.id)}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      </GlassCard>
+
+      <GlassCard className="p-6">
+        <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+          <ListChecks className="w-5 h-5 text-gold" /> Auto-invest Rules
+        </h3>
+        <div className="space-y-3 mb-6">
+          {rules.length === 0 && (
+            <p className="text-sm text-muted-foreground">
+              No rules yet. New loan requests matching a rule are funded automatically.
+            </p>
+          )}
+          {rules.map((rule) => (
+            <div key={rule._id} className="flex items-center justify-between">
               <div>
-                <p className="font-semibold">{op.borrower}</p>
-                <p className="text-sm text-muted-foreground">
-                  {op.duration}m • {op.rate}% • ID {op.id}
-                </p>
+                <p className="font-semibold">{rule.name}</p>
+                <p className="text-sm text-muted-foreground">{describeRule(rule)}</p>
               </div>
               <div className="flex items-center gap-3">
                 <Badge className="bg-gold/20 text-gold">
-                  ₹{op.amount.toLocaleString()}
+                  ₹{(rule.spentThisMonth ?? 0).toLocaleString()} / ₹{rule.monthlyBudget.toLocaleString()} this month
                 </Badge>
-                <Button
-                  className="bg-gold-gradient text-background"
-                  onClick={() => handleFund(op.id)}
-                >
-                  Fund
+                <Button variant="outline" size="sm" onClick={() => handleToggleRule(rule)}>
+                  {rule.active ? "Pause" : "Resume"}
                 </Button>
               </div>
             </div>
           ))}
         </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <Input
+            placeholder="Rule name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+          />
+          <Input
+            type="number"
+            placeholder="Max per loan (₹)"
+            value={form.maxPerLoan}
+            onChange={(e) => setForm({ ...form, maxPerLoan: e.target.value })}
+          />
+          <Input
+            type="number"
+            placeholder="Monthly budget (₹)"
+            value={form.monthlyBudget}
+            onChange={(e) => setForm({ ...form, monthlyBudget: e.target.value })}
+          />
+          <Input
+            type="number"
+            placeholder="Min rate (%)"
+            value={form.minInterestRate}
+            onChange={(e) => setForm({ ...form, minInterestRate: e.target.value })}
+          />
+          <Input
+            type="number"
+            placeholder="Max duration (months)"
+            value={form.maxDuration}
+            onChange={(e) => setForm({ ...form, maxDuration: e.target.value })}
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-2 mt-3">
+          {PURPOSES.map((purpose) => (
+            <Button
+              key={purpose}
+              variant="outline"
+              size="sm"
+              className={form.purposes.includes(purpose) ? "bg-gold/20 border-gold/50 text-gold" : ""}
+              onClick={() => setForm({ ...form, purposes: toggle(form.purposes, purpose) })}
+            >
+              {purpose}
+            </Button>
+          ))}
+          {GRADES.map((grade) => (
+            <Button
+              key={grade}
+              variant="outline"
+              size="sm"
+              className={form.riskGrades.includes(grade) ? "bg-gold/20 border-gold/50 text-gold" : ""}
+              onClick={() => setForm({ ...form, riskGrades: toggle(form.riskGrades, grade) })}
+            >
+              Grade {grade}
+            </Button>
+          ))}
+          <Button
+            className="bg-gold-gradient text-background ml-auto"
+            disabled={!form.name || !form.maxPerLoan || !form.monthlyBudget}
+            onClick={handleSaveRule}
+          >
+            Save Rule
+          </Button>
+        </div>
+      </GlassCard>
+
+      <GlassCard className="p-6">
+        <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+          <Bot className="w-5 h-5 text-gold" /> Auto-investments
+        </h3>
+        <div className="space-y-3">
+          {decisions.length === 0 && (
+            <p className="text-sm text-muted-foreground">No auto-invest decisions yet.</p>
+          )}
+          {decisions.map((d) => (
+            <div key={d._id} className="flex items-center justify-between">
+              <div>
+                <p className="font-semibold">
+                  {d.loanId ? `₹${d.loanId.amount.toLocaleString()} • ${d.loanId.purpose}` : "Loan removed"}
+                </p>
+                <p className="text-sm text-muted-foreground">
+                  {d.decision === "skipped"
+                    ? `No rule matched: ${d.evaluations
+                        .flatMap((e) => e.checks.filter((c) => !c.passed).map((c) => c.check))
+                        .join(", ")}`
+                    : `Rule "${d.ruleName}"${d.riskGrade ? ` • grade ${d.riskGrade}` : ""}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <Badge
+                  className={
+                    d.decision === "invested"
+                      ? "bg-green-500/20 text-green-400"
+                      : "bg-gray-500/20 text-gray-400"
+                  }
+                >
+                  {d.decision === "invested" ? `₹${d.amount.toLocaleString()}` : d.decision.replace("_", " ")}
+                </Badge>
+                <span className="text-sm text-muted-foreground">
+                  {new Date(d.createdAt).toLocaleDateString()}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
       </GlassCard>
 
       <GlassCard className="p-6">
@@ -5,10 +5,11 @@ import { Label } from "@/components/ui/label";
 import { GlassCard } from "@/components/ui/glass-card";
 import { useAuth } from "@/contexts/AuthContext";
 import { useNavigate, Link } from "react-router-dom";
-import { LogIn, User, Lock, ArrowLeft } from "lucide-react";
+import { LogIn, User, Lock, ArrowLeft, ShieldCheck } from "lucide-react";
 import { motion } from "framer-motion";
 import { toast } from "sonner";
-import { tokenManager } from "@/lib/api";
+import { authApi, needsSecondFactor, tokenManager, type SignedInSession } from "@/lib/api";
+import OtpLogin from "@/components/OtpLogin";
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -16,6 +17,10 @@ const Login = () => {
     password: "",
   });
   const [loading, setLoading] = useState(false);
+  const [withOtp, setWithOtp] = useState(false);
+  // Set once the password is accepted for an account that also needs the code texted to it
+  const [mfaToken, setMfaToken] = useState<string | null>(null);
+  const [mfaCode, setMfaCode] = useState("");
   const { login } = useAuth();
   const navigate = useNavigate();
 
@@ -23,6 +28,12 @@ const Login = () => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const handleSession = (session: SignedInSession) => {
+    tokenManager.setSession(session);
+    toast.success("Login successful!");
+    navigate("/dashboard");
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -33,34 +44,37 @@ const Login = () => {
 
     setLoading(true);
 
-    try {
-      const response = await fetch("/api/auth/login", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(formData),
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        // Backend returns { success, data: { token, user } }
-        const token = data?.data?.token ?? data?.token;
-        if (!token) {
-          throw new Error("Missing token in response");
-        }
-        tokenManager.set(token);
-        toast.success("Login successful!");
-        navigate("/dashboard");
+    const response = await authApi.login(formData);
+    if (response.success && response.data) {
+      const result = response.data.data;
+      if (needsSecondFactor(result)) {
+        setMfaToken(result.mfaToken);
+        toast.success("Enter the code sent to your phone");
       } else {
-        toast.error(data.error || "Login failed");
+        handleSession(result);
       }
-    } catch (error) {
-      toast.error("Login error");
+    } else {
+      toast.error(response.error || "Login failed");
     }
 
     setLoading(false);
   };
 
+  const handleSecondFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!mfaToken) return;
+
+    setLoading(true);
+    const response = await authApi.completeSecondFactor(mfaToken, mfaCode);
+    setLoading(false);
+
+    if (response.success && response.data) {
+      handleSession(response.data.data);
+    } else {
+      toast.error(response.error || "Code verification failed");
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center p-6 relative overflow-hidden">
       {/* Background Effects */}
@@ -93,55 +107,98 @@ const Login = () => {
             </div>
             <h1 className="text-3xl font-bold text-gold-gradient">Login</h1>
             <p className="text-muted-foreground">
-              Enter your unique ID and password
+              {mfaToken
+                ? "Enter the code sent to your phone to finish signing in"
+                : withOtp ? "Sign in with a code sent to your phone" : "Enter your unique ID and password"}
             </p>
           </div>
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="space-y-2">
-              <Label htmlFor="uniqueId" className="flex items-center gap-2">
-                <User className="w-4 h-4 text-gold" />
-                Unique ID
-              </Label>
-              <Input
-                id="uniqueId"
-                name="uniqueId"
-                placeholder="Enter your unique ID"
-                value={formData.uniqueId}
-                onChange={handleChange}
-                className="glass-panel border-glass-border focus:border-gold"
-                required
-              />
-            </div>
-
-            <div className="space-y-2">
-              <Label htmlFor="password" className="flex items-center gap-2">
-                <Lock className="w-4 h-4 text-gold" />
-                Password
-              </Label>
-              <Input
-                id="password"
-                name="password"
-                type="password"
-                placeholder="Enter your password"
-                value={formData.password}
-                onChange={handleChange}
-                className="glass-panel border-glass-border focus:border-gold"
-                required
-              />
-            </div>
-
-            <Button
-              type="submit"
-              className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
-              disabled={loading}
-            >
-              {loading ? "Signing in..." : "Sign In"}
-            </Button>
-          </form>
+          {mfaToken ? (
+            <form onSubmit={handleSecondFactor} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="mfaCode" className="flex items-center gap-2">
+                  <ShieldCheck className="w-4 h-4 text-gold" />
+                  Code from SMS
+                </Label>
+                <Input
+                  id="mfaCode"
+                  inputMode="numeric"
+                  maxLength={6}
+                  placeholder="123456"
+                  value={mfaCode}
+                  onChange={(e) => setMfaCode(e.target.value)}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+              </div>
+              <Button
+                type="submit"
+                className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+                disabled={loading}
+              >
+                {loading ? "Verifying..." : "Verify and sign in"}
+              </Button>
+            </form>
+          ) : withOtp ? (
+            <OtpLogin onSession={handleSession} />
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="uniqueId" className="flex items-center gap-2">
+                  <User className="w-4 h-4 text-gold" />
+                  Unique ID
+                </Label>
+                <Input
+                  id="uniqueId"
+                  name="uniqueId"
+                  placeholder="Enter your unique ID"
+                  value={formData.uniqueId}
+                  onChange={handleChange}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="password" className="flex items-center gap-2">
+                  <Lock className="w-4 h-4 text-gold" />
+                  Password
+                </Label>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  placeholder="Enter your password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+                disabled={loading}
+              >
+                {loading ? "Signing in..." : "Sign In"}
+              </Button>
+            </form>
+          )}
+
+          <button
+            type="button"
+            onClick={() => setWithOtp(!withOtp)}
+            className="w-full text-center text-sm text-gold hover:underline"
+          >
+            {withOtp ? "Use unique ID and password instead" : "Sign in with a code sent to your phone"}
+          </button>
 
           <p className="text-center text-sm text-muted-foreground">
-            Complete signup process to get your unique ID and password.
+            Complete signup process to get your unique ID and password.{" "}
+            <Link to="/forgot-password" className="text-gold hover:underline">
+              Forgot password?
+            </Link>
           </p>
         </GlassCard>
       </motion.div>
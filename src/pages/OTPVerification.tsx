@@ -8,13 +8,20 @@ import { ArrowLeft, CheckCircle, Copy } from 'lucide-react';
 import { motion } from 'framer-motion';
 import { toast } from 'sonner';
 import { Link } from 'react-router-dom';
+import { authApi, OTP_RESEND_SECONDS, PASSWORD_HINT } from '@/lib/api';
+import { useCountdown } from '@/hooks/use-countdown';
 
 const OTPVerification = () => {
   const [otp, setOtp] = useState('');
   const [loading, setLoading] = useState(false);
-  const [verified, setVerified] = useState(false);
-  const [credentials, setCredentials] = useState<{ uniqueId: string; password: string } | null>(null);
+  // One-time token from verifying the OTP, for choosing a password
+  const [setupToken, setSetupToken] = useState<string | null>(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [uniqueId, setUniqueId] = useState<string | null>(null);
   const navigate = useNavigate();
+  // A code was just sent by face verification
+  const resend = useCountdown(OTP_RESEND_SECONDS);
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -28,37 +35,19 @@ const OTPVerification = () => {
 
     try {
       const userEmail = localStorage.getItem('userEmail') || '';
-      
-      const response = await fetch('/api/auth/verify-otp', {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json',
-          'x-user-email': userEmail
-        },
-        body: JSON.stringify({ otp }),
-      });
-
-      const data = await response.json();
-      if (data.success) {
-        // Generate unique ID and password
-        const uniqueId = `UID-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const password = `PWD-${Math.random().toString(36).substr(2, 9)}`;
-
-        setCredentials({ uniqueId, password });
-        setVerified(true);
-        toast.success('OTP verified! Your credentials are generated.');
-
-        // Save to backend
-        await fetch('/api/auth/generate-credentials', {
-          method: 'POST',
-          headers: { 
-            'Content-Type': 'application/json',
-            'x-user-email': userEmail
-          },
-          body: JSON.stringify({ uniqueId, password }),
-        });
+
+      const response = await authApi.verifyOtp(userEmail, otp);
+      if (response.success) {
+        const token = response.data?.data.setupToken;
+        if (token) {
+          setSetupToken(token);
+          toast.success('OTP verified! Now choose a password.');
+        } else {
+          toast.success('Phone verified. You already have credentials; please log in.');
+          navigate('/login');
+        }
       } else {
-        toast.error(data.error || 'OTP verification failed');
+        toast.error(response.error || 'OTP verification failed');
       }
     } catch (error) {
       console.error('OTP verification error:', error);
@@ -68,6 +57,36 @@ const OTPVerification = () => {
     setLoading(false);
   };
 
+  const handleCreateCredentials = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!setupToken) return;
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const response = await authApi.createCredentials(setupToken, password);
+    setLoading(false);
+
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Could not create your account');
+      return;
+    }
+    setUniqueId(response.data.data.uniqueId);
+    toast.success('Account created! Your unique ID has also been sent by SMS.');
+  };
+
+  const handleResend = async () => {
+    const response = await authApi.sendOtp({ email: localStorage.getItem('userEmail') || '', purpose: 'signup' });
+    if (!response.success) {
+      toast.error(response.error || 'Could not send a new OTP');
+      return;
+    }
+    resend.start(response.data?.data.resendAfterSeconds ?? OTP_RESEND_SECONDS);
+    toast.success('A new OTP has been sent to your phone');
+  };
+
   const copyToClipboard = (text: string) => {
     navigator.clipboard.writeText(text);
     toast.success('Copied to clipboard!');
@@ -100,7 +119,7 @@ const OTPVerification = () => {
             <p className="text-muted-foreground">Enter the OTP sent to your phone</p>
           </div>
 
-          {!verified ? (
+          {!setupToken ? (
             <form onSubmit={handleSubmit} className="space-y-4">
               <div className="space-y-2">
                 <Label htmlFor="otp">OTP</Label>
@@ -122,33 +141,57 @@ const OTPVerification = () => {
               >
                 {loading ? 'Verifying...' : 'Verify OTP'}
               </Button>
+              <Button type="button" variant="outline" className="w-full" onClick={handleResend} disabled={resend.seconds > 0}>
+                {resend.seconds > 0 ? `Resend OTP in ${resend.seconds}s` : 'Resend OTP'}
+              </Button>
+            </form>
+          ) : !uniqueId ? (
+            <form onSubmit={handleCreateCredentials} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="password">Choose a password</Label>
+                <Input
+                  id="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+                <p className="text-xs text-muted-foreground">{PASSWORD_HINT}</p>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="confirmPassword">Confirm password</Label>
+                <Input
+                  id="confirmPassword"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className="glass-panel border-glass-border focus:border-gold"
+                  required
+                />
+              </div>
+              <Button
+                type="submit"
+                className="w-full bg-gold-gradient hover:opacity-90 text-background font-semibold"
+                disabled={loading}
+              >
+                {loading ? 'Creating account...' : 'Create account'}
+              </Button>
             </form>
           ) : (
             <div className="space-y-4">
               <div className="text-center">
-                <h2 className="text-xl font-bold text-gold">Your Credentials</h2>
-                <p className="text-muted-foreground">Save these for login</p>
+                <h2 className="text-xl font-bold text-gold">Your Unique ID</h2>
+                <p className="text-muted-foreground">Log in with it and the password you chose</p>
               </div>
 
-              <div className="space-y-3">
-                <div className="glass-panel p-3 rounded-lg">
-                  <Label className="text-sm text-muted-foreground">Unique ID</Label>
-                  <div className="flex items-center justify-between">
-                    <span className="font-mono text-sm">{credentials?.uniqueId}</span>
-                    <Button size="sm" variant="outline" onClick={() => copyToClipboard(credentials?.uniqueId || '')}>
-                      <Copy className="w-4 h-4" />
-                    </Button>
-                  </div>
-                </div>
-
-                <div className="glass-panel p-3 rounded-lg">
-                  <Label className="text-sm text-muted-foreground">Password</Label>
-                  <div className="flex items-center justify-between">
-                    <span className="font-mono text-sm">{credentials?.password}</span>
-                    <Button size="sm" variant="outline" onClick={() => copyToClipboard(credentials?.password || '')}>
-                      <Copy className="w-4 h-4" />
-                    </Button>
-                  </div>
+              <div className="glass-panel p-3 rounded-lg">
+                <Label className="text-sm text-muted-foreground">Unique ID</Label>
+                <div className="flex items-center justify-between">
+                  <span className="font-mono text-sm">{uniqueId}</span>
+                  <Button size="sm" variant="outline" onClick={() => copyToClipboard(uniqueId)}>
+                    <Copy className="w-4 h-4" />
+                  </Button>
                 </div>
               </div>
 
@@ -1,35 +1,154 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
 import { GlassCard } from '@/components/ui/glass-card';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { DollarSign, CreditCard } from 'lucide-react';
+import { CreditCard, FastForward, FileText, Repeat } from 'lucide-react';
 import { toast } from 'sonner';
+import { useAuth } from '@/contexts/AuthContext';
+import EarlyRepayment from '@/components/EarlyRepayment';
+import LoanDocuments from '@/components/LoanDocuments';
+import { loanApi, mandateApi, paymentApi, type Mandate } from '@/lib/api';
+
+interface RepayableLoan {
+  _id: string;
+  amount: number;
+  purpose: string;
+  status: string;
+  outstandingAmount?: number;
+  installments?: Array<{ number: number; dueDate: string; amount: number; status: string }>;
+}
+
+const REPAYABLE_STATES = ['ACTIVE', 'PARTIALLY_REPAID', 'GRACE', 'DEFAULTED', 'RESTRUCTURED'];
+
+const METHOD_LABELS: Record<Mandate['method'], string> = {
+  upi_autopay: 'UPI AutoPay',
+  emandate: 'eMandate (bank account)',
+};
+
+const STATUS_STYLES: Record<Mandate['status'], string> = {
+  pending: 'bg-yellow-500/20 text-yellow-500',
+  active: 'bg-green-500/20 text-green-500',
+  revoked: 'bg-muted text-muted-foreground',
+  failed: 'bg-red-500/20 text-red-500',
+  completed: 'bg-gold/20 text-gold',
+};
+
+const formatDate = (date?: string) => (date ? new Date(date).toLocaleDateString() : '—');
 
 const RepayLoan = () => {
+  const { user } = useAuth();
+  const [loans, setLoans] = useState<RepayableLoan[]>([]);
   const [selectedLoan, setSelectedLoan] = useState('');
   const [amount, setAmount] = useState('');
+  const [mandate, setMandate] = useState<Mandate | null>(null);
+  const [method, setMethod] = useState<Mandate['method']>('upi_autopay');
+  const [repayments, setRepayments] = useState(0);
+
+  useEffect(() => {
+    if (user) fetchLoans(user.id);
+  }, [user]);
 
-  const activeLoans = [
-    { id: '1', borrower: 'Rajesh Kumar', amount: 25000, remaining: 17000 },
-    { id: '2', borrower: 'Priya Sharma', amount: 15000, remaining: 15000 },
-  ];
+  useEffect(() => {
+    if (selectedLoan) fetchMandate(selectedLoan);
+    else setMandate(null);
+  }, [selectedLoan]);
 
-  const handleRepay = () => {
+  const fetchLoans = async (borrowerId: string) => {
+    const response = await loanApi.getBorrowerLoans(borrowerId);
+    if (response.success && response.data) {
+      const all = (response.data as { data: RepayableLoan[] }).data;
+      setLoans(all.filter((loan) => REPAYABLE_STATES.includes(loan.status)));
+    }
+  };
+
+  const fetchMandate = async (loanId: string) => {
+    const response = await mandateApi.list(loanId);
+    if (response.success && response.data) {
+      // Newest first; an earlier revoked mandate only shows when there is nothing newer
+      setMandate(response.data.data[0] ?? null);
+    }
+  };
+
+  const loan = loans.find((l) => l._id === selectedLoan);
+  const nextInstallment = loan?.installments?.find((i) => i.status !== 'Paid');
+  const currentCharge = mandate?.charges[mandate.charges.length - 1];
+
+  const handleRepay = async () => {
     if (!selectedLoan || !amount) {
       toast.error('Please fill in all fields');
       return;
     }
-    toast.success('Repayment processed successfully!');
+
+    const response = await loanApi.repay(selectedLoan, Number(amount));
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Repayment failed');
+      return;
+    }
+
+    // The mock gateway hands back a completed checkout, so offline repayments settle immediately
+    const { transactionId, checkout } = response.data.data;
+    if (checkout?.simulate) {
+      const confirmed = await paymentApi.confirm({ ...checkout.simulate, transactionId });
+      if (!confirmed.success) {
+        toast.error(confirmed.error || 'Repayment failed');
+        return;
+      }
+      toast.success('Repayment processed successfully!');
+    } else {
+      toast.success('Repayment order created. Complete the payment to apply it.');
+    }
     setAmount('');
+    setRepayments((count) => count + 1);
+    if (user) fetchLoans(user.id);
+  };
+
+  const handleSetupMandate = async () => {
+    const response = await mandateApi.register({ loanId: selectedLoan, method });
+    if (!response.success || !response.data) {
+      toast.error(response.error || 'Could not set up auto-debit');
+      return;
+    }
+
+    const { mandate: created, checkout } = response.data.data;
+    if (checkout?.simulate) {
+      const confirmed = await mandateApi.confirm(created.mandateId, checkout.simulate);
+      if (!confirmed.success) {
+        toast.error(confirmed.error || 'Mandate authorization failed');
+        return;
+      }
+      toast.success('Auto-debit is active');
+    } else {
+      toast.success('Mandate created. Approve it in your UPI app or bank to activate auto-debit.');
+    }
+    fetchMandate(selectedLoan);
   };
 
+  const handleRevokeMandate = async () => {
+    if (!mandate) return;
+    const response = await mandateApi.revoke(mandate.mandateId);
+    if (!response.success) {
+      toast.error(response.error || 'Could not revoke auto-debit');
+      return;
+    }
+    toast.success('Auto-debit revoked');
+    fetchMandate(selectedLoan);
+  };
+
+  const handleEarlyRepayment = () => {
+    setRepayments((count) => count + 1);
+    if (user) fetchLoans(user.id);
+  };
+
+  const mandateOpen = mandate && (mandate.status === 'pending' || mandate.status === 'active');
+
   return (
     <div className="max-w-2xl mx-auto space-y-6">
       <div>
         <h1 className="text-3xl font-bold text-gold-gradient mb-2">Repay Loan</h1>
-        <p className="text-muted-foreground">Make a loan repayment</p>
+        <p className="text-muted-foreground">Make a loan repayment or set up auto-debit</p>
       </div>
 
       <GlassCard className="space-y-6">
@@ -37,16 +156,21 @@ const RepayLoan = () => {
           <Label>Select Loan</Label>
           <Select value={selectedLoan} onValueChange={setSelectedLoan}>
             <SelectTrigger className="glass-panel border-glass-border">
-              <SelectValue placeholder="Choose a loan to repay" />
+              <SelectValue placeholder={loans.length ? 'Choose a loan to repay' : 'No loans to repay'} />
             </SelectTrigger>
             <SelectContent className="glass-panel border-glass-border">
-              {activeLoans.map((loan) => (
-                <SelectItem key={loan.id} value={loan.id}>
-                  Loan #{loan.id} - {loan.borrower} (₹{loan.remaining.toLocaleString()} remaining)
+              {loans.map((l) => (
+                <SelectItem key={l._id} value={l._id}>
+                  {l.purpose} - ₹{l.amount.toLocaleString()} (₹{(l.outstandingAmount ?? 0).toLocaleString()} remaining)
                 </SelectItem>
               ))}
             </SelectContent>
           </Select>
+          {nextInstallment && (
+            <p className="text-sm text-muted-foreground">
+              EMI {nextInstallment.number} of ₹{nextInstallment.amount.toLocaleString()} due {formatDate(nextInstallment.dueDate)}
+            </p>
+          )}
         </div>
 
         <div className="space-y-2">
@@ -66,6 +190,83 @@ const RepayLoan = () => {
           Process Repayment
         </Button>
       </GlassCard>
+
+      {loan && (
+        <GlassCard className="space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold flex items-center gap-2">
+              <Repeat className="w-5 h-5 text-gold" />
+              Auto-debit
+            </h2>
+            {mandate && <Badge className={STATUS_STYLES[mandate.status]}>{mandate.status}</Badge>}
+          </div>
+
+          {mandate && (
+            <div className="text-sm text-muted-foreground space-y-1">
+              <p>
+                {METHOD_LABELS[mandate.method]} • up to ₹{mandate.maxAmount.toLocaleString()} per debit
+                {mandate.expiresAt && ` • valid until ${formatDate(mandate.expiresAt)}`}
+              </p>
+              {mandate.status === 'pending' && <p>Waiting for your bank to confirm the mandate.</p>}
+              {mandate.status === 'failed' && <p>{mandate.failureReason}</p>}
+              {mandate.status === 'revoked' && <p>Revoked on {formatDate(mandate.revokedAt)}: {mandate.revocationReason}</p>}
+              {currentCharge && (
+                <p>
+                  EMI {currentCharge.installmentNumber}: ₹{currentCharge.amount.toLocaleString()} {currentCharge.status}
+                  {currentCharge.attempts > 1 && ` after ${currentCharge.attempts} attempts`}
+                  {currentCharge.status === 'failed' && ` (${currentCharge.lastError}), retrying ${formatDate(currentCharge.nextRetryAt)}`}
+                  {currentCharge.status === 'exhausted' && ` (${currentCharge.lastError}), please pay manually`}
+                </p>
+              )}
+            </div>
+          )}
+
+          {mandateOpen ? (
+            <Button variant="outline" onClick={handleRevokeMandate} className="w-full">
+              Revoke Auto-debit
+            </Button>
+          ) : (
+            <div className="flex gap-2">
+              <Select value={method} onValueChange={(value) => setMethod(value as Mandate['method'])}>
+                <SelectTrigger className="glass-panel border-glass-border">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="glass-panel border-glass-border">
+                  {Object.entries(METHOD_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button onClick={handleSetupMandate} className="bg-gold-gradient hover:opacity-90 text-background font-semibold">
+                Set up Auto-debit
+              </Button>
+            </div>
+          )}
+        </GlassCard>
+      )}
+
+      {loan && (
+        <GlassCard className="space-y-4">
+          <h2 className="text-xl font-semibold flex items-center gap-2">
+            <FastForward className="w-5 h-5 text-gold" />
+            Repay Early
+          </h2>
+          <EarlyRepayment key={`${loan._id}-${repayments}`} loanId={loan._id} onPaid={handleEarlyRepayment} />
+        </GlassCard>
+      )}
+
+      {loan && (
+        <GlassCard className="space-y-4">
+          <h2 className="text-xl font-semibold flex items-center gap-2">
+            <FileText className="w-5 h-5 text-gold" />
+            Receipts &amp; Statements
+          </h2>
+          {/* Remount after a repayment so the new receipt shows up */}
+          <LoanDocuments key={`${loan._id}-${repayments}`} loanId={loan._id} />
+        </GlassCard>
+      )}
     </div>
   );
 };